@@ -36,8 +36,13 @@ contract GameMaster is Ownable {
     
     // Track eliminated players in order of elimination
     address[] public eliminatedPlayers;
-    // Track final placement (1000 = first eliminated, 1 = winner)
-    mapping(address => uint256) public finalPlacements;
+    // Players a game eliminates under one batch id form one group and share its placement
+    mapping(address => uint256) public eliminationGroup;
+    // Final placement of each elimination group (1000 = first eliminated, 1 = winner)
+    mapping(uint256 => uint256) public groupPlacements;
+    uint256 public eliminationGroupCount;
+    address private lastEliminatingGame;
+    uint256 private lastEliminationBatch;
     
     // =============================================================
     // ================== Game Management =========================
@@ -45,6 +50,12 @@ contract GameMaster is Ownable {
     mapping(string => address) public gameAddresses;
     mapping(string => bool) public isGameRegistered;
     string[] public registeredGames;
+
+    // =============================================================
+    // ======================= Prizes ==============================
+    // =============================================================
+    // Amount paid to each recipient under each payout plan
+    mapping(bytes32 => mapping(address => uint256)) public prizePaid;
     
     // =============================================================
     // ======================= Events =============================
@@ -57,6 +68,10 @@ contract GameMaster is Ownable {
     event PlayerRefunded(address indexed player, uint256 amount);
     event RefundFailed(address indexed player, uint256 amount);
     event GameReset();
+
+    // Prize Events
+    event PrizePaid(bytes32 indexed planId, address indexed recipient, uint256 amount);
+    event PrizePaymentFailed(bytes32 indexed planId, address indexed recipient, uint256 amount);
     
     // Game Management Events
     event PlayersRegistered(address[] players);
@@ -97,6 +112,7 @@ contract GameMaster is Ownable {
         require(!registrationClosed, "Registration is closed");
         require(msg.value >= registrationFee, "Must send at least the registration fee");
         require(!isRegistered[msg.sender], "Already registered");
+        require(eliminatedPlayers.length == 0, "Eliminations have started");
         require(address(pointsContract) != address(0), "Points contract not set");
         
         // Calculate points portion (1/6 of registration fee)
@@ -140,6 +156,7 @@ contract GameMaster is Ownable {
         require(!registrationClosed, "Registration is closed");
         require(msg.value >= registrationFee, "Must send at least the registration fee");
         require(!isRegistered[msg.sender], "Already registered");
+        require(eliminatedPlayers.length == 0, "Eliminations have started");
         require(address(pointsContract) != address(0), "Points contract not set");
         
         // Calculate points portion (1/6 of registration fee)
@@ -198,6 +215,45 @@ contract GameMaster is Ownable {
         
         return true;
     }
+
+    /**
+     * @notice Pay prizes from the collected registration fees (owner only)
+     * @dev Recipients already paid under `planId` are skipped, so a batch can be re-sent safely.
+     *      A failed transfer is logged and left unpaid instead of blocking the other recipients.
+     * @param planId Identifier of the payout plan the payments belong to
+     * @param recipients Addresses to pay
+     * @param amounts Amount to pay each recipient
+     */
+    function payPrizes(bytes32 planId, address[] calldata recipients, uint256[] calldata amounts) external onlyOwner {
+        require(recipients.length == amounts.length, "Array length mismatch");
+
+        uint256 total = 0;
+        for (uint256 i = 0; i < recipients.length; i++) {
+            if (prizePaid[planId][recipients[i]] == 0) {
+                total += amounts[i];
+            }
+        }
+        require(address(this).balance >= total, "Insufficient balance for prizes");
+
+        for (uint256 i = 0; i < recipients.length; i++) {
+            address recipient = recipients[i];
+            uint256 amount = amounts[i];
+            if (amount == 0 || prizePaid[planId][recipient] > 0) {
+                continue;
+            }
+
+            // Mark as paid before the transfer
+            prizePaid[planId][recipient] = amount;
+            (bool success, ) = recipient.call{value: amount}("");
+
+            if (success) {
+                emit PrizePaid(planId, recipient, amount);
+            } else {
+                prizePaid[planId][recipient] = 0;
+                emit PrizePaymentFailed(planId, recipient, amount);
+            }
+        }
+    }
     
     /**
      * @notice Reset game and refund all registered players
@@ -217,24 +273,20 @@ contract GameMaster is Ownable {
                 emit PlayerRefunded(player, registrationFee);
             }
             
-            // Clear final placement
-            delete finalPlacements[player];
+            // Clear player tracking and final placement while the list is still there
+            isRegistered[player] = false;
+            isActivePlayer[player] = false;
+            delete playerNumbers[player];
+            delete eliminationGroup[player];
         }
         
         // Reset state variables
         delete registeredPlayers;
         delete activePlayers;
         delete eliminatedPlayers;
+        lastEliminatingGame = address(0);
         registrationClosed = false;
         
-        // Clear player tracking
-        for (uint i = 0; i < registeredPlayers.length; i++) {
-            address player = registeredPlayers[i];
-            isRegistered[player] = false;
-            isActivePlayer[player] = false;
-            delete playerNumbers[player];
-        }
-        
         emit GameReset();
     }
     
@@ -246,6 +298,8 @@ contract GameMaster is Ownable {
     function registerPlayersBatch(address[] calldata players) external onlyOwner {
         require(!registrationClosed, "Registration is closed");
         require(registeredPlayers.length + players.length <= maxPlayers, "Would exceed maximum players");
+        // Placements count down from the player total, so it must not grow once they are handed out
+        require(eliminatedPlayers.length == 0, "Eliminations have started");
         
         for (uint256 i = 0; i < players.length; i++) {
             address player = players[i];
@@ -355,9 +409,12 @@ contract GameMaster is Ownable {
     
     /**
      * @notice Handle player elimination (called by game contracts)
+     * @dev Games give every call that can eliminate players a new batch id. Grouping by id
+     * rather than by block keeps two resolutions mined in the same block apart.
      * @param player Address of the eliminated player
+     * @param batch The game's id for the call eliminating the player
      */
-    function playerEliminated(address player) external {
+    function playerEliminated(address player, uint256 batch) external {
         require(isRegistered[player], "Player not registered");
         require(isActivePlayer[player], "Player already eliminated");
         
@@ -376,11 +433,21 @@ contract GameMaster is Ownable {
         
         // Add player to eliminated players array and set final placement
         eliminatedPlayers.push(player);
+
+        // Eliminations a game reports under one batch id share a placement
+        if (msg.sender != lastEliminatingGame || batch != lastEliminationBatch) {
+            eliminationGroupCount++;
+            lastEliminatingGame = msg.sender;
+            lastEliminationBatch = batch;
+        }
+        eliminationGroup[player] = eliminationGroupCount;
+
         // Calculate placement: total players - current eliminated count = placement
-        // This makes first eliminated = last place, last eliminated = first place
+        // This makes first eliminated = last place, last eliminated = first place.
+        // A group takes the best placement it covers, so three players eliminated
+        // together out of ten all finish 8th.
         uint256 totalPlayers = registeredPlayers.length;
-        uint256 placement = totalPlayers - eliminatedPlayers.length + 1;
-        finalPlacements[player] = placement;
+        groupPlacements[eliminationGroupCount] = totalPlayers - eliminatedPlayers.length + 1;
         
         // Find and remove from activePlayers array
         for (uint i = 0; i < activePlayers.length; i++) {
@@ -545,12 +612,22 @@ contract GameMaster is Ownable {
 
     /**
      * @notice Get a player's final placement in the game (0 if still active)
+     * @dev Players eliminated together share a placement; survivors share first place
      * @param player Address of the player
      * @return Final placement (totalPlayers = first eliminated, 1 = winner, 0 = still active)
      */
     function getPlayerFinalPlacement(address player) external view returns (uint256) {
         require(isRegistered[player], "Player not registered");
-        return finalPlacements[player];
+        return finalPlacements(player);
+    }
+
+    /**
+     * @notice Get a player's final placement without the registration check (0 if not eliminated)
+     * @param player Address of the player
+     * @return Final placement shared with the rest of the player's elimination group
+     */
+    function finalPlacements(address player) public view returns (uint256) {
+        return groupPlacements[eliminationGroup[player]];
     }
 
     /**
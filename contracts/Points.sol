@@ -64,6 +64,15 @@ contract Points is Ownable {
     /// @notice Maps addresses to the referral code they used
     mapping(address => string) public usedReferralCode;
 
+    /// @notice One account's balances and referral codes in a bulk import
+    struct ImportEntry {
+        address account;
+        uint256 total;
+        uint256 withdrawable;
+        string ownedCode;
+        string usedCode;
+    }
+
     // =============================================================
     // ======================== Events =============================
     // =============================================================
@@ -110,6 +119,11 @@ contract Points is Ownable {
     /// @param authorizedContract Contract that awarded the points
     event PointsAwardedByContract(address indexed recipient, uint256 amount, address indexed authorizedContract);
 
+    /// @notice Emitted after a bulk import
+    /// @param entries Number of entries processed
+    /// @param pointsAdded Number of points credited across all entries
+    event PointsImported(uint256 entries, uint256 pointsAdded);
+
     // =============================================================
     // ======================== Errors =============================
     // =============================================================
@@ -260,6 +274,61 @@ contract Points is Ownable {
         emit PointsAwarded(recipient, pointsToAward);
     }
 
+    /// @notice Register a referral code on behalf of a user, replacing any code they had
+    /// @param user Address of the user to assign the referral code to
+    /// @param code The referral code to assign
+    function _migrateReferralCode(address user, string calldata code) internal {
+        require(user != address(0), "Invalid user address");
+        
+        // Validate code length
+        if (bytes(code).length > 20) {
+            revert ReferralCodeTooLong();
+        }
+
+        // Validate code is not empty
+        if (bytes(code).length == 0) {
+            revert InvalidReferralCode();
+        }
+
+        // Check if code is already taken by someone else
+        address currentOwner = referralCodeToAddress[code];
+        if (currentOwner != address(0) && currentOwner != user) {
+            revert ReferralCodeTaken();
+        }
+
+        // Clear any existing referral code for this user
+        string memory existingCode = addressToReferralCode[user];
+        if (bytes(existingCode).length > 0) {
+            delete referralCodeToAddress[existingCode];
+        }
+
+        // Register the new code
+        referralCodeToAddress[code] = user;
+        addressToReferralCode[user] = code;
+
+        emit ReferralCodeRegistered(user, code);
+    }
+
+    /// @notice Record the referral code a user used, on their behalf
+    /// @param user Address of the user who used the referral code
+    /// @param referralCode The referral code they used
+    function _migrateUsedReferralCode(address user, string calldata referralCode) internal {
+        require(user != address(0), "Invalid user address");
+        require(bytes(referralCode).length > 0, "Invalid referral code");
+        
+        // Verify the referral code exists and is owned by someone
+        address referrer = referralCodeToAddress[referralCode];
+        require(referrer != address(0), "Referral code does not exist");
+        
+        usedReferralCode[user] = referralCode;
+        emit ReferralUsed(user, referralCode, referrer);
+    }
+
+    /// @notice Compare a stored referral code with a calldata one
+    function _sameCode(string storage stored, string calldata code) internal pure returns (bool) {
+        return keccak256(bytes(stored)) == keccak256(bytes(code));
+    }
+
     // =============================================================
     // ==================== View Functions =========================
     // =============================================================
@@ -443,50 +512,68 @@ contract Points is Ownable {
     /// @param user Address of the user to assign the referral code to
     /// @param code The referral code to assign
     function migrateReferralCode(address user, string calldata code) external onlyOwner {
-        require(user != address(0), "Invalid user address");
-        
-        // Validate code length
-        if (bytes(code).length > 20) {
-            revert ReferralCodeTooLong();
-        }
-
-        // Validate code is not empty
-        if (bytes(code).length == 0) {
-            revert InvalidReferralCode();
-        }
-
-        // Check if code is already taken by someone else
-        address currentOwner = referralCodeToAddress[code];
-        if (currentOwner != address(0) && currentOwner != user) {
-            revert ReferralCodeTaken();
-        }
-
-        // Clear any existing referral code for this user
-        string memory existingCode = addressToReferralCode[user];
-        if (bytes(existingCode).length > 0) {
-            delete referralCodeToAddress[existingCode];
-        }
-
-        // Register the new code
-        referralCodeToAddress[code] = user;
-        addressToReferralCode[user] = code;
-
-        emit ReferralCodeRegistered(user, code);
+        _migrateReferralCode(user, code);
     }
 
     /// @notice Migrate used referral code for a user during contract migration (owner only)
     /// @param user Address of the user who used the referral code
     /// @param referralCode The referral code they used
     function migrateUsedReferralCode(address user, string calldata referralCode) external onlyOwner {
-        require(user != address(0), "Invalid user address");
-        require(bytes(referralCode).length > 0, "Invalid referral code");
-        
-        // Verify the referral code exists and is owned by someone
-        address referrer = referralCodeToAddress[referralCode];
-        require(referrer != address(0), "Referral code does not exist");
-        
-        usedReferralCode[user] = referralCode;
-        emit ReferralUsed(user, referralCode, referrer);
+        _migrateUsedReferralCode(user, referralCode);
+    }
+
+    /// @notice Import balances and referral codes for many accounts during contract migration (owner only)
+    /// @dev Brings each account up to the given balances instead of adding them, so re-sending
+    ///      an entry that was already imported credits nothing. Owned codes are registered before
+    ///      used codes, so an entry may use a code owned by a later entry in the same call.
+    /// @param entries Accounts with their target total and withdrawable points and referral codes
+    function importPoints(ImportEntry[] calldata entries) external onlyOwner {
+        for (uint256 i = 0; i < entries.length; i++) {
+            ImportEntry calldata entry = entries[i];
+            if (bytes(entry.ownedCode).length > 0 && !_sameCode(addressToReferralCode[entry.account], entry.ownedCode)) {
+                _migrateReferralCode(entry.account, entry.ownedCode);
+            }
+        }
+
+        uint256 pointsAdded = 0;
+        for (uint256 i = 0; i < entries.length; i++) {
+            ImportEntry calldata entry = entries[i];
+            require(entry.account != address(0), "Invalid recipient");
+            require(entry.withdrawable <= entry.total, "Withdrawable exceeds total");
+
+            // Credit only what is missing from each part of the balance
+            uint256 currentWithdrawable = referralPoints[entry.account];
+            uint256 currentLocked = points[entry.account] - currentWithdrawable;
+            uint256 targetLocked = entry.total - entry.withdrawable;
+            uint256 addWithdrawable = entry.withdrawable > currentWithdrawable ? entry.withdrawable - currentWithdrawable : 0;
+            uint256 addLocked = targetLocked > currentLocked ? targetLocked - currentLocked : 0;
+            uint256 amount = addWithdrawable + addLocked;
+
+            if (amount > 0) {
+                if (totalPointsIssued + amount > MAX_POINTS) {
+                    revert PointsCapReached(getRemainingPoints());
+                }
+
+                points[entry.account] += amount;
+                referralPoints[entry.account] += addWithdrawable;
+
+                // Add recipient to address list if first time
+                if (!hasPoints[entry.account]) {
+                    addressList.push(entry.account);
+                    hasPoints[entry.account] = true;
+                }
+
+                totalPointsIssued += amount;
+                pointsAdded += amount;
+                emit PointsAwarded(entry.account, amount);
+            }
+
+            if (bytes(entry.usedCode).length > 0 && !_sameCode(usedReferralCode[entry.account], entry.usedCode)) {
+                _migrateUsedReferralCode(entry.account, entry.usedCode);
+            }
+        }
+
+        emit PointsImported(entries.length, pointsAdded);
     }
 
     /// @notice Cash out referral points for ETH
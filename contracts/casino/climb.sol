@@ -22,6 +22,7 @@ contract Climb is IEntropyConsumer, ReentrancyGuard, Ownable {
   // ============ Configurable Parameters ============
   uint256 public maxDeposit = 1 ether; // Can be changed by owner
   bool public pointsAreWithdrawable = false; // Can be changed by owner
+  uint256 public pendingTimeout = 1 hours; // How long before a player can cancel an unanswered request
   
   // ============ State Variables ============
   IEntropy entropy;
@@ -75,6 +76,9 @@ contract Climb is IEntropyConsumer, ReentrancyGuard, Ownable {
   // Mapping to store entropy results
   mapping(uint64 => uint256) private entropyResults;
   
+  // Mapping from player address to when their pending request was made
+  mapping(address => uint256) public pendingRequestedAt;
+  
   // Global game counter
   uint256 public totalGamesPlayed;
   
@@ -128,6 +132,8 @@ contract Climb is IEntropyConsumer, ReentrancyGuard, Ownable {
   event PointsContractUpdated(address indexed oldContract, address indexed newContract);
   event PointsWithdrawableChanged(bool oldValue, bool newValue);
   event EntropyReceived(address indexed player, uint256 indexed gameId, uint64 sequenceNumber, uint256 randomNumber);
+  event PendingRequestCancelled(address indexed player, uint256 indexed gameId, uint64 sequenceNumber, uint8 level, uint256 payout, uint256 pointsPayout, bool refunded);
+  event PendingTimeoutChanged(uint256 oldTimeout, uint256 newTimeout);
   
   // ============ Modifiers ============
   modifier hasActiveGame() {
@@ -324,12 +330,85 @@ contract Climb is IEntropyConsumer, ReentrancyGuard, Ownable {
     // Update game state
     game.pendingSequence = sequenceNumber;
     game.pendingType = requestType;
+    pendingRequestedAt[msg.sender] = block.timestamp;
     sequenceToPlayer[sequenceNumber] = msg.sender;
     sequenceIsCashout[sequenceNumber] = (requestType == RequestType.CASHOUT);
     
     return sequenceNumber;
   }
   
+  // Player gives up on a request whose callback has not arrived within pendingTimeout.
+  // The revelation of a stuck request is public, so the player may already know how it would
+  // resolve; cancelling therefore pays no more than the pending action's expected value. A
+  // cash out pays half its S value and half its points, matching the 50/50 draw. A climb or
+  // auto-climb refunds the lesser of the deposit and the expected S value of the climbs.
+  // A callback that arrives afterwards is ignored.
+  function cancelPendingRequest() external nonReentrant hasActiveGame {
+    GameState storage game = playerGames[msg.sender];
+    require(game.pendingType != RequestType.NONE, "No pending request");
+    require(block.timestamp >= pendingRequestedAt[msg.sender] + pendingTimeout, "Pending request has not timed out");
+    
+    uint64 sequenceNumber = game.pendingSequence;
+    uint8 currentLevel = game.currentLevel;
+    bool refunded = game.pendingType != RequestType.CASHOUT;
+    uint256 payout;
+    uint256 pointsPayout;
+    uint32 finalMultiplier;
+    
+    if (refunded) {
+      uint8 targetLevel = game.pendingType == RequestType.AUTO_CLIMB ? game.targetLevel : currentLevel + 1;
+      payout = getClimbExpectedValue(game.depositAmount, currentLevel, targetLevel);
+      if (payout > game.depositAmount) {
+        payout = game.depositAmount;
+      }
+      finalMultiplier = uint32((payout * MULTIPLIER_PRECISION) / game.depositAmount);
+    } else {
+      finalMultiplier = multiplier[currentLevel];
+      payout = (game.depositAmount * finalMultiplier) / MULTIPLIER_PRECISION / 2;
+      pointsPayout = ((game.depositAmount / 1 ether) * pointMultiplier[currentLevel]) / 2;
+    }
+    
+    // Forget the request so a late callback returns early
+    game.pendingType = RequestType.NONE;
+    game.pendingSequence = 0;
+    game.isActive = false;
+    delete pendingRequestedAt[msg.sender];
+    delete sequenceToPlayer[sequenceNumber];
+    delete sequenceIsCashout[sequenceNumber];
+    
+    string memory endReason = refunded ? "refund" : "timeout";
+    _saveCompletedGame(msg.sender, currentLevel, !refunded, finalMultiplier, payout, endReason, false);
+    
+    emit PendingRequestCancelled(msg.sender, game.gameId, sequenceNumber, currentLevel, payout, pointsPayout, refunded);
+    emit GameEnded(GameEndData({
+      player: msg.sender,
+      gameId: game.gameId,
+      finalLevel: currentLevel,
+      success: !refunded,
+      finalMultiplier: finalMultiplier,
+      payout: payout,
+      endReason: endReason,
+      paidInPoints: false
+    }));
+    
+    if (pointsPayout > 0) {
+      pointsContract.awardPointsForPayout(msg.sender, pointsPayout, pointsAreWithdrawable);
+    }
+    (bool success, ) = payable(msg.sender).call{value: payout}("");
+    require(success, "ETH transfer failed");
+  }
+  
+  // Expected S value of climbing from fromLevel to targetLevel and cashing out there in S:
+  // the deposit times the target multiplier, times the odds of every climb on the way
+  function getClimbExpectedValue(uint256 depositAmount, uint8 fromLevel, uint8 targetLevel) public view returns (uint256) {
+    require(fromLevel < targetLevel && targetLevel <= MAX_LEVEL, "Invalid levels");
+    uint256 value = depositAmount * multiplier[targetLevel];
+    for (uint8 level = fromLevel + 1; level <= targetLevel; level++) {
+      value = (value * odds[level]) / ODDS_PRECISION;
+    }
+    return value / MULTIPLIER_PRECISION;
+  }
+  
   // Get the success threshold for climbing from current level to next level
   function getSuccessThreshold(uint8 currentLevel) public view returns (uint256) {
     require(currentLevel < MAX_LEVEL, "Invalid level for climbing");
@@ -467,6 +546,7 @@ contract Climb is IEntropyConsumer, ReentrancyGuard, Ownable {
     // Clear pending state
     game.pendingType = RequestType.NONE;
     game.pendingSequence = 0;
+    delete pendingRequestedAt[player];
     
     // Clean up sequence mappings
     delete sequenceToPlayer[sequenceNumber];
@@ -563,6 +643,13 @@ contract Climb is IEntropyConsumer, ReentrancyGuard, Ownable {
     return game.isActive && game.pendingType == RequestType.NONE && game.currentLevel >= MIN_CASHOUT_LEVEL;
   }
   
+  function canPlayerCancelPending(address player) external view returns (bool) {
+    GameState memory game = playerGames[player];
+    return game.isActive &&
+           game.pendingType != RequestType.NONE &&
+           block.timestamp >= pendingRequestedAt[player] + pendingTimeout;
+  }
+  
   function canPlayerAutoClimb(address player, uint8 targetLevel) external view returns (bool) {
     GameState memory game = playerGames[player];
     return game.isActive && 
@@ -784,6 +871,15 @@ contract Climb is IEntropyConsumer, ReentrancyGuard, Ownable {
     emit MaxDepositChanged(oldMaxDeposit, newMaxDeposit);
   }
   
+  function setPendingTimeout(uint256 newTimeout) external onlyOwner {
+    require(newTimeout > 0, "Pending timeout must be greater than zero");
+    
+    uint256 oldTimeout = pendingTimeout;
+    pendingTimeout = newTimeout;
+    
+    emit PendingTimeoutChanged(oldTimeout, newTimeout);
+  }
+  
   function setPointsContract(address newPointsContract) external onlyOwner {
     require(newPointsContract != address(0), "Invalid points contract address");
     
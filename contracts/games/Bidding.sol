@@ -6,7 +6,7 @@ import "../interfaces/IGame.sol";
 
 // Interface for RagnarokGameMaster's elimination function
 interface IRagnarokGameMaster {
-    function playerEliminated(address player) external;
+    function playerEliminated(address player, uint256 batch) external;
 }
 
 contract Bidding is IGame, Ownable {
@@ -61,6 +61,8 @@ contract Bidding is IGame, Ownable {
 
     // ============ State Variables ============
     address public gameMaster;
+    // Id of the current call that can eliminate players; see newEliminationBatch
+    uint256 private eliminationBatch;
     uint256 public gameIdCounter;
     mapping(uint256 => GameInstance) private games;
     mapping(address => uint256) public playerGameId;
@@ -81,6 +83,12 @@ contract Bidding is IGame, Ownable {
         _;
     }
 
+    // Players eliminated during one call share a placement in GameMaster
+    modifier newEliminationBatch() {
+        eliminationBatch++;
+        _;
+    }
+
     modifier isValidGameId(uint256 gameId) {
         require(gameId > 0 && gameId <= gameIdCounter, "Invalid game ID");
         _;
@@ -198,7 +206,7 @@ contract Bidding is IGame, Ownable {
         }
     }
 
-    function revealBid(uint256 bid, bytes32 salt) external {
+    function revealBid(uint256 bid, bytes32 salt) external newEliminationBatch {
         require(isPlayerInGame[msg.sender], "Player not in any game");
         uint256 gameId = playerGameId[msg.sender];
         GameInstance storage game = games[gameId];
@@ -235,7 +243,7 @@ contract Bidding is IGame, Ownable {
         }
     }
 
-    function endExpiredGames() external override {
+    function endExpiredGames() external override newEliminationBatch {
         for (uint256 i = 1; i <= gameIdCounter; i++) {
             GameInstance storage game = games[i];
             if (game.state == GameState.Active) {
@@ -248,7 +256,7 @@ contract Bidding is IGame, Ownable {
         }
     }
 
-    function endGame() external override onlyGameMaster returns (address[] memory) {
+    function endGame() external override onlyGameMaster newEliminationBatch returns (address[] memory) {
         address[] memory winners = new address[](0);
         for (uint256 i = 1; i <= gameIdCounter; i++) {
             GameInstance storage game = games[i];
@@ -456,7 +464,7 @@ contract Bidding is IGame, Ownable {
         }
 
         // Notify RagnarokGameMaster about elimination
-        try IRagnarokGameMaster(gameMaster).playerEliminated(player) {
+        try IRagnarokGameMaster(gameMaster).playerEliminated(player, eliminationBatch) {
             // Successfully notified the RagnarokGameMaster
         } catch {
             // Silently fail if RagnarokGameMaster rejects or doesn't have the function
@@ -6,7 +6,7 @@ import "../interfaces/IGame.sol";
 
 // Interface for RagnarokGameMaster's elimination function
 interface IRagnarokGameMaster {
-    function playerEliminated(address player) external;
+    function playerEliminated(address player, uint256 batch) external;
 }
 
 contract Descend is IGame, Ownable {
@@ -65,6 +65,8 @@ contract Descend is IGame, Ownable {
 
     // ============ State Variables ============
     address public gameMaster;
+    // Id of the current call that can eliminate players; see newEliminationBatch
+    uint256 private eliminationBatch;
     uint256 public gameIdCounter;
     mapping(uint256 => GameInstance) private games;
     mapping(address => uint256) public playerGameId;
@@ -94,6 +96,12 @@ contract Descend is IGame, Ownable {
         _;
     }
 
+    // Players eliminated during one call share a placement in GameMaster
+    modifier newEliminationBatch() {
+        eliminationBatch++;
+        _;
+    }
+
     modifier isValidGameId(uint256 gameId) {
         require(gameId > 0 && gameId <= gameIdCounter, "Invalid game ID");
         _;
@@ -322,7 +330,7 @@ contract Descend is IGame, Ownable {
     }
 
     // ============ Game Functions ============
-    function commitMove(bytes32 commitment) external {
+    function commitMove(bytes32 commitment) external newEliminationBatch {
         require(isPlayerInGame[msg.sender], "Player not in any game");
         uint256 gameId = playerGameId[msg.sender];
         GameInstance storage game = games[gameId];
@@ -362,7 +370,7 @@ contract Descend is IGame, Ownable {
         }
     }
 
-    function revealMove(uint256 move, bytes32 salt) external {
+    function revealMove(uint256 move, bytes32 salt) external newEliminationBatch {
         require(isPlayerInGame[msg.sender], "Player not in any game");
         uint256 gameId = playerGameId[msg.sender];
         GameInstance storage game = games[gameId];
@@ -418,7 +426,7 @@ contract Descend is IGame, Ownable {
         }
     }
 
-    function endExpiredGames() external override {
+    function endExpiredGames() external override newEliminationBatch {
         for (uint256 i = 1; i <= gameIdCounter; i++) {
             GameInstance storage game = games[i];
             if (game.state == GameState.Active) {
@@ -431,7 +439,7 @@ contract Descend is IGame, Ownable {
         }
     }
 
-    function endGame() external override onlyGameMaster returns (address[] memory) {
+    function endGame() external override onlyGameMaster newEliminationBatch returns (address[] memory) {
         address[] memory winners = new address[](0);
         for (uint256 i = 1; i <= gameIdCounter; i++) {
             GameInstance storage game = games[i];
@@ -685,7 +693,7 @@ contract Descend is IGame, Ownable {
         _updateNonMaxLevelCounts(game);
 
         // Notify RagnarokGameMaster about elimination
-        try IRagnarokGameMaster(gameMaster).playerEliminated(player) {
+        try IRagnarokGameMaster(gameMaster).playerEliminated(player, eliminationBatch) {
             // Successfully notified the RagnarokGameMaster
         } catch {
             // Silently fail if RagnarokGameMaster rejects or doesn't have the function
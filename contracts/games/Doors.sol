@@ -9,7 +9,7 @@ import {GameState, GameInstanceInfo } from "../interfaces/IGame.sol";
 
 // Updated interface for RagnarokGameMaster's elimination function
 interface IRagnarokGameMaster {
-    function playerEliminated(address player) external;
+    function playerEliminated(address player, uint256 batch) external;
 }
 
 contract Doors is IGame, Ownable {
@@ -45,6 +45,8 @@ contract Doors is IGame, Ownable {
 
     // ============ State Variables ============
     address public gameMaster;
+    // Id of the current call that can eliminate players; see newEliminationBatch
+    uint256 private eliminationBatch;
     uint256 public gameIdCounter;
     mapping(uint256 => GameInstance) private games;
     mapping(address => uint256) public playerGameId;
@@ -64,6 +66,12 @@ contract Doors is IGame, Ownable {
         _;
     }
 
+    // Players eliminated during one call share a placement in GameMaster
+    modifier newEliminationBatch() {
+        eliminationBatch++;
+        _;
+    }
+
     modifier isValidGameId(uint256 gameId) {
         require(gameId > 0 && gameId <= gameIdCounter, "Invalid game ID");
         _;
@@ -172,7 +180,7 @@ contract Doors is IGame, Ownable {
         return allStarted;
     }
 
-    function openDoor() external returns (bool) {
+    function openDoor() external newEliminationBatch returns (bool) {
         require(isPlayerInGame[msg.sender], "Player not in game");
         uint256 gameId = playerGameId[msg.sender];
 
@@ -220,7 +228,7 @@ contract Doors is IGame, Ownable {
             
             emit PlayerEliminated(gameId, msg.sender, game.playerNumbers[msg.sender]);
             
-            try IRagnarokGameMaster(gameMaster).playerEliminated(msg.sender) {
+            try IRagnarokGameMaster(gameMaster).playerEliminated(msg.sender, eliminationBatch) {
             } catch {}
         }
 
@@ -228,7 +236,7 @@ contract Doors is IGame, Ownable {
         return success;
     }
 
-    function endExpiredGames() external override onlyGameMaster {
+    function endExpiredGames() external override onlyGameMaster newEliminationBatch {
         // Iterate through all game instances
         for (uint256 i = 1; i <= gameIdCounter; i++) {
             GameInstance storage game = games[i];
@@ -309,7 +317,7 @@ contract Doors is IGame, Ownable {
         }
 
         // Notify RagnarokGameMaster about elimination
-        try IRagnarokGameMaster(gameMaster).playerEliminated(player) {
+        try IRagnarokGameMaster(gameMaster).playerEliminated(player, eliminationBatch) {
             // Successfully notified the RagnarokGameMaster
         } catch {
             // Silently fail if RagnarokGameMaster rejects or doesn't have the function
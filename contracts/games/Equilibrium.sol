@@ -6,7 +6,7 @@ import "../interfaces/IGame.sol";
 
 // Interface for RagnarokGameMaster's elimination function
 interface IRagnarokGameMaster {
-    function playerEliminated(address player) external;
+    function playerEliminated(address player, uint256 batch) external;
 }
 
 contract Equilibrium is IGame, Ownable {
@@ -38,6 +38,8 @@ contract Equilibrium is IGame, Ownable {
 
     // ============ State Variables ============
     address public gameMaster;
+    // Id of the current call that can eliminate players; see newEliminationBatch
+    uint256 private eliminationBatch;
     uint256 public gameIdCounter;
     mapping(uint256 => GameInstance) private games;
     mapping(address => uint256) public playerGameId;
@@ -57,6 +59,12 @@ contract Equilibrium is IGame, Ownable {
         _;
     }
 
+    // Players eliminated during one call share a placement in GameMaster
+    modifier newEliminationBatch() {
+        eliminationBatch++;
+        _;
+    }
+
     modifier isValidGameId(uint256 gameId) {
         require(gameId > 0 && gameId <= gameIdCounter, "Invalid game ID");
         _;
@@ -152,14 +160,14 @@ contract Equilibrium is IGame, Ownable {
         emit PlayerSwitchedTeam(gameId, msg.sender, currentTeam, team);
     }
 
-    function endExpiredGames() external override {
+    function endExpiredGames() external override newEliminationBatch {
         GameInstance storage game = games[gameIdCounter];
         if (game.state == GameState.Active && block.timestamp > game.roundEndTime) {
             _eliminateLargestTeam(gameIdCounter);
         }
     }
 
-    function endGame() external override onlyGameMaster returns (address[] memory) {
+    function endGame() external override onlyGameMaster newEliminationBatch returns (address[] memory) {
         GameInstance storage game = games[gameIdCounter];
         if (game.state == GameState.Active) {
             _eliminateLargestTeam(gameIdCounter);
@@ -254,7 +262,7 @@ contract Equilibrium is IGame, Ownable {
         }
 
         // Notify RagnarokGameMaster about elimination
-        try IRagnarokGameMaster(gameMaster).playerEliminated(player) {
+        try IRagnarokGameMaster(gameMaster).playerEliminated(player, eliminationBatch) {
             // Successfully notified the RagnarokGameMaster
         } catch {
             // Silently fail if RagnarokGameMaster rejects or doesn't have the function
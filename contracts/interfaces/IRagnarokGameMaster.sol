@@ -86,7 +86,7 @@ interface IRagnarokGameMaster {
     // Game Management Functions
     function registerGame(string calldata gameName, address gameAddress) external;
     function initializeGame(string calldata gameName) external returns (uint256);
-    function playerEliminated(address player) external;
+    function playerEliminated(address player, uint256 batch) external;
     function startGames(string calldata gameName) external returns (bool);
     function endExpiredGames(string calldata gameName) external;
     function endGames(string calldata gameName) external returns (address[] memory);
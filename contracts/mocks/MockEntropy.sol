@@ -0,0 +1,200 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import { IEntropy } from "@pythnetwork/entropy-sdk-solidity/IEntropy.sol";
+import { IEntropyConsumer } from "@pythnetwork/entropy-sdk-solidity/IEntropyConsumer.sol";
+import { EntropyStructs } from "@pythnetwork/entropy-sdk-solidity/EntropyStructs.sol";
+
+/**
+ * @title MockEntropy
+ * @notice Local stand-in for Pyth Entropy. Requests are recorded and only answered when
+ * `fulfill` (with a chosen random number) or `revealWithCallback` is called, so a
+ * callback that never arrives is simply a request nobody fulfills. Like the real
+ * contract, a reverting callback reverts the whole fulfillment and leaves the request
+ * in flight; `callbackGasLimit` caps the gas the consumer gets, to mimic a provider's limit.
+ */
+contract MockEntropy is IEntropy {
+    address public immutable defaultProvider;
+    uint128 public fee;
+    uint256 public callbackGasLimit; // 0 forwards all remaining gas
+    uint64 public nextSequenceNumber = 1;
+
+    mapping(uint64 => EntropyStructs.Request) private requests;
+    mapping(uint64 => bytes32) public userRandomNumbers;
+
+    // Gas the consumer's callback used, for profiling callback paths against a provider's limit
+    event CallbackGasUsed(uint64 indexed sequenceNumber, uint256 gasUsed);
+
+    constructor(address provider, uint128 feeInWei) {
+        defaultProvider = provider;
+        fee = feeInWei;
+    }
+
+    // =============================================================
+    // ===================== Mock Controls =========================
+    // =============================================================
+    function setFee(uint128 feeInWei) external {
+        fee = feeInWei;
+    }
+
+    function setCallbackGasLimit(uint256 gasLimit) external {
+        callbackGasLimit = gasLimit;
+    }
+
+    /**
+     * @notice Answer an in-flight request with `randomNumber` as the final random value
+     */
+    function fulfill(uint64 sequenceNumber, bytes32 randomNumber) external {
+        _fulfill(sequenceNumber, bytes32(0), randomNumber);
+    }
+
+    function isPending(uint64 sequenceNumber) external view returns (bool) {
+        return requests[sequenceNumber].requester != address(0);
+    }
+
+    // =============================================================
+    // ====================== Requests =============================
+    // =============================================================
+    function requestWithCallback(
+        address provider,
+        bytes32 userRandomNumber
+    ) external payable override returns (uint64 assignedSequenceNumber) {
+        require(provider == defaultProvider, "Unknown provider");
+        require(msg.value >= fee, "Insufficient fee");
+
+        assignedSequenceNumber = nextSequenceNumber++;
+        EntropyStructs.Request storage req = requests[assignedSequenceNumber];
+        req.provider = provider;
+        req.sequenceNumber = assignedSequenceNumber;
+        req.commitment = constructUserCommitment(userRandomNumber);
+        req.blockNumber = uint64(block.number);
+        req.requester = msg.sender;
+        req.isRequestWithCallback = true;
+        userRandomNumbers[assignedSequenceNumber] = userRandomNumber;
+
+        emit RequestedWithCallback(provider, msg.sender, assignedSequenceNumber, userRandomNumber, req);
+    }
+
+    function revealWithCallback(
+        address provider,
+        uint64 sequenceNumber,
+        bytes32 userRandomNumber,
+        bytes32 providerRevelation
+    ) external override {
+        require(provider == defaultProvider, "Unknown provider");
+        require(
+            requests[sequenceNumber].commitment == constructUserCommitment(userRandomNumber),
+            "Incorrect revelation"
+        );
+        _fulfill(
+            sequenceNumber,
+            providerRevelation,
+            combineRandomValues(userRandomNumber, providerRevelation, bytes32(0))
+        );
+    }
+
+    // Helper function to clear the request and call the consumer back
+    function _fulfill(uint64 sequenceNumber, bytes32 providerRevelation, bytes32 randomNumber) private {
+        EntropyStructs.Request memory req = requests[sequenceNumber];
+        require(req.requester != address(0), "No such request");
+        bytes32 userRandomNumber = userRandomNumbers[sequenceNumber];
+
+        delete requests[sequenceNumber];
+        delete userRandomNumbers[sequenceNumber];
+
+        emit RevealedWithCallback(req, userRandomNumber, providerRevelation, randomNumber);
+
+        uint256 gasLimit = callbackGasLimit == 0 ? gasleft() : callbackGasLimit;
+        uint256 gasBefore = gasleft();
+        IEntropyConsumer(req.requester)._entropyCallback{ gas: gasLimit }(
+            sequenceNumber,
+            req.provider,
+            randomNumber
+        );
+        emit CallbackGasUsed(sequenceNumber, gasBefore - gasleft());
+    }
+
+    // =============================================================
+    // ======================= Views ===============================
+    // =============================================================
+    function getDefaultProvider() external view override returns (address provider) {
+        return defaultProvider;
+    }
+
+    function getFee(address) external view override returns (uint128 feeAmount) {
+        return fee;
+    }
+
+    function getRequest(
+        address,
+        uint64 sequenceNumber
+    ) external view override returns (EntropyStructs.Request memory req) {
+        return requests[sequenceNumber];
+    }
+
+    function getProviderInfo(
+        address provider
+    ) external view override returns (EntropyStructs.ProviderInfo memory info) {
+        if (provider == defaultProvider) {
+            info.feeInWei = fee;
+            info.accruedFeesInWei = uint128(address(this).balance);
+            info.sequenceNumber = nextSequenceNumber;
+            info.endSequenceNumber = type(uint64).max;
+        }
+    }
+
+    function getAccruedPythFees() external pure override returns (uint128) {
+        return 0;
+    }
+
+    function constructUserCommitment(bytes32 userRandomness) public pure override returns (bytes32) {
+        return keccak256(bytes.concat(userRandomness));
+    }
+
+    function combineRandomValues(
+        bytes32 userRandomness,
+        bytes32 providerRandomness,
+        bytes32 blockHash
+    ) public pure override returns (bytes32) {
+        return keccak256(abi.encodePacked(userRandomness, providerRandomness, blockHash));
+    }
+
+    // =============================================================
+    // ================ Unsupported Provider API ===================
+    // =============================================================
+    function register(uint128, bytes32, bytes calldata, uint64, bytes calldata) external pure override {
+        revert("Not supported by MockEntropy");
+    }
+
+    function withdraw(uint128) external pure override {
+        revert("Not supported by MockEntropy");
+    }
+
+    function withdrawAsFeeManager(address, uint128) external pure override {
+        revert("Not supported by MockEntropy");
+    }
+
+    function request(address, bytes32, bool) external payable override returns (uint64) {
+        revert("Not supported by MockEntropy");
+    }
+
+    function reveal(address, uint64, bytes32, bytes32) external pure override returns (bytes32) {
+        revert("Not supported by MockEntropy");
+    }
+
+    function setProviderFee(uint128) external pure override {
+        revert("Not supported by MockEntropy");
+    }
+
+    function setProviderFeeAsFeeManager(address, uint128) external pure override {
+        revert("Not supported by MockEntropy");
+    }
+
+    function setProviderUri(bytes calldata) external pure override {
+        revert("Not supported by MockEntropy");
+    }
+
+    function setFeeManager(address) external pure override {
+        revert("Not supported by MockEntropy");
+    }
+}
@@ -0,0 +1,30 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "../GameMaster.sol";
+
+/**
+ * @title MockGame
+ * @notice Minimal game for exercising GameMaster's player bookkeeping. Once registered as a game
+ * it reports eliminations like a real game resolution would: every player passed to one
+ * `eliminate` call goes out under one batch id, so they form one elimination group.
+ */
+contract MockGame {
+    GameMaster public immutable gameMaster;
+    uint256 private eliminationBatch;
+
+    constructor(GameMaster _gameMaster) {
+        gameMaster = _gameMaster;
+    }
+
+    /**
+     * @notice Report players as eliminated, in order
+     * @param players Addresses of the eliminated players
+     */
+    function eliminate(address[] calldata players) external {
+        eliminationBatch++;
+        for (uint256 i = 0; i < players.length; i++) {
+            gameMaster.playerEliminated(players[i], eliminationBatch);
+        }
+    }
+}
@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import {GameInstanceInfo} from "../interfaces/IGame.sol";
+
+interface ILegacyGameMaster {
+    function playerEliminated(address player) external;
+}
+
+/**
+ * @title MockLegacyGame
+ * @notice Game built against the GameMaster callback from before elimination batches, which
+ * reported one player per call without a batch id. Used to check that wiring audits notice a
+ * GameMaster that no longer implements the callback a game calls.
+ */
+contract MockLegacyGame {
+    address public immutable gameMaster;
+
+    constructor(address _gameMaster) {
+        gameMaster = _gameMaster;
+    }
+
+    /**
+     * @notice Report a player as eliminated through the legacy callback
+     * @param player Address of the eliminated player
+     */
+    function eliminate(address player) external {
+        ILegacyGameMaster(gameMaster).playerEliminated(player);
+    }
+
+    /**
+     * @notice GameMaster lists every registered game's instances; this game has none
+     */
+    function getGames() external pure returns (GameInstanceInfo[] memory) {
+        return new GameInstanceInfo[](0);
+    }
+}
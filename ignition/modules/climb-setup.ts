@@ -0,0 +1,21 @@
+import { buildModule } from "@nomicfoundation/hardhat-ignition/modules";
+
+// Wires up a Climb deployed by the Climb module, once scripts/deploy-climb.js has checked that
+// every cash-out level keeps a house edge. Takes both contracts by address (`climb`, `points`)
+// so that it can never deploy an unchecked Climb itself.
+const ClimbSetupModule = buildModule("ClimbSetup", (m) => {
+    const climb = m.contractAt("Climb", m.getParameter<string>("climb"));
+    const points = m.contractAt("Points", m.getParameter<string>("points"));
+
+    const maxDeposit = m.getParameter("climbMaxDeposit", 10n ** 18n);
+    const pendingTimeout = m.getParameter("climbPendingTimeout", 3600n);
+
+    // Climb awards points on busts and cashouts, so Points must accept its calls
+    m.call(points, "setContractAuthorization", [climb, true]);
+    m.call(climb, "setMaxDeposit", [maxDeposit]);
+    m.call(climb, "setPendingTimeout", [pendingTimeout]);
+
+    return { climb };
+});
+
+export default ClimbSetupModule;
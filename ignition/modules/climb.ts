@@ -0,0 +1,18 @@
+import { buildModule } from "@nomicfoundation/hardhat-ignition/modules";
+import GameSystemModule from "./deploy";
+
+// Optional casino deployment on top of the game system.
+// Requires the Pyth Entropy address for the target chain as the `entropyAddress` parameter.
+// Only deploys Climb: scripts/deploy-climb.js checks its house edge before the ClimbSetup
+// module authorizes it in Points and applies its limits.
+const ClimbModule = buildModule("Climb", (m) => {
+    const { points } = m.useModule(GameSystemModule);
+
+    const entropyAddress = m.getParameter<string>("entropyAddress");
+
+    const climb = m.contract("Climb", [entropyAddress, points]);
+
+    return { climb, points };
+});
+
+export default ClimbModule;
@@ -1,47 +1,41 @@
-const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+import { buildModule } from "@nomicfoundation/hardhat-ignition/modules";
 
-module.exports = buildModule("RagnarokGameDeployment", (m: any) => {
-    // Get timestamp as version to ensure uniqueness
-    const timestamp = Math.floor(Date.now() / 1000);
-    const versionId = `v${timestamp}`;
-    
-    // Deploy core contracts with versioned names
-    const ragnarok = m.contract("Ragnarok", [], {
-        id: `Ragnarok${versionId}`
-    });
-    
-    const gameMaster = m.contract("GameMaster", [], {
-        id: `GameMaster${versionId}`
-    });
-    
-    const doors = m.contract("Doors", [], {
-        id: `Doors${versionId}`
-    });
+// Every future uses a stable ID so Ignition can resume and reconcile a deployment.
+// Games are registered with GameMaster under their contract name.
+const GAMES = ["Doors", "Threes", "Bidding", "Descend", "Equilibrium"] as const;
 
-    // Setup contract relationships with versioned IDs
-    const setupGameMaster = m.call(gameMaster, "registerGame", ["Doors", doors], {
-        id: `setup_game_master${versionId}`
-    });
+const GameSystemModule = buildModule("GameSystem", (m) => {
+    const registrationFee = m.getParameter("registrationFee", 12n * 10n ** 18n);
+    const maxPlayers = m.getParameter("maxPlayers", 1000n);
 
-    const setupDoors = m.call(doors, "setGameMaster", [gameMaster], {
-        id: `setup_doors${versionId}`,
-        after: [setupGameMaster]
-    });
+    // Deploy core contracts
+    const gameMaster = m.contract("GameMaster");
+    const points = m.contract("Points");
 
-    const setupRagnarok = m.call(gameMaster, "setRagnarokAddress", [ragnarok], {
-        id: `setup_ragnarok${versionId}`,
-        after: [setupDoors]
-    });
+    // Configure GameMaster
+    m.call(gameMaster, "setPointsContract", [points]);
+    m.call(gameMaster, "setRegistrationFee", [registrationFee]);
+    m.call(gameMaster, "setMaxPlayers", [maxPlayers]);
+
+    // Deploy games and wire them both ways
+    const games = Object.fromEntries(
+        GAMES.map((name) => {
+            const game = m.contract(name);
+            m.call(gameMaster, "registerGame", [name, game], { id: `registerGame_${name}` });
+            m.call(game, "setGameMaster", [gameMaster]);
+            return [name, game];
+        })
+    );
 
-    // Return all deployed contracts
     return {
-        ragnarok,
         gameMaster,
-        doors,
-        setupSteps: {
-            setupGameMaster,
-            setupDoors,
-            setupRagnarok
-        }
+        points,
+        doors: games.Doors,
+        threes: games.Threes,
+        bidding: games.Bidding,
+        descend: games.Descend,
+        equilibrium: games.Equilibrium,
     };
 });
+
+export default GameSystemModule;
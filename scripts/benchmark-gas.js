@@ -0,0 +1,498 @@
+const { ethers, network, config } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { deployMockEntropy, LOCAL_NETWORKS } = require("./lib/entropy");
+const { GameState, isDoorOpen } = require("./lib/games");
+const {
+  formatGas,
+  createGasRecorder,
+  createReport,
+  saveReport,
+  loadReport,
+  compareReports,
+  findOverBlockLimit,
+} = require("./lib/gas-report");
+
+// Usage:
+//   npx hardhat run scripts/benchmark-gas.js
+//   GAS_UPDATE_BASELINE=1 npx hardhat run scripts/benchmark-gas.js
+//   GAS_PLAYERS=60 GAS_BASELINE=/tmp/gas-60.json GAS_UPDATE_BASELINE=1 npx hardhat run scripts/benchmark-gas.js
+//
+// Env:
+//   GAS_PLAYERS=1000                            players to register (hardhat provides 1000 besides the owner)
+//   GAS_BASELINE=benchmarks/gas-baseline.json   baseline to compare against
+//   GAS_UPDATE_BASELINE=1                       save this run as the baseline instead of comparing
+//   GAS_THRESHOLD=5                             percent growth in mean or max gas counted as a regression
+//   GAS_OUTPUT=path                             also save this run's report, e.g. as a CI artifact
+//   GAS_BLOCK_LIMIT=gas                         block gas limit to check against (default: latest sonic block's,
+//                                               or SONIC_BLOCK_GAS_LIMIT when sonic cannot be reached)
+//   GAS_SKIP_EXPIRY=Descend,...                 Doors, Threes, Bidding or Descend: skip its mass elimination
+//
+// Measures the gas of every per-player and per-round action at full scale: registration,
+// resetGame, initializeGame and startGames for each game, commits and reveals, openDoor,
+// switchTeam, endExpiredGames when a whole round expires, and Climb startGame/climb. Each game
+// runs in its own process on a fresh chain with the full field registered; on localhost that
+// resets the node.
+// Per-player calls are sent together and mined a hundred to a block, so game clocks do not
+// run out while a thousand transactions go through. Exits with an error when an action regresses past
+// GAS_THRESHOLD or a single call does not fit in a block.
+//
+// Eliminating a thousand players in Descend needs more memory than the node usually has, so
+// its expiry phase runs on the first DESCEND_EXPIRY_PLAYERS players.
+
+const DEFAULT_BASELINE = path.join(__dirname, "..", "benchmarks", "gas-baseline.json");
+const DEFAULT_PLAYERS = 1000;
+const DEFAULT_THRESHOLD = 5;
+
+// Gas limit for each per-player call mined together in a block. Without it the provider
+// hands every call the whole block's gas, and only one would fit.
+const CALL_GAS_LIMIT = 30_000_000;
+
+// Per-player calls mined per block. The node holds a block's transactions in memory until it is
+// mined, and a thousand Threes reveals in one block do not fit.
+const CALLS_PER_BLOCK = 100;
+
+// Players per registerPlayersBatch call when setting up a game's field
+const REGISTRATION_BATCH_SIZE = 100;
+
+const SONIC_CHAIN_ID = 146;
+
+// Sonic's block gas limit, checked against when GAS_BLOCK_LIMIT is unset and sonic's RPC cannot be
+// reached, so that no run skips the check. A live reading that differs is reported; update this then.
+const SONIC_BLOCK_GAS_LIMIT = 1_000_000_000n;
+
+// Largest field Descend's expiry phase eliminates in one call. A thousand players run a 6 GB
+// machine out of memory; 800 peak at about 3.5 GB.
+const DESCEND_EXPIRY_PLAYERS = 800;
+
+const GAME_NAMES = ["Doors", "Threes", "Bidding", "Descend", "Equilibrium"];
+
+// Each phase runs in its own process on a fresh chain; see runPhase. Equilibrium's expiry follows
+// its team switches, so it has no separate expiry phase.
+const PHASES = [
+  "GameMaster",
+  ...GAME_NAMES.flatMap((name) => (name === "Equilibrium" ? [name] : [`${name} expiry`, name])),
+  "Climb",
+];
+
+// Longer than any game's round or game duration
+const EXPIRE_ALL = 24 * 60 * 60;
+
+// Commit/reveal functions and the value each player picks, by player index
+const COMMIT_REVEAL_GAMES = {
+  Threes: { commit: "commitChoice", reveal: "revealChoice", value: (i) => (i % 3) + 1 },
+  Descend: { commit: "commitMove", reveal: "revealMove", value: (i) => (i % 5) + 1 },
+  Bidding: { commit: "commitBid", reveal: "revealBid", value: (i) => (i % 20) + 1 },
+};
+
+// Helper function to read sonic's block gas limit from its RPC, or null when it is unreachable
+async function fetchSonicBlockGasLimit() {
+  const url = config.networks.sonic && config.networks.sonic.url;
+  if (!url) return null;
+  // Sonic mainnet's chain id; a static network skips the provider's retrying network detection
+  const provider = new ethers.JsonRpcProvider(url, SONIC_CHAIN_ID, { staticNetwork: true });
+  try {
+    const block = await Promise.race([
+      provider.getBlock("latest"),
+      new Promise((_, reject) => setTimeout(() => reject(new Error("timed out")), 10_000)),
+    ]);
+    return block.gasLimit;
+  } catch (error) {
+    console.log(`⚠️  Could not read sonic's block gas limit: ${error.shortMessage || error.message}`);
+    return null;
+  } finally {
+    provider.destroy();
+  }
+}
+
+// Helper function to pick the block gas limit: GAS_BLOCK_LIMIT, else sonic's, else the pinned one
+async function getBlockGasLimit() {
+  if (process.env.GAS_BLOCK_LIMIT) {
+    return BigInt(process.env.GAS_BLOCK_LIMIT);
+  }
+  const live = await fetchSonicBlockGasLimit();
+  if (live === null) {
+    console.log(`⚠️  Checking against the pinned sonic block gas limit (SONIC_BLOCK_GAS_LIMIT)`);
+    return SONIC_BLOCK_GAS_LIMIT;
+  }
+  if (live !== SONIC_BLOCK_GAS_LIMIT) {
+    console.log(`⚠️  Sonic's block gas limit is ${formatGas(live)}, not ${formatGas(SONIC_BLOCK_GAS_LIMIT)}; update SONIC_BLOCK_GAS_LIMIT`);
+  }
+  return live;
+}
+
+/**
+ * Run one phase of the benchmark on a fresh chain and save the gas it measured to `output`.
+ * Phases run in separate processes: the node keeps every mined transaction in memory, and a
+ * thousand-player run does not fit in one.
+ */
+async function runPhase(phase, { players, output }) {
+  const playerCount = players.length;
+  const gas = createGasRecorder();
+
+  // Helper function to send one call and record its gas
+  async function measure(action, send, note) {
+    const receipt = await (await send()).wait();
+    gas.record(action, receipt.gasUsed, note);
+    return receipt;
+  }
+
+  /**
+   * Send the calls without automining, mine them CALLS_PER_BLOCK to a block, and record each
+   * call's gas. `action` is a name, or a function of the receipt for calls that can take
+   * different paths.
+   */
+  async function measureInBlocks(action, calls, note) {
+    const txs = [];
+    await network.provider.send("evm_setAutomine", [false]);
+    try {
+      for (const call of calls) {
+        txs.push(await call({ gasLimit: CALL_GAS_LIMIT }));
+        if (txs.length % CALLS_PER_BLOCK === 0) await network.provider.send("evm_mine", []);
+      }
+      if (txs.length % CALLS_PER_BLOCK !== 0) await network.provider.send("evm_mine", []);
+    } finally {
+      await network.provider.send("evm_setAutomine", [true]);
+    }
+
+    const receipts = await Promise.all(txs.map((tx) => tx.wait()));
+    for (const receipt of receipts) {
+      gas.record(typeof action === "function" ? action(receipt) : action, receipt.gasUsed, note);
+    }
+    return receipts;
+  }
+
+  async function expireRounds() {
+    await network.provider.send("evm_increaseTime", [EXPIRE_ALL]);
+    await network.provider.send("evm_mine", []);
+  }
+
+  // Deploy GameMaster, Points, the five games and Climb on a fresh chain
+  await network.provider.send("hardhat_reset", []);
+  const points = await (await ethers.getContractFactory("Points")).deploy();
+  const gameMaster = await (await ethers.getContractFactory("GameMaster")).deploy();
+  await (await gameMaster.setPointsContract(await points.getAddress())).wait();
+
+  const games = {};
+  for (const name of GAME_NAMES) {
+    games[name] = await (await ethers.getContractFactory(name)).deploy();
+    await (await gameMaster.registerGame(name, await games[name].getAddress())).wait();
+    await (await games[name].setGameMaster(await gameMaster.getAddress())).wait();
+  }
+
+  const entropy = await deployMockEntropy(ethers);
+  const climb = await (await ethers.getContractFactory("Climb")).deploy(
+    await entropy.getAddress(),
+    await points.getAddress()
+  );
+  await (await points.setContractAuthorization(await climb.getAddress(), true)).wait();
+
+  // Helper function to register a field, then initialize and start a game on it. The owner
+  // registers the field in batches; paid registration is measured by the GameMaster phase.
+  async function startFresh(name, field) {
+    for (let i = 0; i < field.length; i += REGISTRATION_BATCH_SIZE) {
+      const batch = field.slice(i, i + REGISTRATION_BATCH_SIZE).map((player) => player.address);
+      await (await gameMaster.registerPlayersBatch(batch)).wait();
+    }
+    await measure(`initializeGame("${name}")`, () => gameMaster.initializeGame(name));
+    await measure(`startGames("${name}")`, () => gameMaster.startGames(name));
+  }
+
+  // Helper function to let every round expire and measure the endExpiredGames that resolves them
+  async function measureExpiry(name, situation) {
+    const action = `endExpiredGames("${name}"), ${situation}`;
+    console.log(`\n⏰ ${action}...`);
+    await expireRounds();
+    const before = await gameMaster.getEliminatedPlayerCount();
+    const receipt = await (await gameMaster.endExpiredGames(name)).wait();
+    const eliminated = (await gameMaster.getEliminatedPlayerCount()) - before;
+    gas.record(action, receipt.gasUsed, `${eliminated} players eliminated`);
+    console.log(`✓ ${action}: ${eliminated} players eliminated`);
+  }
+
+  // Commit/reveal games: a round in which every player commits and reveals. The expiry phase
+  // measures a round that expires with no commits, which eliminates everyone.
+  async function benchmarkCommitReveal(name, field) {
+    const { commit, reveal, value } = COMMIT_REVEAL_GAMES[name];
+    const game = games[name];
+    await startFresh(name, field);
+    const entries = field.map((player, index) => ({
+      player,
+      value: value(index),
+      salt: ethers.id(`gas benchmark ${player.address}`),
+    }));
+    await measureInBlocks(`${name}.${commit}`, entries.map(({ player, value, salt }) => (overrides) =>
+      game.connect(player)[commit](
+        ethers.solidityPackedKeccak256(["uint256", "bytes32", "address"], [value, salt, player.address]),
+        overrides
+      )
+    ));
+    await measureInBlocks(
+      `${name}.${reveal}`,
+      entries.map(({ player, value, salt }) => (overrides) => game.connect(player)[reveal](value, salt, overrides)),
+      "the last reveal in each instance resolves its round"
+    );
+    console.log(`✓ ${field.length} commits and reveals`);
+  }
+
+  // Threes only initializes a multiple of 3 players, so it runs on the largest such field
+  const threesField = players.slice(0, playerCount - (playerCount % 3));
+  const threesCount = threesField.length;
+
+  const phases = {
+    async GameMaster() {
+      console.log(`\n📝 Registering ${playerCount} players...`);
+      const registrationFee = await gameMaster.registrationFee();
+      await measureInBlocks("GameMaster.register", players.map((player) => (overrides) =>
+        gameMaster.connect(player).register({ value: registrationFee, ...overrides })
+      ));
+      console.log(`✓ ${playerCount} players registered`);
+
+      console.log("\n🔄 Resetting...");
+      await measure("GameMaster.resetGame", () => gameMaster.resetGame(), `${playerCount} players refunded`);
+      console.log("✓ Game reset");
+    },
+
+    // Doors: ten rounds in which one player per instance opens a door. Doors rolls on the block
+    // it is mined in, so each round's block gets a set timestamp and every instance sends a
+    // player whose roll is known: doors open in odd rounds and eliminate in even ones, which
+    // keeps the call counts the same from run to run.
+    async Doors() {
+      console.log("\n🚪 Doors...");
+      const doors = games.Doors;
+      const doorsAddress = await doors.getAddress();
+      await startFresh("Doors", players);
+      const doorOutcome = (receipt) => {
+        const opened = receipt.logs
+          .map((log) => doors.interface.parseLog(log))
+          .find((event) => event && event.name === "DoorOpened");
+        return `Doors.openDoor, ${opened.args.success ? "door opens" : "player eliminated"}`;
+      };
+      const instanceCount = (await doors.getGames()).length;
+      let opened = 0;
+      for (let round = 1; ; round++) {
+        const latest = await ethers.provider.getBlock("latest");
+        const timestamp = latest.timestamp + 1;
+        const success = round % 2 === 1;
+
+        const openers = [];
+        for (let gameId = 1; gameId <= instanceCount; gameId++) {
+          if (Number(await doors.getGameState(gameId)) !== GameState.Active) continue;
+          const { currentRound } = await doors.getGameInfo(gameId);
+          const active = await doors["getActivePlayers(uint256)"](gameId);
+          const opener = active.find((player) =>
+            isDoorOpen(ethers, { parentHash: latest.hash, timestamp, player, round: currentRound, gameId, doors: doorsAddress }) === success
+          );
+          if (!opener) {
+            throw new Error(`No player in Doors instance ${gameId} has a door that ${success ? "opens" : "fails"}`);
+          }
+          openers.push(await ethers.getSigner(opener));
+        }
+        if (openers.length === 0) break;
+
+        await network.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+        await measureInBlocks(doorOutcome, openers.map((player) => (overrides) => doors.connect(player).openDoor(overrides)));
+        opened += openers.length;
+      }
+      console.log(`✓ ${opened} doors opened across ${instanceCount} instances`);
+    },
+
+    async Threes() {
+      console.log("\n🎲 Threes...");
+      if (threesCount < playerCount) {
+        console.log(`⚠️  Threes needs a multiple of 3 players and cannot initialize with ${playerCount}; using ${threesCount}`);
+      }
+      await benchmarkCommitReveal("Threes", threesField);
+    },
+
+    async Bidding() {
+      console.log("\n🎲 Bidding...");
+      await benchmarkCommitReveal("Bidding", players);
+    },
+
+    async Descend() {
+      console.log("\n🎲 Descend...");
+      await benchmarkCommitReveal("Descend", players);
+    },
+
+    // Mass eliminations, each on its own chain: an expired first round eliminates every player
+    // in Doors, and so does a commit phase nobody commits in
+    async "Doors expiry"() {
+      await startFresh("Doors", players);
+      await measureExpiry("Doors", "first round expired");
+    },
+    async "Threes expiry"() {
+      await startFresh("Threes", threesField);
+      await measureExpiry("Threes", "nobody committed");
+    },
+    async "Bidding expiry"() {
+      await startFresh("Bidding", players);
+      await measureExpiry("Bidding", "nobody committed");
+    },
+    async "Descend expiry"() {
+      const field = players.slice(0, DESCEND_EXPIRY_PLAYERS);
+      if (field.length < playerCount) {
+        console.log(`⚠️  Eliminating ${playerCount} players in Descend needs more memory than the node has; using ${field.length}`);
+      }
+      await startFresh("Descend", field);
+      await measureExpiry("Descend", "nobody committed");
+    },
+
+    // Equilibrium: two thirds of the field switch teams, then the largest team is eliminated
+    async Equilibrium() {
+      console.log("\n⚖️  Equilibrium...");
+      const equilibrium = games.Equilibrium;
+      await startFresh("Equilibrium", players);
+      const switchers = players.filter((_, index) => index % 3 !== 0);
+      await measureInBlocks("Equilibrium.switchTeam", switchers.map((player) => (overrides) =>
+        equilibrium.connect(player).switchTeam(players.indexOf(player) % 3, overrides)
+      ));
+      console.log(`✓ ${switchers.length} team switches`);
+      await measureExpiry("Equilibrium", "largest team eliminated");
+    },
+
+    async Climb() {
+      console.log("\n🧗 Climb...");
+      const deposit = await climb.MIN_DEPOSIT();
+      const fee = await entropy.getFee();
+      await measureInBlocks("Climb.startGame", players.map((player) => (overrides) =>
+        climb.connect(player).startGame({ value: deposit, ...overrides })
+      ));
+      await measureInBlocks("Climb.climb", players.map((player) => (overrides) =>
+        climb.connect(player).climb({ value: fee, ...overrides })
+      ), "the entropy request only; the callback is profiled by estimate-callback-gas.js");
+      console.log(`✓ ${playerCount} games started and climbed`);
+    },
+  };
+
+  await phases[phase]();
+  fs.writeFileSync(output, JSON.stringify(gas.summarize()));
+}
+
+// Helper function to run a phase in its own process and return the gas it measured
+function spawnPhase(phase, directory) {
+  const output = path.join(directory, `${phase}.json`);
+  spawnSync("npx", ["hardhat", "run", __filename, "--network", network.name], {
+    stdio: "inherit",
+    env: { ...process.env, GAS_PHASE: phase, GAS_PHASE_OUTPUT: output },
+  });
+  // A phase that runs out of memory is killed without a word, so only its output shows it finished
+  if (!fs.existsSync(output)) {
+    throw new Error(`The ${phase} phase did not finish; if it ran out of memory, see GAS_SKIP_EXPIRY`);
+  }
+  return JSON.parse(fs.readFileSync(output, "utf8"));
+}
+
+async function main() {
+  if (!LOCAL_NETWORKS.includes(network.name)) {
+    throw new Error(`The benchmark deploys its own contracts and only runs on ${LOCAL_NETWORKS.join(" or ")}`);
+  }
+
+  const playerCount = Number(process.env.GAS_PLAYERS || DEFAULT_PLAYERS);
+  const baselineFile = process.env.GAS_BASELINE || DEFAULT_BASELINE;
+  const updateBaseline = process.env.GAS_UPDATE_BASELINE === "1";
+  const threshold = Number(process.env.GAS_THRESHOLD || DEFAULT_THRESHOLD);
+  const skipExpiry = (process.env.GAS_SKIP_EXPIRY || "").split(",").map((name) => name.trim()).filter(Boolean);
+  const unknown = skipExpiry.filter((name) => !PHASES.includes(`${name} expiry`));
+  if (unknown.length > 0) {
+    throw new Error(`GAS_SKIP_EXPIRY lists games without an expiry phase: ${unknown.join(", ")}`);
+  }
+
+  const [, ...signers] = await ethers.getSigners();
+  if (!Number.isInteger(playerCount) || playerCount < 3 || playerCount > signers.length) {
+    throw new Error(`GAS_PLAYERS must be between 3 and ${signers.length}`);
+  }
+  const players = signers.slice(0, playerCount);
+
+  if (process.env.GAS_PHASE) {
+    await runPhase(process.env.GAS_PHASE, { players, output: process.env.GAS_PHASE_OUTPUT });
+    return;
+  }
+
+  console.log("⛽ Gas Benchmark");
+  console.log("================");
+  console.log("Network:", network.name);
+  console.log("Players:", playerCount);
+
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "gas-benchmark-"));
+  const actions = {};
+  try {
+    for (const phase of PHASES) {
+      const game = phase.replace(/ expiry$/, "");
+      if (phase !== game && skipExpiry.includes(game)) {
+        console.log(`\n⚠️  Skipping the ${phase} phase (GAS_SKIP_EXPIRY)`);
+        continue;
+      }
+      // Both phases of a game measure the same initializeGame and startGames calls
+      Object.assign(actions, spawnPhase(phase, directory));
+    }
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+
+  // Results table
+  const blockGasLimit = await getBlockGasLimit();
+  const width = Math.max(...Object.keys(actions).map((action) => action.length));
+  const columns = ["Calls", "Min", "Mean", "Max"];
+  console.log(`\n${"Action".padEnd(width)}  ${columns.map((c) => c.padStart(c === "Calls" ? 5 : 13)).join("  ")}  Block`);
+  console.log(`${"-".repeat(width)}  ${"-".repeat(5)}  ${"-".repeat(13)}  ${"-".repeat(13)}  ${"-".repeat(13)}  ${"-".repeat(6)}`);
+  for (const [action, { count, min, mean, max, note }] of Object.entries(actions)) {
+    const share = `${((max / Number(blockGasLimit)) * 100).toFixed(1)}%`;
+    const status = BigInt(max) > blockGasLimit ? " ❌" : "";
+    console.log(
+      `${action.padEnd(width)}  ${String(count).padStart(5)}  ${formatGas(min).padStart(13)}  ${formatGas(mean).padStart(13)}  ${formatGas(max).padStart(13)}  ${share.padStart(6)}${status}` +
+      (note ? `\n${" ".repeat(width)}  ↳ ${note}` : "")
+    );
+  }
+
+  const report = createReport({ network: network.name, players: playerCount, blockGasLimit, actions });
+  if (process.env.GAS_OUTPUT) {
+    saveReport(process.env.GAS_OUTPUT, report);
+    console.log(`\n✓ Report saved to ${process.env.GAS_OUTPUT}`);
+  }
+
+  const problems = [];
+  console.log(`\nBlock gas limit: ${formatGas(blockGasLimit)}`);
+  for (const { action, max } of findOverBlockLimit(actions, blockGasLimit)) {
+    problems.push(`${action} needs ${formatGas(max)} gas, more than a block holds`);
+  }
+
+  if (updateBaseline) {
+    saveReport(baselineFile, report);
+    console.log(`✓ Baseline saved to ${baselineFile}`);
+  } else {
+    const baseline = loadReport(baselineFile);
+    if (!baseline) {
+      console.log(`⚠️  No baseline at ${baselineFile}; run with GAS_UPDATE_BASELINE=1 to record one`);
+    } else {
+      const { regressions, improvements, added, removed } = compareReports(baseline, report, threshold);
+      console.log(`\n📊 Compared with ${baselineFile} (threshold ${threshold}%)`);
+      for (const { action, stat, before, after, percent } of improvements) {
+        console.log(`✓ ${action} ${stat}: ${formatGas(before)} → ${formatGas(after)} (${percent.toFixed(1)}%)`);
+      }
+      for (const { action, stat, before, after, percent } of regressions) {
+        console.log(`❌ ${action} ${stat}: ${formatGas(before)} → ${formatGas(after)} (+${percent.toFixed(1)}%)`);
+        problems.push(`${action} ${stat} gas grew ${percent.toFixed(1)}%`);
+      }
+      for (const action of added) console.log(`⚠️  New action without a baseline: ${action}`);
+      for (const action of removed) console.log(`⚠️  Baseline action no longer measured: ${action}`);
+      if (regressions.length === 0) {
+        console.log(`✓ No action grew more than ${threshold}%`);
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`${problems.length} gas problem(s):\n  ${problems.join("\n  ")}`);
+  }
+  console.log("\n🎉 Gas benchmark complete");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌", error.message || error);
+    process.exit(1);
+  });
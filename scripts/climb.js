@@ -1,4 +1,18 @@
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const { resolveEntropy } = require("./lib/entropy");
+const { createOwnerTxRunner } = require("./lib/owner-tx");
+
+// Usage:
+//   npx hardhat run scripts/climb.js --network blaze
+//   npx hardhat run scripts/climb.js
+//
+// Deploys Points and Climb and plays a few games. On hardhat/localhost, unless
+// ENTROPY_ADDRESS or the registry names an Entropy contract, a MockEntropy is deployed
+// and each request is fulfilled with a random number instead of waiting for Pyth.
+//
+// The final withdrawal goes through the owner runner. With SAFE_EXPORT=batch.json SAFE_ADDRESS=0xSafe,
+// Climb is handed to the Safe after the test games and the withdrawal of the remaining
+// balance is written to a Safe batch instead of being sent.
 
 // Helper function to deploy a contract
 async function deployContract(name, args = []) {
@@ -11,6 +25,53 @@ async function deployContract(name, args = []) {
   return contract;
 }
 
+// Helper functions to describe each game event for the log
+const describeEvent = {
+  EntropyReceived: ({ randomNumber }) => `🎲 Entropy received: ${randomNumber}`,
+  ClimbResult: ({ fromLevel, newLevel, success }) => `🎯 Climb: ${fromLevel} → ${newLevel}, Success: ${success ? '✅' : '❌'}`,
+  PlayerCashedOut: ({ payout, paidInPoints, multiplierValue }) => {
+    const payoutType = paidInPoints ? "Points" : "ETH";
+    const amount = paidInPoints ? payout.toString() : ethers.formatEther(payout);
+    return `💰 Cashout: ${amount} ${payoutType} (${multiplierValue}x)`;
+  },
+  AutoClimbCompleted: ({ startLevel, finalLevel, targetLevel, reachedTarget }) =>
+    `🏁 Auto-climb: ${startLevel} → ${finalLevel}, Target: ${targetLevel}, Success: ${reachedTarget ? '✅' : '❌'}`,
+  GameEnded: ({ data }) => `🏁 Game ended: ${data.endReason}`,
+};
+
+// Helper function to collect game events from a MockEntropy fulfillment receipt
+function readGameEvents(climbContract, receipt) {
+  const result = { entropy: null, climb: null, cashout: null, gameEnd: null, autoClimb: null };
+  const keys = { EntropyReceived: "entropy", ClimbResult: "climb", PlayerCashedOut: "cashout", AutoClimbCompleted: "autoClimb" };
+
+  for (const log of receipt.logs) {
+    let parsed;
+    try {
+      parsed = climbContract.interface.parseLog(log);
+    } catch { continue; }
+    if (!parsed || !describeEvent[parsed.name]) continue;
+
+    console.log(describeEvent[parsed.name](parsed.args));
+    if (parsed.name === "GameEnded") {
+      result.gameEnd = parsed.args.data;
+    } else if (!result[keys[parsed.name]]) {
+      // Auto-climb emits one ClimbResult per level; keep the first like the live listener does
+      result[keys[parsed.name]] = parsed.args.toObject();
+    }
+  }
+  return result;
+}
+
+// Helper function to wait for the outcome of an entropy request, fulfilling it first on MockEntropy
+async function getRequestOutcome(climbContract, entropyMock, sequenceNumber) {
+  if (!entropyMock) {
+    return waitForGameEvents(climbContract, sequenceNumber);
+  }
+  console.log(`🎲 Fulfilling MockEntropy request ${sequenceNumber}...`);
+  const fulfillTx = await entropyMock.fulfill(sequenceNumber, ethers.hexlify(ethers.randomBytes(32)));
+  return readGameEvents(climbContract, await fulfillTx.wait());
+}
+
 // Simplified event waiting function
 async function waitForGameEvents(climbContract, sequenceNumber, timeoutMs = 10000) {
   console.log(`⏳ Waiting for entropy callback (sequence: ${sequenceNumber})...`);
@@ -25,14 +86,14 @@ async function waitForGameEvents(climbContract, sequenceNumber, timeoutMs = 1000
 
     // Listen for entropy received
     climbContract.once("EntropyReceived", (player, gameId, sequence, randomNumber) => {
-      console.log(`🎲 Entropy received: ${randomNumber}`);
       result.entropy = { player, gameId, sequence, randomNumber };
+      console.log(describeEvent.EntropyReceived(result.entropy));
     });
 
     // Listen for climb result
     climbContract.once("ClimbResult", (player, gameId, fromLevel, newLevel, success, gameEnded, randomNumber) => {
-      console.log(`🎯 Climb: ${fromLevel} → ${newLevel}, Success: ${success ? '✅' : '❌'}`);
       result.climb = { player, gameId, fromLevel, newLevel, success, gameEnded, randomNumber };
+      console.log(describeEvent.ClimbResult(result.climb));
       
       if (gameEnded || result.entropy) {
         clearTimeout(timeout);
@@ -43,10 +104,8 @@ async function waitForGameEvents(climbContract, sequenceNumber, timeoutMs = 1000
 
     // Listen for cashout
     climbContract.once("PlayerCashedOut", (player, gameId, level, multiplierValue, payout, paidInPoints) => {
-      const payoutType = paidInPoints ? "Points" : "ETH";
-      const amount = paidInPoints ? payout.toString() : ethers.formatEther(payout);
-      console.log(`💰 Cashout: ${amount} ${payoutType} (${multiplierValue}x)`);
       result.cashout = { player, gameId, level, multiplierValue, payout, paidInPoints };
+      console.log(describeEvent.PlayerCashedOut(result.cashout));
       
       if (result.entropy) {
         clearTimeout(timeout);
@@ -57,8 +116,8 @@ async function waitForGameEvents(climbContract, sequenceNumber, timeoutMs = 1000
 
     // Listen for auto-climb completion
     climbContract.once("AutoClimbCompleted", (player, gameId, startLevel, finalLevel, targetLevel, reachedTarget) => {
-      console.log(`🏁 Auto-climb: ${startLevel} → ${finalLevel}, Target: ${targetLevel}, Success: ${reachedTarget ? '✅' : '❌'}`);
       result.autoClimb = { player, gameId, startLevel, finalLevel, targetLevel, reachedTarget };
+      console.log(describeEvent.AutoClimbCompleted(result.autoClimb));
       
       if (result.entropy) {
         clearTimeout(timeout);
@@ -69,8 +128,8 @@ async function waitForGameEvents(climbContract, sequenceNumber, timeoutMs = 1000
 
     // Listen for game ended
     climbContract.once("GameEnded", (data) => {
-      console.log(`🏁 Game ended: ${data.endReason}`);
       result.gameEnd = data;
+      console.log(describeEvent.GameEnded({ data }));
     });
   });
 }
@@ -79,12 +138,16 @@ async function main() {
   const [deployer] = await ethers.getSigners();
   console.log("🚀 Starting Climb contract deployment...");
   console.log("Deployer:", deployer.address);
+  const runner = createOwnerTxRunner(ethers, deployer, { name: "Climb withdrawal" });
   
   const initialBalance = await ethers.provider.getBalance(deployer.address);
   console.log("Balance:", ethers.formatEther(initialBalance), "ETH");
 
-  const ENTROPY_ADDRESS = "0xebe57e8045f2f230872523bbff7374986e45c486";
-  //const ENTROPY_ADDRESS = "0x36825bf3fbdf5a29e2d5148bfe7dcf7b5639e320";
+  // From deployments/<network>.json, override with ENTROPY_ADDRESS (MockEntropy on local networks)
+  const { address: ENTROPY_ADDRESS, mock: entropyMock } = await resolveEntropy(ethers, network.name);
+  if (entropyMock) {
+    console.log(`Using MockEntropy at ${ENTROPY_ADDRESS}`);
+  }
 
 
   try {
@@ -98,6 +161,7 @@ async function main() {
 
     // 2. Setup and fund
     console.log("\n🔗 Setting up contracts...");
+    // Both contracts were just deployed, so the deployer owns them whatever the runner mode
     const authTx = await pointsContract.setContractAuthorization(climbAddress, true);
     await authTx.wait();
     console.log("✅ Climb contract authorized");
@@ -150,7 +214,7 @@ async function main() {
       sequenceNumber1 = climbContract.interface.parseLog(requestEvent1).args.data.sequenceNumber;
       
       try {
-        const result1 = await waitForGameEvents(climbContract, sequenceNumber1);
+        const result1 = await getRequestOutcome(climbContract, entropyMock, sequenceNumber1);
         
         if (result1.climb && result1.climb.success) {
           console.log("✅ Climb successful, attempting cashout...");
@@ -167,7 +231,7 @@ async function main() {
           
           if (cashoutEvent) {
             const cashoutSequence = climbContract.interface.parseLog(cashoutEvent).args.data.sequenceNumber;
-            await waitForGameEvents(climbContract, cashoutSequence);
+            await getRequestOutcome(climbContract, entropyMock, cashoutSequence);
             console.log("✅ Test 1 completed");
           }
         } else {
@@ -209,7 +273,7 @@ async function main() {
         const autoSequence = climbContract.interface.parseLog(autoEvent).args.data.sequenceNumber;
         
         try {
-          const autoResult = await waitForGameEvents(climbContract, autoSequence);
+          const autoResult = await getRequestOutcome(climbContract, entropyMock, autoSequence);
           if (autoResult.autoClimb) {
             console.log("✅ Test 2 completed");
           }
@@ -249,7 +313,7 @@ async function main() {
         
         if (requestEvent) {
           const sequenceNumber = climbContract.interface.parseLog(requestEvent).args.data.sequenceNumber;
-          const result = await waitForGameEvents(climbContract, sequenceNumber);
+          const result = await getRequestOutcome(climbContract, entropyMock, sequenceNumber);
           
           if (result.climb && result.climb.success) {
             // Try cashout
@@ -265,7 +329,7 @@ async function main() {
             
             if (cashoutEvent) {
               const cashoutSequence = climbContract.interface.parseLog(cashoutEvent).args.data.sequenceNumber;
-              const cashoutResult = await waitForGameEvents(climbContract, cashoutSequence);
+              const cashoutResult = await getRequestOutcome(climbContract, entropyMock, cashoutSequence);
               
               if (cashoutResult.cashout) {
                 if (cashoutResult.cashout.paidInPoints) {
@@ -281,7 +345,9 @@ async function main() {
         }
         
         // Brief pause
-        await new Promise(resolve => setTimeout(resolve, 1000));
+        if (!entropyMock) {
+          await new Promise(resolve => setTimeout(resolve, 1000));
+        }
         
       } catch (error) {
         console.log(`Game ${i + 1} error: ${error.message}`);
@@ -293,11 +359,17 @@ async function main() {
     // 5. Withdraw funds
     console.log("\n💸 Withdrawing funds...");
     const finalBalance = await climbContract.getContractBalance();
+    if (runner.mode === "export") {
+      await (await climbContract.transferOwnership(runner.actor)).wait();
+      console.log(`✅ Climb handed to Safe ${runner.actor}`);
+    }
     if (finalBalance > 0n) {
-      const withdrawTx = await climbContract.withdraw(finalBalance);
-      await withdrawTx.wait();
-      console.log(`✅ Withdrew ${ethers.formatEther(finalBalance)} ETH`);
+      const receipt = await runner.submit(climbContract, "withdraw", [finalBalance], { label: "Climb" });
+      if (receipt) {
+        console.log(`✅ Withdrew ${ethers.formatEther(finalBalance)} ETH`);
+      }
     }
+    await runner.finish();
 
     // 6. Final summary
     console.log("\n✅ Deployment and testing completed!");
@@ -0,0 +1,75 @@
+const { ethers, ignition, network } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { resolveEntropy } = require("./lib/entropy");
+const { readLevelTables, assertPositiveHouseEdge } = require("./lib/climb-economics");
+const ClimbModule = require("../ignition/modules/climb").default;
+const ClimbSetupModule = require("../ignition/modules/climb-setup").default;
+
+// Usage:
+//   npx hardhat run scripts/deploy-climb.js --network blaze
+//   IGNITION_PARAMETERS=ignition/parameters/blaze.json npx hardhat run scripts/deploy-climb.js --network blaze
+//
+// Deploys Climb (and the game system under it) with Ignition, refuses it unless cashing out
+// keeps a house edge at every level, and only then runs the ClimbSetup module, which authorizes
+// Climb in Points and applies its limits. Use this rather than `hardhat ignition deploy` on the
+// modules directly, which cannot run the check.
+//
+// Parameters come from IGNITION_PARAMETERS (default ignition/parameters/<network>.json). Without
+// a Climb.entropyAddress, the Entropy address is resolved as in climb.js: ENTROPY_ADDRESS, the
+// registry, or a MockEntropy on hardhat/localhost. Re-running resumes the Ignition deployment.
+
+// Helper function to read an Ignition parameters file, turning "123n" strings into bigints
+function readParameters(parametersPath) {
+  if (!fs.existsSync(parametersPath)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(parametersPath, "utf8"), (_, value) =>
+    typeof value === "string" && /^\d+n$/.test(value) ? BigInt(value.slice(0, -1)) : value
+  );
+}
+
+async function main() {
+  const [deployer] = await ethers.getSigners();
+  const parametersPath = process.env.IGNITION_PARAMETERS ||
+    path.join(__dirname, "..", "ignition", "parameters", `${network.name}.json`);
+  const parameters = readParameters(parametersPath);
+
+  console.log("Climb Deployment (Ignition)");
+  console.log("===========================");
+  console.log("Network:", network.name);
+  console.log("Deployer:", deployer.address);
+  console.log("Parameters:", fs.existsSync(parametersPath) ? parametersPath : "(defaults)");
+
+  if (!parameters.Climb || !parameters.Climb.entropyAddress) {
+    const { address, mock } = await resolveEntropy(ethers, network.name);
+    console.log(`Using ${mock ? "MockEntropy" : "Entropy"} at ${address}`);
+    parameters.Climb = { ...parameters.Climb, entropyAddress: address };
+  }
+
+  console.log("\nDeploying Climb...");
+  const { climb, points } = await ignition.deploy(ClimbModule, { parameters });
+  const climbAddress = await climb.getAddress();
+  console.log("Climb:", climbAddress);
+
+  // The level tables are fixed in the constructor, so this is the first point they can be read
+  assertPositiveHouseEdge(await readLevelTables(climb), "Climb");
+  console.log("✓ Climb keeps a house edge at every cash-out level");
+
+  console.log("\nAuthorizing and configuring Climb...");
+  await ignition.deploy(ClimbSetupModule, {
+    parameters: {
+      ...parameters,
+      ClimbSetup: { ...parameters.ClimbSetup, climb: climbAddress, points: await points.getAddress() },
+    },
+  });
+  console.log("✓ Climb authorized in Points");
+  console.log("\n🎉 Climb deployment complete");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -1,210 +1,206 @@
-const { ethers } = require("hardhat");
-
-async function estimateCallbackGas() {
-  const [deployer] = await ethers.getSigners();
-  
-  console.log("⛽ Estimating Gas for Entropy Callback Function");
-  console.log("===============================================");
-  console.log(`Deployer: ${deployer.address}`);
-  console.log(`Balance: ${ethers.formatEther(await ethers.provider.getBalance(deployer.address))} ETH`);
-
-  // Deploy contracts for testing
-  const ENTROPY_ADDRESS = "0xebe57e8045f2f230872523bbff7374986e45c486"; // BLAZE
-  
-  console.log("\n📦 Deploying test contracts...");
-  
-  // Deploy Points contract
-  const Points = await ethers.getContractFactory("Points");
-  const pointsContract = await Points.deploy();
-  await pointsContract.waitForDeployment();
-  const pointsAddress = await pointsContract.getAddress();
-  console.log(`Points deployed: ${pointsAddress}`);
-  
-  // Deploy Climb contract
-  const Climb = await ethers.getContractFactory("Climb");
-  const climbContract = await Climb.deploy(ENTROPY_ADDRESS, pointsAddress);
-  await climbContract.waitForDeployment();
-  const climbAddress = await climbContract.getAddress();
-  console.log(`Climb deployed: ${climbAddress}`);
-  
-  // Authorize climb contract
-  await pointsContract.setContractAuthorization(climbAddress, true);
-  console.log("✅ Climb contract authorized");
-  
-  // Fund climb contract
-  await climbContract.depositFunds({ value: ethers.parseEther("5") });
-  console.log("✅ Climb contract funded");
-
-  console.log("\n🧪 Gas Estimation Scenarios");
-  console.log("============================");
-
-  // Initialize variables for gas calculations
-  let estimatedMinimalGas = 0;
-  let fullCallbackGas = 0;
-
-  // Scenario 1: Current minimal callback (just clears state)
-  console.log("\n1️⃣ Current Minimal Callback");
-  console.log("----------------------------");
-  
-  try {
-    // Start a game to set up state
-    await climbContract.startGame({ value: ethers.parseEther("1") });
-    
-    // Get the current callback bytecode size
-    const climbCode = await ethers.provider.getCode(climbAddress);
-    console.log(`Contract bytecode size: ${climbCode.length / 2 - 1} bytes`);
-    
-    // Simulate the callback function directly
-    // We'll create a mock scenario to estimate gas
-    
-    // First, let's estimate gas for the individual operations in the callback
-    console.log("\n📊 Individual Operation Gas Estimates:");
-    
-    // Storage reads (SLOAD operations)
-    console.log("Storage reads:");
-    console.log("  - sequenceToPlayer mapping read: ~2,100 gas");
-    console.log("  - playerGames mapping read: ~2,100 gas per field");
-    console.log("  - Total storage reads: ~8,400 gas");
-    
-    // Storage writes (SSTORE operations)
-    console.log("\nStorage writes:");
-    console.log("  - entropyResults mapping write: ~20,000 gas (new slot)");
-    console.log("  - pendingType reset: ~2,900 gas (zero out)");
-    console.log("  - pendingSequence reset: ~2,900 gas (zero out)");
-    console.log("  - sequenceToPlayer delete: ~2,900 gas (zero out)");
-    console.log("  - sequenceIsCashout delete: ~2,900 gas (zero out)");
-    console.log("  - Total storage writes: ~31,600 gas");
-    
-    // Event emission
-    console.log("\nEvent emission:");
-    console.log("  - EntropyReceived event: ~1,500 gas");
-    
-    // Function call overhead
-    console.log("\nFunction overhead:");
-    console.log("  - Function call: ~700 gas");
-    console.log("  - Parameter validation: ~500 gas");
-    
-    estimatedMinimalGas = 8400 + 31600 + 1500 + 700 + 500;
-    console.log(`\n🎯 Estimated minimal callback gas: ~${estimatedMinimalGas.toLocaleString()} gas`);
-    
-  } catch (error) {
-    console.error("Error in minimal callback estimation:", error.message);
-    estimatedMinimalGas = 42700; // Fallback value
+const { ethers, network } = require("hardhat");
+const { deployMockEntropy, LOCAL_NETWORKS } = require("./lib/entropy");
+const { findAutoClimbRandom, randomWithRemainder } = require("./lib/climb");
+
+// Usage:
+//   npx hardhat run scripts/estimate-callback-gas.js
+//   CALLBACK_GAS_LIMIT=500000 npx hardhat run scripts/estimate-callback-gas.js
+//
+// Deploys Points and Climb against MockEntropy and drives every entropy callback path:
+// climb success and bust, cash out in S and in points, auto-climb to every target level,
+// and reaching and cashing out at MAX_LEVEL. Prints the gas each callback actually used and
+// exits with an error when any path needs more than the provider's callback gas limit
+// (CALLBACK_GAS_LIMIT, default 200,000). A callback that runs out of gas fails silently
+// on a live network, leaving the player stuck with a pending request.
+
+const DEFAULT_CALLBACK_GAS_LIMIT = 200_000n;
+
+// Random numbers with known outcomes (a climb succeeds when random % 10000 < odds). They are
+// full-width because Climb stores the random number, and storing zero would cost less.
+const CLIMB_SUCCEEDS = randomWithRemainder(0);
+const CLIMB_BUSTS = randomWithRemainder(9999);
+const PAY_IN_POINTS = randomWithRemainder(0); // even
+const PAY_IN_S = randomWithRemainder(1); // odd
+
+// Helper function to format a gas amount
+function formatGas(gas) {
+  return Number(gas).toLocaleString("en-US");
+}
+
+async function main() {
+  if (!LOCAL_NETWORKS.includes(network.name)) {
+    throw new Error(`The profiler drives MockEntropy and only runs on ${LOCAL_NETWORKS.join(" or ")}`);
   }
+  const limit = BigInt(process.env.CALLBACK_GAS_LIMIT || DEFAULT_CALLBACK_GAS_LIMIT);
+  // The first signer deploys; every profiled path plays as a fresh player after it
+  const players = (await ethers.getSigners()).slice(1);
 
-  // Scenario 2: Full callback with game logic (what we had before)
-  console.log("\n2️⃣ Full Callback with Game Logic");
-  console.log("----------------------------------");
-  
-  try {
-    // Estimate additional operations for full game logic
-    console.log("\n📊 Additional Operations for Full Logic:");
-    
-    console.log("Additional storage operations:");
-    console.log("  - Game state updates (level, active): ~5,800 gas");
-    console.log("  - Completed game storage: ~40,000 gas (new struct)");
-    console.log("  - Player history array push: ~20,000 gas");
-    
-    console.log("\nExternal contract calls:");
-    console.log("  - Points contract call: ~25,000 gas");
-    console.log("  - ETH transfer: ~21,000 gas");
-    
-    console.log("\nAdditional events:");
-    console.log("  - ClimbResult event: ~2,000 gas");
-    console.log("  - GameEnded event: ~3,000 gas");
-    console.log("  - PlayerCashedOut event: ~2,500 gas");
-    
-    console.log("\nComplex calculations:");
-    console.log("  - Random number processing: ~500 gas");
-    console.log("  - Multiplier calculations: ~300 gas");
-    console.log("  - Payout calculations: ~400 gas");
-    
-    const additionalGas = 5800 + 40000 + 20000 + 25000 + 21000 + 2000 + 3000 + 2500 + 500 + 300 + 400;
-    fullCallbackGas = estimatedMinimalGas + additionalGas;
-    
-    console.log(`\n🎯 Estimated full callback gas: ~${fullCallbackGas.toLocaleString()} gas`);
-    
-  } catch (error) {
-    console.error("Error in full callback estimation:", error.message);
-    fullCallbackGas = estimatedMinimalGas + 120200; // Fallback calculation
+  console.log("⛽ Climb Entropy Callback Gas Profile");
+  console.log("=====================================");
+  console.log("Network:", network.name);
+  console.log("Callback gas limit:", formatGas(limit));
+
+  const points = await (await ethers.getContractFactory("Points")).deploy();
+  const entropy = await deployMockEntropy(ethers);
+  const climb = await (await ethers.getContractFactory("Climb")).deploy(
+    await entropy.getAddress(),
+    await points.getAddress()
+  );
+  await (await points.setContractAuthorization(await climb.getAddress(), true)).wait();
+
+  const maxLevel = Number(await climb.MAX_LEVEL());
+  const deposit = await climb.maxDeposit();
+  // Enough to pay a cash out at MAX_LEVEL in S
+  const topMultiplier = await climb.getMultiplier(maxLevel);
+  await (await climb.depositFunds({ value: (deposit * topMultiplier) / 100n + deposit })).wait();
+
+  const fee = await entropy.getFee();
+  const odds = (await climb.getAllOdds()).map(Number);
+  let nextPlayer = 0;
+
+  // Helper function to send a Climb request and return its sequence number
+  async function request(player, action, ...args) {
+    await (await climb.connect(player)[action](...args, { value: fee })).wait();
+    return (await entropy.getLatestRequest()).sequenceNumber;
   }
 
-  // Scenario 3: Check network gas limits
-  console.log("\n3️⃣ Network Gas Limits");
-  console.log("----------------------");
-  
-  try {
-    // Get latest block to check gas limits
-    const latestBlock = await ethers.provider.getBlock("latest");
-    console.log(`Block gas limit: ${latestBlock.gasLimit.toLocaleString()}`);
-    
-    // Common entropy callback gas limits by network
-    console.log("\nKnown Entropy callback gas limits:");
-    console.log("  - Ethereum Mainnet: 200,000 gas");
-    console.log("  - Arbitrum: 1,000,000 gas");
-    console.log("  - Optimism: 200,000 gas");
-    console.log("  - Polygon: 200,000 gas");
-    console.log("  - BSC: 200,000 gas");
-    console.log("  - Blast/Sonic: Unknown (likely 200,000)");
-    
-    const assumedLimit = 200000;
-    console.log(`\n📏 Assuming callback limit: ${assumedLimit.toLocaleString()} gas`);
-    
-    const minimalFitsRatio = (estimatedMinimalGas / assumedLimit * 100).toFixed(1);
-    const fullFitsRatio = (fullCallbackGas / assumedLimit * 100).toFixed(1);
-    
-    console.log(`\n✅ Minimal callback uses: ${minimalFitsRatio}% of limit`);
-    console.log(`❌ Full callback uses: ${fullFitsRatio}% of limit`);
-    
-    if (estimatedMinimalGas <= assumedLimit) {
-      console.log("✅ Minimal callback should work!");
-    } else {
-      console.log("❌ Even minimal callback exceeds limit!");
+  /**
+   * Profile one callback path. Each path gets a fresh player, so the callback pays for
+   * first-time storage writes (game history, Points address list) as a new player would.
+   */
+  async function profile({ name, fromLevel = 0, action, args = [], random, check }) {
+    const player = players[nextPlayer++];
+    await (await climb.connect(player).startGame({ value: deposit })).wait();
+    for (let level = 0; level < fromLevel; level++) {
+      await (await entropy.fulfill(await request(player, "climb"), CLIMB_SUCCEEDS)).wait();
     }
-    
-    if (fullCallbackGas <= assumedLimit) {
-      console.log("✅ Full callback should work!");
-    } else {
-      console.log("❌ Full callback exceeds limit - needs optimization!");
+
+    const game = await climb.getPlayerGame(player.address);
+    const randomNumber = typeof random === "function"
+      ? random({ player: player.address, gameId: game.gameId, fromLevel, odds })
+      : random;
+    const { gasUsed } = await entropy.measureCallback(await request(player, action, ...args), randomNumber);
+
+    // Make sure the callback took the path it is reported under
+    const after = await climb.getPlayerGame(player.address);
+    if (!check(after)) {
+      throw new Error(`Path "${name}" did not end in the expected state`);
     }
-    
-  } catch (error) {
-    console.error("Error checking gas limits:", error.message);
+    return { name, gasUsed };
+  }
+
+  // Helper function to pick an auto-climb random number that stops at `stopLevel`
+  function autoClimbRandom(targetLevel, stopLevel) {
+    return (game) => findAutoClimbRandom(
+      ethers,
+      { ...game, targetLevel },
+      (level) => level === stopLevel,
+      { start: BigInt(ethers.id(`auto-climb ${targetLevel}`)) >> 8n }
+    );
   }
 
-  // Scenario 4: Optimization recommendations
-  console.log("\n4️⃣ Optimization Recommendations");
-  console.log("=================================");
-  
-  console.log("\n🔧 To reduce gas usage:");
-  console.log("1. Minimize storage writes (most expensive)");
-  console.log("2. Batch operations where possible");
-  console.log("3. Use events instead of storage for non-critical data");
-  console.log("4. Defer complex operations to separate user-triggered functions");
-  console.log("5. Use packed structs to reduce storage slots");
-  
-  console.log("\n💡 Current strategy (minimal callback):");
-  console.log("✅ Only essential state clearing");
-  console.log("✅ Single event emission");
-  console.log("✅ No external calls");
-  console.log("✅ No complex calculations");
-  console.log("✅ Defers game logic to user-triggered functions");
-
-  console.log("\n📋 Summary");
-  console.log("===========");
-  console.log(`Minimal callback: ~${estimatedMinimalGas.toLocaleString()} gas (SAFE)`);
-  console.log(`Full callback: ~${fullCallbackGas.toLocaleString()} gas (RISKY)`);
-  console.log(`Recommended approach: Use minimal callback + separate user functions`);
-
-  console.log("\n🎉 Gas estimation completed!");
+  console.log("\n🧪 Driving callback paths...");
+  const results = [];
+  const paths = [
+    {
+      name: "climb 0 → 1, success",
+      action: "climb",
+      random: CLIMB_SUCCEEDS,
+      check: (game) => game.isActive && game.currentLevel === 1n,
+    },
+    {
+      name: "climb 0 → 1, bust",
+      action: "climb",
+      random: CLIMB_BUSTS,
+      check: (game) => !game.isActive,
+    },
+    {
+      name: `climb ${maxLevel - 1} → ${maxLevel}, reaches MAX_LEVEL`,
+      fromLevel: maxLevel - 1,
+      action: "climb",
+      random: CLIMB_SUCCEEDS,
+      check: (game) => game.isActive && game.currentLevel === BigInt(maxLevel),
+    },
+    {
+      name: "cash out at level 1 in S",
+      fromLevel: 1,
+      action: "cashOut",
+      random: PAY_IN_S,
+      check: (game) => !game.isActive,
+    },
+    {
+      name: "cash out at level 1 in points",
+      fromLevel: 1,
+      action: "cashOut",
+      random: PAY_IN_POINTS,
+      check: (game) => !game.isActive,
+    },
+    {
+      name: `win: cash out at MAX_LEVEL in S`,
+      fromLevel: maxLevel,
+      action: "cashOut",
+      random: PAY_IN_S,
+      check: (game) => !game.isActive,
+    },
+    {
+      name: `win: cash out at MAX_LEVEL in points`,
+      fromLevel: maxLevel,
+      action: "cashOut",
+      random: PAY_IN_POINTS,
+      check: (game) => !game.isActive,
+    },
+  ];
+  for (let target = 1; target <= maxLevel; target++) {
+    paths.push({
+      name: `auto-climb 0 → ${target}, success`,
+      action: "autoClimb",
+      args: [target],
+      random: autoClimbRandom(target, target),
+      check: (game) => game.isActive && game.currentLevel === BigInt(target),
+    });
+  }
+  // The longest bust: every roll succeeds until the last one
+  paths.push({
+    name: `auto-climb 0 → ${maxLevel}, bust at ${maxLevel - 1}`,
+    action: "autoClimb",
+    args: [maxLevel],
+    random: autoClimbRandom(maxLevel, maxLevel - 1),
+    check: (game) => !game.isActive,
+  });
+
+  for (const path of paths) {
+    results.push(await profile(path));
+    process.stdout.write(".");
+  }
+  console.log("");
+
+  // Results table
+  const width = Math.max(...results.map((result) => result.name.length));
+  console.log(`\n${"Path".padEnd(width)}  ${"Gas".padStart(9)}  ${"Limit".padStart(6)}`);
+  console.log(`${"-".repeat(width)}  ${"-".repeat(9)}  ${"-".repeat(6)}`);
+  for (const result of results) {
+    const share = ((Number(result.gasUsed) / Number(limit)) * 100).toFixed(1);
+    const status = result.gasUsed > limit ? "❌" : "✓";
+    console.log(
+      `${result.name.padEnd(width)}  ${formatGas(result.gasUsed).padStart(9)}  ${`${share}%`.padStart(6)}  ${status}`
+    );
+  }
+
+  const worst = results.reduce((a, b) => (b.gasUsed > a.gasUsed ? b : a));
+  console.log(`\nMost expensive path: ${worst.name} (${formatGas(worst.gasUsed)} gas)`);
+
+  const over = results.filter((result) => result.gasUsed > limit);
+  if (over.length > 0) {
+    throw new Error(
+      `${over.length} callback path(s) exceed the ${formatGas(limit)} gas limit: ${over.map((r) => r.name).join(", ")}`
+    );
+  }
+  console.log(`\n🎉 All ${results.length} callback paths fit within ${formatGas(limit)} gas`);
 }
 
-estimateCallbackGas()
-  .then(() => {
-    console.log("✅ Gas estimation script completed!");
-    process.exit(0);
-  })
+main()
+  .then(() => process.exit(0))
   .catch((error) => {
-    console.error("❌ Gas estimation failed:", error);
+    console.error("❌", error.message || error);
     process.exit(1);
-  }); 
\ No newline at end of file
+  });
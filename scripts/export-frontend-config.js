@@ -0,0 +1,54 @@
+const { artifacts, ethers, network } = require("hardhat");
+const { loadRegistry, resolveAddress } = require("./lib/registry");
+const { exportFrontendConfig } = require("./lib/frontend-config");
+
+// Usage:
+//   FRONTEND_CONFIG_PATH=../ragnarok/.env.development npx hardhat run scripts/export-frontend-config.js --network blaze
+//
+// Optional:
+//   FRONTEND_CONFIG_FORMAT=env|json|ts  (defaults to the output file extension, else env)
+//   FRONTEND_ENV_TEMPLATE=path          (defaults to scripts/templates/frontend.env.template)
+//   FRONTEND_CONTRACTS=GameMaster,Points (defaults to every contract in deployments/<network>.json)
+//
+// Secrets referenced by the .env template (${env.NAME}) are read from the environment.
+
+async function main() {
+  const outputPath = process.env.FRONTEND_CONFIG_PATH;
+  if (!outputPath) {
+    console.error("❌ Set FRONTEND_CONFIG_PATH to the file that should be written");
+    process.exit(1);
+  }
+
+  const registry = loadRegistry(network.name);
+  const labels = process.env.FRONTEND_CONTRACTS
+    ? process.env.FRONTEND_CONTRACTS.split(",").map((label) => label.trim())
+    : Object.keys(registry.contracts);
+
+  const contracts = {};
+  for (const label of labels) {
+    const entry = registry.contracts[label];
+    contracts[label] = {
+      contract: entry ? entry.contract : label,
+      address: resolveAddress(network.name, label),
+    };
+  }
+
+  const format = await exportFrontendConfig({
+    network: network.name,
+    chainId: registry.chainId ?? Number((await ethers.provider.getNetwork()).chainId),
+    contracts,
+    outputPath,
+    format: process.env.FRONTEND_CONFIG_FORMAT,
+    templatePath: process.env.FRONTEND_ENV_TEMPLATE,
+    artifacts,
+  });
+
+  console.log(`✓ Wrote ${format} frontend config for ${labels.length} contracts to ${outputPath}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,94 @@
+const { ethers, network } = require("hardhat");
+const path = require("path");
+const { loadRegistry, resolveAddress } = require("./lib/registry");
+const { openIndex, getMeta, syncIndex } = require("./lib/points-index");
+const { findDeployBlock } = require("./lib/logs");
+
+// Usage:
+//   npx hardhat run scripts/index-points.js --network sonic
+//
+// Replays Points events (PointsAwarded, PointsAwardedByContract, ReferralUsed,
+// ReferralCodeRegistered, ReferralPointsCashedOut, PointsImported) into a local SQLite
+// database, so every balance can be traced back to the deposits, referral bonuses, payouts,
+// admin credits and cashouts that produced it. Re-running picks up where the last run stopped.
+// Query the result with scripts/points-query.js.
+//
+// Optional:
+//   POINTS_CONTRACT=OldPoints    registry entry to index (default Points)
+//   INDEX_DB=indexes/x.sqlite    database file (default indexes/points-<network>-<label>.sqlite)
+//   INDEX_FROM_BLOCK=12345678    first block of a fresh index (default: registry blockNumber,
+//                                else the deploy block found by searching eth_getCode)
+//   INDEX_TO_BLOCK=23456789      last block to index (default latest)
+//   INDEX_BATCH_BLOCKS=5000      blocks per eth_getLogs request
+//   GAME_MASTER_ADDRESS=0x...    GameMaster whose registrations deposit into Points (default: registry)
+
+async function main() {
+  const label = process.env.POINTS_CONTRACT || "Points";
+  const points = await ethers.getContractAt("Points", resolveAddress(network.name, label));
+  const address = await points.getAddress();
+  const { chainId } = await ethers.provider.getNetwork();
+  const dbPath = process.env.INDEX_DB ||
+    path.join(__dirname, "..", "indexes", `points-${network.name}-${label}.sqlite`);
+
+  console.log("Points Indexer");
+  console.log("==============");
+  console.log("Network:", network.name);
+  console.log(`${label}:`, address);
+  console.log("Database:", dbPath);
+
+  // Registrations deposit through GameMaster, so the indexer needs its address to label them
+  let gameMaster = null;
+  try {
+    gameMaster = resolveAddress(network.name, "GameMaster");
+    console.log("GameMaster:", gameMaster);
+  } catch {
+    console.log("⚠️  No GameMaster address; registrations sent to any contract count as deposits");
+  }
+
+  const db = openIndex(dbPath, { contract: address, chainId: chainId.toString() });
+  const latest = await ethers.provider.getBlockNumber();
+  const toBlock = process.env.INDEX_TO_BLOCK ? Number(process.env.INDEX_TO_BLOCK) : latest;
+
+  let fromBlock;
+  const meta = getMeta(db);
+  if (meta.lastBlock !== undefined) {
+    console.log(`Resuming after block ${meta.lastBlock}`);
+  } else if (process.env.INDEX_FROM_BLOCK) {
+    fromBlock = Number(process.env.INDEX_FROM_BLOCK);
+  } else {
+    const entry = loadRegistry(network.name).contracts[label];
+    if (entry && entry.address.toLowerCase() === address.toLowerCase() && entry.blockNumber) {
+      fromBlock = entry.blockNumber;
+    } else {
+      console.log("Searching for the deploy block...");
+      fromBlock = await findDeployBlock(ethers.provider, address, latest);
+    }
+  }
+  if (fromBlock !== undefined) {
+    console.log(`Starting at block ${fromBlock}`);
+  }
+
+  const started = Date.now();
+  const written = await syncIndex(db, ethers, points, {
+    fromBlock,
+    toBlock,
+    gameMaster,
+    batchBlocks: Number(process.env.INDEX_BATCH_BLOCKS || 5000),
+    onProgress: (block, target, events) => console.log(`Indexed to block ${block}/${target} (${events} events)`),
+  });
+
+  const counts = db.prepare("SELECT (SELECT COUNT(*) FROM ledger) AS ledger, (SELECT COUNT(*) FROM referrals) AS referrals, (SELECT COUNT(*) FROM referral_codes) AS codes").get();
+  db.close();
+
+  console.log(`\n✓ ${written} new events in ${((Date.now() - started) / 1000).toFixed(1)}s, indexed through block ${toBlock}`);
+  console.log(`- Ledger entries: ${counts.ledger}`);
+  console.log(`- Referral codes: ${counts.codes}`);
+  console.log(`- Referred users: ${counts.referrals}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
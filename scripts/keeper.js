@@ -0,0 +1,64 @@
+const { ethers, network } = require("hardhat");
+const { resolveAddress } = require("./lib/registry");
+const { createKeeper } = require("./lib/keeper");
+
+// Usage:
+//   npx hardhat run scripts/keeper.js --network sonic
+//
+// Long-running keeper: watches every game registered with GameMaster and calls
+// GameMaster.endExpiredGames(name) as soon as a round deadline passes. Stop it with Ctrl+C.
+//
+// Optional:
+//   KEEPER_POLL_SECONDS=5          how often deadlines are checked
+//   KEEPER_RESYNC_SECONDS=60       how often every game is re-read, in case an event was missed
+//   KEEPER_TX_TIMEOUT_SECONDS=60   how long to wait for a transaction before bumping its gas
+//   KEEPER_GAS_BUMP_PERCENT=20     fee increase per replacement
+//   KEEPER_MAX_ATTEMPTS=4          sends (including replacements) before giving up until the next tick
+
+async function main() {
+  const [signer] = await ethers.getSigners();
+  const gameMasterAddress = resolveAddress(network.name, "GameMaster");
+  const gameMaster = await ethers.getContractAt("GameMaster", gameMasterAddress, signer);
+
+  console.log("Game Keeper");
+  console.log("===========");
+  console.log("Network:", network.name);
+  console.log("GameMaster:", gameMasterAddress);
+  console.log("Keeper account:", signer.address);
+
+  // endExpiredGames is owner-only on GameMaster
+  const owner = await gameMaster.owner();
+  if (owner.toLowerCase() !== signer.address.toLowerCase()) {
+    console.error(`❌ GameMaster is owned by ${owner}; the keeper must run as the owner`);
+    process.exit(1);
+  }
+
+  const keeper = createKeeper(ethers, gameMaster, signer, {
+    pollMs: Number(process.env.KEEPER_POLL_SECONDS || 5) * 1000,
+    resyncMs: Number(process.env.KEEPER_RESYNC_SECONDS || 60) * 1000,
+    tx: {
+      timeoutMs: Number(process.env.KEEPER_TX_TIMEOUT_SECONDS || 60) * 1000,
+      bumpPercent: Number(process.env.KEEPER_GAS_BUMP_PERCENT || 20),
+      attempts: Number(process.env.KEEPER_MAX_ATTEMPTS || 4),
+    },
+    log: (message) => console.log(`[${new Date().toISOString()}] ${message}`),
+  });
+
+  await keeper.start();
+  console.log(`\n✓ Keeper running (${keeper.deadlines.size} active rounds). Press Ctrl+C to stop.\n`);
+
+  // Keep running until interrupted, letting an in-flight transaction finish
+  await new Promise((resolve) => {
+    process.once("SIGINT", resolve);
+    process.once("SIGTERM", resolve);
+  });
+  console.log("\nStopping keeper...");
+  await keeper.stop();
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,242 @@
+// Climb's economics: exact expected values and Monte Carlo play of its level tables under
+// player strategies, for tuning odds and multipliers and sizing the bankroll.
+const { ODDS_PRECISION } = require("./climb");
+const { createRng } = require("./random");
+
+// Climb.MULTIPLIER_PRECISION: S multipliers are stored * 100
+const MULTIPLIER_PRECISION = 100;
+
+// Climb awards a flat 10 points on every bust
+const BUST_POINTS = 10;
+
+const WEI_PER_S = 10n ** 18n;
+
+// Helper function to read Climb's level tables from getAllLevelInfo() as plain numbers
+async function readLevelTables(climb) {
+  const [odds, multipliers, pointMultipliers, minCashoutLevel, maxLevel] = await climb.getAllLevelInfo();
+  return {
+    odds: odds.map(Number),
+    multipliers: multipliers.map(Number),
+    pointMultipliers: pointMultipliers.map(Number),
+    minCashoutLevel: Number(minCashoutLevel),
+    maxLevel: Number(maxLevel),
+  };
+}
+
+/**
+ * Parse a strategy name:
+ *   cashout:N  climb one level at a time and cash out at level N
+ *   auto:N     auto-climb to N in one request, then cash out
+ *   random     at every level where both are allowed, climb or cash out with equal chance
+ */
+function parseStrategy(tables, spec) {
+  if (spec === "random") {
+    return { kind: "random", name: "random" };
+  }
+  const match = /^(cashout|auto):(\d+)$/.exec(spec);
+  if (!match) {
+    throw new Error(`Unknown strategy "${spec}" (expected cashout:N, auto:N or random)`);
+  }
+  const level = Number(match[2]);
+  if (level < tables.minCashoutLevel || level > tables.maxLevel) {
+    throw new Error(`Strategy "${spec}": level must be between ${tables.minCashoutLevel} and ${tables.maxLevel}`);
+  }
+  const name = match[1] === "cashout" ? `cash out at ${level}` : `auto-climb to ${level}`;
+  return { kind: match[1], level, name };
+}
+
+// Helper function to list every strategy: cash out and auto-climb at each level, then random
+function getAllStrategies(tables) {
+  const specs = [];
+  for (const kind of ["cashout", "auto"]) {
+    for (let level = tables.minCashoutLevel; level <= tables.maxLevel; level++) {
+      specs.push(`${kind}:${level}`);
+    }
+  }
+  specs.push("random");
+  return specs.map((spec) => parseStrategy(tables, spec));
+}
+
+// Helper function to get the chance a strategy cashes out at a level it has reached
+function getCashOutShare(tables, strategy, level) {
+  if (level < tables.minCashoutLevel) return 0;
+  if (level === tables.maxLevel) return 1;
+  if (strategy.kind === "random") return 0.5;
+  return level === strategy.level ? 1 : 0;
+}
+
+/**
+ * Exact probabilities of how a game ends under a strategy: `cashout[L]` is the chance of
+ * cashing out at level L, `bust[L]` the chance of busting while climbing from L. Auto-climb
+ * rolls every level from one random number but with the same odds, so it ends like cashout:N.
+ */
+function getOutcomeDistribution(tables, strategy) {
+  const cashout = new Array(tables.maxLevel + 1).fill(0);
+  const bust = new Array(tables.maxLevel + 1).fill(0);
+  let reach = 1;
+  for (let level = 0; level <= tables.maxLevel && reach > 0; level++) {
+    cashout[level] = reach * getCashOutShare(tables, strategy, level);
+    if (level === tables.maxLevel) break;
+    const climbing = reach - cashout[level];
+    const success = tables.odds[level + 1] / Number(ODDS_PRECISION);
+    bust[level] = climbing * (1 - success);
+    reach = climbing * success;
+  }
+  return { cashout, bust };
+}
+
+// Helper function to count the points a cash out pays (Climb pays per whole S deposited)
+function getCashOutPoints(tables, level, deposit) {
+  return Number(deposit / WEI_PER_S) * tables.pointMultipliers[level];
+}
+
+/**
+ * Exact expected values of one game of `deposit` wei. A cash out pays S or points with equal
+ * chance, so the house edge is the share of the deposit Climb keeps in S; points are reported
+ * separately, per S wagered.
+ */
+function getExpectedValues(tables, strategy, deposit) {
+  const { cashout, bust } = getOutcomeDistribution(tables, strategy);
+  let returned = 0;
+  let points = 0;
+  for (let level = 0; level <= tables.maxLevel; level++) {
+    returned += cashout[level] * 0.5 * (tables.multipliers[level] / MULTIPLIER_PRECISION);
+    points += cashout[level] * 0.5 * getCashOutPoints(tables, level, deposit) + bust[level] * BUST_POINTS;
+  }
+  return {
+    houseEdge: 1 - returned,
+    pointsPerS: points / toS(deposit),
+    cashOutProbability: cashout.reduce((a, b) => a + b, 0),
+  };
+}
+
+/**
+ * Check the tables for strategies that expect to win S from the house. Every strategy ends
+ * in a mix of cash-out levels, so checking cashout:N at every level covers them all.
+ * Returns [{ level, houseEdge }] for each level with a negative edge.
+ */
+function findNegativeHouseEdges(tables) {
+  const negative = [];
+  for (let level = tables.minCashoutLevel; level <= tables.maxLevel; level++) {
+    const { houseEdge } = getExpectedValues(tables, { kind: "cashout", level }, WEI_PER_S);
+    if (houseEdge < 0) {
+      negative.push({ level, houseEdge });
+    }
+  }
+  return negative;
+}
+
+// Helper function to throw when any strategy has a negative house edge (used by deploy scripts)
+function assertPositiveHouseEdge(tables, label = "Climb") {
+  const negative = findNegativeHouseEdges(tables);
+  if (negative.length > 0) {
+    const levels = negative.map(({ level, houseEdge }) => `level ${level} (${formatPercent(houseEdge)})`).join(", ");
+    throw new Error(`${label} level tables give players the edge when cashing out at ${levels}`);
+  }
+}
+
+/**
+ * Play one game with the same rolls as Climb: a climb from L succeeds with odds[L + 1] out
+ * of ODDS_PRECISION, and a cash out pays S or points with equal chance. Returns the S paid
+ * out (in S) and the points awarded.
+ */
+function playGame(tables, strategy, depositS, depositPoints, rng) {
+  for (let level = 0; ; level++) {
+    const share = getCashOutShare(tables, strategy, level);
+    if (share === 1 || (share > 0 && rng() < share)) {
+      if (rng() < 0.5) {
+        return { paid: 0, points: depositPoints * tables.pointMultipliers[level] };
+      }
+      return { paid: (depositS * tables.multipliers[level]) / MULTIPLIER_PRECISION, points: 0 };
+    }
+    if (Math.floor(rng() * Number(ODDS_PRECISION)) >= tables.odds[level + 1]) {
+      return { paid: 0, points: BUST_POINTS };
+    }
+  }
+}
+
+/**
+ * Monte Carlo estimate of a strategy's house edge and points per S wagered over `games`
+ * games of `deposit` wei. `standardError` is the standard error of the house edge.
+ */
+function simulateGames(tables, strategy, { games, deposit, seed = 1 }) {
+  const rng = createRng(seed);
+  const depositS = toS(deposit);
+  const depositPoints = Number(deposit / WEI_PER_S);
+  let paid = 0;
+  let paidSquares = 0;
+  let points = 0;
+  for (let i = 0; i < games; i++) {
+    const outcome = playGame(tables, strategy, depositS, depositPoints, rng);
+    const returned = outcome.paid / depositS;
+    paid += returned;
+    paidSquares += returned * returned;
+    points += outcome.points;
+  }
+  const mean = paid / games;
+  const variance = Math.max(paidSquares / games - mean * mean, 0);
+  return {
+    games,
+    houseEdge: 1 - mean,
+    standardError: Math.sqrt(variance / games),
+    pointsPerS: points / (depositS * games),
+  };
+}
+
+/**
+ * Monte Carlo estimate of the chance that Climb cannot pay an S cash out. Each of `runs`
+ * runs starts from `balance` wei and plays `games` games of `deposit` wei; a run is ruined
+ * the first time a payout exceeds the balance (the callback would revert with "ETH transfer
+ * failed"). Deposits join the balance when a game starts, as they do on-chain.
+ */
+function simulateRuin(tables, strategy, { balance, deposit, games, runs, seed = 1 }) {
+  const rng = createRng(seed);
+  const depositS = toS(deposit);
+  const depositPoints = Number(deposit / WEI_PER_S);
+  let ruined = 0;
+  let finalBalances = 0;
+  for (let run = 0; run < runs; run++) {
+    let current = toS(balance);
+    for (let i = 0; i < games; i++) {
+      current += depositS;
+      const { paid } = playGame(tables, strategy, depositS, depositPoints, rng);
+      if (paid > current) {
+        ruined++;
+        current = 0;
+        break;
+      }
+      current -= paid;
+    }
+    finalBalances += current;
+  }
+  return {
+    runs,
+    ruined,
+    ruinProbability: ruined / runs,
+    meanFinalBalance: finalBalances / runs,
+  };
+}
+
+// Helper function to turn wei into a floating-point amount of S
+function toS(wei) {
+  return Number(wei) / Number(WEI_PER_S);
+}
+
+// Helper function to format a fraction as a percentage
+function formatPercent(value, digits = 2) {
+  return `${(value * 100).toFixed(digits)}%`;
+}
+
+module.exports = {
+  BUST_POINTS,
+  readLevelTables,
+  parseStrategy,
+  getAllStrategies,
+  getOutcomeDistribution,
+  getExpectedValues,
+  findNegativeHouseEdges,
+  assertPositiveHouseEdge,
+  simulateGames,
+  simulateRuin,
+  formatPercent,
+};
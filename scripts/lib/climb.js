@@ -0,0 +1,47 @@
+// Off-chain replicas of Climb's dice rolls, for picking random numbers with known outcomes.
+
+// Odds are out of ODDS_PRECISION (Climb.ODDS_PRECISION)
+const ODDS_PRECISION = 10_000n;
+
+/**
+ * Replay autoClimb's per-level rolls for a base random number and return the level the
+ * run stops at: `targetLevel` when every roll succeeds, otherwise the level it busted at.
+ * Mirrors Climb._handleAutoClimb, which rolls keccak256(baseRandom, level, player, gameId).
+ */
+function getAutoClimbStop(ethers, { baseRandom, player, gameId, fromLevel, targetLevel, odds }) {
+  for (let level = Number(fromLevel); level < Number(targetLevel); level++) {
+    const levelRandom = BigInt(ethers.solidityPackedKeccak256(
+      ["uint256", "uint8", "address", "uint256"],
+      [baseRandom, level, player, gameId]
+    ));
+    if (levelRandom % ODDS_PRECISION >= BigInt(odds[level + 1])) {
+      return level;
+    }
+  }
+  return Number(targetLevel);
+}
+
+// Helper function to find a base random number whose auto-climb stops where `accept` wants,
+// trying `start`, `start + 1`, ... (a full-width start gives a realistic nonzero random number)
+function findAutoClimbRandom(ethers, game, accept, { start = 0n, maxTries = 1_000_000 } = {}) {
+  for (let baseRandom = start; baseRandom < start + BigInt(maxTries); baseRandom++) {
+    if (accept(getAutoClimbStop(ethers, { ...game, baseRandom }))) {
+      return baseRandom;
+    }
+  }
+  throw new Error(`No auto-climb random number found in ${maxTries} tries`);
+}
+
+// Helper function to build a full-width random number with a chosen remainder modulo
+// ODDS_PRECISION (0 always climbs, ODDS_PRECISION - 1 always busts; even pays in points)
+function randomWithRemainder(remainder) {
+  const high = (1n << 255n) + (1n << 128n);
+  return high - (high % ODDS_PRECISION) + BigInt(remainder);
+}
+
+module.exports = {
+  ODDS_PRECISION,
+  getAutoClimbStop,
+  findAutoClimbRandom,
+  randomWithRemainder,
+};
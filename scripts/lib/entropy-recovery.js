@@ -0,0 +1,162 @@
+// Finding Climb entropy requests whose callback never arrived, and delivering them by hand.
+const { getLogsChunked } = require("./logs");
+
+// Fortuna serves the provider's revelation for each sequence number
+const DEFAULT_REVELATION_URL = "https://fortuna.dourolabs.app/v1/chains/{chain}/revelations/{sequence}";
+
+// Climb.RequestType.NONE
+const REQUEST_NONE = 0n;
+
+// Climb adds this to the level when it derives the user random number for a cash out
+const CASHOUT_LEVEL_OFFSET = 100;
+
+/**
+ * Scan Climb for RequestAttempted events without a matching EntropyReceived (requests the
+ * player cancelled with cancelPendingRequest are left out). Each one is `stuck` when the
+ * player's game still waits on that sequence number, or `superseded` when the game has moved
+ * on without it. Stuck requests carry `cancellableAt`, the time from which the player can
+ * cancel it themselves (null on Climb deployments without the pending timeout).
+ */
+async function findUnansweredRequests(climb, { fromBlock, toBlock, batchBlocks = 5000, onProgress = () => {} }) {
+  const provider = climb.runner.provider;
+  const iface = climb.interface;
+  const address = await climb.getAddress();
+  const topics = ["RequestAttempted", "EntropyReceived", "PendingRequestCancelled"]
+    .map((name) => iface.getEvent(name).topicHash);
+
+  const requests = new Map();
+  for (let start = fromBlock; start <= toBlock; start += batchBlocks) {
+    const end = Math.min(start + batchBlocks - 1, toBlock);
+    for (const log of await getLogsChunked(provider, { address, topics: [topics] }, start, end)) {
+      const parsed = iface.parseLog(log);
+      if (parsed.name === "RequestAttempted") {
+        const { data, isCashout } = parsed.args;
+        requests.set(data.sequenceNumber, {
+          player: data.player,
+          gameId: data.gameId,
+          level: Number(data.level),
+          sequenceNumber: data.sequenceNumber,
+          isCashout,
+          blockNumber: log.blockNumber,
+          transactionHash: log.transactionHash,
+        });
+      } else {
+        requests.delete(parsed.args.sequenceNumber);
+      }
+    }
+    onProgress(end);
+  }
+
+  const pendingTimeout = await getPendingTimeout(climb);
+  const unanswered = [];
+  for (const request of requests.values()) {
+    const game = await climb.getPlayerGame(request.player);
+    const stuck = game.pendingType !== REQUEST_NONE && game.pendingSequence === request.sequenceNumber;
+    const cancellableAt = stuck && pendingTimeout !== null
+      ? Number((await climb.pendingRequestedAt(request.player)) + pendingTimeout)
+      : null;
+    unanswered.push({ ...request, status: stuck ? "stuck" : "superseded", cancellableAt });
+  }
+  return unanswered;
+}
+
+// Helper function to read Climb's pending timeout; null when the deployment predates it
+async function getPendingTimeout(climb) {
+  try {
+    return await climb.pendingTimeout();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Recover the provider and user random number a request was made with. Entropy logs both
+ * in RequestedWithCallback in the request transaction; if that log cannot be found, the user
+ * random number is recomputed the way Climb._generateUserRandomNumber derived it.
+ */
+async function getRequestInputs(ethers, entropy, request) {
+  const provider = ethers.provider;
+  const receipt = await provider.getTransactionReceipt(request.transactionHash);
+  const entropyAddress = (await entropy.getAddress()).toLowerCase();
+
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== entropyAddress) continue;
+    const parsed = entropy.interface.parseLog(log);
+    if (parsed && parsed.name === "RequestedWithCallback" && parsed.args.sequenceNumber === request.sequenceNumber) {
+      return { provider: parsed.args.provider, userRandomNumber: parsed.args.userRandomNumber, source: "event" };
+    }
+  }
+
+  return {
+    provider: await entropy.getDefaultProvider(),
+    userRandomNumber: await computeUserRandomNumber(ethers, request),
+    source: "recomputed",
+  };
+}
+
+// Helper function to redo Climb._generateUserRandomNumber for the block and sender of a request
+async function computeUserRandomNumber(ethers, request) {
+  const provider = ethers.provider;
+  const tx = await provider.getTransaction(request.transactionHash);
+  // ethers leaves prevRandao empty on some nodes; since the merge the raw block carries it as mixHash
+  const block = await provider.send("eth_getBlockByNumber", [ethers.toQuantity(request.blockNumber), false]);
+  const level = request.level + (request.isCashout ? CASHOUT_LEVEL_OFFSET : 0);
+  return ethers.solidityPackedKeccak256(
+    ["uint256", "uint256", "address", "bytes32", "uint8"],
+    [block.timestamp, block.prevRandao || block.mixHash, tx.from, block.parentHash, level]
+  );
+}
+
+// Helper function to fetch the provider's revelation for a sequence number
+async function fetchRevelation(urlTemplate, { chain, sequenceNumber }) {
+  const url = urlTemplate.replace("{chain}", chain).replace("{sequence}", String(sequenceNumber));
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Revelation endpoint returned HTTP ${response.status} for ${url}`);
+  }
+  const body = await response.json();
+  const data = body.value && body.value.data;
+  if (typeof data !== "string") {
+    throw new Error(`Revelation endpoint returned no value.data for ${url}`);
+  }
+  return data.startsWith("0x") ? data : `0x${data}`;
+}
+
+// Helper function to pull a revert reason out of an ethers error
+function getRevertReason(error) {
+  return error.reason || error.shortMessage || error.message;
+}
+
+/**
+ * Deliver a request with revealWithCallback. The callback runs inside that call, so the gas
+ * estimate covers it; the limit adds `gasMarginPercent` on top unless `gasLimit` is given.
+ * Returns { status: "recovered" | "reverts" | "failed", gasLimit, receipt, reason }.
+ */
+async function retryCallback(entropy, inputs, { gasLimit, gasMarginPercent = 30 } = {}) {
+  const args = [inputs.provider, inputs.sequenceNumber, inputs.userRandomNumber, inputs.providerRevelation];
+
+  let estimate;
+  try {
+    estimate = await entropy.revealWithCallback.estimateGas(...args);
+  } catch (error) {
+    return { status: "reverts", reason: getRevertReason(error) };
+  }
+  const limit = gasLimit || (estimate * BigInt(100 + gasMarginPercent)) / 100n;
+
+  try {
+    const tx = await entropy.revealWithCallback(...args, { gasLimit: limit });
+    const receipt = await tx.wait();
+    return { status: "recovered", gasLimit: limit, estimate, receipt };
+  } catch (error) {
+    return { status: "failed", gasLimit: limit, estimate, reason: getRevertReason(error) };
+  }
+}
+
+module.exports = {
+  DEFAULT_REVELATION_URL,
+  findUnansweredRequests,
+  getRequestInputs,
+  computeUserRandomNumber,
+  fetchRevelation,
+  retryCallback,
+};
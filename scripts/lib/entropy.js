@@ -0,0 +1,124 @@
+// Pyth Entropy helpers, including the local MockEntropy stand-in used on hardhat/localhost.
+const { loadRegistry, getOverrideName, resolveAddress } = require("./registry");
+
+// Networks without a real Entropy deployment, where MockEntropy answers requests instead
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+// Provider address MockEntropy reports as its default (no contract lives there)
+const MOCK_PROVIDER = "0x000000000000000000000000000000000000E27F";
+
+// Helper function to turn a bigint, number or 32-byte hex string into a bytes32 random number
+function toRandomNumber(ethers, value) {
+  if (typeof value === "string" && ethers.isHexString(value, 32)) {
+    return value;
+  }
+  return ethers.toBeHex(BigInt(value), 32);
+}
+
+/**
+ * Wrap a deployed MockEntropy. Requests are read back from its RequestedWithCallback
+ * events, and a request is answered only when a test or script fulfills it:
+ *
+ *   const sequence = (await entropy.getLatestRequest()).sequenceNumber;
+ *   await entropy.fulfill(sequence, 0n);       // callback runs with random number 0
+ *
+ * Leaving a request unfulfilled simulates a callback that never arrives. A callback that
+ * reverts (including one that runs out of `setCallbackGasLimit` gas) reverts `fulfill`
+ * and leaves the request pending, as with the real contract.
+ */
+function createEntropyMock(ethers, contract) {
+  // All requests seen so far, oldest first
+  async function getRequests() {
+    const events = await contract.queryFilter(contract.filters.RequestedWithCallback());
+    return events.map((event) => ({
+      sequenceNumber: event.args.sequenceNumber,
+      requester: event.args.requestor,
+      provider: event.args.provider,
+      userRandomNumber: event.args.userRandomNumber,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+    }));
+  }
+
+  // Requests whose callback has not happened yet
+  async function getPending() {
+    const pending = [];
+    for (const request of await getRequests()) {
+      if (await contract.isPending(request.sequenceNumber)) {
+        pending.push(request);
+      }
+    }
+    return pending;
+  }
+
+  async function getLatestRequest() {
+    const requests = await getRequests();
+    if (requests.length === 0) {
+      throw new Error("MockEntropy has not received any requests");
+    }
+    return requests[requests.length - 1];
+  }
+
+  // Returns the fulfill transaction, so tests can assert on it with emit/revertedWith
+  function fulfill(sequenceNumber, randomNumber) {
+    return contract.fulfill(sequenceNumber, toRandomNumber(ethers, randomNumber));
+  }
+
+  // Fulfill a request and read how much gas the consumer's callback used
+  async function measureCallback(sequenceNumber, randomNumber) {
+    const receipt = await (await fulfill(sequenceNumber, randomNumber)).wait();
+    const event = receipt.logs
+      .filter((log) => log.address.toLowerCase() === contract.target.toLowerCase())
+      .map((log) => contract.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "CallbackGasUsed");
+    return { receipt, gasUsed: event.args.gasUsed };
+  }
+
+  return {
+    contract,
+    getAddress: () => contract.getAddress(),
+    getFee: () => contract.fee(),
+    setFee: (fee) => contract.setFee(fee),
+    setCallbackGasLimit: (gasLimit) => contract.setCallbackGasLimit(gasLimit),
+    getRequests,
+    getPending,
+    getLatestRequest,
+    isPending: (sequenceNumber) => contract.isPending(sequenceNumber),
+    fulfill,
+    measureCallback,
+  };
+}
+
+// Helper function to deploy MockEntropy and wrap it
+async function deployMockEntropy(ethers, { fee = 0n, provider = MOCK_PROVIDER } = {}) {
+  const MockEntropy = await ethers.getContractFactory("MockEntropy");
+  const contract = await MockEntropy.deploy(provider, fee);
+  await contract.waitForDeployment();
+  return createEntropyMock(ethers, contract);
+}
+
+/**
+ * Find the Entropy contract for a network: ENTROPY_ADDRESS, then the registry. Local
+ * networks with neither get a fresh MockEntropy, returned as `mock` so the caller can
+ * fulfill its own requests; `mock` is null against a real Entropy deployment.
+ */
+async function resolveEntropy(ethers, networkName, options = {}) {
+  const override = process.env[getOverrideName("Entropy")];
+  const entry = loadRegistry(networkName).contracts.Entropy;
+  if (override || entry || !LOCAL_NETWORKS.includes(networkName)) {
+    // Let resolveAddress report a missing address the usual way
+    return { address: resolveAddress(networkName, "Entropy"), mock: null };
+  }
+
+  const mock = await deployMockEntropy(ethers, options);
+  return { address: await mock.getAddress(), mock };
+}
+
+module.exports = {
+  LOCAL_NETWORKS,
+  MOCK_PROVIDER,
+  toRandomNumber,
+  createEntropyMock,
+  deployMockEntropy,
+  resolveEntropy,
+};
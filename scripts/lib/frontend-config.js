@@ -0,0 +1,121 @@
+const fs = require("fs");
+const path = require("path");
+
+// Default .env template; placeholders are ${network}, ${chainId}, ${address.<Label>} and ${env.<VAR>}
+const DEFAULT_ENV_TEMPLATE = path.join(__dirname, "..", "templates", "frontend.env.template");
+
+const FORMATS = ["env", "json", "ts"];
+
+// Helper function to pick the output format from an explicit value or the file extension
+function getFormat(outputPath, format) {
+  if (format) {
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Unknown frontend config format "${format}" (expected one of ${FORMATS.join(", ")})`);
+    }
+    return format;
+  }
+
+  const extension = path.extname(outputPath).toLowerCase();
+  if (extension === ".json") return "json";
+  if (extension === ".ts") return "ts";
+  return "env";
+}
+
+// Helper function to turn a contract label into a constant name (GameMaster -> GAME_MASTER)
+function toConstantName(label) {
+  return label.replace(/([a-z0-9])([A-Z])/g, "$1_$2").toUpperCase();
+}
+
+/**
+ * Render the .env template. Every placeholder must resolve: a missing address or
+ * environment variable is an error rather than an empty value in the frontend.
+ */
+function renderEnv({ network, chainId, contracts, templatePath = DEFAULT_ENV_TEMPLATE, env = process.env }) {
+  const template = fs.readFileSync(templatePath, "utf8");
+  const missing = [];
+
+  const output = template.replace(/\$\{([A-Za-z0-9_.]+)\}/g, (placeholder, key) => {
+    if (key === "network") return network;
+    if (key === "chainId") return String(chainId);
+
+    const [scope, name] = key.split(".");
+    let value;
+    if (scope === "address") {
+      value = contracts[name] && contracts[name].address;
+    } else if (scope === "env") {
+      value = env[name];
+    }
+
+    if (value === undefined || value === "") {
+      missing.push(key);
+      return placeholder;
+    }
+    return value;
+  });
+
+  if (missing.length > 0) {
+    throw new Error(`Cannot render ${templatePath}, missing values for: ${missing.join(", ")}`);
+  }
+  return output;
+}
+
+// Helper function to render the addresses as JSON
+function renderJson({ network, chainId, contracts }) {
+  const addresses = {};
+  for (const [label, entry] of Object.entries(contracts)) {
+    addresses[label] = entry.address;
+  }
+  return JSON.stringify({ network, chainId, contracts: addresses }, null, 2) + "\n";
+}
+
+// Helper function to render a TypeScript module with an address and ABI constant per contract
+async function renderTs({ network, chainId, contracts, artifacts }) {
+  const lines = [
+    `// Generated by scripts/export-frontend-config.js for ${network}. Do not edit by hand.`,
+    "",
+    `export const CHAIN_ID = ${chainId} as const;`,
+  ];
+
+  for (const [label, entry] of Object.entries(contracts)) {
+    const { abi } = await artifacts.readArtifact(entry.contract);
+    const constant = toConstantName(label);
+    lines.push(
+      "",
+      `export const ${constant}_ADDRESS = "${entry.address}" as const;`,
+      `export const ${constant}_ABI = ${JSON.stringify(abi, null, 2)} as const;`
+    );
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Render the frontend config for a set of contracts ({ Label: { contract, address } })
+ * and write it to outputPath. Returns the format that was written.
+ */
+async function exportFrontendConfig({ network, chainId, contracts, outputPath, format, templatePath, artifacts }) {
+  const resolvedFormat = getFormat(outputPath, format);
+  const options = { network, chainId, contracts, templatePath, artifacts };
+
+  let content;
+  if (resolvedFormat === "json") {
+    content = renderJson(options);
+  } else if (resolvedFormat === "ts") {
+    content = await renderTs(options);
+  } else {
+    content = renderEnv(options);
+  }
+
+  fs.mkdirSync(path.dirname(path.resolve(outputPath)), { recursive: true });
+  fs.writeFileSync(outputPath, content);
+  return resolvedFormat;
+}
+
+module.exports = {
+  DEFAULT_ENV_TEMPLATE,
+  FORMATS,
+  renderEnv,
+  renderJson,
+  renderTs,
+  exportFrontendConfig,
+};
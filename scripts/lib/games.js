@@ -0,0 +1,108 @@
+// Helpers for reading game instances through the shared IGame interface.
+
+// Mirrors the GameState enum in contracts/interfaces/IGame.sol
+const GameState = {
+  NotInitialized: 0,
+  Pregame: 1,
+  Active: 2,
+  Waiting: 3,
+  Completed: 4,
+};
+
+const GAME_STATE_NAMES = Object.keys(GameState);
+
+// Helper function to attach to a game registered with GameMaster
+async function getGameContract(ethers, gameMaster, name) {
+  const address = await gameMaster.gameAddresses(name);
+  if (address === ethers.ZeroAddress) {
+    throw new Error(`${name} is not registered with GameMaster`);
+  }
+  return ethers.getContractAt("IGame", address);
+}
+
+/**
+ * Read the instances of a game with an ID above `afterGameId`.
+ * Games keep every instance they ever created, so callers track where the current round starts.
+ */
+async function getInstances(game, afterGameId = 0) {
+  const instances = await game.getGames();
+  return instances
+    .filter((instance) => Number(instance.gameId) > afterGameId)
+    .map((instance) => ({
+      gameId: Number(instance.gameId),
+      state: Number(instance.state),
+      currentRound: Number(instance.currentRound),
+      activePlayerCount: Number(instance.activePlayerCount),
+    }));
+}
+
+// Helper function to get the highest instance ID a game has created so far
+async function getLastGameId(game) {
+  const instances = await game.getGames();
+  return instances.reduce((max, instance) => Math.max(max, Number(instance.gameId)), 0);
+}
+
+/**
+ * Read the current round deadline of an instance. Games with commit/reveal phases expose
+ * getRoundEndTime; every game reports the same value through getGameInfo.
+ */
+async function getRoundEndTime(game, gameId) {
+  if (game.interface.hasFunction("getRoundEndTime")) {
+    return Number(await game.getRoundEndTime(gameId));
+  }
+  const info = await game.getGameInfo(gameId);
+  return Number(info.roundEndTime);
+}
+
+/**
+ * Find the active instances whose round deadline has passed at `timestamp`,
+ * and the earliest deadline still ahead (null if none).
+ */
+async function getDeadlines(game, instances, timestamp) {
+  const expired = [];
+  let nextDeadline = null;
+
+  for (const instance of instances) {
+    if (instance.state !== GameState.Active) continue;
+
+    const roundEndTime = await getRoundEndTime(game, instance.gameId);
+    // endExpiredGames only acts once block.timestamp > roundEndTime
+    if (timestamp > roundEndTime) {
+      expired.push({ ...instance, roundEndTime });
+    } else if (nextDeadline === null || roundEndTime < nextDeadline) {
+      nextDeadline = roundEndTime;
+    }
+  }
+
+  return { expired, nextDeadline };
+}
+
+/**
+ * Compute Doors' roll for a player opening a door: keccak256(blockhash(n - 1), timestamp,
+ * player, round, gameId, doors) is even. Given the block the call will be mined in, this
+ * tells in advance whether the door opens or the player is eliminated.
+ */
+function isDoorOpen(ethers, { parentHash, timestamp, player, round, gameId, doors }) {
+  const random = ethers.solidityPackedKeccak256(
+    ["bytes32", "uint256", "address", "uint256", "uint256", "address"],
+    [parentHash, timestamp, player, round, gameId, doors]
+  );
+  return BigInt(random) % 2n === 0n;
+}
+
+// Helper function to format an instance for logs
+function describeInstance(instance) {
+  return `#${instance.gameId} ${GAME_STATE_NAMES[instance.state]} round ${instance.currentRound}, ${instance.activePlayerCount} active`;
+}
+
+module.exports = {
+  GameState,
+  GAME_STATE_NAMES,
+  getGameContract,
+  getInstances,
+  getLastGameId,
+  getRoundEndTime,
+  getDeadlines,
+  isDoorOpen,
+  describeInstance,
+};
@@ -0,0 +1,119 @@
+// Gas report helpers for scripts/benchmark-gas.js: collect gas per action, save and load
+// JSON baselines, and compare a run against a baseline.
+const fs = require("fs");
+const path = require("path");
+
+const REPORT_VERSION = 1;
+
+// Helper function to format a gas amount
+function formatGas(gas) {
+  return Math.round(Number(gas)).toLocaleString("en-US");
+}
+
+/**
+ * Collects gas samples per action. Actions keep the order they were first recorded in, so
+ * reports read in the order the benchmark runs them.
+ */
+function createGasRecorder() {
+  const samples = new Map();
+  const notes = new Map();
+
+  return {
+    // Record one transaction's gas under `action`; `note` describes what the measured call did
+    record(action, gasUsed, note) {
+      if (!samples.has(action)) samples.set(action, []);
+      samples.get(action).push(Number(gasUsed));
+      if (note) notes.set(action, note);
+    },
+
+    // Summaries per action: call count, min, mean and max gas
+    summarize() {
+      const actions = {};
+      for (const [action, values] of samples) {
+        actions[action] = {
+          count: values.length,
+          min: Math.min(...values),
+          mean: Math.round(values.reduce((a, b) => a + b, 0) / values.length),
+          max: Math.max(...values),
+          ...(notes.has(action) ? { note: notes.get(action) } : {}),
+        };
+      }
+      return actions;
+    },
+  };
+}
+
+// Helper function to build the report saved as a baseline
+function createReport({ network, players, blockGasLimit, actions }) {
+  return {
+    version: REPORT_VERSION,
+    network,
+    players,
+    blockGasLimit: blockGasLimit === null ? null : Number(blockGasLimit),
+    actions,
+  };
+}
+
+function saveReport(file, report) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(report, null, 2) + "\n");
+}
+
+// Helper function to load a saved report, or null when the file does not exist
+function loadReport(file) {
+  if (!fs.existsSync(file)) return null;
+  const report = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (report.version !== REPORT_VERSION || !report.actions) {
+    throw new Error(`${file} is not a version ${REPORT_VERSION} gas report`);
+  }
+  return report;
+}
+
+/**
+ * Compare a run with a baseline. An action regresses when its mean or max gas grows by more
+ * than `thresholdPercent` over the baseline; improvements use the same threshold. Actions
+ * only one side measured are listed as added or removed.
+ */
+function compareReports(baseline, current, thresholdPercent) {
+  if (baseline.players !== current.players) {
+    throw new Error(`The baseline was recorded with ${baseline.players} players, this run used ${current.players}`);
+  }
+
+  const limit = 1 + thresholdPercent / 100;
+  const regressions = [];
+  const improvements = [];
+  for (const [action, now] of Object.entries(current.actions)) {
+    const before = baseline.actions[action];
+    if (!before) continue;
+
+    for (const stat of ["mean", "max"]) {
+      const change = { action, stat, before: before[stat], after: now[stat], percent: ((now[stat] - before[stat]) / before[stat]) * 100 };
+      if (now[stat] > before[stat] * limit) regressions.push(change);
+      else if (now[stat] * limit < before[stat]) improvements.push(change);
+    }
+  }
+
+  return {
+    regressions,
+    improvements,
+    added: Object.keys(current.actions).filter((action) => !baseline.actions[action]),
+    removed: Object.keys(baseline.actions).filter((action) => !current.actions[action]),
+  };
+}
+
+// Helper function to list actions whose most expensive call does not fit in a block
+function findOverBlockLimit(actions, blockGasLimit) {
+  return Object.entries(actions)
+    .filter(([, stats]) => BigInt(stats.max) > BigInt(blockGasLimit))
+    .map(([action, stats]) => ({ action, max: stats.max }));
+}
+
+module.exports = {
+  formatGas,
+  createGasRecorder,
+  createReport,
+  saveReport,
+  loadReport,
+  compareReports,
+  findOverBlockLimit,
+};
@@ -0,0 +1,97 @@
+// Append-only JSON-lines journal for scripts that must not repeat transactions after a crash.
+const fs = require("fs");
+const { waitForReceipt } = require("./tx");
+
+// Helper function to read every entry; a torn final line from a crash mid-write is ignored
+function readJournal(journalPath) {
+  if (!fs.existsSync(journalPath)) {
+    return [];
+  }
+  const lines = fs.readFileSync(journalPath, "utf8").split("\n").filter((line) => line.trim() !== "");
+  const entries = [];
+  lines.forEach((line, index) => {
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      if (index !== lines.length - 1) {
+        throw new Error(`${journalPath} line ${index + 1} is not valid JSON: ${error.message}`);
+      }
+    }
+  });
+  return entries;
+}
+
+/**
+ * Open (or create) a journal. Entries are only ever appended, one JSON object per line,
+ * and written synchronously so they survive the process being killed right afterwards.
+ */
+function createJournal(journalPath) {
+  const entries = readJournal(journalPath);
+
+  function append(type, data = {}) {
+    const entry = { type, at: new Date().toISOString(), ...data };
+    fs.appendFileSync(journalPath, JSON.stringify(entry) + "\n");
+    entries.push(entry);
+    return entry;
+  }
+
+  // Record the outcome of a transaction previously journaled as "sent"
+  function recordReceipt(receipt) {
+    return append("receipt", {
+      hash: receipt.hash,
+      status: receipt.status,
+      blockNumber: receipt.blockNumber,
+    });
+  }
+
+  // Transactions that were sent but whose receipt was never recorded
+  function pendingTransactions() {
+    const settled = new Set(entries.filter((e) => e.type === "receipt").map((e) => e.hash));
+    return entries.filter((e) => e.type === "sent" && !settled.has(e.hash));
+  }
+
+  return { path: journalPath, entries, append, recordReceipt, pendingTransactions };
+}
+
+/**
+ * Settle the transactions a previous run journaled as "sent" but never saw mined, then make
+ * sure `account` has nothing else in the mempool: a transaction landing after the caller has
+ * worked out what is still missing would be applied twice.
+ * Entries journaled with their signed `raw` transaction before it was broadcast are re-sent
+ * when the node has never seen them, unless their nonce has been used since.
+ */
+async function settlePendingTransactions(provider, journal, account, { log = console.log } = {}) {
+  for (const entry of journal.pendingTransactions()) {
+    if (entry.raw && !(await provider.getTransaction(entry.hash))) {
+      if ((await provider.getTransactionCount(account, "latest")) > entry.nonce) {
+        log(`- ${entry.hash} was never broadcast, and its nonce has been used since`);
+        continue;
+      }
+      await provider.broadcastTransaction(entry.raw);
+      log(`Re-sent ${entry.hash}, which the previous run signed but may not have broadcast`);
+    }
+    log(`Waiting for ${entry.method ? `${entry.method} ` : ""}${entry.hash} from the previous run...`);
+    const receipt = await waitForReceipt(provider, entry.hash);
+    if (receipt) {
+      journal.recordReceipt(receipt);
+      log(`✓ ${entry.hash} ${receipt.status === 1 ? "succeeded" : "reverted"} in block ${receipt.blockNumber}`);
+    } else {
+      log(`- ${entry.hash} was never mined`);
+    }
+  }
+
+  const mined = await provider.getTransactionCount(account, "latest");
+  const pending = await provider.getTransactionCount(account, "pending");
+  if (pending > mined) {
+    throw new Error(
+      `${pending - mined} transactions from ${account} are still pending. ` +
+      "Wait until they are mined or dropped, then re-run."
+    );
+  }
+}
+
+module.exports = {
+  readJournal,
+  createJournal,
+  settlePendingTransactions,
+};
@@ -0,0 +1,157 @@
+// Keeper that ends game rounds as soon as their deadline passes.
+const { GameState, getInstances, getRoundEndTime } = require("./games");
+const { sendWithGasBump } = require("./tx");
+
+// Events that announce a new round deadline (Equilibrium's single round starts with GameStarted)
+const DEADLINE_EVENTS = ["RoundStarted", "GameStarted"];
+
+// Helper function to attach to a registered game with its own ABI, so its events can be decoded
+async function attachGame(ethers, name, address, signer) {
+  try {
+    return await ethers.getContractAt(name, address, signer);
+  } catch {
+    return ethers.getContractAt("IGame", address, signer);
+  }
+}
+
+/**
+ * Create a keeper for every game registered with `gameMaster`.
+ *
+ * The keeper tracks the deadline of each active instance, refreshed from RoundStarted/GameStarted
+ * events and periodic full syncs, and calls GameMaster.endExpiredGames(name) once the chain time
+ * is past a deadline. `tick()` and `sync()` can be driven directly (e.g. from tests); `start()`
+ * runs them on timers until `stop()`.
+ */
+function createKeeper(ethers, gameMaster, signer, options = {}) {
+  const {
+    pollMs = 5_000,
+    resyncMs = 60_000,
+    tx = {},
+    log = console.log,
+  } = options;
+  const games = new Map();
+  const deadlines = new Map();
+  const timers = [];
+  let running = null;
+  let listening = false;
+
+  // Refresh the deadlines of one game from chain state
+  async function refreshGame(name) {
+    const game = games.get(name);
+    const instances = await getInstances(game);
+    for (const instance of instances) {
+      const key = `${name}#${instance.gameId}`;
+      if (instance.state !== GameState.Active) {
+        deadlines.delete(key);
+        continue;
+      }
+      const endTime = await getRoundEndTime(game, instance.gameId);
+      const previous = deadlines.get(key);
+      if (!previous || previous.endTime !== endTime) {
+        log(`⏱  ${key} round ${instance.currentRound} ends at ${new Date(endTime * 1000).toISOString()}`);
+      }
+      deadlines.set(key, { name, gameId: instance.gameId, endTime });
+    }
+  }
+
+  // Pick up newly registered games and re-read every deadline
+  async function sync() {
+    const [names] = await gameMaster.getGames();
+    for (const name of names) {
+      if (!games.has(name)) {
+        const address = await gameMaster.gameAddresses(name);
+        games.set(name, await attachGame(ethers, name, address, signer));
+        log(`Watching ${name} at ${address}`);
+        if (listening) await subscribe(name);
+      }
+      await refreshGame(name);
+    }
+  }
+
+  // Chain time as the next block will see it: never earlier than the latest block
+  async function getChainTime() {
+    const block = await ethers.provider.getBlock("latest");
+    return Math.max(block.timestamp, Math.floor(Date.now() / 1000));
+  }
+
+  // End every game with a lapsed deadline; returns the names of the games that were ended
+  async function tick() {
+    const now = await getChainTime();
+    const expired = new Set();
+    for (const deadline of deadlines.values()) {
+      // endExpiredGames only acts once block.timestamp > roundEndTime
+      if (now > deadline.endTime) {
+        expired.add(deadline.name);
+      }
+    }
+
+    const ended = [];
+    for (const name of expired) {
+      log(`⏰ ${name} round expired, calling endExpiredGames`);
+      try {
+        const request = await gameMaster.endExpiredGames.populateTransaction(name);
+        const receipt = await sendWithGasBump(signer, request, {
+          ...tx,
+          log: (message) => log(`   ${name}: ${message}`),
+        });
+        log(`✓ ${name}: endExpiredGames mined in block ${receipt.blockNumber} (gas ${receipt.gasUsed})`);
+        ended.push(name);
+      } catch (error) {
+        log(`❌ ${name}: endExpiredGames failed: ${error.shortMessage || error.message}`);
+      }
+      await refreshGame(name);
+    }
+    return ended;
+  }
+
+  // Run one job at a time, so a slow transaction never overlaps the next tick
+  function schedule(job, ms) {
+    const timer = setInterval(() => {
+      if (running) return;
+      running = job()
+        .catch((error) => log(`❌ ${error.shortMessage || error.message}`))
+        .finally(() => {
+          running = null;
+        });
+    }, ms);
+    timers.push(timer);
+  }
+
+  // A new round was announced; re-read it rather than trusting each game's event layout
+  async function subscribe(name) {
+    const game = games.get(name);
+    const onDeadline = () => {
+      refreshGame(name).catch((error) => log(`❌ ${name}: ${error.shortMessage || error.message}`));
+    };
+    for (const event of DEADLINE_EVENTS) {
+      if (game.interface.getEvent(event)) {
+        await game.on(event, onDeadline);
+      }
+    }
+  }
+
+  async function start() {
+    await sync();
+    for (const name of games.keys()) {
+      await subscribe(name);
+    }
+    listening = true;
+    schedule(tick, pollMs);
+    schedule(sync, resyncMs);
+  }
+
+  async function stop() {
+    listening = false;
+    timers.splice(0).forEach(clearInterval);
+    for (const game of games.values()) {
+      await game.removeAllListeners();
+    }
+    if (running) await running;
+  }
+
+  return { start, stop, sync, tick, deadlines };
+}
+
+module.exports = {
+  createKeeper,
+};
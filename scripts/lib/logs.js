@@ -0,0 +1,37 @@
+// Helpers for scripts that scan chain history.
+
+/**
+ * Find the block a contract was deployed in by binary search over eth_getCode.
+ * Needs an archive node; set the start block explicitly when the RPC cannot serve old state.
+ */
+async function findDeployBlock(provider, address, latest) {
+  let low = 0;
+  let high = latest;
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    const code = await provider.getCode(address, mid);
+    if (code === "0x") {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+// Helper function to fetch logs, halving the block range when the RPC refuses a large one
+async function getLogsChunked(provider, filter, fromBlock, toBlock) {
+  try {
+    return await provider.getLogs({ ...filter, fromBlock, toBlock });
+  } catch (error) {
+    if (fromBlock === toBlock) throw error;
+    const mid = Math.floor((fromBlock + toBlock) / 2);
+    const first = await getLogsChunked(provider, filter, fromBlock, mid);
+    return first.concat(await getLogsChunked(provider, filter, mid + 1, toBlock));
+  }
+}
+
+module.exports = {
+  findDeployBlock,
+  getLogsChunked,
+};
@@ -0,0 +1,149 @@
+const fs = require("fs");
+const path = require("path");
+const { FORMATS } = require("./frontend-config");
+
+// Directory holding one deployment manifest per network (manifests/<network>.json)
+const MANIFEST_DIR = path.join(__dirname, "..", "..", "manifests");
+
+// Helper function to resolve the manifest path for a network
+function getManifestPath(networkName) {
+  if (process.env.DEPLOY_MANIFEST) {
+    return path.resolve(process.env.DEPLOY_MANIFEST);
+  }
+  return path.join(MANIFEST_DIR, `${networkName}.json`);
+}
+
+// Helper function to validate the manifest structure before anything is sent
+function validateManifest(manifest, manifestPath) {
+  const fail = (message) => {
+    throw new Error(`Invalid manifest ${manifestPath}: ${message}`);
+  };
+
+  if (!manifest.contracts || typeof manifest.contracts !== "object") {
+    fail("missing \"contracts\" section");
+  }
+
+  const labels = Object.keys(manifest.contracts);
+  labels.forEach((label, index) => {
+    const entry = manifest.contracts[label];
+    const hasAddress = typeof entry.address === "string";
+    const sources = [hasAddress, Boolean(entry.deploy), Boolean(entry.fromRegistry)];
+
+    if (sources.filter(Boolean).length !== 1) {
+      fail(`${label} must set exactly one of "deploy", "address" or "fromRegistry"`);
+    }
+    if (hasAddress && !/^0x[0-9a-fA-F]{40}$/.test(entry.address)) {
+      fail(`${label} has an invalid address ${entry.address}`);
+    }
+    if (entry.contract !== undefined && typeof entry.contract !== "string") {
+      fail(`${label} has an invalid "contract" name`);
+    }
+    // Third-party contracts (e.g. Pyth's Entropy) are used but never administered by the project
+    if (entry.external !== undefined && typeof entry.external !== "boolean") {
+      fail(`${label} has an invalid "external" flag`);
+    }
+    if (entry.external && entry.deploy) {
+      fail(`${label} cannot be both deployed and external`);
+    }
+
+    // Constructor arguments may only reference contracts listed before this one
+    for (const arg of entry.args || []) {
+      if (typeof arg === "string" && arg.startsWith("$")) {
+        const ref = arg.slice(1);
+        const refIndex = labels.indexOf(ref);
+        if (refIndex === -1 || refIndex >= index) {
+          fail(`${label} references ${arg}, which must be listed before it`);
+        }
+      }
+    }
+  });
+
+  // Wiring steps look up the core contracts by their conventional labels
+  if ((manifest.games || []).length > 0 && !manifest.contracts.GameMaster) {
+    fail("\"games\" requires a GameMaster entry under \"contracts\"");
+  }
+  if ((manifest.authorizedContracts || []).length > 0 && !manifest.contracts.Points) {
+    fail("\"authorizedContracts\" requires a Points entry under \"contracts\"");
+  }
+
+  for (const game of manifest.games || []) {
+    if (!manifest.contracts[game]) {
+      fail(`game ${game} is not listed under "contracts"`);
+    }
+  }
+
+  for (const label of manifest.authorizedContracts || []) {
+    if (!manifest.contracts[label]) {
+      fail(`authorized contract ${label} is not listed under "contracts"`);
+    }
+  }
+
+  if (Array.isArray(manifest.registerMe)) {
+    for (const label of manifest.registerMe) {
+      if (!manifest.contracts[label]) {
+        fail(`registerMe target ${label} is not listed under "contracts"`);
+      }
+    }
+  }
+
+  // Manifests are committed, so seed player keys are read from SEED_PLAYER_KEYS instead
+  if (manifest.seed && manifest.seed.playerKeys !== undefined) {
+    fail("seed.playerKeys must not be committed; set SEED_PLAYER_KEYS in the environment instead");
+  }
+
+  if (manifest.frontendConfig !== undefined) {
+    const { format } = manifest.frontendConfig;
+    if (format !== undefined && !FORMATS.includes(format)) {
+      fail(`frontendConfig.format must be one of ${FORMATS.join(", ")}`);
+    }
+  }
+
+  return manifest;
+}
+
+/**
+ * Load and validate the deployment manifest for a network.
+ * DEPLOY_MANIFEST overrides the default manifests/<network>.json location.
+ */
+function loadManifest(networkName) {
+  const manifestPath = getManifestPath(networkName);
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(`No deployment manifest found at ${manifestPath}`);
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  validateManifest(manifest, manifestPath);
+
+  return { manifest, manifestPath };
+}
+
+// Helper function to list the contracts that should call registerMe
+function getRegisterMeTargets(manifest) {
+  if (manifest.registerMe === true) {
+    return Object.keys(manifest.contracts);
+  }
+  return Array.isArray(manifest.registerMe) ? manifest.registerMe : [];
+}
+
+// Helper function to get the artifact name for a manifest entry (defaults to its label)
+function getContractName(manifest, label) {
+  return manifest.contracts[label].contract || label;
+}
+
+// Helper function to replace "$Label" constructor arguments with deployed addresses
+function resolveArgs(args = [], addresses) {
+  return args.map((arg) => {
+    if (typeof arg === "string" && arg.startsWith("$")) {
+      return addresses[arg.slice(1)];
+    }
+    return arg;
+  });
+}
+
+module.exports = {
+  MANIFEST_DIR,
+  loadManifest,
+  getContractName,
+  getRegisterMeTargets,
+  resolveArgs,
+};
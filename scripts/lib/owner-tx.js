@@ -0,0 +1,146 @@
+const fs = require("fs");
+const path = require("path");
+
+// Owner-only transactions either go out live from the signer, or (with SAFE_EXPORT set)
+// are collected into an unsigned Safe Transaction Builder batch for the owning Safe.
+//
+//   SAFE_EXPORT=path/to/batch.json  write the batch here instead of sending
+//   SAFE_ADDRESS=0x...              the Safe that owns the contracts (required with SAFE_EXPORT)
+
+// Helper function to compare addresses
+function sameAddress(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+// Helper function to convert an argument into the string form the Transaction Builder expects
+function toBuilderValue(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return JSON.stringify(value, (_, v) => (typeof v === "bigint" ? v.toString() : v));
+  return String(value);
+}
+
+/**
+ * Build a single Transaction Builder entry. Calldata is encoded from the contract's ABI;
+ * the method and inputs are included so the batch is readable in the Safe UI.
+ */
+function buildSafeTransaction(to, contractInterface, method, args = [], value = 0n) {
+  const fragment = contractInterface.getFunction(method);
+  const contractInputsValues = {};
+  fragment.inputs.forEach((input, index) => {
+    contractInputsValues[input.name || `arg${index}`] = toBuilderValue(args[index]);
+  });
+
+  return {
+    to,
+    value: value.toString(),
+    data: contractInterface.encodeFunctionData(fragment, args),
+    contractMethod: {
+      inputs: fragment.inputs.map((input, index) => ({
+        internalType: input.type,
+        name: input.name || `arg${index}`,
+        type: input.type,
+      })),
+      name: fragment.name,
+      payable: fragment.payable,
+    },
+    contractInputsValues,
+  };
+}
+
+// Helper function to wrap transactions in the Transaction Builder batch format
+function buildSafeBatch({ chainId, safeAddress, name, description = "", transactions }) {
+  return {
+    version: "1.0",
+    chainId: chainId.toString(),
+    createdAt: Date.now(),
+    meta: {
+      name,
+      description,
+      txBuilderVersion: "1.16.5",
+      createdFromSafeAddress: safeAddress,
+      createdFromOwnerAddress: "",
+    },
+    transactions,
+  };
+}
+
+/**
+ * Create a runner for owner-only calls.
+ * `actor` is the address that must own the target contracts: the signer when sending,
+ * the Safe when exporting. `submit` checks ownership before sending or recording a call.
+ * When sending, `onSent(tx)` runs before the receipt is awaited, so callers can journal the hash.
+ */
+function createOwnerTxRunner(ethers, signer, { name, description } = {}) {
+  const exportPath = process.env.SAFE_EXPORT;
+  const safeAddress = process.env.SAFE_ADDRESS;
+
+  if (exportPath && (!safeAddress || !ethers.isAddress(safeAddress))) {
+    throw new Error("SAFE_EXPORT requires SAFE_ADDRESS to be set to the owning Safe");
+  }
+
+  const mode = exportPath ? "export" : "send";
+  const actor = exportPath ? ethers.getAddress(safeAddress) : signer.address;
+  const transactions = [];
+
+  async function submit(contract, method, args = [], { value = 0n, label, onSent } = {}) {
+    const to = await contract.getAddress();
+    const subject = label || to;
+
+    if (contract.interface.hasFunction("owner")) {
+      const owner = await contract.owner();
+      if (!sameAddress(owner, actor)) {
+        throw new Error(`${subject} is owned by ${owner}, not by ${actor}`);
+      }
+    }
+
+    if (mode === "export") {
+      // Queued calls may depend on each other, so they are checked together by simulate-safe-batch.js
+      transactions.push(buildSafeTransaction(to, contract.interface, method, args, value));
+      console.log(`📝 Queued ${subject}.${method}(${args.map(toBuilderValue).join(", ")}) for the Safe`);
+      return null;
+    }
+
+    // Non-payable methods reject a value override, even a zero one
+    const overrides = value > 0n ? { value } : {};
+    const tx = await contract.connect(signer)[method](...args, overrides);
+    if (onSent) {
+      await onSent(tx);
+    }
+    const receipt = await tx.wait();
+    console.log(`✓ ${subject}.${method} sent (${tx.hash})`);
+    return receipt;
+  }
+
+  async function finish() {
+    if (mode !== "export") {
+      return null;
+    }
+    if (transactions.length === 0) {
+      console.log("\nNothing to export: no owner transactions were queued");
+      return null;
+    }
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const batch = buildSafeBatch({
+      chainId,
+      safeAddress: actor,
+      name: name || "Owner actions",
+      description,
+      transactions,
+    });
+
+    fs.mkdirSync(path.dirname(path.resolve(exportPath)), { recursive: true });
+    fs.writeFileSync(exportPath, JSON.stringify(batch, null, 2) + "\n");
+    console.log(`\n📦 Wrote ${transactions.length} transactions for Safe ${actor} to ${exportPath}`);
+    console.log("Load it in the Safe Transaction Builder, or check it with scripts/simulate-safe-batch.js");
+    return exportPath;
+  }
+
+  return { mode, actor, submit, finish, transactions };
+}
+
+module.exports = {
+  buildSafeTransaction,
+  buildSafeBatch,
+  createOwnerTxRunner,
+};
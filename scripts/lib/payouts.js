@@ -0,0 +1,243 @@
+// Prize tables and signed payout plans for end-of-season distributions.
+const fs = require("fs");
+const { groupStandings } = require("./standings");
+
+const PLAN_VERSION = 1;
+const PAY_FROM = ["signer", "contract"];
+
+// Helper function to parse "3" or "2-6" into an inclusive placement range
+function parsePlaces(places) {
+  const match = String(places).match(/^\s*(\d+)\s*(?:-\s*(\d+))?\s*$/);
+  if (!match) {
+    throw new Error(`Invalid places "${places}" (expected e.g. "1" or "2-6")`);
+  }
+  const from = Number(match[1]);
+  const to = match[2] === undefined ? from : Number(match[2]);
+  if (from < 1 || to < from) {
+    throw new Error(`Invalid places "${places}"`);
+  }
+  return { from, to };
+}
+
+/**
+ * Load and validate a prize table:
+ *
+ *   {
+ *     "season": "season-3",
+ *     "payFrom": "signer",            // or "contract" to pay from GameMaster's balance
+ *     "pot": "500",                   // S; optional, defaults to GameMaster's balance
+ *     "prizes": [
+ *       { "places": "1", "amount": "275", "skip": true, "note": "Paid separately" },
+ *       { "places": "2-6", "amount": "50" },
+ *       { "places": "7-9", "percent": "2.5" }
+ *     ]
+ *   }
+ *
+ * Each tier pays every placement in its range either a fixed `amount` of S or a
+ * `percent` of the pot. Tiers marked `skip` stay in the plan but are never paid.
+ */
+function loadPrizeTable(tablePath) {
+  const table = JSON.parse(fs.readFileSync(tablePath, "utf8"));
+  if (!table.season) {
+    throw new Error(`${tablePath}: "season" is required`);
+  }
+  table.payFrom = table.payFrom || "signer";
+  if (!PAY_FROM.includes(table.payFrom)) {
+    throw new Error(`${tablePath}: "payFrom" must be one of ${PAY_FROM.join(", ")}`);
+  }
+  if (!Array.isArray(table.prizes) || table.prizes.length === 0) {
+    throw new Error(`${tablePath}: "prizes" must list at least one tier`);
+  }
+
+  const tiers = table.prizes.map((prize, index) => {
+    if ((prize.amount === undefined) === (prize.percent === undefined)) {
+      throw new Error(`${tablePath}: prize ${index} needs exactly one of "amount" or "percent"`);
+    }
+    return { ...prize, ...parsePlaces(prize.places) };
+  });
+  tiers.sort((a, b) => a.from - b.from);
+  for (let i = 1; i < tiers.length; i++) {
+    if (tiers[i].from <= tiers[i - 1].to) {
+      throw new Error(`${tablePath}: places "${tiers[i - 1].places}" and "${tiers[i].places}" overlap`);
+    }
+  }
+  return { ...table, tiers };
+}
+
+// Helper function to work out one tier's prize in wei
+function getTierAmount(ethers, tier, pot) {
+  if (tier.amount !== undefined) {
+    return ethers.parseEther(String(tier.amount));
+  }
+  if (pot === null) {
+    throw new Error(`Places "${tier.places}" pay a percentage, which needs a pot`);
+  }
+  // Percentages may have up to two decimals (basis points)
+  return (pot * ethers.parseUnits(String(tier.percent), 2)) / 10_000n;
+}
+
+/**
+ * Price the standings with the prize tiers. Tied players split the prizes of every slot
+ * their group covers evenly (a remainder below one wei per player stays unpaid). Slots in
+ * `skip` tiers are left out of the split; a group whose slots are all skipped is listed
+ * with its share but marked `skip`.
+ */
+function buildPayments(ethers, table, standings, pot) {
+  const payments = [];
+  for (const group of groupStandings(standings)) {
+    let shared = 0n;
+    let skipped = 0n;
+    const notes = new Set();
+    for (let slot = group.slots.from; slot <= group.slots.to; slot++) {
+      const tier = table.tiers.find((t) => slot >= t.from && slot <= t.to);
+      if (!tier) continue;
+      const amount = getTierAmount(ethers, tier, pot);
+      if (tier.skip) {
+        skipped += amount;
+      } else {
+        shared += amount;
+      }
+      if (tier.note) notes.add(tier.note);
+    }
+    if (shared === 0n && skipped === 0n) continue;
+
+    const skip = shared === 0n;
+    const share = (skip ? skipped : shared) / BigInt(group.players.length);
+    const slots = group.tied ? `${group.slots.from}-${group.slots.to}` : String(group.slots.from);
+    for (const player of group.players) {
+      payments.push({
+        recipient: player.address,
+        placement: group.placement,
+        slots,
+        ...(group.tied ? { tiedWith: group.players.length } : {}),
+        amount: share.toString(),
+        skip,
+        ...(notes.size > 0 ? { note: [...notes].join("; ") } : {}),
+      });
+    }
+  }
+  return payments;
+}
+
+// Payments that will actually be sent
+function getPayable(plan) {
+  return plan.payments.filter((payment) => !payment.skip);
+}
+
+/**
+ * The plan id commits to everything that decides where money goes, so an approval
+ * covers exactly these payments and nothing edited afterwards. GameMaster.payPrizes
+ * also uses it to remember who has been paid.
+ */
+function computePlanId(ethers, plan) {
+  const payable = getPayable(plan);
+  return ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(
+      ["uint256", "address", "string", "string", "address[]", "uint256[]"],
+      [
+        plan.chainId,
+        plan.gameMaster,
+        plan.season,
+        plan.payFrom,
+        payable.map((payment) => payment.recipient),
+        payable.map((payment) => payment.amount),
+      ]
+    )
+  );
+}
+
+// Helper function to build a plan from the table and the current standings
+function createPlan(ethers, { table, standings, pot, chainId, gameMaster, network, blockNumber }) {
+  const plan = {
+    version: PLAN_VERSION,
+    season: table.season,
+    network,
+    chainId: chainId.toString(),
+    gameMaster,
+    payFrom: table.payFrom,
+    blockNumber,
+    createdAt: new Date().toISOString(),
+    pot: pot === null ? null : pot.toString(),
+    prizes: table.prizes,
+    payments: buildPayments(ethers, table, standings, pot),
+  };
+  plan.total = getPayable(plan).reduce((sum, payment) => sum + BigInt(payment.amount), 0n).toString();
+  plan.planId = computePlanId(ethers, plan);
+  plan.approvals = [];
+  return plan;
+}
+
+// Helper function to sign off a plan with `signer`
+async function approvePlan(ethers, plan, signer) {
+  const signature = await signer.signMessage(ethers.getBytes(plan.planId));
+  plan.approvals = plan.approvals.filter((a) => a.signer.toLowerCase() !== signer.address.toLowerCase());
+  plan.approvals.push({ signer: signer.address, signature, at: new Date().toISOString() });
+  return plan;
+}
+
+// Helper function to reject a plan whose payments no longer match its id
+function assertPlanUnchanged(ethers, plan) {
+  if (plan.version !== PLAN_VERSION) {
+    throw new Error(`Unsupported payout plan version ${plan.version}`);
+  }
+  if (computePlanId(ethers, plan) !== plan.planId) {
+    throw new Error("Payout plan was edited after it was created; create and approve it again");
+  }
+}
+
+/**
+ * Check that a plan is unchanged since it was created and signed off by at least one of
+ * `approvers` (any signer when the list is empty). Returns the addresses whose approvals are valid.
+ */
+function verifyPlan(ethers, plan, approvers = []) {
+  assertPlanUnchanged(ethers, plan);
+
+  const allowed = approvers.map((address) => address.toLowerCase());
+  const valid = plan.approvals
+    .filter((approval) => {
+      const recovered = ethers.verifyMessage(ethers.getBytes(plan.planId), approval.signature);
+      return recovered.toLowerCase() === approval.signer.toLowerCase();
+    })
+    .map((approval) => approval.signer)
+    .filter((address) => allowed.length === 0 || allowed.includes(address.toLowerCase()));
+
+  if (valid.length === 0) {
+    throw new Error(
+      allowed.length > 0
+        ? `Payout plan has no valid approval from ${approvers.join(", ")}`
+        : "Payout plan has not been approved"
+    );
+  }
+  return valid;
+}
+
+// Helper function to read a plan file
+function readPlan(planPath) {
+  return JSON.parse(fs.readFileSync(planPath, "utf8"));
+}
+
+// Helper function to write a plan file
+function writePlan(planPath, plan) {
+  fs.writeFileSync(planPath, JSON.stringify(plan, null, 2) + "\n");
+}
+
+// Receipts ledger kept next to the plan (season-3-sonic.plan.json -> season-3-sonic.receipts.jsonl)
+function getLedgerPath(planPath) {
+  return planPath.replace(/(\.plan)?\.json$/, "") + ".receipts.jsonl";
+}
+
+module.exports = {
+  PLAN_VERSION,
+  parsePlaces,
+  loadPrizeTable,
+  buildPayments,
+  getPayable,
+  computePlanId,
+  createPlan,
+  approvePlan,
+  assertPlanUnchanged,
+  verifyPlan,
+  readPlan,
+  writePlan,
+  getLedgerPath,
+};
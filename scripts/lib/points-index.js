@@ -0,0 +1,336 @@
+// Local SQLite index of Points events: per-address ledgers with the source of every credit.
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+const { getLogsChunked } = require("./logs");
+
+// Bump when the schema changes; older index files must be rebuilt
+const INDEX_VERSION = 1;
+
+const INDEXED_EVENTS = [
+  "PointsAwarded",
+  "PointsAwardedByContract",
+  "ReferralUsed",
+  "ReferralCodeRegistered",
+  "ReferralPointsCashedOut",
+  "PointsImported",
+];
+
+// Points functions that emit PointsAwarded, and the ledger source they stand for
+const SOURCE_BY_FUNCTION = {
+  deposit: "deposit",
+  depositFor: "deposit",
+  assignPoints: "admin",
+  importPoints: "import",
+};
+
+// GameMaster registrations deposit part of the fee into Points for the player
+const GAME_MASTER_DEPOSITS = ["register()", "registerWithReferral(string)"];
+
+// Safe calls whose payload is unwrapped to find the Points or GameMaster call inside
+const SAFE_ABI = [
+  "function execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures)",
+  "function multiSend(bytes transactions)",
+];
+
+// Ledger sources:
+//   deposit   points bought with a deposit
+//   referral  bonus earned when someone deposits with your code (counterparty = depositor)
+//   admin     owner assignPoints
+//   import    owner importPoints during a migration
+//   payout    awardPointsForPayout from an authorized contract such as Climb (counterparty = contract)
+//   cashout   referral points cashed out for S (negative amount)
+//   other     PointsAwarded from a call the indexer could not attribute
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS ledger (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    address TEXT NOT NULL,
+    source TEXT NOT NULL,
+    amount INTEGER NOT NULL,
+    counterparty TEXT,
+    eth_amount TEXT,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS ledger_address ON ledger (address, block_number, log_index);
+  CREATE TABLE IF NOT EXISTS referral_codes (
+    code TEXT PRIMARY KEY,
+    owner TEXT NOT NULL,
+    block_number INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS referrals (
+    user TEXT PRIMARY KEY,
+    code TEXT NOT NULL,
+    referrer TEXT NOT NULL,
+    block_number INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS referrals_referrer ON referrals (referrer);
+`;
+
+/**
+ * Open (or create) the index for one Points contract. An existing file built for a
+ * different contract or chain is rejected rather than mixed with new events.
+ */
+function openIndex(dbPath, { contract, chainId }) {
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  const db = new Database(dbPath);
+  db.pragma("journal_mode = WAL");
+  db.exec(SCHEMA);
+
+  const meta = getMeta(db);
+  if (meta.contract === undefined) {
+    setMeta(db, { version: INDEX_VERSION, contract, chainId });
+  } else if (Number(meta.version) !== INDEX_VERSION) {
+    throw new Error(`${dbPath} was built by index version ${meta.version}; delete it to rebuild`);
+  } else if (meta.contract.toLowerCase() !== contract.toLowerCase() || meta.chainId !== String(chainId)) {
+    throw new Error(`${dbPath} indexes ${meta.contract} on chain ${meta.chainId}, not ${contract} on chain ${chainId}`);
+  }
+  return db;
+}
+
+// Helper function to read the meta table as an object
+function getMeta(db) {
+  return Object.fromEntries(db.prepare("SELECT key, value FROM meta").all().map((row) => [row.key, row.value]));
+}
+
+// Helper function to upsert meta values
+function setMeta(db, values) {
+  const upsert = db.prepare("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value");
+  for (const [key, value] of Object.entries(values)) {
+    upsert.run(key, String(value));
+  }
+}
+
+// Helper function to compare addresses
+function sameAddress(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+// Helper function to list the calls a transaction makes: the call itself, or the calls a Safe
+// execTransaction or MultiSend batch carries
+function listCalls(ethers, safe, { to, data }) {
+  let parsed = null;
+  try {
+    parsed = safe.parseTransaction({ data });
+  } catch {
+    // Calldata that only shares a Safe selector
+  }
+  if (!parsed) return [{ to, data }];
+  if (parsed.name === "execTransaction") {
+    return listCalls(ethers, safe, { to: parsed.args.to, data: parsed.args.data });
+  }
+
+  // Each MultiSend call is packed as operation (1 byte), to (20), value (32), data length (32), data
+  const packed = ethers.getBytes(parsed.args.transactions);
+  const calls = [];
+  for (let offset = 0; offset + 85 <= packed.length; ) {
+    const length = Number(ethers.toBigInt(packed.slice(offset + 53, offset + 85)));
+    calls.push(...listCalls(ethers, safe, {
+      to: ethers.getAddress(ethers.hexlify(packed.slice(offset + 1, offset + 21))),
+      data: ethers.hexlify(packed.slice(offset + 85, offset + 85 + length)),
+    }));
+    offset += 85 + length;
+  }
+  return calls;
+}
+
+/**
+ * Work out which ledger source a transaction's PointsAwarded stands for, or null. Calls to
+ * Points are matched by their function, and GameMaster registrations count as deposits, since
+ * GameMaster calls depositFor itself. Selectors are only matched at the start of a call's
+ * calldata; calls sent through a Safe are unwrapped first.
+ */
+function getCallSource(ethers, iface, { points, gameMaster }, tx) {
+  const safe = new ethers.Interface(SAFE_ABI);
+  const deposits = GAME_MASTER_DEPOSITS.map((signature) => ethers.id(signature).slice(0, 10));
+
+  for (const { to, data } of listCalls(ethers, safe, tx)) {
+    if (!to || !data || data.length < 10) continue;
+    const selector = data.slice(0, 10).toLowerCase();
+    if (sameAddress(to, points)) {
+      const fragment = iface.getFunction(selector);
+      if (fragment && SOURCE_BY_FUNCTION[fragment.name]) return SOURCE_BY_FUNCTION[fragment.name];
+    } else if (deposits.includes(selector) && (!gameMaster || sameAddress(to, gameMaster))) {
+      return "deposit";
+    }
+  }
+  return null;
+}
+
+/**
+ * Replay Points events from the last indexed block (or `fromBlock` on a fresh index) up to
+ * `toBlock`. Each batch of blocks is written in one SQLite transaction together with the new
+ * high-water mark, so an interrupted sync resumes without duplicating or skipping events.
+ * `gameMaster` is the GameMaster whose registrations deposit into Points; without it, a
+ * registration sent to any contract counts.
+ */
+async function syncIndex(db, ethers, points, { fromBlock, toBlock, gameMaster = null, batchBlocks = 5000, onProgress = () => {} }) {
+  const provider = ethers.provider;
+  const iface = points.interface;
+  const pointsAddress = await points.getAddress();
+  const topics = INDEXED_EVENTS.filter((name) => iface.hasEvent(name)).map((name) => iface.getEvent(name).topicHash);
+
+  const meta = getMeta(db);
+  let next = meta.lastBlock !== undefined ? Number(meta.lastBlock) + 1 : fromBlock;
+  if (meta.fromBlock === undefined) {
+    setMeta(db, { fromBlock });
+  }
+
+  const insertLedger = db.prepare(`
+    INSERT OR IGNORE INTO ledger (block_number, log_index, tx_hash, timestamp, address, source, amount, counterparty, eth_amount)
+    VALUES (@blockNumber, @logIndex, @txHash, @timestamp, @address, @source, @amount, @counterparty, @ethAmount)
+  `);
+  const upsertCode = db.prepare(`
+    INSERT INTO referral_codes (code, owner, block_number) VALUES (?, ?, ?)
+    ON CONFLICT (code) DO UPDATE SET owner = excluded.owner, block_number = excluded.block_number
+  `);
+  const deleteCodesOf = db.prepare("DELETE FROM referral_codes WHERE owner = ? AND code != ?");
+  const upsertReferral = db.prepare(`
+    INSERT INTO referrals (user, code, referrer, block_number) VALUES (?, ?, ?, ?)
+    ON CONFLICT (user) DO UPDATE SET code = excluded.code, referrer = excluded.referrer, block_number = excluded.block_number
+  `);
+  const referrerOf = db.prepare("SELECT referrer FROM referrals WHERE user = ?");
+
+  let written = 0;
+  while (next <= toBlock) {
+    const end = Math.min(next + batchBlocks - 1, toBlock);
+    const logs = await getLogsChunked(provider, { address: pointsAddress, topics: [topics] }, next, end);
+
+    // Group by transaction, since a PointsAwarded is attributed by the call that emitted it
+    const byTx = new Map();
+    for (const log of logs) {
+      const parsed = iface.parseLog(log);
+      if (!parsed) continue;
+      if (!byTx.has(log.transactionHash)) byTx.set(log.transactionHash, []);
+      byTx.get(log.transactionHash).push({ log, parsed });
+    }
+
+    const timestamps = new Map();
+    const callSources = new Map();
+    for (const [hash, entries] of byTx) {
+      const blockNumber = entries[0].log.blockNumber;
+      if (!timestamps.has(blockNumber)) {
+        timestamps.set(blockNumber, (await provider.getBlock(blockNumber)).timestamp);
+      }
+      if (entries.some((e) => e.parsed.name === "PointsImported")) {
+        callSources.set(hash, "import");
+      } else if (entries.some((e) => e.parsed.name === "PointsAwarded")) {
+        const tx = await provider.getTransaction(hash);
+        callSources.set(hash, getCallSource(ethers, iface, { points: pointsAddress, gameMaster }, tx));
+      }
+    }
+
+    db.transaction(() => {
+      for (const [hash, entries] of byTx) {
+        entries.sort((a, b) => a.log.index - b.log.index);
+        entries.forEach(({ log, parsed }, i) => {
+          const row = {
+            blockNumber: log.blockNumber,
+            logIndex: log.index,
+            txHash: hash,
+            timestamp: timestamps.get(log.blockNumber),
+            counterparty: null,
+            ethAmount: null,
+          };
+
+          switch (parsed.name) {
+            case "ReferralCodeRegistered":
+              // Migration can move a user to a new code, which frees the old one
+              deleteCodesOf.run(parsed.args.user, parsed.args.code);
+              upsertCode.run(parsed.args.code, parsed.args.user, log.blockNumber);
+              break;
+            case "ReferralUsed":
+              upsertReferral.run(parsed.args.user, parsed.args.code, parsed.args.referrer, log.blockNumber);
+              break;
+            case "PointsAwardedByContract":
+              insertLedger.run({
+                ...row,
+                address: parsed.args.recipient,
+                source: "payout",
+                amount: Number(parsed.args.amount),
+                counterparty: parsed.args.authorizedContract,
+              });
+              break;
+            case "ReferralPointsCashedOut":
+              insertLedger.run({
+                ...row,
+                address: parsed.args.user,
+                source: "cashout",
+                amount: -Number(parsed.args.points),
+                ethAmount: parsed.args.ethAmount.toString(),
+              });
+              break;
+            case "PointsAwarded": {
+              let source = callSources.get(hash) || "other";
+              // A deposit with a referral awards the referrer first, directly followed by the depositor
+              const following = entries[i + 1];
+              if (source === "deposit" && following && following.parsed.name === "PointsAwarded") {
+                const referrer = referrerOf.get(following.parsed.args.recipient);
+                if (referrer && referrer.referrer === parsed.args.recipient) {
+                  source = "referral";
+                  row.counterparty = following.parsed.args.recipient;
+                }
+              }
+              insertLedger.run({ ...row, address: parsed.args.recipient, source, amount: Number(parsed.args.amount) });
+              break;
+            }
+          }
+        });
+      }
+      setMeta(db, { lastBlock: end });
+    })();
+
+    written += logs.length;
+    onProgress(end, toBlock, written);
+    next = end + 1;
+  }
+  return written;
+}
+
+// Ledger of one address, oldest first, with a running balance
+function getLedger(db, address) {
+  let balance = 0;
+  return db
+    .prepare("SELECT * FROM ledger WHERE address = ? COLLATE NOCASE ORDER BY block_number, log_index")
+    .all(address)
+    .map((row) => ({ ...row, balance: (balance += row.amount) }));
+}
+
+// Points per source, for one address or the whole contract
+function getSources(db, address = null) {
+  const where = address ? "WHERE address = ? COLLATE NOCASE" : "";
+  return db
+    .prepare(`SELECT source, COUNT(*) AS entries, SUM(amount) AS amount FROM ledger ${where} GROUP BY source ORDER BY amount DESC`)
+    .all(...(address ? [address] : []));
+}
+
+// Referrers ranked by referral bonus earned, with how many users used their code
+function getTopReferrers(db, limit = 20) {
+  return db.prepare(`
+    SELECT r.referrer AS address,
+           COUNT(*) AS referred,
+           COALESCE((SELECT SUM(amount) FROM ledger l WHERE l.address = r.referrer AND l.source = 'referral'), 0) AS bonus,
+           (SELECT code FROM referral_codes c WHERE c.owner = r.referrer) AS code
+    FROM referrals r
+    GROUP BY r.referrer
+    ORDER BY bonus DESC, referred DESC
+    LIMIT ?
+  `).all(limit);
+}
+
+module.exports = {
+  INDEX_VERSION,
+  openIndex,
+  getMeta,
+  getCallSource,
+  syncIndex,
+  getLedger,
+  getSources,
+  getTopReferrers,
+};
@@ -0,0 +1,260 @@
+// Canonical snapshots of Points state: capture, JSON/CSV files, invariants and diffs.
+const fs = require("fs");
+const path = require("path");
+
+const SNAPSHOT_VERSION = 1;
+const PAGE_SIZE = 1000; // Maximum allowed by getAddressesPaginated
+const ACCOUNT_FIELDS = ["address", "points", "referralPoints", "referralCode", "usedReferralCode", "referrer"];
+const BALANCE_FIELDS = ["points", "referralPoints"];
+const CODE_FIELDS = ["referralCode", "usedReferralCode", "referrer"];
+
+// Helper function to read an optional view; older Points deployments lack some of them
+async function readOptional(contract, method, args, overrides) {
+  try {
+    return await contract[method](...args, overrides);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Capture every address from getAddressesPaginated with its balances and referral codes,
+ * all read at `blockTag`. Accounts are sorted by address and numbers kept as decimal
+ * strings, so the same state always produces the same file.
+ */
+async function takeSnapshot(ethers, points, blockTag, { onProgress = () => {} } = {}) {
+  const block = await ethers.provider.getBlock(blockTag);
+  const overrides = { blockTag: block.number };
+  const { chainId } = await ethers.provider.getNetwork();
+
+  const addressCount = Number(await points.getAddressCount(overrides));
+  const totalPointsIssued = await points.totalPointsIssued(overrides);
+  const referralBonusBps = await readOptional(points, "referralBonusBps", [], overrides);
+
+  const accounts = [];
+  for (let start = 0; start < addressCount; start += PAGE_SIZE) {
+    const size = Math.min(PAGE_SIZE, addressCount - start);
+    const { addresses, balances, withdrawableBalances } = await points.getAddressesPaginated(start, size, overrides);
+
+    for (let i = 0; i < addresses.length; i++) {
+      const usedReferralCode = await points.usedReferralCode(addresses[i], overrides);
+      const referrer = usedReferralCode
+        ? await points.referralCodeToAddress(usedReferralCode, overrides)
+        : ethers.ZeroAddress;
+      accounts.push({
+        address: ethers.getAddress(addresses[i]),
+        points: balances[i].toString(),
+        referralPoints: withdrawableBalances[i].toString(),
+        referralCode: await points.addressToReferralCode(addresses[i], overrides),
+        usedReferralCode,
+        referrer: referrer === ethers.ZeroAddress ? "" : referrer,
+      });
+    }
+    onProgress(accounts.length, addressCount);
+  }
+  accounts.sort((a, b) => a.address.toLowerCase().localeCompare(b.address.toLowerCase()));
+
+  return {
+    version: SNAPSHOT_VERSION,
+    chainId: chainId.toString(),
+    contract: await points.getAddress(),
+    blockNumber: block.number,
+    blockTimestamp: block.timestamp,
+    totalPointsIssued: totalPointsIssued.toString(),
+    referralBonusBps: referralBonusBps === null ? null : referralBonusBps.toString(),
+    addressCount,
+    accounts,
+  };
+}
+
+// Helper function to quote a CSV field when needed
+function csvField(value) {
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Helper function to split one CSV line, honouring quoted fields
+function parseCsvLine(line) {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      fields.push(field);
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+// Snapshot metadata is written as "# key: value" lines above the CSV header
+const CSV_META_FIELDS = ["version", "chainId", "contract", "blockNumber", "blockTimestamp", "totalPointsIssued", "referralBonusBps", "addressCount"];
+
+function toCsv(snapshot) {
+  const lines = CSV_META_FIELDS.map((field) => `# ${field}: ${snapshot[field] === null ? "" : snapshot[field]}`);
+  lines.push(ACCOUNT_FIELDS.join(","));
+  for (const account of snapshot.accounts) {
+    lines.push(ACCOUNT_FIELDS.map((field) => csvField(account[field])).join(","));
+  }
+  return lines.join("\n") + "\n";
+}
+
+function fromCsv(text) {
+  const snapshot = {};
+  const lines = text.split(/\r?\n/).filter((line) => line !== "");
+  const header = lines.findIndex((line) => !line.startsWith("#"));
+
+  for (const line of lines.slice(0, header)) {
+    const match = line.match(/^#\s*(\w+):\s*(.*)$/);
+    if (match) snapshot[match[1]] = match[2];
+  }
+  const columns = parseCsvLine(lines[header]);
+  snapshot.accounts = lines.slice(header + 1).map((line) => {
+    const values = parseCsvLine(line);
+    return Object.fromEntries(columns.map((column, i) => [column, values[i] ?? ""]));
+  });
+
+  // Restore the same types as the JSON form
+  for (const field of ["version", "blockNumber", "blockTimestamp", "addressCount"]) {
+    snapshot[field] = Number(snapshot[field]);
+  }
+  if (snapshot.referralBonusBps === "") snapshot.referralBonusBps = null;
+  return snapshot;
+}
+
+// Helper function to write a snapshot as JSON or CSV, chosen by the file extension
+function writeSnapshot(filePath, snapshot) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const content = filePath.endsWith(".csv") ? toCsv(snapshot) : JSON.stringify(snapshot, null, 2) + "\n";
+  fs.writeFileSync(filePath, content);
+}
+
+// Helper function to read a snapshot written by writeSnapshot
+function readSnapshot(filePath) {
+  const text = fs.readFileSync(filePath, "utf8");
+  const snapshot = filePath.endsWith(".csv") ? fromCsv(text) : JSON.parse(text);
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    throw new Error(`${filePath} is not a version ${SNAPSHOT_VERSION} Points snapshot`);
+  }
+  return snapshot;
+}
+
+/**
+ * Check the invariants a consistent Points state must satisfy. Returns a list of
+ * human-readable violations (empty when the snapshot is consistent).
+ */
+function checkInvariants(snapshot) {
+  const violations = [];
+
+  // Every issued point belongs to an address in the list
+  const sum = snapshot.accounts.reduce((total, account) => total + BigInt(account.points), 0n);
+  if (sum !== BigInt(snapshot.totalPointsIssued)) {
+    violations.push(
+      `sum(points) = ${sum} but totalPointsIssued = ${snapshot.totalPointsIssued} ` +
+      `(difference ${BigInt(snapshot.totalPointsIssued) - sum})`
+    );
+  }
+  if (snapshot.accounts.length !== Number(snapshot.addressCount)) {
+    violations.push(`${snapshot.accounts.length} accounts captured but getAddressCount() = ${snapshot.addressCount}`);
+  }
+
+  const byAddress = new Map(snapshot.accounts.map((account) => [account.address.toLowerCase(), account]));
+  const codeOwners = new Map();
+  for (const account of snapshot.accounts) {
+    if (BigInt(account.referralPoints) > BigInt(account.points)) {
+      violations.push(`${account.address}: referralPoints ${account.referralPoints} > points ${account.points}`);
+    }
+
+    if (account.referralCode) {
+      const owner = codeOwners.get(account.referralCode);
+      if (owner) {
+        violations.push(`referral code "${account.referralCode}" is owned by both ${owner} and ${account.address}`);
+      }
+      codeOwners.set(account.referralCode, account.address);
+    }
+
+    if (account.usedReferralCode) {
+      if (!account.referrer) {
+        violations.push(`${account.address}: used referral code "${account.usedReferralCode}" has no owner`);
+      } else {
+        const referrer = byAddress.get(account.referrer.toLowerCase());
+        if (referrer && referrer.referralCode !== account.usedReferralCode) {
+          violations.push(
+            `${account.address}: used code "${account.usedReferralCode}" points to ${account.referrer}, ` +
+            `whose code is "${referrer.referralCode}"`
+          );
+        }
+      }
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Compare two snapshots address by address. Balances get a signed delta; codes show old and new.
+ */
+function diffSnapshots(from, to) {
+  const totals = [];
+  for (const field of ["totalPointsIssued", "referralBonusBps", "addressCount"]) {
+    const before = from[field] === null ? null : String(from[field]);
+    const after = to[field] === null ? null : String(to[field]);
+    if (before !== after) {
+      const delta = before !== null && after !== null ? (BigInt(after) - BigInt(before)).toString() : null;
+      totals.push({ field, from: before, to: after, delta });
+    }
+  }
+
+  const fromAccounts = new Map(from.accounts.map((account) => [account.address.toLowerCase(), account]));
+  const toAccounts = new Map(to.accounts.map((account) => [account.address.toLowerCase(), account]));
+  const addresses = [...new Set([...fromAccounts.keys(), ...toAccounts.keys()])].sort();
+
+  const accounts = [];
+  for (const key of addresses) {
+    const before = fromAccounts.get(key);
+    const after = toAccounts.get(key);
+    const status = !before ? "added" : !after ? "removed" : "changed";
+
+    const changes = {};
+    for (const field of BALANCE_FIELDS) {
+      const a = BigInt(before ? before[field] : 0);
+      const b = BigInt(after ? after[field] : 0);
+      if (a !== b) changes[field] = { from: a.toString(), to: b.toString(), delta: (b - a).toString() };
+    }
+    for (const field of CODE_FIELDS) {
+      const a = before ? before[field] : "";
+      const b = after ? after[field] : "";
+      if (a !== b) changes[field] = { from: a, to: b };
+    }
+
+    if (status !== "changed" || Object.keys(changes).length > 0) {
+      accounts.push({ address: (after || before).address, status, changes });
+    }
+  }
+
+  return { totals, accounts };
+}
+
+module.exports = {
+  SNAPSHOT_VERSION,
+  takeSnapshot,
+  writeSnapshot,
+  readSnapshot,
+  checkInvariants,
+  diffSnapshots,
+};
@@ -0,0 +1,17 @@
+// Seeded randomness shared by simulations and randomized tests.
+
+// Helper function to create a seeded random number generator (mulberry32) returning [0, 1)
+function createRng(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+module.exports = {
+  createRng,
+};
@@ -0,0 +1,113 @@
+const fs = require("fs");
+const path = require("path");
+
+// Directory holding one deployment registry per network (deployments/<network>.json)
+const REGISTRY_DIR = path.join(__dirname, "..", "..", "deployments");
+
+// Bump when the registry layout changes
+const REGISTRY_VERSION = 1;
+
+// Helper function to resolve the registry path for a network
+function getRegistryPath(networkName) {
+  return path.join(REGISTRY_DIR, `${networkName}.json`);
+}
+
+// Helper function to turn a contract label into its override variable (GameMaster -> GAME_MASTER_ADDRESS)
+function getOverrideName(label) {
+  return `${label.replace(/([a-z0-9])([A-Z])/g, "$1_$2").toUpperCase()}_ADDRESS`;
+}
+
+/**
+ * Load the deployment registry for a network.
+ * Returns an empty registry if nothing has been deployed there yet.
+ */
+function loadRegistry(networkName) {
+  const registryPath = getRegistryPath(networkName);
+  if (!fs.existsSync(registryPath)) {
+    return { version: REGISTRY_VERSION, network: networkName, chainId: null, contracts: {} };
+  }
+
+  const registry = JSON.parse(fs.readFileSync(registryPath, "utf8"));
+  if (registry.version !== REGISTRY_VERSION) {
+    throw new Error(
+      `Unsupported registry version ${registry.version} in ${registryPath} (expected ${REGISTRY_VERSION})`
+    );
+  }
+  return registry;
+}
+
+// Helper function to write the registry back to disk
+function saveRegistry(registry) {
+  fs.mkdirSync(REGISTRY_DIR, { recursive: true });
+  const registryPath = getRegistryPath(registry.network);
+  fs.writeFileSync(registryPath, JSON.stringify(registry, null, 2) + "\n");
+  return registryPath;
+}
+
+/**
+ * Record a contract in the registry. If the label already points at a different
+ * address, the previous entry is kept in its history so old deployments stay traceable.
+ */
+function recordContract(registry, label, { contract, address, deployTx = null, blockNumber = null, args = [] }) {
+  const previous = registry.contracts[label];
+  if (previous && previous.address.toLowerCase() === address.toLowerCase()) {
+    return previous;
+  }
+
+  const history = previous ? [...(previous.history || [])] : [];
+  if (previous) {
+    const { history: _ignored, ...snapshot } = previous;
+    history.push(snapshot);
+  }
+
+  const entry = {
+    contract,
+    address,
+    deployTx,
+    blockNumber,
+    // BigInt constructor args are not JSON serializable
+    args: args.map((arg) => (typeof arg === "bigint" ? arg.toString() : arg)),
+    recordedAt: new Date().toISOString(),
+  };
+  if (history.length > 0) {
+    entry.history = history;
+  }
+
+  registry.contracts[label] = entry;
+  return entry;
+}
+
+/**
+ * Resolve a contract address by label.
+ * An environment override (e.g. GAME_MASTER_ADDRESS=0x...) wins over the registry.
+ */
+function resolveAddress(networkName, label) {
+  const overrideName = getOverrideName(label);
+  const override = process.env[overrideName];
+  if (override) {
+    if (!/^0x[0-9a-fA-F]{40}$/.test(override)) {
+      throw new Error(`${overrideName} is not a valid address: ${override}`);
+    }
+    return override;
+  }
+
+  const entry = loadRegistry(networkName).contracts[label];
+  if (!entry) {
+    throw new Error(
+      `No ${label} address for network ${networkName}. ` +
+      `Deploy it, add it to ${getRegistryPath(networkName)}, or set ${overrideName}.`
+    );
+  }
+  return entry.address;
+}
+
+module.exports = {
+  REGISTRY_DIR,
+  REGISTRY_VERSION,
+  getRegistryPath,
+  getOverrideName,
+  loadRegistry,
+  saveRegistry,
+  recordContract,
+  resolveAddress,
+};
@@ -0,0 +1,328 @@
+// Season runner behind scripts/run-season.js: the step list, the on-disk checkpoint and the steps themselves.
+const fs = require("fs");
+const path = require("path");
+const { sleep, waitForReceipt } = require("./tx");
+const {
+  GameState,
+  getGameContract,
+  getInstances,
+  getLastGameId,
+  getDeadlines,
+  describeInstance,
+} = require("./games");
+
+const CHECKPOINT_VERSION = 1;
+
+// Helper function to build the ordered list of season steps
+function buildSteps(schedule, reset) {
+  const steps = ["closeRegistration"];
+  schedule.forEach((game, index) => {
+    for (const action of ["initialize", "start", "run", "end"]) {
+      steps.push(`${index}:${game}:${action}`);
+    }
+  });
+  if (reset) {
+    steps.push("resetGame");
+  }
+  return steps;
+}
+
+// Helper function to load the checkpoint, or start a new one
+function loadCheckpoint(checkpointPath, { network, gameMaster, schedule, reset }) {
+  if (!fs.existsSync(checkpointPath)) {
+    return {
+      version: CHECKPOINT_VERSION,
+      network,
+      gameMaster,
+      schedule,
+      reset,
+      startedAt: new Date().toISOString(),
+      completed: [],
+      skipped: [],
+      rounds: {},
+      pending: null,
+      finishedAt: null,
+    };
+  }
+
+  const checkpoint = JSON.parse(fs.readFileSync(checkpointPath, "utf8"));
+  if (checkpoint.version !== CHECKPOINT_VERSION) {
+    throw new Error(`Unsupported checkpoint version ${checkpoint.version} in ${checkpointPath}`);
+  }
+  if (checkpoint.gameMaster.toLowerCase() !== gameMaster.toLowerCase()) {
+    throw new Error(`${checkpointPath} belongs to GameMaster ${checkpoint.gameMaster}, not ${gameMaster}`);
+  }
+  if (checkpoint.schedule.join(",") !== schedule.join(",") || checkpoint.reset !== reset) {
+    throw new Error(
+      `${checkpointPath} was started with schedule ${checkpoint.schedule.join(",")} (reset: ${checkpoint.reset}). ` +
+      "Use the same schedule to resume, or point SEASON_CHECKPOINT at a new file."
+    );
+  }
+  return checkpoint;
+}
+
+// Helper function to write the checkpoint atomically
+function saveCheckpoint(checkpointPath, checkpoint) {
+  fs.mkdirSync(path.dirname(checkpointPath), { recursive: true });
+  const tempPath = `${checkpointPath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(checkpoint, null, 2) + "\n");
+  fs.renameSync(tempPath, checkpointPath);
+}
+
+/**
+ * Create a season runner. Every step is guarded by an on-chain check so that a step whose
+ * transaction landed just before a crash is not sent twice.
+ *
+ * Options: `pollMs` between game state polls, `minPlayers` below which the remaining games are
+ * skipped, `fastForward` to jump block time to each round deadline (hardhat/localhost only),
+ * `tx` options for waiting on a pending transaction's receipt, and `log`.
+ */
+function createSeason(ethers, { gameMaster, runner, checkpoint, checkpointPath, options = {} }) {
+  const {
+    pollMs = 15_000,
+    minPlayers = 2,
+    fastForward = false,
+    tx = {},
+    log = console.log,
+  } = options;
+  const save = () => saveCheckpoint(checkpointPath, checkpoint);
+
+  function complete(step, note) {
+    checkpoint.completed.push(step);
+    checkpoint.pending = null;
+    save();
+    log(`✓ ${step}${note ? ` (${note})` : ""}`);
+  }
+
+  // Helper function to get the latest block timestamp
+  async function getChainTime() {
+    const block = await ethers.provider.getBlock("latest");
+    return block.timestamp;
+  }
+
+  // Send a GameMaster call, recording the hash before waiting so a crash can be reconciled.
+  // Returns null when the call was queued for the Safe instead.
+  async function send(step, method, args = []) {
+    const onSent = (sent) => {
+      checkpoint.pending = { step, txHash: sent.hash, from: sent.from, nonce: sent.nonce };
+      save();
+      log(`  ${method}(${args.join(", ")}) sent: ${sent.hash}`);
+    };
+    const receipt = await runner.submit(gameMaster, method, args, { label: "GameMaster", onSent });
+    if (receipt === null) {
+      checkpoint.pending = { step, exported: true };
+      save();
+      return null;
+    }
+    if (receipt.status !== 1) {
+      throw new Error(`${method} reverted in ${receipt.hash}`);
+    }
+    return receipt;
+  }
+
+  // Reconcile a transaction that was sent (or exported) before the last run stopped
+  async function resolvePending() {
+    const { step, txHash, exported, from, nonce } = checkpoint.pending;
+    if (exported) {
+      // Every step re-checks the chain, so an executed batch is picked up when the step runs again.
+      // endGames has nothing to check, but once every instance has completed it only collects winners.
+      if (step.endsWith(":end")) {
+        complete(step, "exported to the Safe");
+      } else {
+        checkpoint.pending = null;
+        save();
+      }
+      return;
+    }
+    log(`Checking pending ${step} transaction ${txHash}...`);
+    let receipt = await waitForReceipt(ethers.provider, txHash, tx);
+    if (!receipt) {
+      // Retrying while it can still be mined could land the owner call twice
+      if (!(await isNonceUsed(txHash, from, nonce))) {
+        throw new Error(
+          `${step} transaction ${txHash} is not mined yet and its nonce is still unused. ` +
+          "Wait until it is mined or replaced, then re-run."
+        );
+      }
+      // The transaction itself may have used the nonce since the wait gave up
+      receipt = await ethers.provider.getTransactionReceipt(txHash);
+    }
+
+    if (receipt && receipt.status === 1) {
+      complete(step, "confirmed after restart");
+      return;
+    }
+    log(`  ${receipt ? "Reverted" : "Dropped"}; ${step} will be retried`);
+    checkpoint.pending = null;
+    save();
+  }
+
+  // Helper function to check whether the sender has used a transaction's nonce, after which that
+  // transaction is either mined or can never be. Checkpoints written before nonces were recorded
+  // fall back to the node's copy of the transaction.
+  async function isNonceUsed(txHash, from, nonce) {
+    if (nonce === undefined) {
+      const sent = await ethers.provider.getTransaction(txHash);
+      if (!sent) {
+        throw new Error(
+          `Cannot tell whether ${txHash} can still be mined. Check it on an explorer, then ` +
+          `remove "pending" from ${checkpointPath} if it was dropped.`
+        );
+      }
+      ({ from, nonce } = sent);
+    }
+    return (await ethers.provider.getTransactionCount(from, "latest")) > nonce;
+  }
+
+  async function closeRegistration(step) {
+    if (await gameMaster.registrationClosed()) {
+      complete(step, "already closed");
+      return;
+    }
+    if (!(await send(step, "closeRegistration"))) return "exported";
+    complete(step);
+  }
+
+  async function initialize(step, index, name) {
+    const game = await getGameContract(ethers, gameMaster, name);
+
+    // Remember where this round's instances start before creating them
+    if (!checkpoint.rounds[index]) {
+      checkpoint.rounds[index] = { game: name, afterGameId: await getLastGameId(game) };
+      save();
+    }
+    const { afterGameId } = checkpoint.rounds[index];
+
+    if ((await getInstances(game, afterGameId)).length > 0) {
+      complete(step, "instances already exist");
+      return;
+    }
+    if (!(await send(step, "initializeGame", [name]))) return "exported";
+    const instances = await getInstances(game, afterGameId);
+    complete(step, `${instances.length} instances`);
+  }
+
+  async function start(step, index, name) {
+    const game = await getGameContract(ethers, gameMaster, name);
+    const instances = await getInstances(game, checkpoint.rounds[index].afterGameId);
+
+    if (!instances.some((instance) => instance.state === GameState.Pregame)) {
+      complete(step, "already started");
+      return;
+    }
+    if (!(await send(step, "startGames", [name]))) return "exported";
+    complete(step);
+  }
+
+  // Poll until every instance of this round has completed, ending expired rounds on the way
+  async function run(step, index, name) {
+    const game = await getGameContract(ethers, gameMaster, name);
+    const { afterGameId } = checkpoint.rounds[index];
+    let lastSummary = "";
+
+    for (;;) {
+      const instances = await getInstances(game, afterGameId);
+      const summary = instances.map(describeInstance).join(" | ");
+      if (summary !== lastSummary) {
+        log(`  ${name}: ${summary}`);
+        lastSummary = summary;
+      }
+
+      if (instances.every((instance) => instance.state === GameState.Completed)) {
+        complete(step);
+        return;
+      }
+
+      const now = await getChainTime();
+      const { expired, nextDeadline } = await getDeadlines(game, instances, now);
+      if (expired.length > 0) {
+        log(`  Ending expired rounds: ${expired.map((instance) => `#${instance.gameId}`).join(", ")}`);
+        if (!(await runner.submit(gameMaster, "endExpiredGames", [name], { label: "GameMaster" }))) return "exported";
+        continue;
+      }
+
+      if (fastForward && nextDeadline !== null) {
+        await ethers.provider.send("evm_setNextBlockTimestamp", [nextDeadline + 1]);
+        await ethers.provider.send("evm_mine", []);
+        continue;
+      }
+
+      await sleep(pollMs);
+    }
+  }
+
+  async function end(step, name) {
+    if (!(await send(step, "endGames", [name]))) return "exported";
+    const activePlayers = await gameMaster.getActivePlayerCount();
+    complete(step, `${activePlayers} players still active`);
+  }
+
+  async function resetGame(step) {
+    // A reset leaves no registered players and registration open
+    const playerCount = await gameMaster.getPlayerCount();
+    if (playerCount === 0n && !(await gameMaster.registrationClosed())) {
+      complete(step, "already reset");
+      return;
+    }
+    if (!(await send(step, "resetGame"))) return "exported";
+    complete(step);
+  }
+
+  async function runStep(step) {
+    if (step === "closeRegistration") return closeRegistration(step);
+    if (step === "resetGame") return resetGame(step);
+
+    const [index, name, action] = step.split(":");
+    if (action === "initialize") {
+      // Stop scheduling games once the season has a winner
+      const activePlayers = await gameMaster.getActivePlayerCount();
+      if (activePlayers < BigInt(minPlayers)) {
+        return "stop";
+      }
+      return initialize(step, index, name);
+    }
+    if (action === "start") return start(step, index, name);
+    if (action === "run") return run(step, index, name);
+    return end(step, name);
+  }
+
+  /**
+   * Run every step the checkpoint has not completed or skipped yet.
+   * Resolves with "exported" (and the step) when an owner call was queued for the Safe,
+   * or "finished" once the season is over.
+   */
+  async function runSteps(steps) {
+    let stopped = false;
+    for (const step of steps) {
+      if (checkpoint.completed.includes(step) || checkpoint.skipped.includes(step)) continue;
+
+      // Once the season is decided, the remaining game steps are skipped
+      if (stopped && step !== "resetGame") {
+        checkpoint.skipped.push(step);
+        continue;
+      }
+      const result = await runStep(step);
+      if (result === "exported") {
+        return { result, step };
+      }
+      if (result === "stop") {
+        log(`- Fewer than ${minPlayers} active players remain; skipping the rest of the schedule`);
+        checkpoint.skipped.push(step);
+        stopped = true;
+      }
+    }
+
+    checkpoint.finishedAt = new Date().toISOString();
+    save();
+    return { result: "finished" };
+  }
+
+  return { runStep, runSteps, resolvePending, save };
+}
+
+module.exports = {
+  buildSteps,
+  loadCheckpoint,
+  saveCheckpoint,
+  createSeason,
+};
@@ -0,0 +1,53 @@
+// Final standings from GameMaster, with tied placements grouped together.
+
+/**
+ * Read every ranked player. Eliminated players carry the placement GameMaster recorded,
+ * which players eliminated in the same game resolution share; players still active
+ * share first place.
+ */
+async function getStandings(gameMaster) {
+  const standings = [];
+  for (const player of await gameMaster.getEliminatedPlayers()) {
+    standings.push({
+      address: player,
+      placement: Number(await gameMaster.getPlayerFinalPlacement(player)),
+      status: "eliminated",
+    });
+  }
+  for (const player of await gameMaster.getActivePlayers()) {
+    standings.push({ address: player, placement: 1, status: "active" });
+  }
+  return standings.sort((a, b) => a.placement - b.placement);
+}
+
+/**
+ * Group players that share a placement. A group of k players at placement p takes up
+ * the prize slots p to p + k - 1, e.g. three players tied for 2nd cover 2nd, 3rd and 4th.
+ */
+function groupStandings(standings) {
+  const groups = [];
+  for (const player of standings) {
+    const last = groups[groups.length - 1];
+    if (last && last.placement === player.placement) {
+      last.players.push(player);
+    } else {
+      groups.push({ placement: player.placement, players: [player] });
+    }
+  }
+  return groups.map((group) => ({
+    ...group,
+    tied: group.players.length > 1,
+    slots: { from: group.placement, to: group.placement + group.players.length - 1 },
+  }));
+}
+
+// Helper function to label a placement, marking ties (e.g. "T-2")
+function formatPlacement(group) {
+  return group.tied ? `T-${group.placement}` : String(group.placement);
+}
+
+module.exports = {
+  getStandings,
+  groupStandings,
+  formatPlacement,
+};
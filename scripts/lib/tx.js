@@ -0,0 +1,120 @@
+// Transaction helpers shared by long-running scripts.
+
+// Helper function to wait between polls
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Poll for a transaction receipt until it is mined or `timeoutMs` passes (returns null).
+ * Hardhat's ethers provider does not implement waitForTransaction, so scripts poll instead.
+ */
+async function waitForReceipt(provider, hash, { timeoutMs = 120_000, pollMs = 1_000 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const receipt = await provider.getTransactionReceipt(hash);
+    if (receipt || Date.now() >= deadline) {
+      return receipt;
+    }
+    await sleep(Math.min(pollMs, Math.max(deadline - Date.now(), 0)));
+  }
+}
+
+// Helper function to scale a fee by `percent` once per bump
+function bumpFee(fee, percent, bumps) {
+  let bumped = fee;
+  for (let i = 0; i < bumps; i++) {
+    bumped = (bumped * BigInt(100 + percent)) / 100n;
+  }
+  return bumped;
+}
+
+// Helper function to find the first mined receipt among replacement transactions
+async function findReceipt(provider, hashes) {
+  for (const hash of hashes) {
+    const receipt = await provider.getTransactionReceipt(hash);
+    if (receipt) return receipt;
+  }
+  return null;
+}
+
+/**
+ * Send `request` from `signer`, replacing it with higher fees when it is not mined within
+ * `timeoutMs`. Every replacement reuses the first nonce, so at most one of them can land.
+ * Errors while sending are retried after `retryDelayMs` until `attempts` is exhausted.
+ * Resolves with the receipt; throws if the transaction reverted or never got mined.
+ */
+async function sendWithGasBump(signer, request, options = {}) {
+  const {
+    attempts = 4,
+    timeoutMs = 60_000,
+    bumpPercent = 20,
+    retryDelayMs = 2_000,
+    pollMs = 1_000,
+    log = () => {},
+  } = options;
+  const provider = signer.provider;
+  const hashes = [];
+  let nonce = null;
+  let lastError = null;
+
+  for (let attempt = 0; attempt < attempts; attempt++) {
+    try {
+      if (nonce === null) {
+        nonce = await provider.getTransactionCount(signer.address, "pending");
+      }
+
+      // A replacement must pay more than the transaction it replaces
+      const feeData = await provider.getFeeData();
+      const fees = feeData.maxFeePerGas !== null
+        ? {
+            maxFeePerGas: bumpFee(feeData.maxFeePerGas, bumpPercent, hashes.length),
+            maxPriorityFeePerGas: bumpFee(feeData.maxPriorityFeePerGas, bumpPercent, hashes.length),
+          }
+        : { gasPrice: bumpFee(feeData.gasPrice, bumpPercent, hashes.length) };
+
+      const tx = await signer.sendTransaction({ ...request, nonce, ...fees });
+      hashes.push(tx.hash);
+      log(`sent ${tx.hash} (attempt ${attempt + 1}/${attempts}, nonce ${nonce})`);
+
+      const receipt = await waitForReceipt(provider, tx.hash, { timeoutMs, pollMs });
+      if (receipt) {
+        if (receipt.status !== 1) {
+          throw Object.assign(new Error(`transaction ${tx.hash} reverted`), { receipt });
+        }
+        return receipt;
+      }
+      log(`${tx.hash} not mined after ${timeoutMs / 1000}s, bumping gas by ${bumpPercent}%`);
+    } catch (error) {
+      if (error.receipt) throw error;
+
+      // An earlier transaction may have been mined while the replacement was rejected
+      const mined = await findReceipt(provider, hashes);
+      if (mined) {
+        if (mined.status !== 1) {
+          throw Object.assign(new Error(`transaction ${mined.hash} reverted`), { receipt: mined });
+        }
+        return mined;
+      }
+      lastError = error;
+      log(`attempt ${attempt + 1}/${attempts} failed: ${error.shortMessage || error.message}`);
+      await sleep(retryDelayMs);
+    }
+  }
+
+  // The last replacement may still land after its timeout
+  const mined = await findReceipt(provider, hashes);
+  if (mined && mined.status === 1) {
+    return mined;
+  }
+  throw new Error(
+    `Transaction not confirmed after ${attempts} attempts` +
+    (lastError ? `: ${lastError.shortMessage || lastError.message}` : "")
+  );
+}
+
+module.exports = {
+  sleep,
+  waitForReceipt,
+  sendWithGasBump,
+};
@@ -0,0 +1,162 @@
+// Read-only checks of how a deployed system is wired together.
+// Each check yields { check, subject, ok, expected, actual, message }.
+
+// Every game exposes the GameMaster it reports eliminations to
+const GAME_ABI = ["function gameMaster() view returns (address)"];
+
+// Elimination callbacks a game may call on its GameMaster, newest first
+const ELIMINATION_CALLBACKS = [
+  "playerEliminated(address,uint256)",
+  "playerEliminated(address)",
+];
+
+// Helper function to compare addresses
+function sameAddress(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+// Helper function to build a report entry
+function result(check, subject, ok, expected, actual, message) {
+  return { check, subject, ok, expected: String(expected), actual: String(actual), message };
+}
+
+// Helper function to encode a PUSHn of a value in as few bytes as it needs
+function push(value) {
+  const hex = value.toString(16);
+  const bytes = Math.ceil(hex.length / 2);
+  return (0x5f + bytes).toString(16) + hex.padStart(bytes * 2, "0");
+}
+
+// Helper function to get the 4-byte selector of a function signature as a bigint
+function selectorOf(signature, ethers) {
+  return BigInt(ethers.id(signature).slice(0, 10));
+}
+
+// Helper function to check whether a contract's dispatcher compares calldata against a selector
+function dispatchesSelector(code, signature, ethers) {
+  return code.toLowerCase().includes(push(selectorOf(signature, ethers)));
+}
+
+// Helper function to check whether bytecode builds calldata for a selector. The optimizer
+// drops the selector's trailing zero bits and shifts it into place (PUSH sel>>k, PUSH1 224+k, SHL)
+function callsSelector(code, signature, ethers) {
+  const selector = selectorOf(signature, ethers);
+  let shift = 0;
+  while (((selector >> BigInt(shift)) & 1n) === 0n) {
+    shift++;
+  }
+  const shifted = push(selector >> BigInt(shift)) + push(BigInt(224 + shift)) + "1b";
+  const lower = code.toLowerCase();
+  return lower.includes(shifted) || lower.includes(push(selector));
+}
+
+// Helper function to find the elimination callback a game's bytecode calls
+function findEliminationCallback(code, ethers) {
+  return ELIMINATION_CALLBACKS.find((signature) => callsSelector(code, signature, ethers)) || null;
+}
+
+// Helper function to read owner() from every contract that has one
+async function collectOwners(contracts) {
+  const owners = {};
+  for (const [label, contract] of Object.entries(contracts)) {
+    if (contract.interface.hasFunction("owner")) {
+      owners[label] = await contract.owner();
+    }
+  }
+  return owners;
+}
+
+/**
+ * Audit a live deployment.
+ * `contracts` maps labels to attached contract instances and must include GameMaster and Points.
+ * Every game registered with GameMaster is checked, and `games` lists labels in `contracts`
+ * that must be registered at exactly that address. Climb is checked if present.
+ * Returns { ok, results, owners }.
+ */
+async function auditWiring(ethers, contracts, { games = [] } = {}) {
+  const { GameMaster: gameMaster, Points: points } = contracts;
+  const results = [];
+
+  // Every known contract must have code
+  for (const [label, contract] of Object.entries(contracts)) {
+    const address = await contract.getAddress();
+    const hasCode = (await ethers.provider.getCode(address)) !== "0x";
+    results.push(result("hasCode", label, hasCode, "contract code", hasCode ? "contract code" : "no code",
+      hasCode ? `${label} has code at ${address}` : `${label} has no code at ${address}`));
+  }
+
+  // Nothing else can be read from an address without code
+  if (!results.every((entry) => entry.ok)) {
+    return { ok: false, results, owners: {} };
+  }
+
+  const gameMasterAddress = await gameMaster.getAddress();
+  const pointsAddress = await points.getAddress();
+
+  // GameMaster must forward registration fees to the current Points contract
+  const currentPoints = await gameMaster.pointsContract();
+  results.push(result("pointsContract", "GameMaster", sameAddress(currentPoints, pointsAddress),
+    pointsAddress, currentPoints, "GameMaster.pointsContract() should be the current Points contract"));
+
+  // The Points share of the registration fee must pass Points.MIN_DEPOSIT or registration reverts
+  const registrationFee = await gameMaster.registrationFee();
+  const minDeposit = await points.MIN_DEPOSIT();
+  const pointsPortion = registrationFee / 6n;
+  results.push(result("registrationFee", "GameMaster", pointsPortion >= minDeposit,
+    `>= ${ethers.formatEther(minDeposit)} S`, `${ethers.formatEther(pointsPortion)} S`,
+    "registrationFee / 6 should be at least Points.MIN_DEPOSIT"));
+
+  // Every game registered with GameMaster must report eliminations back to it
+  const gameMasterCode = await ethers.provider.getCode(gameMasterAddress);
+  const [gameNames] = await gameMaster.getGames();
+  for (const name of gameNames) {
+    const registered = await gameMaster.gameAddresses(name);
+    const game = await ethers.getContractAt(GAME_ABI, registered);
+    const reportedMaster = await game.gameMaster();
+    results.push(result("gameMaster", name, sameAddress(reportedMaster, gameMasterAddress),
+      gameMasterAddress, reportedMaster, `${name}.gameMaster() should be the GameMaster that registered it`));
+
+    // Games swallow failed callbacks, so a GameMaster without the callback never hears of eliminations
+    const callback = findEliminationCallback(await ethers.provider.getCode(registered), ethers);
+    const supported = callback !== null && dispatchesSelector(gameMasterCode, callback, ethers);
+    results.push(result("eliminationCallback", name, supported,
+      callback || "a playerEliminated call", callback === null ? "no call found" : supported ? callback : "missing from GameMaster",
+      `GameMaster should implement the ${callback || "playerEliminated"} callback ${name} calls`));
+  }
+
+  // Games we deployed must be the ones GameMaster is actually using
+  for (const name of games) {
+    const known = await contracts[name].getAddress();
+    const registered = gameNames.includes(name) ? await gameMaster.gameAddresses(name) : ethers.ZeroAddress;
+    results.push(result("registeredGame", name, sameAddress(registered, known),
+      known, registered, `GameMaster should have ${name} registered at the deployed address`));
+  }
+
+  // Climb awards points, so it must be authorized and point at the same Points contract
+  if (contracts.Climb) {
+    const climbAddress = await contracts.Climb.getAddress();
+    const authorized = await points.authorizedContracts(climbAddress);
+    results.push(result("authorizedContracts", "Climb", authorized, true, authorized,
+      "Climb should be authorized in Points.authorizedContracts"));
+
+    const climbPoints = await contracts.Climb.pointsContract();
+    results.push(result("pointsContract", "Climb", sameAddress(climbPoints, pointsAddress),
+      pointsAddress, climbPoints, "Climb.pointsContract() should be the current Points contract"));
+  }
+
+  // All contracts should be administered by the same owner
+  const owners = await collectOwners(contracts);
+  const expectedOwner = owners.GameMaster;
+  for (const [label, owner] of Object.entries(owners)) {
+    results.push(result("owner", label, sameAddress(owner, expectedOwner),
+      expectedOwner, owner, `${label} should have the same owner as GameMaster`));
+  }
+
+  return { ok: results.every((entry) => entry.ok), results, owners };
+}
+
+module.exports = {
+  auditWiring,
+  collectOwners,
+  findEliminationCallback,
+};
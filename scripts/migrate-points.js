@@ -1,12 +1,28 @@
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
 const fs = require("fs");
+const path = require("path");
+const { resolveAddress } = require("./lib/registry");
+const { createJournal, readJournal, settlePendingTransactions } = require("./lib/journal");
+const { createOwnerTxRunner } = require("./lib/owner-tx");
 
-// Configuration - Update these addresses before running
-const OLD_POINTS_CONTRACT_ADDRESS = "0x92E2a4770005C162Ea70c9928432Caf0F5C85ab0"; // Replace with old contract address
-const NEW_POINTS_CONTRACT_ADDRESS = "0x2a38f186Ae7A96F3973617BE1704ce0dAcE61857"; // Replace with new contract address
+// Re-running this script is safe: every transaction is journaled next to the
+// migration-data-*.json snapshot, and a restart only sends the difference between the
+// snapshot and what the new contract already holds. An unfinished run is resumed
+// automatically; set MIGRATION_DATA=migration-data/migration-data-<ts>.json to pick one.
 
-// Batch size for processing addresses (to avoid gas limit issues)
+// Contracts with importPoints receive many addresses per transaction, packed into chunks
+// that stay under MIGRATION_CHUNK_GAS (default 10M, capped at 90% of the block gas limit).
+// Older contracts fall back to one assignPoints call per balance, logged in batches.
+
+// When the new contract is owned by a Safe, set SAFE_EXPORT=batch.json SAFE_ADDRESS=0xSafe:
+// the missing calls are written to a Safe batch instead of being sent. Re-run the script once
+// the Safe has executed it to verify the migration and mark it complete.
 const BATCH_SIZE = 50;
+const DEFAULT_CHUNK_GAS = 10_000_000n;
+const MIGRATION_DIR = "./migration-data";
+
+// Set by the SIGINT handler; the migration stops before its next transaction
+let stopRequested = false;
 
 // Helper function to get contract instance
 async function getPointsContract(address) {
@@ -73,7 +89,7 @@ async function getAddressData(oldPointsContract, addresses) {
 }
 
 // Helper function to migrate referral codes
-async function migrateReferralCodes(newPointsContract, addressData, deployer) {
+async function migrateReferralCodes(newPointsContract, addressData, journal, runner) {
   console.log("\nMigrating referral codes...");
   
   // First, collect all unique referral codes and their owners
@@ -100,24 +116,36 @@ async function migrateReferralCodes(newPointsContract, addressData, deployer) {
 
   // Migrate owned referral codes first
   for (const [code, owner] of referralCodes) {
+    if ((await newPointsContract.addressToReferralCode(owner)) === code) {
+      console.log(`Skipping referral code "${code}" (already migrated)`);
+      continue;
+    }
     try {
       console.log(`Migrating referral code "${code}" for ${owner}...`);
-      await newPointsContract.migrateReferralCode(owner, code);
+      await sendJournaled(journal, runner, newPointsContract, "migrateReferralCode", [owner, code], { address: owner });
       console.log(`✓ Successfully migrated referral code "${code}"`);
       
     } catch (error) {
+      if (stopRequested) throw error;
       console.error(`Error migrating referral code "${code}":`, error.message);
     }
   }
 
   // Then migrate used referral codes
   for (const entry of usedReferralCodes) {
+    if ((await newPointsContract.usedReferralCode(entry.user)) === entry.referralCode) {
+      console.log(`Skipping used referral code for ${entry.user} (already migrated)`);
+      continue;
+    }
     try {
       console.log(`Migrating used referral code "${entry.referralCode}" for ${entry.user}...`);
-      await newPointsContract.migrateUsedReferralCode(entry.user, entry.referralCode);
+      await sendJournaled(
+        journal, runner, newPointsContract, "migrateUsedReferralCode", [entry.user, entry.referralCode], { address: entry.user }
+      );
       console.log(`✓ Successfully migrated used referral code`);
       
     } catch (error) {
+      if (stopRequested) throw error;
       console.error(`Error migrating used referral code "${entry.referralCode}" for ${entry.user}:`, error.message);
     }
   }
@@ -125,42 +153,97 @@ async function migrateReferralCodes(newPointsContract, addressData, deployer) {
   console.log(`✓ Referral code migration completed`);
 }
 
+// Helper function to send an owner call through the runner, journaling it as soon as it is
+// sent and again once mined. Returns null when the call was queued for the Safe instead.
+async function sendJournaled(journal, runner, contract, method, args, details) {
+  if (stopRequested) {
+    throw new Error("Migration interrupted");
+  }
+  const onSent = (tx) => journal.append("sent", {
+    ...details,
+    method,
+    args: JSON.parse(JSON.stringify(args, (_, value) => (typeof value === "bigint" ? value.toString() : value))),
+    hash: tx.hash,
+    nonce: tx.nonce,
+  });
+  try {
+    const receipt = await runner.submit(contract, method, args, { label: "Points", onSent });
+    if (receipt) journal.recordReceipt(receipt);
+    return receipt;
+  } catch (error) {
+    if (error.receipt) journal.recordReceipt(error.receipt);
+    throw error;
+  }
+}
+
+// Helper function to work out what is still missing for an address on the new contract
+function getMissingPoints(data, currentTotal, currentWithdrawable) {
+  const targetWithdrawable = BigInt(data.withdrawablePoints);
+  const targetNonWithdrawable = BigInt(data.totalPoints) - targetWithdrawable;
+  const currentNonWithdrawable = currentTotal - currentWithdrawable;
+
+  return {
+    nonWithdrawable: targetNonWithdrawable - currentNonWithdrawable,
+    withdrawable: targetWithdrawable - currentWithdrawable,
+  };
+}
+
+// Helper function to compare the snapshot with the new contract and plan the missing points
+async function planPointsMigration(newPointsContract, addressData) {
+  console.log("\nComparing snapshot with the new contract...");
+  const plan = [];
+  let alreadyMigrated = 0;
+
+  for (const data of addressData) {
+    if (data.totalPoints === "0") continue;
+
+    const [currentTotal, currentWithdrawable] = await newPointsContract.getPoints(data.address);
+    const missing = getMissingPoints(data, currentTotal, currentWithdrawable);
+
+    // The new contract never loses points, so a surplus means it was credited outside this migration
+    if (missing.nonWithdrawable < 0n || missing.withdrawable < 0n) {
+      console.log(`⚠️  ${data.address} already holds more than the snapshot (${currentTotal}/${currentWithdrawable}), skipping`);
+      continue;
+    }
+    if (missing.nonWithdrawable === 0n && missing.withdrawable === 0n) {
+      alreadyMigrated++;
+      continue;
+    }
+    plan.push({ address: data.address, ...missing });
+  }
+
+  console.log(`✓ ${alreadyMigrated} addresses already migrated, ${plan.length} still need points`);
+  return plan;
+}
+
 // Helper function to migrate points in batches
-async function migratePointsBatch(newPointsContract, batch, batchNumber) {
+async function migratePointsBatch(newPointsContract, batch, batchNumber, journal, runner) {
   console.log(`\nMigrating batch ${batchNumber} (${batch.length} addresses)...`);
   
   for (let i = 0; i < batch.length; i++) {
-    const data = batch[i];
-    const { address, totalPoints, withdrawablePoints } = data;
-    
-    if (totalPoints === "0") {
-      console.log(`Skipping ${address} (0 points)`);
-      continue;
-    }
+    const { address, nonWithdrawable, withdrawable } = batch[i];
 
     try {
-      console.log(`Migrating ${address}: ${totalPoints} total, ${withdrawablePoints} withdrawable`);
-      
-      // Calculate non-withdrawable points
-      const nonWithdrawablePoints = BigInt(totalPoints) - BigInt(withdrawablePoints);
+      console.log(`Migrating ${address}: ${nonWithdrawable} non-withdrawable, ${withdrawable} withdrawable missing`);
       
       // Assign non-withdrawable points first if any
-      if (nonWithdrawablePoints > 0) {
-        await newPointsContract.assignPoints(address, nonWithdrawablePoints.toString(), false);
-        console.log(`✓ Assigned ${nonWithdrawablePoints} non-withdrawable points`);
+      if (nonWithdrawable > 0n) {
+        await sendJournaled(journal, runner, newPointsContract, "assignPoints", [address, nonWithdrawable, false], { address });
+        console.log(`✓ Assigned ${nonWithdrawable} non-withdrawable points`);
       }
       
       // Assign withdrawable (referral) points if any
-      if (withdrawablePoints !== "0") {
-        await newPointsContract.assignPoints(address, withdrawablePoints, true);
-        console.log(`✓ Assigned ${withdrawablePoints} withdrawable points`);
+      if (withdrawable > 0n) {
+        await sendJournaled(journal, runner, newPointsContract, "assignPoints", [address, withdrawable, true], { address });
+        console.log(`✓ Assigned ${withdrawable} withdrawable points`);
       }
       
     } catch (error) {
+      if (stopRequested) throw error;
       console.error(`Error migrating points for ${address}:`, error.message);
       
       // If it's a points cap error, stop migration
-      if (error.message.includes("PointsCapReached")) {
+      if (error.message.includes("PointsCapReached") || error.message.includes("Would exceed points cap")) {
         console.error("Points cap reached! Cannot continue migration.");
         throw error;
       }
@@ -170,15 +253,135 @@ async function migratePointsBatch(newPointsContract, batch, batchNumber) {
   console.log(`✓ Batch ${batchNumber} completed`);
 }
 
+// Helper function to check whether the new contract has the bulk import entry point
+async function supportsBulkImport(newPointsContract, owner) {
+  try {
+    await newPointsContract.connect(ethers.provider).importPoints.staticCall([], { from: owner });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Helper function to build import entries for every address the new contract is not up to date for
+async function buildImportEntries(newPointsContract, addressData) {
+  console.log("\nComparing snapshot with the new contract...");
+  const ownedCodes = new Set(addressData.map((data) => data.referralCode).filter(Boolean));
+  const entries = [];
+  let missingPoints = 0n;
+  let alreadyMigrated = 0;
+
+  for (const data of addressData) {
+    const [currentTotal, currentWithdrawable] = await newPointsContract.getPoints(data.address);
+    const missing = getMissingPoints(data, currentTotal, currentWithdrawable);
+    const pointsMissing = (missing.nonWithdrawable > 0n ? missing.nonWithdrawable : 0n) +
+      (missing.withdrawable > 0n ? missing.withdrawable : 0n);
+
+    // A used code must be owned by someone, either in the snapshot or already on the new contract
+    let usedCode = data.usedReferralCode || "";
+    if (usedCode && !ownedCodes.has(usedCode) &&
+        (await newPointsContract.referralCodeToAddress(usedCode)) === ethers.ZeroAddress) {
+      console.log(`⚠️  ${data.address} used referral code "${usedCode}", which nobody owns; not importing it`);
+      usedCode = "";
+    }
+
+    const ownedCode = data.referralCode || "";
+    const codesMissing =
+      (ownedCode && (await newPointsContract.addressToReferralCode(data.address)) !== ownedCode) ||
+      (usedCode && (await newPointsContract.usedReferralCode(data.address)) !== usedCode);
+
+    if (pointsMissing === 0n && !codesMissing) {
+      alreadyMigrated++;
+      continue;
+    }
+    missingPoints += pointsMissing;
+    entries.push({
+      account: data.address,
+      total: BigInt(data.totalPoints),
+      withdrawable: BigInt(data.withdrawablePoints),
+      ownedCode,
+      usedCode,
+    });
+  }
+
+  // Owners first, so a used code is always registered in the same or an earlier chunk
+  entries.sort((a, b) => Number(b.ownedCode !== "") - Number(a.ownedCode !== ""));
+
+  console.log(`✓ ${alreadyMigrated} addresses already migrated, ${entries.length} still need an import`);
+  return { entries, missingPoints };
+}
+
+// Helper function to find how many entries from `start` fit in one transaction, estimated as `owner`.
+// Codes in `queuedCodes` only exist once earlier queued chunks run, so their uses are left out of the estimate.
+async function sizeChunk(newPointsContract, entries, start, maxGas, owner, queuedCodes) {
+  const estimate = (size) => newPointsContract.connect(ethers.provider).importPoints.estimateGas(
+    entries.slice(start, start + size).map((entry) => (queuedCodes.has(entry.usedCode) ? { ...entry, usedCode: "" } : entry)),
+    { from: owner }
+  );
+  const remaining = entries.length - start;
+
+  if ((await estimate(1)) > maxGas) {
+    throw new Error(`Importing ${entries[start].account} alone needs more than ${maxGas} gas`);
+  }
+
+  // Double until the estimate no longer fits, then bisect between the last two sizes
+  let fits = 1;
+  let tooBig = null;
+  while (fits < remaining) {
+    const size = Math.min(fits * 2, remaining);
+    if ((await estimate(size)) <= maxGas) {
+      fits = size;
+    } else {
+      tooBig = size;
+      break;
+    }
+  }
+  while (tooBig !== null && tooBig - fits > 1) {
+    const size = Math.floor((fits + tooBig) / 2);
+    if ((await estimate(size)) <= maxGas) {
+      fits = size;
+    } else {
+      tooBig = size;
+    }
+  }
+  return fits;
+}
+
+// Helper function to import entries in chunks sized by estimateGas
+async function importInChunks(newPointsContract, entries, journal, runner) {
+  const block = await ethers.provider.getBlock("latest");
+  const configured = process.env.MIGRATION_CHUNK_GAS ? BigInt(process.env.MIGRATION_CHUNK_GAS) : DEFAULT_CHUNK_GAS;
+  const maxGas = configured < (block.gasLimit * 9n) / 10n ? configured : (block.gasLimit * 9n) / 10n;
+  console.log(`\nImporting ${entries.length} addresses in chunks of up to ${maxGas} gas...`);
+
+  let chunkNumber = 0;
+  const queuedCodes = new Set();
+  for (let start = 0; start < entries.length;) {
+    const size = await sizeChunk(newPointsContract, entries, start, maxGas, runner.actor, queuedCodes);
+    const chunk = entries.slice(start, start + size);
+    chunkNumber++;
+
+    const receipt = await sendJournaled(journal, runner, newPointsContract, "importPoints", [chunk], {
+      chunk: chunkNumber,
+      addresses: chunk.map((entry) => entry.account),
+    });
+    if (receipt) {
+      console.log(`✓ Chunk ${chunkNumber}: ${size} addresses (${start + size}/${entries.length}), gas ${receipt.gasUsed}`);
+    } else {
+      chunk.forEach((entry) => entry.ownedCode && queuedCodes.add(entry.ownedCode));
+    }
+    start += size;
+  }
+}
+
 // Helper function to save migration data to file
 async function saveMigrationData(addressData) {
   const fileName = `migration-data-${Date.now()}.json`;
-  const filePath = `./migration-data/${fileName}`;
+  const filePath = `${MIGRATION_DIR}/${fileName}`;
   
   // Create directory if it doesn't exist
-  const dir = "./migration-data";
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir);
+  if (!fs.existsSync(MIGRATION_DIR)) {
+    fs.mkdirSync(MIGRATION_DIR);
   }
   
   fs.writeFileSync(filePath, JSON.stringify(addressData, null, 2));
@@ -186,6 +389,35 @@ async function saveMigrationData(addressData) {
   return filePath;
 }
 
+// Helper function to get the journal that belongs to a snapshot
+function getJournalPath(snapshotPath) {
+  return snapshotPath.replace(/\.json$/, ".journal.jsonl");
+}
+
+// Helper function to find the snapshot of an unfinished migration into the new contract
+function findUnfinishedMigration(newPointsAddress) {
+  if (process.env.MIGRATION_DATA) {
+    return process.env.MIGRATION_DATA;
+  }
+  if (!fs.existsSync(MIGRATION_DIR)) {
+    return null;
+  }
+
+  const unfinished = fs.readdirSync(MIGRATION_DIR)
+    .filter((name) => name.endsWith(".journal.jsonl"))
+    .map((name) => path.join(MIGRATION_DIR, name))
+    .filter((journalPath) => {
+      const entries = readJournal(journalPath);
+      const start = entries.find((entry) => entry.type === "start");
+      return start &&
+        start.newPoints.toLowerCase() === newPointsAddress.toLowerCase() &&
+        !entries.some((entry) => entry.type === "complete");
+    })
+    .sort();
+
+  return unfinished.length > 0 ? unfinished[unfinished.length - 1].replace(/\.journal\.jsonl$/, ".json") : null;
+}
+
 // Helper function to verify migration
 async function verifyMigration(oldPointsContract, newPointsContract, addressData) {
   console.log("\nVerifying migration...");
@@ -270,17 +502,23 @@ async function main() {
   console.log("Points Migration Script");
   console.log("======================");
   
-  // Validate configuration
-  if (OLD_POINTS_CONTRACT_ADDRESS === "0x..." || NEW_POINTS_CONTRACT_ADDRESS === "0x...") {
-    console.error("❌ Please update the contract addresses in the script configuration");
-    process.exit(1);
-  }
+  // Addresses come from deployments/<network>.json (override with OLD_POINTS_ADDRESS / POINTS_ADDRESS)
+  const OLD_POINTS_CONTRACT_ADDRESS = resolveAddress(network.name, "OldPoints");
+  const NEW_POINTS_CONTRACT_ADDRESS = resolveAddress(network.name, "Points");
   
   const [deployer] = await ethers.getSigners();
+  const runner = createOwnerTxRunner(ethers, deployer, {
+    name: "Points migration",
+    description: `Migrate ${OLD_POINTS_CONTRACT_ADDRESS} to ${NEW_POINTS_CONTRACT_ADDRESS}`,
+  });
   console.log("Running migration with account:", deployer.address);
+  if (runner.mode === "export") {
+    console.log("Exporting for Safe:", runner.actor);
+  }
   console.log("Old Points Contract:", OLD_POINTS_CONTRACT_ADDRESS);
   console.log("New Points Contract:", NEW_POINTS_CONTRACT_ADDRESS);
   
+  let journal = null;
   try {
     // Get contract instances
     console.log("\nConnecting to contracts...");
@@ -288,13 +526,13 @@ async function main() {
     const newPointsContract = await getPointsContract(NEW_POINTS_CONTRACT_ADDRESS);
     console.log("✓ Connected to both contracts");
     
-    // Verify deployer is owner of new contract
+    // Verify the deployer (or the Safe being exported for) owns the new contract
     const owner = await newPointsContract.owner();
-    if (owner.toLowerCase() !== deployer.address.toLowerCase()) {
-      console.error(`❌ Deployer (${deployer.address}) is not owner of new contract (${owner})`);
+    if (owner.toLowerCase() !== runner.actor.toLowerCase()) {
+      console.error(`❌ ${runner.actor} is not owner of new contract (${owner})`);
       process.exit(1);
     }
-    console.log("✓ Deployer is owner of new contract");
+    console.log(`✓ ${runner.actor} is owner of new contract`);
     
     // Get old contract stats
     const oldTotalPoints = await oldPointsContract.totalPointsIssued();
@@ -310,51 +548,100 @@ async function main() {
     console.log(`- Total points issued: ${newTotalPoints}`);
     console.log(`- Remaining points: ${newRemainingPoints}`);
     
-    // Check if new contract has enough capacity
-    if (newRemainingPoints < oldTotalPoints - newTotalPoints) {
-      console.error(`❌ New contract doesn't have enough capacity for migration`);
-      console.error(`Need: ${oldTotalPoints - newTotalPoints}, Available: ${newRemainingPoints}`);
-      process.exit(1);
-    }
-    
-    // Get all addresses from old contract
-    const addresses = await getAllAddresses(oldPointsContract);
-    
-    if (addresses.length === 0) {
-      console.log("No addresses to migrate. Exiting.");
-      return;
+    // Resume an unfinished migration from its snapshot, or take a new snapshot
+    let addressData;
+    let backupFile = findUnfinishedMigration(NEW_POINTS_CONTRACT_ADDRESS);
+    if (backupFile) {
+      console.log(`\nResuming migration from snapshot: ${backupFile}`);
+      addressData = JSON.parse(fs.readFileSync(backupFile, "utf8"));
+      journal = createJournal(getJournalPath(backupFile));
+      console.log(`✓ Loaded ${addressData.length} addresses, ${journal.entries.length} journal entries`);
+    } else {
+      // Get all addresses from old contract
+      const addresses = await getAllAddresses(oldPointsContract);
+      
+      if (addresses.length === 0) {
+        console.log("No addresses to migrate. Exiting.");
+        return;
+      }
+      
+      // Get data for all addresses
+      addressData = await getAddressData(oldPointsContract, addresses);
+      
+      // Save migration data for backup
+      backupFile = await saveMigrationData(addressData);
+      journal = createJournal(getJournalPath(backupFile));
     }
-    
-    // Get data for all addresses
-    const addressData = await getAddressData(oldPointsContract, addresses);
-    
-    // Save migration data for backup
-    const backupFile = await saveMigrationData(addressData);
-    
-    // Migrate in batches
-    console.log(`\nStarting migration in batches of ${BATCH_SIZE}...`);
-    const batches = [];
-    for (let i = 0; i < addressData.length; i += BATCH_SIZE) {
-      batches.push(addressData.slice(i, i + BATCH_SIZE));
+    if (!journal.entries.some((entry) => entry.type === "start")) {
+      journal.append("start", {
+        network: network.name,
+        oldPoints: OLD_POINTS_CONTRACT_ADDRESS,
+        newPoints: NEW_POINTS_CONTRACT_ADDRESS,
+        snapshot: backupFile,
+        addresses: addressData.length,
+      });
     }
+    console.log(`Journal: ${journal.path}`);
     
-    console.log(`Created ${batches.length} batches`);
+    await settlePendingTransactions(ethers.provider, journal, deployer.address);
     
-    for (let i = 0; i < batches.length; i++) {
-      await migratePointsBatch(newPointsContract, batches[i], i + 1);
+    if (await supportsBulkImport(newPointsContract, runner.actor)) {
+      const { entries, missingPoints } = await buildImportEntries(newPointsContract, addressData);
+      
+      // Check if new contract has enough capacity
+      if (newRemainingPoints < missingPoints) {
+        console.error(`❌ New contract doesn't have enough capacity for migration`);
+        console.error(`Need: ${missingPoints}, Available: ${newRemainingPoints}`);
+        process.exit(1);
+      }
+      
+      // Points and referral codes travel together
+      await importInChunks(newPointsContract, entries, journal, runner);
+    } else {
+      console.log("\nNew contract has no importPoints; sending one transaction per balance and code");
       
-      // Small delay between batches to avoid overwhelming the network
-      if (i < batches.length - 1) {
-        console.log("Waiting 2 seconds before next batch...");
-        await new Promise(resolve => setTimeout(resolve, 2000));
+      // Only the points the new contract is still missing are sent
+      const plan = await planPointsMigration(newPointsContract, addressData);
+      const missingPoints = plan.reduce((sum, entry) => sum + entry.nonWithdrawable + entry.withdrawable, 0n);
+      
+      // Check if new contract has enough capacity
+      if (newRemainingPoints < missingPoints) {
+        console.error(`❌ New contract doesn't have enough capacity for migration`);
+        console.error(`Need: ${missingPoints}, Available: ${newRemainingPoints}`);
+        process.exit(1);
+      }
+      
+      // Migrate in batches
+      console.log(`\nStarting migration of ${missingPoints} points in batches of ${BATCH_SIZE}...`);
+      const batches = [];
+      for (let i = 0; i < plan.length; i += BATCH_SIZE) {
+        batches.push(plan.slice(i, i + BATCH_SIZE));
       }
+      
+      console.log(`Created ${batches.length} batches`);
+      
+      for (let i = 0; i < batches.length; i++) {
+        await migratePointsBatch(newPointsContract, batches[i], i + 1, journal, runner);
+      }
+      
+      // Migrate referral codes
+      await migrateReferralCodes(newPointsContract, addressData, journal, runner);
     }
     
-    // Migrate referral codes
-    await migrateReferralCodes(newPointsContract, addressData, deployer);
+    // Nothing has changed on chain yet; the next run verifies once the Safe has executed the batch
+    const exported = await runner.finish();
+    if (exported) {
+      journal.append("exported", { path: exported });
+      console.log("\nExecute the batch from the Safe, then re-run this script to verify the migration.");
+      console.log(`- Journal: ${journal.path}`);
+      return;
+    }
     
     // Verify migration
     const verification = await verifyMigration(oldPointsContract, newPointsContract, addressData);
+    if (verification.errorCount === 0) {
+      journal.append("complete", { verified: verification.successCount });
+    }
     
     // Final stats
     const finalTotalPoints = await newPointsContract.totalPointsIssued();
@@ -368,21 +655,31 @@ async function main() {
     console.log(`- Final total points: ${finalTotalPoints}`);
     console.log(`- Remaining capacity: ${finalRemainingPoints}`);
     console.log(`- Backup saved to: ${backupFile}`);
+    console.log(`- Journal: ${journal.path}`);
     
     if (verification.errorCount > 0) {
       console.log(`\n⚠️  Please review the ${verification.errorCount} errors above`);
+      console.log("Re-running the script resumes this migration and only sends what is still missing.");
     }
     
   } catch (error) {
     console.error("\n❌ Migration failed:", error.message);
+    if (journal) {
+      console.error(`Re-run the script to resume; progress is journaled in ${journal.path}`);
+    }
     process.exit(1);
   }
 }
 
-// Handle graceful shutdown
+// Handle graceful shutdown: finish and journal the transaction in flight, then stop.
+// A second Ctrl+C exits immediately; the journal still lets the next run reconcile.
 process.on('SIGINT', () => {
-  console.log('\n\nMigration interrupted by user');
-  process.exit(1);
+  if (stopRequested) {
+    console.log('\n\nMigration interrupted by user');
+    process.exit(1);
+  }
+  stopRequested = true;
+  console.log('\n\nStopping after the current transaction (Ctrl+C again to exit now)...');
 });
 
 main()
@@ -390,4 +687,4 @@ main()
   .catch((error) => {
     console.error("Unhandled error:", error);
     process.exit(1);
-  }); 
\ No newline at end of file
+  });
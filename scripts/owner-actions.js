@@ -0,0 +1,84 @@
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const { loadRegistry, resolveAddress } = require("./lib/registry");
+const { createOwnerTxRunner } = require("./lib/owner-tx");
+
+// Usage (single action):
+//   TARGET=GameMaster METHOD=setRegistrationFee ARGS='["12000000000000000000"]' \
+//     npx hardhat run scripts/owner-actions.js --network sonic
+//
+// Usage (several actions from a file):
+//   OWNER_ACTIONS=season-start.json npx hardhat run scripts/owner-actions.js --network sonic
+//
+// where the file holds [{ "contract": "GameMaster", "method": "initializeGame", "args": ["Doors"] }, ...].
+// Each action may also set "value" (in wei) for payable methods.
+//
+// Add SAFE_EXPORT=batch.json SAFE_ADDRESS=0xSafe to write a Safe Transaction Builder batch
+// instead of sending from the signer.
+
+// Helper function to read the requested actions from OWNER_ACTIONS or TARGET/METHOD/ARGS
+function loadActions() {
+  if (process.env.OWNER_ACTIONS) {
+    const actions = JSON.parse(fs.readFileSync(process.env.OWNER_ACTIONS, "utf8"));
+    if (!Array.isArray(actions)) {
+      throw new Error(`${process.env.OWNER_ACTIONS} must contain an array of actions`);
+    }
+    return actions;
+  }
+
+  if (!process.env.TARGET || !process.env.METHOD) {
+    throw new Error("Set OWNER_ACTIONS, or TARGET and METHOD (and optionally ARGS, VALUE)");
+  }
+  return [{
+    contract: process.env.TARGET,
+    method: process.env.METHOD,
+    args: process.env.ARGS ? JSON.parse(process.env.ARGS) : [],
+    value: process.env.VALUE || "0",
+  }];
+}
+
+async function main() {
+  const [signer] = await ethers.getSigners();
+  const actions = loadActions();
+  const registry = loadRegistry(network.name);
+
+  const runner = createOwnerTxRunner(ethers, signer, {
+    name: `Owner actions on ${network.name}`,
+    description: actions.map((a) => `${a.contract}.${a.method}`).join(", "),
+  });
+
+  console.log("Owner Actions");
+  console.log("=============");
+  console.log("Network:", network.name);
+  console.log("Mode:", runner.mode === "export" ? `export for Safe ${runner.actor}` : `send from ${signer.address}`);
+
+  // Resolve every target and method before doing anything
+  const prepared = [];
+  for (const action of actions) {
+    const entry = registry.contracts[action.contract];
+    const contractName = entry ? entry.contract : action.contract;
+    const contract = await ethers.getContractAt(contractName, resolveAddress(network.name, action.contract));
+
+    if (!contract.interface.hasFunction(action.method)) {
+      throw new Error(`${contractName} has no method ${action.method}`);
+    }
+    prepared.push({ ...action, contract, label: action.contract });
+  }
+
+  console.log();
+  for (const action of prepared) {
+    await runner.submit(action.contract, action.method, action.args || [], {
+      value: BigInt(action.value || 0),
+      label: action.label,
+    });
+  }
+
+  await runner.finish();
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,352 @@
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { resolveAddress } = require("./lib/registry");
+const { createJournal, settlePendingTransactions } = require("./lib/journal");
+const { createOwnerTxRunner } = require("./lib/owner-tx");
+const { getStandings } = require("./lib/standings");
+const {
+  loadPrizeTable,
+  getPayable,
+  createPlan,
+  approvePlan,
+  assertPlanUnchanged,
+  verifyPlan,
+  readPlan,
+  writePlan,
+  getLedgerPath,
+} = require("./lib/payouts");
+
+// End-of-season prize payouts in three steps:
+//
+// 1. Plan: read the standings from GameMaster and price them with a prize table
+//      PAYOUT_TABLE=prizes/season-3.json npx hardhat run scripts/payouts.js --network sonic
+// 2. Approve: review the plan file, then sign it off (once per approver)
+//      PAYOUT_ACTION=approve PAYOUT_PLAN=payouts/season-3-sonic.plan.json npx hardhat run scripts/payouts.js --network sonic
+// 3. Execute: pay everyone the plan lists, from the signer's wallet or from GameMaster
+//      PAYOUT_ACTION=execute PAYOUT_PLAN=payouts/season-3-sonic.plan.json npx hardhat run scripts/payouts.js --network sonic
+//
+// Execution writes every transaction to a receipts ledger next to the plan
+// (payouts/season-3-sonic.receipts.jsonl). Re-running it only pays recipients that have
+// not been paid, so an interrupted or partly failed run can simply be repeated.
+// Transfers from the signer's wallet are signed and written to the ledger before they are
+// broadcast, so the signer's private key must be in the network's `accounts`.
+//
+// Optional:
+//   PAYOUT_PLAN=path             plan file (default payouts/<season>-<network>.plan.json)
+//   PAYOUT_APPROVERS=0xa,0xb     only accept approvals from these addresses
+//   PAYOUT_BATCH_SIZE=100        recipients per GameMaster.payPrizes call ("contract" plans)
+//   SAFE_EXPORT/SAFE_ADDRESS     write the payPrizes calls as a Safe batch instead ("contract" plans)
+
+const BATCH_SIZE = Number(process.env.PAYOUT_BATCH_SIZE || 100);
+
+// Set by Ctrl+C; execution stops before the next payment
+let stopRequested = false;
+
+// Helper function to format wei as S
+function formatS(wei) {
+  return `${ethers.formatEther(wei)} S`;
+}
+
+// Helper function to print a plan for review
+function printPlan(plan) {
+  console.log(`\nSeason: ${plan.season}`);
+  console.log(`Pay from: ${plan.payFrom === "contract" ? `GameMaster ${plan.gameMaster}` : "signer wallet"}`);
+  console.log(`Standings at block: ${plan.blockNumber}`);
+  if (plan.pot !== null) console.log(`Pot: ${formatS(plan.pot)}`);
+  console.log("");
+  for (const payment of plan.payments) {
+    const placement = payment.tiedWith ? `T-${payment.placement}` : String(payment.placement);
+    const tie = payment.tiedWith ? `  (${payment.tiedWith}-way tie, splits places ${payment.slots})` : "";
+    const skipped = payment.skip
+      ? `  (not paid${payment.note ? `: ${payment.note}` : ""})`
+      : payment.note ? `  (${payment.note})` : "";
+    console.log(`  #${placement.padEnd(6)} ${payment.recipient}  ${formatS(payment.amount).padStart(16)}${tie}${skipped}`);
+  }
+  console.log(`\nTotal to pay: ${formatS(plan.total)} to ${getPayable(plan).length} recipients`);
+  console.log(`Plan id: ${plan.planId}`);
+}
+
+async function plan(gameMaster) {
+  if (!process.env.PAYOUT_TABLE) {
+    throw new Error("Set PAYOUT_TABLE to a prize table (see prizes/example.json)");
+  }
+  const table = loadPrizeTable(process.env.PAYOUT_TABLE);
+  const gameMasterAddress = await gameMaster.getAddress();
+  const { chainId } = await ethers.provider.getNetwork();
+  const blockNumber = await ethers.provider.getBlockNumber();
+
+  const survivors = await gameMaster.getActivePlayerCount();
+  if (survivors > 1n) {
+    console.log(`⚠️  ${survivors} players are still active; they share first place`);
+  }
+
+  // The pot defaults to what GameMaster collected
+  const pot = table.pot !== undefined
+    ? ethers.parseEther(String(table.pot))
+    : await ethers.provider.getBalance(gameMasterAddress);
+
+  const standings = await getStandings(gameMaster);
+  const result = createPlan(ethers, {
+    table,
+    standings,
+    pot,
+    chainId,
+    gameMaster: gameMasterAddress,
+    network: network.name,
+    blockNumber,
+  });
+
+  const planPath = process.env.PAYOUT_PLAN ||
+    path.join(__dirname, "..", "payouts", `${table.season}-${network.name}.plan.json`);
+  if (fs.existsSync(planPath)) {
+    const existing = readPlan(planPath);
+    if (existing.planId !== result.planId && fs.existsSync(getLedgerPath(planPath))) {
+      throw new Error(`${planPath} already has payouts recorded; choose another PAYOUT_PLAN`);
+    }
+    // Same payments as before, so earlier sign-offs still apply
+    if (existing.planId === result.planId) {
+      result.approvals = existing.approvals;
+    }
+  }
+  fs.mkdirSync(path.dirname(planPath), { recursive: true });
+  writePlan(planPath, result);
+
+  printPlan(result);
+  console.log(`\n✓ Plan written to ${planPath}`);
+  console.log(`Review it, then approve with PAYOUT_ACTION=approve PAYOUT_PLAN=${planPath}`);
+}
+
+async function approve(signer, planPath) {
+  const current = readPlan(planPath);
+  assertPlanUnchanged(ethers, current);
+  printPlan(current);
+
+  await approvePlan(ethers, current, signer);
+  writePlan(planPath, current);
+  console.log(`\n✓ Approved by ${signer.address} (${current.approvals.length} approvals)`);
+}
+
+// Helper function to get a wallet for the signer's private key from the network's accounts.
+// The signer Hardhat provides cannot sign a transaction without also sending it.
+function getSigningWallet(signer) {
+  const { accounts } = network.config;
+  const keys = Array.isArray(accounts) ? accounts.map((account) => account.privateKey || account) : [];
+  for (const key of keys) {
+    const wallet = new ethers.Wallet(key, ethers.provider);
+    if (wallet.address === signer.address) return wallet;
+  }
+  if (accounts && accounts.mnemonic) {
+    const mnemonic = ethers.Mnemonic.fromPhrase(accounts.mnemonic, accounts.passphrase);
+    const parent = ethers.HDNodeWallet.fromMnemonic(mnemonic, accounts.path);
+    for (let i = accounts.initialIndex; i < accounts.initialIndex + accounts.count; i++) {
+      const wallet = parent.deriveChild(i).connect(ethers.provider);
+      if (wallet.address === signer.address) return wallet;
+    }
+  }
+  throw new Error(`Paying from the signer's wallet needs ${signer.address}'s private key in the ${network.name} accounts`);
+}
+
+// Helper function to find recipients the ledger shows as paid from the signer's wallet
+function getPaidFromLedger(journal) {
+  const succeeded = new Set(journal.entries.filter((e) => e.type === "receipt" && e.status === 1).map((e) => e.hash));
+  return new Set(
+    journal.entries
+      .filter((e) => e.type === "sent" && succeeded.has(e.hash))
+      .map((e) => e.recipient.toLowerCase())
+  );
+}
+
+async function executeFromSigner(signer, current, journal) {
+  await settlePendingTransactions(ethers.provider, journal, signer.address);
+
+  const paid = getPaidFromLedger(journal);
+  const remaining = getPayable(current).filter((p) => !paid.has(p.recipient.toLowerCase()));
+  const needed = remaining.reduce((sum, p) => sum + BigInt(p.amount), 0n);
+  console.log(`${paid.size} already paid, ${remaining.length} to pay (${formatS(needed)})`);
+
+  const balance = await ethers.provider.getBalance(signer.address);
+  if (balance < needed) {
+    throw new Error(`Insufficient funds. Need ${formatS(needed)} but ${signer.address} has ${formatS(balance)}`);
+  }
+
+  const wallet = getSigningWallet(signer);
+
+  for (const payment of remaining) {
+    if (stopRequested) break;
+
+    // Journal the signed transaction before broadcasting it: whatever happens after, the next
+    // run knows its hash and can settle or re-send it instead of paying the recipient again
+    const request = await wallet.populateTransaction({ to: payment.recipient, value: BigInt(payment.amount) });
+    const raw = await wallet.signTransaction(request);
+    journal.append("sent", {
+      hash: ethers.Transaction.from(raw).hash,
+      nonce: request.nonce,
+      recipient: payment.recipient,
+      placement: payment.placement,
+      amount: payment.amount,
+      raw,
+    });
+    const tx = await ethers.provider.broadcastTransaction(raw);
+
+    let receipt;
+    try {
+      receipt = await tx.wait();
+    } catch (error) {
+      // A recipient contract that rejects S reverts the transfer; record it and move on
+      if (!error.receipt) throw error;
+      receipt = error.receipt;
+    }
+    journal.recordReceipt(receipt);
+    if (receipt.status === 1) {
+      console.log(`✓ #${payment.placement} ${payment.recipient}: ${formatS(payment.amount)} (${tx.hash})`);
+    } else {
+      console.log(`❌ #${payment.placement} ${payment.recipient}: transfer reverted (${tx.hash})`);
+    }
+  }
+
+  return getPaidFromLedger(journal);
+}
+
+async function executeFromContract(signer, gameMaster, current, journal) {
+  const payable = getPayable(current);
+  const isPaid = async (p) => (await gameMaster.prizePaid(current.planId, p.recipient)) > 0n;
+
+  // GameMaster remembers who it paid under this plan id, so it is the source of truth here
+  const remaining = [];
+  for (const payment of payable) {
+    if (!(await isPaid(payment))) remaining.push(payment);
+  }
+  const needed = remaining.reduce((sum, p) => sum + BigInt(p.amount), 0n);
+  console.log(`${payable.length - remaining.length} already paid, ${remaining.length} to pay (${formatS(needed)})`);
+
+  const balance = await ethers.provider.getBalance(current.gameMaster);
+  if (balance < needed) {
+    throw new Error(`Insufficient funds. Need ${formatS(needed)} but GameMaster has ${formatS(balance)}`);
+  }
+
+  const runner = createOwnerTxRunner(ethers, signer, {
+    name: `${current.season} prizes`,
+    description: `Payout plan ${current.planId}`,
+  });
+  for (let i = 0; i < remaining.length; i += BATCH_SIZE) {
+    if (stopRequested) break;
+
+    const batch = remaining.slice(i, i + BATCH_SIZE);
+    const receipt = await runner.submit(
+      gameMaster,
+      "payPrizes",
+      [current.planId, batch.map((p) => p.recipient), batch.map((p) => p.amount)],
+      { label: "GameMaster" }
+    );
+    if (!receipt) continue;
+
+    journal.recordReceipt(receipt);
+    for (const log of receipt.logs) {
+      const parsed = gameMaster.interface.parseLog(log);
+      if (parsed && parsed.name === "PrizePaid") {
+        journal.append("paid", { hash: receipt.hash, recipient: parsed.args.recipient, amount: parsed.args.amount.toString() });
+        console.log(`✓ ${parsed.args.recipient}: ${formatS(parsed.args.amount)}`);
+      } else if (parsed && parsed.name === "PrizePaymentFailed") {
+        journal.append("failed", { hash: receipt.hash, recipient: parsed.args.recipient, amount: parsed.args.amount.toString() });
+        console.log(`❌ ${parsed.args.recipient}: transfer failed`);
+      }
+    }
+  }
+
+  const exported = await runner.finish();
+  if (exported) {
+    journal.append("exported", { path: exported });
+  }
+
+  const paid = new Set();
+  for (const payment of payable) {
+    if (await isPaid(payment)) paid.add(payment.recipient.toLowerCase());
+  }
+  return paid;
+}
+
+async function execute(signer, gameMaster, planPath) {
+  const current = readPlan(planPath);
+  const approvers = process.env.PAYOUT_APPROVERS ? process.env.PAYOUT_APPROVERS.split(",").map((a) => a.trim()) : [];
+  const approvedBy = verifyPlan(ethers, current, approvers);
+
+  const { chainId } = await ethers.provider.getNetwork();
+  if (chainId.toString() !== current.chainId) {
+    throw new Error(`Plan is for chain ${current.chainId}, not ${chainId}`);
+  }
+  if ((await gameMaster.getAddress()).toLowerCase() !== current.gameMaster.toLowerCase()) {
+    throw new Error(`Plan is for GameMaster ${current.gameMaster}`);
+  }
+
+  printPlan(current);
+  console.log(`Approved by: ${approvedBy.join(", ")}`);
+
+  const journal = createJournal(getLedgerPath(planPath));
+  if (!journal.entries.some((e) => e.type === "start")) {
+    journal.append("start", { planId: current.planId, payFrom: current.payFrom, total: current.total });
+  } else if (!journal.entries.some((e) => e.type === "start" && e.planId === current.planId)) {
+    throw new Error(`${journal.path} belongs to a different plan`);
+  }
+  console.log(`Receipts ledger: ${journal.path}\n`);
+
+  const paid = current.payFrom === "contract"
+    ? await executeFromContract(signer, gameMaster, current, journal)
+    : await executeFromSigner(signer, current, journal);
+
+  const unpaid = getPayable(current).filter((p) => !paid.has(p.recipient.toLowerCase()));
+  const paidTotal = getPayable(current)
+    .filter((p) => paid.has(p.recipient.toLowerCase()))
+    .reduce((sum, p) => sum + BigInt(p.amount), 0n);
+
+  console.log("\nPayout Summary:");
+  console.log("===============");
+  console.log(`Paid: ${paid.size}/${getPayable(current).length} recipients, ${formatS(paidTotal)} of ${formatS(current.total)}`);
+  if (unpaid.length === 0) {
+    if (!journal.entries.some((e) => e.type === "complete")) {
+      journal.append("complete", { paid: paid.size, total: paidTotal.toString() });
+    }
+    console.log("🎉 Every prize in the plan has been paid");
+  } else {
+    unpaid.forEach((p) => console.log(`- #${p.placement} ${p.recipient}: ${formatS(p.amount)} unpaid`));
+    console.log("\nRe-run the same command to pay the rest; nobody is paid twice");
+  }
+}
+
+async function main() {
+  const [signer] = await ethers.getSigners();
+  const action = process.env.PAYOUT_ACTION || "plan";
+  const gameMaster = await ethers.getContractAt("GameMaster", resolveAddress(network.name, "GameMaster"));
+
+  console.log("Prize Payouts");
+  console.log("=============");
+  console.log("Network:", network.name);
+  console.log("Account:", signer.address);
+  console.log("GameMaster:", await gameMaster.getAddress());
+
+  if (action === "plan") {
+    return plan(gameMaster);
+  }
+  if (!process.env.PAYOUT_PLAN) {
+    throw new Error(`Set PAYOUT_PLAN to the plan file to ${action}`);
+  }
+  if (action === "approve") {
+    return approve(signer, process.env.PAYOUT_PLAN);
+  }
+  if (action === "execute") {
+    process.on("SIGINT", () => {
+      if (stopRequested) process.exit(130);
+      stopRequested = true;
+      console.log("\n⚠️  Stopping after the current payment (Ctrl+C again to quit now)");
+    });
+    return execute(signer, gameMaster, process.env.PAYOUT_PLAN);
+  }
+  throw new Error(`Unknown PAYOUT_ACTION "${action}" (expected plan, approve or execute)`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
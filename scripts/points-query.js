@@ -0,0 +1,96 @@
+const { network } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+const { loadRegistry } = require("./lib/registry");
+const { getMeta, getLedger, getSources, getTopReferrers } = require("./lib/points-index");
+
+// Usage:
+//   QUERY_ADDRESS=0xabc npx hardhat run scripts/points-query.js --network sonic
+//   QUERY=top-referrers QUERY_LIMIT=50 npx hardhat run scripts/points-query.js --network sonic
+//   QUERY=sources npx hardhat run scripts/points-query.js --network sonic
+//
+// Reads the database built by scripts/index-points.js; no RPC calls are made.
+//   QUERY=ledger          every credit and debit of QUERY_ADDRESS with a running balance (default)
+//   QUERY=sources         points per source, for QUERY_ADDRESS or the whole contract
+//   QUERY=top-referrers   referrers ranked by bonus earned (QUERY_LIMIT, default 20)
+//
+// Optional:
+//   POINTS_CONTRACT=OldPoints    which index to read (default Points)
+//   INDEX_DB=indexes/x.sqlite    database file (default indexes/points-<network>-<label>.sqlite)
+
+// Helper function to name known contracts (e.g. Climb) in payout entries
+function getContractNames(networkName) {
+  const names = new Map();
+  for (const [label, entry] of Object.entries(loadRegistry(networkName).contracts)) {
+    for (const deployment of [entry, ...(entry.history || [])]) {
+      names.set(deployment.address.toLowerCase(), label);
+    }
+  }
+  return names;
+}
+
+// Helper function to format a block timestamp as a UTC date
+function formatTime(timestamp) {
+  return new Date(timestamp * 1000).toISOString().replace("T", " ").slice(0, 19);
+}
+
+async function main() {
+  const label = process.env.POINTS_CONTRACT || "Points";
+  const dbPath = process.env.INDEX_DB ||
+    path.join(__dirname, "..", "indexes", `points-${network.name}-${label}.sqlite`);
+  if (!fs.existsSync(dbPath)) {
+    console.error(`❌ No index at ${dbPath}; run scripts/index-points.js first`);
+    process.exit(1);
+  }
+  const db = new Database(dbPath, { readonly: true });
+  const meta = getMeta(db);
+  const query = process.env.QUERY || "ledger";
+  const address = process.env.QUERY_ADDRESS || null;
+
+  console.log(`${label} ${meta.contract} on chain ${meta.chainId}, indexed through block ${meta.lastBlock}\n`);
+
+  if (query === "ledger") {
+    if (!address) {
+      console.error("❌ Set QUERY_ADDRESS for a ledger");
+      process.exit(1);
+    }
+    const names = getContractNames(network.name);
+    const rows = getLedger(db, address);
+    console.log(`Ledger for ${address} (${rows.length} entries)`);
+    for (const row of rows) {
+      let detail = "";
+      if (row.source === "referral") detail = `from ${row.counterparty}`;
+      if (row.source === "payout") detail = `by ${names.get(row.counterparty.toLowerCase()) || row.counterparty}`;
+      if (row.source === "cashout") detail = `for ${row.eth_amount} wei`;
+      const amount = row.amount > 0 ? `+${row.amount}` : `${row.amount}`;
+      console.log(
+        `  ${formatTime(row.timestamp)}  block ${row.block_number}  ${row.source.padEnd(8)} ${amount.padStart(12)}` +
+        `  = ${String(row.balance).padStart(12)}  ${detail}`.trimEnd()
+      );
+    }
+  } else if (query === "sources") {
+    console.log(`Points by source${address ? ` for ${address}` : ""}`);
+    for (const row of getSources(db, address)) {
+      console.log(`  ${row.source.padEnd(8)} ${String(row.amount).padStart(12)}  (${row.entries} entries)`);
+    }
+  } else if (query === "top-referrers") {
+    const rows = getTopReferrers(db, Number(process.env.QUERY_LIMIT || 20));
+    console.log(`Top ${rows.length} referrers`);
+    rows.forEach((row, i) => {
+      console.log(`  ${String(i + 1).padStart(3)}. ${row.address}  ${String(row.bonus).padStart(10)} bonus  ${row.referred} referred  code "${row.code || ""}"`);
+    });
+  } else {
+    console.error(`❌ Unknown QUERY "${query}" (expected ledger, sources or top-referrers)`);
+    process.exit(1);
+  }
+
+  db.close();
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
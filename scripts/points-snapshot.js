@@ -0,0 +1,52 @@
+const { ethers, network } = require("hardhat");
+const path = require("path");
+const { resolveAddress } = require("./lib/registry");
+const { takeSnapshot, writeSnapshot, checkInvariants } = require("./lib/points-snapshot");
+
+// Usage:
+//   npx hardhat run scripts/points-snapshot.js --network sonic
+//   SNAPSHOT_BLOCK=12345678 SNAPSHOT_OUT=snapshots/pre-migration.csv npx hardhat run scripts/points-snapshot.js --network sonic
+//
+// Writes the full Points state (every address with its balances and referral codes, plus
+// totalPointsIssued and referralBonusBps) at one block to a canonical JSON or CSV file.
+// POINTS_CONTRACT picks the registry entry to read (default Points, e.g. OldPoints).
+// Compare snapshots with scripts/points-diff.js.
+
+async function main() {
+  const label = process.env.POINTS_CONTRACT || "Points";
+  const blockTag = process.env.SNAPSHOT_BLOCK ? Number(process.env.SNAPSHOT_BLOCK) : "latest";
+  const points = await ethers.getContractAt("Points", resolveAddress(network.name, label));
+
+  console.log("Points Snapshot");
+  console.log("===============");
+  console.log("Network:", network.name);
+  console.log(`${label}:`, await points.getAddress());
+
+  const snapshot = await takeSnapshot(ethers, points, blockTag, {
+    onProgress: (done, total) => console.log(`Read ${done}/${total} addresses...`),
+  });
+  const outPath = process.env.SNAPSHOT_OUT ||
+    path.join(__dirname, "..", "snapshots", `points-${network.name}-${label}-${snapshot.blockNumber}.json`);
+  writeSnapshot(outPath, snapshot);
+
+  console.log(`\n✓ Block ${snapshot.blockNumber} (${new Date(snapshot.blockTimestamp * 1000).toISOString()})`);
+  console.log(`- Addresses: ${snapshot.addressCount}`);
+  console.log(`- Total points issued: ${snapshot.totalPointsIssued}`);
+  console.log(`- Referral bonus: ${snapshot.referralBonusBps === null ? "n/a" : `${snapshot.referralBonusBps} bps`}`);
+  console.log(`- Saved to: ${outPath}`);
+
+  const violations = checkInvariants(snapshot);
+  if (violations.length > 0) {
+    console.log(`\n⚠️  ${violations.length} invariant violations:`);
+    violations.forEach((violation) => console.log(`- ${violation}`));
+  } else {
+    console.log("\n✓ All invariants hold");
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
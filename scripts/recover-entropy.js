@@ -0,0 +1,178 @@
+const { ethers, network } = require("hardhat");
+const { loadRegistry, resolveAddress } = require("./lib/registry");
+const { findDeployBlock } = require("./lib/logs");
+const {
+  DEFAULT_REVELATION_URL,
+  findUnansweredRequests,
+  getRequestInputs,
+  fetchRevelation,
+  retryCallback,
+} = require("./lib/entropy-recovery");
+
+// Usage:
+//   DRY_RUN=1 npx hardhat run scripts/recover-entropy.js --network blaze
+//   npx hardhat run scripts/recover-entropy.js --network blaze
+//   RECOVER_PLAYER=0xPlayer npx hardhat run scripts/recover-entropy.js --network blaze
+//
+// Finds Climb players stuck waiting for an entropy callback and delivers it by hand. Every
+// RequestAttempted without a matching EntropyReceived is checked against the player's
+// pendingSequence. For each stuck request, the provider's revelation is fetched from the
+// revelation endpoint and the user random number is read back from the request transaction.
+// Then revealWithCallback is sent with a gas limit sized from its estimate, so the callback
+// cannot run out of gas again. Anyone can send it; it costs the sender gas only. Requests
+// the player already cancelled with cancelPendingRequest are skipped, and the report says
+// when each stuck player can cancel instead.
+//
+// Optional:
+//   RECOVER_PLAYER=0x...         only this player's requests
+//   RECOVER_SEQUENCE=43623       only this sequence number
+//   RECOVER_FROM_BLOCK=12345678  first block to scan (default: registry blockNumber for Climb,
+//                                else the deploy block found by searching eth_getCode)
+//   RECOVER_TO_BLOCK=23456789    last block to scan (default latest)
+//   RECOVER_BATCH_BLOCKS=5000    blocks per eth_getLogs request
+//   RECOVER_GAS_LIMIT=1000000    gas limit for revealWithCallback (default: estimate + 30%)
+//   REVELATION_URL=...           revelation endpoint, with {chain} and {sequence} placeholders
+//                                (default Fortuna: https://fortuna.dourolabs.app/v1/chains/{chain}/revelations/{sequence})
+//   REVELATION_CHAIN=blaze       chain name in the endpoint (default: the network name)
+//   DRY_RUN=1                    report stuck requests and their revelations without sending
+
+// Helper function to describe what a delivered callback did, from its receipt
+function describeOutcome(climb, receipt) {
+  const climbAddress = climb.target.toLowerCase();
+  const outcomes = [];
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== climbAddress) continue;
+    const parsed = climb.interface.parseLog(log);
+    if (!parsed) continue;
+    if (parsed.name === "ClimbResult") {
+      const { fromLevel, newLevel, success } = parsed.args;
+      outcomes.push(`climb ${fromLevel} → ${newLevel} ${success ? "succeeded" : "busted"}`);
+    } else if (parsed.name === "PlayerCashedOut") {
+      const { payout, paidInPoints } = parsed.args;
+      outcomes.push(`cashed out ${paidInPoints ? `${payout} points` : `${ethers.formatEther(payout)} S`}`);
+    } else if (parsed.name === "AutoClimbCompleted") {
+      const { finalLevel, targetLevel, reachedTarget } = parsed.args;
+      outcomes.push(`auto-climb ${reachedTarget ? "reached" : "stopped at"} ${reachedTarget ? targetLevel : finalLevel}`);
+    }
+  }
+  return outcomes.length > 0 ? outcomes.join(", ") : "no Climb events (callback ignored the request)";
+}
+
+async function main() {
+  const dryRun = process.env.DRY_RUN === "1" || process.env.DRY_RUN === "true";
+  const climb = await ethers.getContractAt("Climb", resolveAddress(network.name, "Climb"));
+  const entropy = await ethers.getContractAt("IEntropy", resolveAddress(network.name, "Entropy"));
+  const climbAddress = await climb.getAddress();
+  const urlTemplate = process.env.REVELATION_URL || DEFAULT_REVELATION_URL;
+  const chain = process.env.REVELATION_CHAIN || network.name;
+
+  console.log("Climb Entropy Recovery");
+  console.log("======================");
+  console.log("Network:", network.name);
+  console.log("Climb:", climbAddress);
+  console.log("Entropy:", await entropy.getAddress());
+  console.log("Revelations:", urlTemplate.replace("{chain}", chain));
+  if (dryRun) {
+    console.log("Mode: DRY RUN (nothing will be sent)");
+  }
+
+  const latest = await ethers.provider.getBlockNumber();
+  const toBlock = process.env.RECOVER_TO_BLOCK ? Number(process.env.RECOVER_TO_BLOCK) : latest;
+  let fromBlock;
+  if (process.env.RECOVER_FROM_BLOCK) {
+    fromBlock = Number(process.env.RECOVER_FROM_BLOCK);
+  } else {
+    const entry = loadRegistry(network.name).contracts.Climb;
+    if (entry && entry.address.toLowerCase() === climbAddress.toLowerCase() && entry.blockNumber) {
+      fromBlock = entry.blockNumber;
+    } else {
+      console.log("Searching for the Climb deploy block...");
+      fromBlock = await findDeployBlock(ethers.provider, climbAddress, latest);
+    }
+  }
+  console.log(`\nScanning blocks ${fromBlock}-${toBlock}...`);
+
+  let requests = await findUnansweredRequests(climb, {
+    fromBlock,
+    toBlock,
+    batchBlocks: Number(process.env.RECOVER_BATCH_BLOCKS || 5000),
+  });
+  if (process.env.RECOVER_PLAYER) {
+    requests = requests.filter((r) => r.player.toLowerCase() === process.env.RECOVER_PLAYER.toLowerCase());
+  }
+  if (process.env.RECOVER_SEQUENCE) {
+    requests = requests.filter((r) => r.sequenceNumber === BigInt(process.env.RECOVER_SEQUENCE));
+  }
+
+  const superseded = requests.filter((r) => r.status === "superseded");
+  const stuck = requests.filter((r) => r.status === "stuck");
+  if (superseded.length > 0) {
+    console.log(`\n${superseded.length} unanswered request(s) no longer block their player:`);
+    for (const request of superseded) {
+      console.log(`  - sequence ${request.sequenceNumber} (${request.player}, game ${request.gameId})`);
+    }
+  }
+  if (stuck.length === 0) {
+    console.log("\n✓ No stuck players");
+    return;
+  }
+  console.log(`\n⚠️  ${stuck.length} player(s) stuck waiting for entropy`);
+
+  const now = (await ethers.provider.getBlock("latest")).timestamp;
+  const gasLimit = process.env.RECOVER_GAS_LIMIT ? BigInt(process.env.RECOVER_GAS_LIMIT) : undefined;
+  const failed = [];
+  for (const request of stuck) {
+    const kind = request.isCashout ? "cash out" : `request at level ${request.level}`;
+    console.log(`\nSequence ${request.sequenceNumber}: ${request.player}, game ${request.gameId}, ${kind}`);
+    console.log(`  Requested in ${request.transactionHash} (block ${request.blockNumber})`);
+    if (request.cancellableAt !== null) {
+      const when = new Date(request.cancellableAt * 1000).toISOString();
+      const canCancel = request.cancellableAt <= now;
+      console.log(`  Player ${canCancel ? "can cancel it now" : `can cancel it from ${when}`} with cancelPendingRequest()`);
+    }
+
+    let inputs;
+    try {
+      const { provider, userRandomNumber, source } = await getRequestInputs(ethers, entropy, request);
+      const providerRevelation = await fetchRevelation(urlTemplate, { chain, sequenceNumber: request.sequenceNumber });
+      inputs = { provider, sequenceNumber: request.sequenceNumber, userRandomNumber, providerRevelation };
+      console.log(`  Provider: ${provider}`);
+      console.log(`  User random number: ${userRandomNumber} (${source === "event" ? "from the request log" : "recomputed"})`);
+      console.log(`  Provider revelation: ${providerRevelation}`);
+    } catch (error) {
+      console.log(`  ❌ ${error.message}`);
+      failed.push(request);
+      continue;
+    }
+
+    if (dryRun) {
+      console.log("  Skipped (dry run)");
+      continue;
+    }
+
+    const result = await retryCallback(entropy, inputs, { gasLimit });
+    if (result.status === "recovered") {
+      console.log(`  ✓ Delivered in ${result.receipt.hash} (gas ${result.receipt.gasUsed} of ${result.gasLimit})`);
+      console.log(`  Outcome: ${describeOutcome(climb, result.receipt)}`);
+    } else if (result.status === "reverts") {
+      console.log(`  ❌ revealWithCallback would revert: ${result.reason}`);
+      failed.push(request);
+    } else {
+      console.log(`  ❌ revealWithCallback failed with gas limit ${result.gasLimit}: ${result.reason}`);
+      failed.push(request);
+    }
+  }
+
+  console.log("");
+  if (failed.length > 0) {
+    throw new Error(`${failed.length} of ${stuck.length} stuck request(s) could not be recovered`);
+  }
+  console.log(dryRun ? `✓ ${stuck.length} stuck request(s) ready to retry` : `🎉 Recovered ${stuck.length} stuck request(s)`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌", error.message || error);
+    process.exit(1);
+  });
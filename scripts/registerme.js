@@ -1,18 +1,20 @@
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const { resolveAddress } = require("./lib/registry");
 
-// List of contract addresses to register
-// Add or remove addresses as needed
-const contractsToRegister = [
-    "0x2272dC69009E83396d67146Ac17B1B9669431f0B",
-];
+// Contracts to register, by name in deployments/<network>.json
+// Override with REGISTER_ME=GameMaster,Points
+const contractsToRegister = process.env.REGISTER_ME
+    ? process.env.REGISTER_ME.split(",").map((label) => label.trim())
+    : ["GameMaster"];
 
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Registering contracts with the account:", deployer.address);
 
-    for (const address of contractsToRegister) {
+    for (const label of contractsToRegister) {
+        const address = resolveAddress(network.name, label);
         try {
-            console.log(`\nRegistering contract at ${address}...`);
+            console.log(`\nRegistering ${label} at ${address}...`);
             
             // Create contract instance with minimal ABI for registerMe function
             const contract = await ethers.getContractAt(
@@ -0,0 +1,121 @@
+const { ethers, network } = require("hardhat");
+const path = require("path");
+const { resolveAddress } = require("./lib/registry");
+const { createOwnerTxRunner } = require("./lib/owner-tx");
+const { buildSteps, loadCheckpoint, createSeason } = require("./lib/season");
+
+// Usage:
+//   SEASON_SCHEDULE=Doors,Threes,Bidding,Descend,Equilibrium npx hardhat run scripts/run-season.js --network sonic
+//
+// Drives a season through GameMaster: closeRegistration, then for each scheduled game
+// initializeGame -> startGames -> endExpiredGames (until every instance completes) -> endGames,
+// and with SEASON_RESET=1 finally resetGame. Progress is checkpointed after every step, so
+// re-running the same command after a crash resumes where it stopped.
+//
+// resetGame refunds registration fees from the same balance the prizes are paid from, and
+// clears the placements standings.js and payouts.js read. Leave it off until the standings are
+// exported and the payouts have been made.
+//
+// When GameMaster is owned by a Safe, set SAFE_EXPORT=batch.json SAFE_ADDRESS=0xSafe. The runner
+// then writes the next owner call to a Safe batch and stops; re-run the same command once the
+// Safe has executed it, and the season continues from there.
+//
+// Optional:
+//   SEASON_CHECKPOINT=path     checkpoint file (default season-checkpoints/<network>.json)
+//   SEASON_POLL_SECONDS=15     how often to poll game state
+//   SEASON_MIN_PLAYERS=2       stop scheduling games once fewer active players remain
+//   SEASON_RESET=1             end the season with resetGame
+//   SEASON_FAST_FORWARD=1      on hardhat/localhost, jump block time to each round deadline
+
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+async function main() {
+  if (!process.env.SEASON_SCHEDULE) {
+    console.error("❌ Set SEASON_SCHEDULE to a comma-separated list of game names, e.g. Doors,Threes,Bidding");
+    process.exit(1);
+  }
+
+  const schedule = process.env.SEASON_SCHEDULE.split(",").map((name) => name.trim()).filter(Boolean);
+  const reset = process.env.SEASON_RESET === "1";
+  const options = {
+    pollMs: Number(process.env.SEASON_POLL_SECONDS || 15) * 1000,
+    minPlayers: Number(process.env.SEASON_MIN_PLAYERS || 2),
+    fastForward: process.env.SEASON_FAST_FORWARD === "1",
+  };
+  if (options.fastForward && !LOCAL_NETWORKS.includes(network.name)) {
+    console.error("❌ SEASON_FAST_FORWARD only works on hardhat or localhost");
+    process.exit(1);
+  }
+
+  const [signer] = await ethers.getSigners();
+  const runner = createOwnerTxRunner(ethers, signer, { name: `Season on ${network.name}` });
+  if (runner.mode === "export" && options.fastForward) {
+    console.error("❌ SEASON_FAST_FORWARD cannot be combined with SAFE_EXPORT");
+    process.exit(1);
+  }
+  const gameMasterAddress = resolveAddress(network.name, "GameMaster");
+  const gameMaster = await ethers.getContractAt("GameMaster", gameMasterAddress, signer);
+  const checkpointPath = process.env.SEASON_CHECKPOINT ||
+    path.join(__dirname, "..", "season-checkpoints", `${network.name}.json`);
+
+  console.log("Season Runner");
+  console.log("=============");
+  console.log("Network:", network.name);
+  console.log("GameMaster:", gameMasterAddress);
+  console.log("Schedule:", schedule.join(" → "), reset ? "→ resetGame" : "");
+  console.log("Checkpoint:", checkpointPath);
+  if (runner.mode === "export") {
+    console.log("Exporting for Safe:", runner.actor);
+  }
+  if (reset) {
+    console.log("⚠️  SEASON_RESET=1: the season ends with resetGame, which refunds fees from the prize balance and clears placements");
+  }
+
+  // Validate the schedule before touching anything
+  const owner = await gameMaster.owner();
+  if (owner.toLowerCase() !== runner.actor.toLowerCase()) {
+    console.error(`❌ GameMaster is owned by ${owner}, not by ${runner.actor}`);
+    process.exit(1);
+  }
+  for (const name of new Set(schedule)) {
+    if (!(await gameMaster.isGameRegistered(name))) {
+      console.error(`❌ ${name} is not registered with GameMaster`);
+      process.exit(1);
+    }
+  }
+
+  const checkpoint = loadCheckpoint(checkpointPath, {
+    network: network.name,
+    gameMaster: gameMasterAddress,
+    schedule,
+    reset,
+  });
+  if (checkpoint.finishedAt) {
+    console.log(`\n✓ Season already finished at ${checkpoint.finishedAt}`);
+    return;
+  }
+
+  const season = createSeason(ethers, { gameMaster, runner, checkpoint, checkpointPath, options });
+  if (checkpoint.pending) {
+    await season.resolvePending();
+  }
+  if (checkpoint.completed.length > 0) {
+    console.log(`Resuming after ${checkpoint.completed[checkpoint.completed.length - 1]}`);
+  }
+
+  console.log();
+  const { result, step } = await season.runSteps(buildSteps(schedule, reset));
+  if (result === "exported") {
+    await runner.finish();
+    console.log(`\nExecute the batch from the Safe, then re-run the same command to continue from ${step}`);
+    return;
+  }
+  console.log(`\n🎉 Season finished (${checkpoint.completed.length} steps, ${checkpoint.skipped.length} skipped)`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -1,18 +1,14 @@
-const { ethers } = require("hardhat");
-
-// Configuration - Update these addresses before running
-const GAME_MASTER_CONTRACT_ADDRESS = "0x2272dC69009E83396d67146Ac17B1B9669431f0B"; // Replace with deployed GameMaster address
-const POINTS_CONTRACT_ADDRESS = "0x2a38f186Ae7A96F3973617BE1704ce0dAcE61857"; // Replace with Points contract address
+const { ethers, network } = require("hardhat");
+const { resolveAddress } = require("./lib/registry");
+const { createOwnerTxRunner } = require("./lib/owner-tx");
 
 async function main() {
   console.log("Setting Points Contract in GameMaster");
   console.log("=====================================");
   
-  // Validate configuration
-  if (GAME_MASTER_CONTRACT_ADDRESS === "0x..." || POINTS_CONTRACT_ADDRESS === "0x...") {
-    console.error("❌ Please update the contract addresses in the script configuration");
-    process.exit(1);
-  }
+  // Addresses come from deployments/<network>.json (override with GAME_MASTER_ADDRESS / POINTS_ADDRESS)
+  const GAME_MASTER_CONTRACT_ADDRESS = resolveAddress(network.name, "GameMaster");
+  const POINTS_CONTRACT_ADDRESS = resolveAddress(network.name, "Points");
   
   const [deployer] = await ethers.getSigners();
   console.log("Running with account:", deployer.address);
@@ -26,13 +22,14 @@ async function main() {
     const gameMaster = GameMaster.attach(GAME_MASTER_CONTRACT_ADDRESS);
     console.log("✓ Connected to GameMaster contract");
     
-    // Verify deployer is owner
+    // Verify the acting owner (deployer, or the Safe when exporting)
+    const runner = createOwnerTxRunner(ethers, deployer, { name: "Set Points contract" });
     const owner = await gameMaster.owner();
-    if (owner.toLowerCase() !== deployer.address.toLowerCase()) {
-      console.error(`❌ Deployer (${deployer.address}) is not owner of GameMaster contract (${owner})`);
+    if (owner.toLowerCase() !== runner.actor.toLowerCase()) {
+      console.error(`❌ ${runner.mode === "export" ? "Safe" : "Deployer"} (${runner.actor}) is not owner of GameMaster contract (${owner})`);
       process.exit(1);
     }
-    console.log("✓ Deployer is owner of GameMaster contract");
+    console.log(`✓ ${runner.mode === "export" ? "Safe" : "Deployer"} is owner of GameMaster contract`);
     
     // Check current points contract
     const currentPointsContract = await gameMaster.pointsContract();
@@ -45,13 +42,12 @@ async function main() {
     
     // Set the points contract
     console.log("\nSetting points contract...");
-    const tx = await gameMaster.setPointsContract(POINTS_CONTRACT_ADDRESS);
-    console.log(`Transaction hash: ${tx.hash}`);
+    await runner.submit(gameMaster, "setPointsContract", [POINTS_CONTRACT_ADDRESS], { label: "GameMaster" });
     
-    // Wait for confirmation
-    console.log("Waiting for confirmation...");
-    await tx.wait();
-    console.log("✓ Transaction confirmed");
+    if (runner.mode === "export") {
+      await runner.finish();
+      return;
+    }
     
     // Verify the change
     const newPointsContract = await gameMaster.pointsContract();
@@ -0,0 +1,123 @@
+const { ethers, network } = require("hardhat");
+const { loadRegistry, getOverrideName } = require("./lib/registry");
+const { LOCAL_NETWORKS } = require("./lib/entropy");
+const {
+  readLevelTables,
+  parseStrategy,
+  getAllStrategies,
+  getExpectedValues,
+  assertPositiveHouseEdge,
+  simulateGames,
+  simulateRuin,
+  formatPercent,
+} = require("./lib/climb-economics");
+
+// Usage:
+//   npx hardhat run scripts/simulate-climb.js
+//   npx hardhat run scripts/simulate-climb.js --network blaze
+//   SIM_STRATEGIES=cashout:3,auto:6,random SIM_BALANCE=500 npx hardhat run scripts/simulate-climb.js --network sonic
+//
+// Monte Carlo simulator for Climb's economics. Reads the level tables (odds, S multipliers,
+// point multipliers) through getAllLevelInfo() from the deployed Climb (CLIMB_ADDRESS or the
+// registry). Without one, on hardhat/localhost, it deploys Climb from the artifact and uses
+// its default tables. Each strategy is played SIM_GAMES times and reported with:
+//   - the house edge: the share of each S wagered that Climb keeps in S (cash outs pay S or
+//     points with equal chance), with its exact value from the tables next to it
+//   - points issued per S wagered (bust consolation points included)
+//   - the probability of bankroll ruin: Climb starts at SIM_BALANCE, plays SIM_SESSION_GAMES
+//     games and cannot pay an S cash out (SIM_RUNS runs)
+// Exits with an error when any cash-out level has a negative house edge.
+//
+// Optional:
+//   SIM_STRATEGIES=cashout:3,auto:6,random  strategies to play (default: cashout:N and auto:N
+//                                           at every level, and random)
+//   SIM_GAMES=1000000        games per strategy for the house edge
+//   SIM_DEPOSIT=1            deposit per game in S (default maxDeposit)
+//   SIM_BALANCE=100          starting bankroll in S (default: Climb's balance, or 1000 for
+//                            the artifact tables)
+//   SIM_SESSION_GAMES=10000  games per bankroll run
+//   SIM_RUNS=100             bankroll runs per strategy
+//   SIM_SEED=1               random seed, so runs are reproducible
+
+const DEFAULT_ARTIFACT_BALANCE = "1000";
+
+// Helper function to attach to the deployed Climb, or deploy one from the artifact locally
+async function getClimb() {
+  const override = process.env[getOverrideName("Climb")];
+  const entry = loadRegistry(network.name).contracts.Climb;
+  if (override || entry) {
+    const address = override || entry.address;
+    return { climb: await ethers.getContractAt("Climb", address), source: `Climb at ${address}` };
+  }
+  if (!LOCAL_NETWORKS.includes(network.name)) {
+    throw new Error(`No Climb address for network ${network.name}. Set CLIMB_ADDRESS or add it to the registry.`);
+  }
+  // The tables are set in the constructor, which never calls Entropy or Points
+  const climb = await (await ethers.getContractFactory("Climb")).deploy(ethers.ZeroAddress, ethers.ZeroAddress);
+  await climb.waitForDeployment();
+  return { climb, source: "artifact defaults", artifact: true };
+}
+
+async function main() {
+  const { climb, source, artifact } = await getClimb();
+  const tables = await readLevelTables(climb);
+  const deposit = process.env.SIM_DEPOSIT ? ethers.parseEther(process.env.SIM_DEPOSIT) : await climb.maxDeposit();
+  const balance = process.env.SIM_BALANCE
+    ? ethers.parseEther(process.env.SIM_BALANCE)
+    : artifact ? ethers.parseEther(DEFAULT_ARTIFACT_BALANCE) : await climb.getContractBalance();
+  const games = Number(process.env.SIM_GAMES || 1_000_000);
+  const sessionGames = Number(process.env.SIM_SESSION_GAMES || 10_000);
+  const runs = Number(process.env.SIM_RUNS || 100);
+  const seed = Number(process.env.SIM_SEED || 1);
+  const strategies = process.env.SIM_STRATEGIES
+    ? process.env.SIM_STRATEGIES.split(",").map((spec) => parseStrategy(tables, spec.trim()))
+    : getAllStrategies(tables);
+
+  console.log("🎲 Climb Economics Simulation");
+  console.log("=============================");
+  console.log("Network:", network.name);
+  console.log("Tables:", source);
+  console.log(`Deposit: ${ethers.formatEther(deposit)} S, bankroll: ${ethers.formatEther(balance)} S`);
+  console.log(`Games per strategy: ${games}, bankroll runs: ${runs} × ${sessionGames} games, seed: ${seed}`);
+
+  // Level 0 is where every game starts; its odds are never rolled
+  console.log("\nLevel  Odds     S mult  Points");
+  for (let level = 1; level <= tables.maxLevel; level++) {
+    console.log(
+      `${String(level).padStart(5)}  ${formatPercent(tables.odds[level] / 10_000).padStart(7)}` +
+      `  ${(tables.multipliers[level] / 100).toFixed(2).padStart(6)}×  ${String(tables.pointMultipliers[level]).padStart(6)}×`
+    );
+  }
+
+  const rows = [];
+  for (const [index, strategy] of strategies.entries()) {
+    const exact = getExpectedValues(tables, strategy, deposit);
+    const simulated = simulateGames(tables, strategy, { games, deposit, seed: seed + index });
+    const ruin = simulateRuin(tables, strategy, { balance, deposit, games: sessionGames, runs, seed: seed + index });
+    rows.push({ strategy, exact, simulated, ruin });
+    process.stdout.write(".");
+  }
+  console.log("");
+
+  const width = Math.max(8, ...rows.map((row) => row.strategy.name.length));
+  console.log(`\n${"Strategy".padEnd(width)}  ${"House edge".padStart(17)}  ${"Exact".padStart(8)}  ${"Points/S".padStart(8)}  ${"Ruin".padStart(7)}`);
+  console.log(`${"-".repeat(width)}  ${"-".repeat(17)}  ${"-".repeat(8)}  ${"-".repeat(8)}  ${"-".repeat(7)}`);
+  for (const { strategy, exact, simulated, ruin } of rows) {
+    const edge = `${formatPercent(simulated.houseEdge)} ± ${formatPercent(2 * simulated.standardError)}`;
+    console.log(
+      `${strategy.name.padEnd(width)}  ${edge.padStart(17)}  ${formatPercent(exact.houseEdge).padStart(8)}` +
+      `  ${simulated.pointsPerS.toFixed(1).padStart(8)}  ${formatPercent(ruin.ruinProbability, 1).padStart(7)}`
+    );
+  }
+  console.log("\nHouse edge ± two standard errors; ruin is the share of bankroll runs that hit an unpayable cash out.");
+
+  assertPositiveHouseEdge(tables);
+  console.log("✓ The house keeps an edge at every cash-out level");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌", error.message || error);
+    process.exit(1);
+  });
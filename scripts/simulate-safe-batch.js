@@ -0,0 +1,227 @@
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const { loadRegistry } = require("./lib/registry");
+
+// Usage:
+//   SAFE_BATCH=batch.json FORK_URL=https://rpc... npx hardhat run scripts/simulate-safe-batch.js
+//   SAFE_BATCH=batch.json npx hardhat run scripts/simulate-safe-batch.js --network localhost
+//
+// Executes a Safe Transaction Builder batch as the Safe on a local fork and prints the
+// resulting state changes. On the in-process hardhat network the fork comes from FORK_URL
+// (optionally pinned with FORK_BLOCK); against a `hardhat node --fork` instance the node's
+// state is restored afterwards. REGISTRY_NETWORK selects which deployments/<network>.json
+// names the contracts (defaults to the network the batch was exported from).
+
+const CHAIN_NETWORKS = { "146": "sonic", "57054": "blaze", "31337": "localhost" };
+
+// Helper function to encode a transaction the Transaction Builder saved without calldata
+function encodeBuilderTransaction(tx) {
+  if (tx.data && tx.data !== "0x") {
+    return tx.data;
+  }
+  if (!tx.contractMethod) {
+    return "0x";
+  }
+
+  const fragment = ethers.FunctionFragment.from({ type: "function", ...tx.contractMethod, outputs: [] });
+  const args = fragment.inputs.map((input) => {
+    const raw = tx.contractInputsValues[input.name];
+    if (input.baseType === "array" || input.baseType === "tuple") return JSON.parse(raw);
+    if (input.type === "bool") return raw === "true";
+    return raw;
+  });
+  return new ethers.Interface([fragment]).encodeFunctionData(fragment, args);
+}
+
+// Helper function to find the project ABI for each target address
+async function getKnownInterfaces(registryNetwork, addresses) {
+  const registry = loadRegistry(registryNetwork);
+  const interfaces = {};
+
+  for (const address of addresses) {
+    const match = Object.entries(registry.contracts).find(
+      ([, entry]) => entry.address.toLowerCase() === address.toLowerCase()
+    );
+    if (match) {
+      const [label, entry] = match;
+      const { interface: contractInterface } = await ethers.getContractAt(entry.contract, address);
+      interfaces[address.toLowerCase()] = { label, contractInterface };
+    }
+  }
+  return interfaces;
+}
+
+// Helper function to format a decoded value for display
+function formatValue(value) {
+  return JSON.stringify(value, (_, v) => (typeof v === "bigint" ? v.toString() : v));
+}
+
+// Helper function to read every view of a contract that takes no arguments, or takes
+// the same leading arguments as one of the batch's calls (e.g. gameAddresses(name) after registerGame(name, ...))
+async function readState(address, contractInterface, calls) {
+  const contract = new ethers.Contract(address, contractInterface, ethers.provider);
+  const state = {};
+
+  for (const fragment of contractInterface.fragments) {
+    if (fragment.type !== "function" || !fragment.constant) continue;
+
+    const argSets = [];
+    if (fragment.inputs.length === 0) {
+      argSets.push([]);
+    } else {
+      for (const call of calls) {
+        const callTypes = call.fragment.inputs.map((input) => input.type);
+        const viewTypes = fragment.inputs.map((input) => input.type);
+        if (viewTypes.every((type, i) => callTypes[i] === type)) {
+          argSets.push(call.args.slice(0, viewTypes.length));
+        }
+      }
+    }
+
+    for (const args of argSets) {
+      const key = `${fragment.name}(${args.map(formatValue).join(", ")})`;
+      try {
+        state[key] = formatValue(await contract[fragment.format()](...args));
+      } catch {
+        // Views that revert in the current state are skipped
+      }
+    }
+  }
+  return state;
+}
+
+// Helper function to snapshot balances and known contract state
+async function snapshot(targets, interfaces, callsByTarget, extraAddresses) {
+  const state = {};
+  for (const address of [...targets, ...extraAddresses]) {
+    state[`${address} balance`] = ethers.formatEther(await ethers.provider.getBalance(address));
+  }
+  for (const address of targets) {
+    const known = interfaces[address.toLowerCase()];
+    if (!known) continue;
+    const values = await readState(address, known.contractInterface, callsByTarget[address] || []);
+    for (const [key, value] of Object.entries(values)) {
+      state[`${known.label}.${key}`] = value;
+    }
+  }
+  return state;
+}
+
+async function main() {
+  const batchPath = process.env.SAFE_BATCH;
+  if (!batchPath) {
+    console.error("❌ Set SAFE_BATCH to the Transaction Builder JSON to simulate");
+    process.exit(1);
+  }
+
+  const batch = JSON.parse(fs.readFileSync(batchPath, "utf8"));
+  const safeAddress = process.env.SAFE_ADDRESS || batch.meta.createdFromSafeAddress;
+  const registryNetwork = process.env.REGISTRY_NETWORK || CHAIN_NETWORKS[batch.chainId] || network.name;
+
+  console.log("Safe Batch Simulation");
+  console.log("=====================");
+  console.log("Batch:", batch.meta.name, `(${batch.transactions.length} transactions, chain ${batch.chainId})`);
+  console.log("Safe:", safeAddress);
+
+  // Prepare the fork
+  let snapshotId = null;
+  if (network.name === "hardhat") {
+    if (!process.env.FORK_URL) {
+      console.error("❌ Set FORK_URL, or run against a forked node with --network localhost");
+      process.exit(1);
+    }
+    const forking = { jsonRpcUrl: process.env.FORK_URL };
+    if (process.env.FORK_BLOCK) forking.blockNumber = Number(process.env.FORK_BLOCK);
+    await network.provider.request({ method: "hardhat_reset", params: [{ forking }] });
+    console.log("Forked:", process.env.FORK_URL, process.env.FORK_BLOCK ? `at block ${process.env.FORK_BLOCK}` : "");
+  } else {
+    snapshotId = await network.provider.request({ method: "evm_snapshot", params: [] });
+    console.log("Simulating on:", network.name, "(state is restored afterwards)");
+  }
+
+  const safe = await ethers.getImpersonatedSigner(safeAddress);
+  await network.provider.request({
+    method: "hardhat_setBalance",
+    params: [safeAddress, ethers.toQuantity(ethers.parseEther("1000000"))],
+  });
+
+  // Decode the batch
+  const targets = [...new Set(batch.transactions.map((tx) => ethers.getAddress(tx.to)))];
+  const interfaces = await getKnownInterfaces(registryNetwork, targets);
+  const callsByTarget = {};
+  const decoded = batch.transactions.map((tx) => {
+    const to = ethers.getAddress(tx.to);
+    const data = encodeBuilderTransaction(tx);
+    const known = interfaces[to.toLowerCase()];
+    const parsed = known && data !== "0x" ? known.contractInterface.parseTransaction({ data, value: tx.value }) : null;
+    if (parsed) {
+      callsByTarget[to] = callsByTarget[to] || [];
+      callsByTarget[to].push({ fragment: parsed.fragment, args: [...parsed.args] });
+    }
+    const description = parsed
+      ? `${known.label}.${parsed.name}(${[...parsed.args].map(formatValue).join(", ")})`
+      : `${to} ${data.slice(0, 10)}`;
+    return { to, data, value: BigInt(tx.value || 0), description, known };
+  });
+
+  const before = await snapshot(targets, interfaces, callsByTarget, [safeAddress]);
+
+  // Execute in order; a Safe batch is atomic, so stop at the first failure
+  console.log("\nExecuting:");
+  let failed = false;
+  for (const [index, tx] of decoded.entries()) {
+    try {
+      // Free gas keeps the Safe's balance diff exact (e.g. for withdraw())
+      await network.provider.request({ method: "hardhat_setNextBlockBaseFeePerGas", params: ["0x0"] });
+      const sent = await safe.sendTransaction({
+        to: tx.to,
+        data: tx.data,
+        value: tx.value,
+        maxFeePerGas: 0,
+        maxPriorityFeePerGas: 0,
+      });
+      const receipt = await sent.wait();
+      console.log(`✓ ${index + 1}. ${tx.description} (gas ${receipt.gasUsed})`);
+      for (const log of receipt.logs) {
+        const known = interfaces[log.address.toLowerCase()];
+        const parsedLog = known ? known.contractInterface.parseLog(log) : null;
+        if (parsedLog) {
+          console.log(`     event ${known.label}.${parsedLog.name}(${[...parsedLog.args].map(formatValue).join(", ")})`);
+        }
+      }
+    } catch (error) {
+      console.error(`❌ ${index + 1}. ${tx.description} reverted: ${error.shortMessage || error.message}`);
+      console.error("The whole batch would revert when executed by the Safe.");
+      failed = true;
+      break;
+    }
+  }
+
+  if (!failed) {
+    const after = await snapshot(targets, interfaces, callsByTarget, [safeAddress]);
+    console.log("\nState changes:");
+    let changes = 0;
+    for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      if (before[key] !== after[key]) {
+        console.log(`  ${key}: ${before[key] ?? "(unreadable)"} → ${after[key] ?? "(unreadable)"}`);
+        changes++;
+      }
+    }
+    if (changes === 0) {
+      console.log("  (no readable state changed)");
+    }
+  }
+
+  if (snapshotId !== null) {
+    await network.provider.request({ method: "evm_revert", params: [snapshotId] });
+  }
+
+  return !failed;
+}
+
+main()
+  .then((ok) => process.exit(ok ? 0 : 1))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
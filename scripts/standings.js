@@ -0,0 +1,85 @@
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { resolveAddress } = require("./lib/registry");
+const { getStandings, groupStandings, formatPlacement } = require("./lib/standings");
+
+// Usage:
+//   npx hardhat run scripts/standings.js --network sonic
+//   STANDINGS_OUT=standings/season-3.csv npx hardhat run scripts/standings.js --network sonic
+//
+// Prints the final standings from GameMaster with ties spelled out: players eliminated
+// in the same game resolution share a placement, and players still active share first.
+// STANDINGS_OUT also writes them as JSON or CSV (chosen by the file extension).
+
+// Helper function to write standings as CSV
+function toCsv(groups) {
+  const lines = ["placement,tied,slots,address,status"];
+  for (const group of groups) {
+    for (const player of group.players) {
+      lines.push([
+        group.placement,
+        group.players.length,
+        `${group.slots.from}-${group.slots.to}`,
+        player.address,
+        player.status,
+      ].join(","));
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+async function main() {
+  const gameMaster = await ethers.getContractAt("GameMaster", resolveAddress(network.name, "GameMaster"));
+  const blockNumber = await ethers.provider.getBlockNumber();
+
+  console.log("Final Standings");
+  console.log("===============");
+  console.log("Network:", network.name);
+  console.log("GameMaster:", await gameMaster.getAddress());
+  console.log("Block:", blockNumber);
+
+  const standings = await getStandings(gameMaster);
+  const groups = groupStandings(standings);
+  const registered = await gameMaster.getPlayerCount();
+  const survivors = standings.filter((player) => player.status === "active").length;
+
+  console.log(`\nRanked ${standings.length}/${registered} registered players, ${survivors} still active\n`);
+  for (const group of groups) {
+    const label = formatPlacement(group).padStart(6);
+    const tie = group.tied
+      ? `  ${group.players.length}-way tie for places ${group.slots.from}-${group.slots.to}`
+      : "";
+    group.players.forEach((player, index) => {
+      const status = player.status === "active" ? "  (active)" : "";
+      console.log(`${index === 0 ? label : " ".repeat(6)}  ${player.address}${status}${index === 0 ? tie : ""}`);
+    });
+  }
+
+  const ties = groups.filter((group) => group.tied);
+  if (ties.length > 0) {
+    console.log(`\n⚠️  ${ties.length} tied placements; payouts.js splits the prizes of tied places evenly`);
+  }
+
+  if (process.env.STANDINGS_OUT) {
+    const outPath = process.env.STANDINGS_OUT;
+    fs.mkdirSync(path.dirname(path.resolve(outPath)), { recursive: true });
+    const content = outPath.endsWith(".csv")
+      ? toCsv(groups)
+      : JSON.stringify({
+        network: network.name,
+        gameMaster: await gameMaster.getAddress(),
+        blockNumber,
+        standings: groups,
+      }, null, 2) + "\n";
+    fs.writeFileSync(outPath, content);
+    console.log(`\n✓ Saved to ${outPath}`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,215 @@
+const { ethers, network } = require("hardhat");
+const { getOverrideName, loadRegistry, resolveAddress } = require("./lib/registry");
+const { loadManifest } = require("./lib/manifest");
+const { collectOwners } = require("./lib/wiring");
+const { createOwnerTxRunner } = require("./lib/owner-tx");
+
+// Usage:
+//   NEW_OWNER=0xSafe DRY_RUN=1 npx hardhat run scripts/transfer-ownership.js --network sonic
+//   NEW_OWNER=0xSafe npx hardhat run scripts/transfer-ownership.js --network sonic
+//
+// Transfers ownership of every Ownable project contract in manifests/<network>.json (or
+// DEPLOY_MANIFEST), plus any game registered with GameMaster, to NEW_OWNER. Addresses come from
+// deployments/<network>.json. Entries marked "external" (third-party contracts such as Pyth's
+// Entropy) and registry entries missing from the manifest (e.g. a retired OldPoints) are left
+// alone. Contracts already owned by NEW_OWNER are skipped, so an interrupted run can simply be
+// repeated.
+// Set ALLOW_EOA_OWNER=1 to allow a NEW_OWNER without contract code (e.g. not a Safe).
+// With SAFE_EXPORT/SAFE_ADDRESS the transfers are exported as a batch for the current owning Safe.
+
+const OWNABLE_ABI = [
+  "function owner() view returns (address)",
+  "function transferOwnership(address newOwner)",
+];
+
+// Helper function to compare addresses
+function sameAddress(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+// Helper function to find a manifest contract's address (an override, the manifest, then the registry)
+function findAddress(label, entry) {
+  if (process.env[getOverrideName(label)]) {
+    return resolveAddress(network.name, label);
+  }
+  if (entry.address) {
+    return entry.address;
+  }
+  const registered = loadRegistry(network.name).contracts[label];
+  return registered ? registered.address : null;
+}
+
+// Helper function to collect every project contract in the manifest that has an owner
+async function getOwnableContracts(signer, manifest) {
+  const contracts = {};
+
+  for (const [label, entry] of Object.entries(manifest.contracts)) {
+    if (entry.external) {
+      console.log(`- Skipping ${label}: third-party contract`);
+      continue;
+    }
+    const address = findAddress(label, entry);
+    if (!address) {
+      console.log(`⚠️  Skipping ${label}: not deployed on ${network.name}`);
+      continue;
+    }
+    const contract = new ethers.Contract(address, OWNABLE_ABI, signer);
+    try {
+      await contract.owner();
+      contracts[label] = contract;
+    } catch {
+      console.log(`- Skipping ${label}: not Ownable`);
+    }
+  }
+
+  // Games registered with GameMaster belong to the deployment even if the registry missed them
+  if (contracts.GameMaster) {
+    const gameMaster = await ethers.getContractAt("GameMaster", await contracts.GameMaster.getAddress());
+    const [gameNames] = await gameMaster.getGames();
+    for (const name of gameNames) {
+      const address = await gameMaster.gameAddresses(name);
+      const known = await Promise.all(Object.values(contracts).map((c) => c.getAddress()));
+      if (!known.some((a) => sameAddress(a, address))) {
+        contracts[`${name} (registered game)`] = new ethers.Contract(address, OWNABLE_ABI, signer);
+      }
+    }
+  }
+
+  return contracts;
+}
+
+async function main() {
+  const newOwner = process.env.NEW_OWNER;
+  const dryRun = process.env.DRY_RUN === "1" || process.env.DRY_RUN === "true";
+
+  console.log("Ownership Transfer");
+  console.log("==================");
+
+  if (!newOwner || !ethers.isAddress(newOwner) || newOwner === ethers.ZeroAddress) {
+    console.error("❌ Set NEW_OWNER to the address that should own every contract");
+    process.exit(1);
+  }
+
+  const [signer] = await ethers.getSigners();
+  const runner = createOwnerTxRunner(ethers, signer, { name: `Transfer ownership to ${newOwner}` });
+  const actor = runner.actor;
+  console.log("Network:", network.name);
+  console.log("Running with account:", signer.address);
+  if (runner.mode === "export") {
+    console.log("Exporting for Safe:", actor);
+  }
+  console.log("New owner:", newOwner);
+  if (dryRun) {
+    console.log("Mode: DRY RUN (no transactions will be sent)");
+  }
+
+  // A Safe is a contract; an EOA owner is only allowed when explicitly requested
+  const newOwnerCode = await ethers.provider.getCode(newOwner);
+  if (newOwnerCode === "0x" && process.env.ALLOW_EOA_OWNER !== "1") {
+    console.error(`❌ ${newOwner} has no contract code. Set ALLOW_EOA_OWNER=1 if an EOA owner is intended.`);
+    process.exit(1);
+  }
+
+  const { manifest, manifestPath } = loadManifest(network.name);
+  console.log("Manifest:", manifestPath);
+
+  const contracts = await getOwnableContracts(signer, manifest);
+  const owners = await collectOwners(contracts);
+
+  // Plan: every contract must end up owned by newOwner, so each one must be
+  // either transferable by the acting owner or already owned by newOwner
+  console.log("\nCurrent owners:");
+  const toTransfer = [];
+  const blocked = [];
+  for (const [label, owner] of Object.entries(owners)) {
+    const address = await contracts[label].getAddress();
+    if (sameAddress(owner, newOwner)) {
+      console.log(`✓ ${label} (${address}) already owned by new owner`);
+    } else if (sameAddress(owner, actor)) {
+      console.log(`→ ${label} (${address}) will be transferred`);
+      toTransfer.push(label);
+    } else {
+      console.log(`❌ ${label} (${address}) is owned by ${owner}`);
+      blocked.push(label);
+    }
+  }
+
+  if (blocked.length > 0) {
+    console.error(
+      `\n❌ Refusing to transfer: ${blocked.join(", ")} cannot be moved by ${actor}, ` +
+      "so the deployment would end up with mixed owners."
+    );
+    process.exit(1);
+  }
+
+  if (toTransfer.length === 0) {
+    console.log("\n✓ Every contract is already owned by", newOwner);
+    return;
+  }
+
+  // Simulate every transfer before sending any of them
+  console.log("\nSimulating transfers...");
+  for (const label of toTransfer) {
+    // Read-only calls on behalf of the acting owner, which may be a Safe rather than the signer
+    const contract = contracts[label].connect(ethers.provider);
+    await contract.transferOwnership.staticCall(newOwner, { from: actor });
+    const gas = await contract.transferOwnership.estimateGas(newOwner, { from: actor });
+    console.log(`✓ ${label}: transferOwnership would succeed (gas ${gas})`);
+  }
+
+  if (dryRun) {
+    console.log(`\nDry run complete: ${toTransfer.length} contracts would be transferred.`);
+    return;
+  }
+
+  // Export the transfers for the Safe instead of sending them
+  if (runner.mode === "export") {
+    for (const label of toTransfer) {
+      await runner.submit(contracts[label], "transferOwnership", [newOwner], { label });
+    }
+    await runner.finish();
+    return;
+  }
+
+  // Execute and verify each transfer
+  console.log("\nTransferring ownership...");
+  const done = [];
+  for (const label of toTransfer) {
+    try {
+      const tx = await contracts[label].transferOwnership(newOwner);
+      console.log(`${label}: transaction ${tx.hash}`);
+      await tx.wait();
+
+      const owner = await contracts[label].owner();
+      if (!sameAddress(owner, newOwner)) {
+        throw new Error(`owner is ${owner} after the transfer`);
+      }
+      console.log(`✓ ${label} now owned by ${newOwner}`);
+      done.push(label);
+    } catch (error) {
+      const remaining = toTransfer.filter((l) => !done.includes(l));
+      console.error(`\n❌ Transfer of ${label} failed: ${error.shortMessage || error.message}`);
+      console.error(`Transferred: ${done.join(", ") || "none"}`);
+      console.error(`Still owned by ${actor}: ${remaining.join(", ")}`);
+      console.error("Owners are now mixed. Fix the cause and re-run; transferred contracts are skipped.");
+      process.exit(1);
+    }
+  }
+
+  // Final check across the whole deployment
+  const finalOwners = await collectOwners(contracts);
+  const mismatched = Object.entries(finalOwners).filter(([, owner]) => !sameAddress(owner, newOwner));
+  if (mismatched.length > 0) {
+    console.error("\n❌ Owners still differ:", mismatched.map(([label, owner]) => `${label}=${owner}`).join(", "));
+    process.exit(1);
+  }
+
+  console.log(`\n🎉 All ${Object.keys(finalOwners).length} contracts are owned by ${newOwner}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
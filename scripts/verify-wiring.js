@@ -0,0 +1,89 @@
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const { getOverrideName, loadRegistry, resolveAddress } = require("./lib/registry");
+const { auditWiring } = require("./lib/wiring");
+
+// Usage: npx hardhat run scripts/verify-wiring.js --network <network>
+// Read-only audit of the deployment in deployments/<network>.json (addresses can be
+// overridden with <NAME>_ADDRESS). Exits with code 1 if any check fails.
+// Set VERIFY_REPORT=path to also write the report as JSON.
+
+const GAME_NAMES = ["Doors", "Threes", "Bidding", "Descend", "Equilibrium"];
+
+// Helper function to resolve an optional contract (present in the registry or overridden)
+function resolveOptional(label) {
+  const registry = loadRegistry(network.name);
+  if (!registry.contracts[label] && !process.env[getOverrideName(label)]) {
+    return null;
+  }
+  return resolveAddress(network.name, label);
+}
+
+async function main() {
+  console.log(`Verifying contract wiring on ${network.name}`);
+  console.log("======================================");
+
+  const contracts = {
+    GameMaster: await ethers.getContractAt("GameMaster", resolveAddress(network.name, "GameMaster")),
+    Points: await ethers.getContractAt("Points", resolveAddress(network.name, "Points")),
+  };
+
+  const games = [];
+  for (const name of GAME_NAMES) {
+    const address = resolveOptional(name);
+    if (address) {
+      contracts[name] = await ethers.getContractAt(name, address);
+      games.push(name);
+    }
+  }
+
+  const climbAddress = resolveOptional("Climb");
+  if (climbAddress) {
+    contracts.Climb = await ethers.getContractAt("Climb", climbAddress);
+  }
+
+  for (const [label, contract] of Object.entries(contracts)) {
+    console.log(`${label}: ${await contract.getAddress()}`);
+  }
+
+  const report = await auditWiring(ethers, contracts, { games });
+
+  console.log("\nResults:");
+  for (const entry of report.results) {
+    if (entry.ok) {
+      console.log(`✓ [${entry.check}] ${entry.subject}`);
+    } else {
+      console.log(`❌ [${entry.check}] ${entry.subject}: ${entry.message}`);
+      console.log(`   expected: ${entry.expected}`);
+      console.log(`   actual:   ${entry.actual}`);
+    }
+  }
+
+  const failures = report.results.filter((entry) => !entry.ok);
+  console.log(`\n${report.results.length - failures.length} passed, ${failures.length} failed`);
+
+  if (process.env.VERIFY_REPORT) {
+    const output = {
+      network: network.name,
+      checkedAt: new Date().toISOString(),
+      ok: report.ok,
+      contracts: Object.fromEntries(
+        await Promise.all(Object.entries(contracts).map(async ([label, c]) => [label, await c.getAddress()]))
+      ),
+      owners: report.owners,
+      failures,
+      results: report.results,
+    };
+    fs.writeFileSync(process.env.VERIFY_REPORT, JSON.stringify(output, null, 2) + "\n");
+    console.log(`Report written to ${process.env.VERIFY_REPORT}`);
+  }
+
+  return report.ok;
+}
+
+main()
+  .then((ok) => process.exit(ok ? 0 : 1))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
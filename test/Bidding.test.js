@@ -0,0 +1,267 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    GameState,
+    loadGameSystem,
+    startGame,
+    createCommitment,
+    commitInstance,
+    revealAll,
+    playRound,
+    passRoundEnd,
+    expectEliminated,
+    expectActive,
+} = require("./fixtures/game-system");
+
+describe("Bidding", function () {
+    let gameMaster;
+    let bidding;
+    let owner;
+    let players;
+    let player1;
+    let player2;
+    let player3;
+
+    const INITIAL_POINTS = 1000n;
+    const MAX_ROUNDS = 20;
+    const COMMIT_PHASE = 1;
+    const REVEAL_PHASE = 2;
+
+    // Helper function to load a Bidding deployment with `count` registered players
+    async function loadBidding(count, batch = false) {
+        const system = await loadGameSystem({ games: ["Bidding"], players: count, batch });
+        gameMaster = system.gameMaster;
+        bidding = system.games.Bidding;
+        owner = system.owner;
+        players = system.players;
+        [player1, player2, player3] = players;
+    }
+
+    // Helper function to pick each player's bid from a list in player order
+    function bids(values) {
+        return (address) => values[players.findIndex((p) => p.address === address)] ?? null;
+    }
+
+    // Helper function to find a player's entry in an instance
+    async function getPlayer(gameId, player) {
+        return (await bidding.getPlayerInfo(gameId)).find((p) => p.playerAddress === player.address);
+    }
+
+    beforeEach(async function () {
+        await loadBidding(3);
+    });
+
+    describe("Game Setup", function () {
+        it("Should give every player the starting points", async function () {
+            await gameMaster.initializeGame("Bidding");
+
+            const gameInfo = await bidding.getPlayerInfo(1);
+            expect(gameInfo.length).to.equal(3);
+            expect(gameInfo.every((p) => p.isActive && p.points === INITIAL_POINTS)).to.be.true;
+            expect(await bidding.getGameState(1)).to.equal(GameState.Pregame);
+        });
+
+        it("Should split larger fields into instances of at most 20", async function () {
+            await loadBidding(25, true);
+            await gameMaster.initializeGame("Bidding");
+
+            const games = await bidding.getGames();
+            expect(games.map((g) => g.activePlayerCount)).to.deep.equal([13n, 12n]);
+        });
+
+        it("Should fail to initialize with fewer than 2 players", async function () {
+            // A standalone Bidding, whose deployer acts as its GameMaster
+            const standalone = await (await ethers.getContractFactory("Bidding")).connect(owner).deploy();
+
+            await expect(standalone.initialize([player1.address], [1]))
+                .to.be.revertedWith("Need at least 2 players");
+            await expect(standalone.initialize([ethers.ZeroAddress, player1.address], [1, 2]))
+                .to.be.revertedWith("Invalid player address");
+        });
+
+        it("Should start in the commit phase of round 1", async function () {
+            await startGame(gameMaster, "Bidding");
+
+            expect(await bidding.getGameState(1)).to.equal(GameState.Active);
+            expect(await bidding.getCurrentPhase(1)).to.equal(COMMIT_PHASE);
+            expect((await bidding.getGameInfo(1)).currentRound).to.equal(1);
+        });
+    });
+
+    describe("Commit Phase", function () {
+        beforeEach(async function () {
+            await startGame(gameMaster, "Bidding");
+        });
+
+        it("Should allow players to commit bids", async function () {
+            const { commitment } = createCommitment(100, player1);
+            await expect(bidding.connect(player1).commitBid(commitment))
+                .to.emit(bidding, "PlayerCommitted").withArgs(1, player1.address);
+            expect(await bidding.hasPlayerCommitted(1, player1.address)).to.be.true;
+        });
+
+        it("Should move to reveal phase when all players commit", async function () {
+            await commitInstance(bidding, 1, () => 100);
+
+            expect(await bidding.getCurrentPhase(1)).to.equal(REVEAL_PHASE);
+        });
+
+        it("Should prevent double commits and late commits", async function () {
+            const { commitment } = createCommitment(100, player1);
+            await bidding.connect(player1).commitBid(commitment);
+            await expect(bidding.connect(player1).commitBid(commitment))
+                .to.be.revertedWith("Already committed");
+
+            await passRoundEnd(bidding, 1);
+            await expect(bidding.connect(player2).commitBid(createCommitment(100, player2).commitment))
+                .to.be.revertedWith("Commit period ended");
+        });
+
+        it("Should eliminate non-committers and move to reveal when time expires", async function () {
+            await commitInstance(bidding, 1, bids([100, 200, null]));
+
+            await passRoundEnd(bidding, 1);
+            await gameMaster.endExpiredGames("Bidding");
+
+            expect(await bidding.getCurrentPhase(1)).to.equal(REVEAL_PHASE);
+            expect((await getPlayer(1, player3)).isActive).to.be.false;
+            await expectEliminated(gameMaster, [player3]);
+            await expectActive(gameMaster, [player1, player2]);
+        });
+
+        it("Should complete the game when fewer than 2 players committed", async function () {
+            await commitInstance(bidding, 1, bids([100, null, null]));
+
+            await passRoundEnd(bidding, 1);
+            await expect(gameMaster.endExpiredGames("Bidding"))
+                .to.emit(bidding, "GameCompleted").withArgs(1, [player1.address]);
+
+            expect(await bidding.getGameState(1)).to.equal(GameState.Completed);
+            await expectEliminated(gameMaster, [player2, player3]);
+            await expectActive(gameMaster, [player1]);
+        });
+    });
+
+    describe("Reveal Phase", function () {
+        beforeEach(async function () {
+            await startGame(gameMaster, "Bidding");
+        });
+
+        it("Should not reveal before everyone has committed", async function () {
+            const [commit1] = await commitInstance(bidding, 1, bids([100, null, null]));
+
+            await expect(bidding.connect(player1).revealBid(commit1.value, commit1.salt))
+                .to.be.revertedWith("Not in reveal stage");
+        });
+
+        it("Should reject reveals that do not match the commitment", async function () {
+            const [commit1] = await commitInstance(bidding, 1, () => 100);
+
+            await expect(bidding.connect(player1).revealBid(101, commit1.salt))
+                .to.be.revertedWith("Invalid reveal");
+        });
+
+        it("Should reject bids above the player's points", async function () {
+            const [commit1] = await commitInstance(bidding, 1, () => INITIAL_POINTS + 1n);
+
+            await expect(bidding.connect(player1).revealBid(commit1.value, commit1.salt))
+                .to.be.revertedWith("Bid exceeds available points");
+        });
+
+        it("Should deduct every bid and eliminate the lowest bidder", async function () {
+            const commits = await commitInstance(bidding, 1, bids([300, 100, 200]));
+            await revealAll(bidding, commits);
+
+            const filter = bidding.filters.PointsDeducted(1);
+            const deducted = (await bidding.queryFilter(filter)).map((e) => [e.args.player, e.args.bid, e.args.remainingPoints]);
+            expect(deducted).to.have.deep.members([
+                [player1.address, 300n, 700n],
+                [player2.address, 100n, 900n],
+                [player3.address, 200n, 800n],
+            ]);
+
+            expect((await getPlayer(1, player2)).isActive).to.be.false;
+            expect(await bidding.getPlayerPoints(1, player1.address)).to.equal(700);
+            expect(await bidding.getPlayerPoints(1, player3.address)).to.equal(800);
+            await expectEliminated(gameMaster, [player2]);
+            await expectActive(gameMaster, [player1, player3]);
+
+            // The next round starts with fresh commitments
+            expect((await bidding.getGameInfo(1)).currentRound).to.equal(2);
+            expect(await bidding.getCurrentPhase(1)).to.equal(COMMIT_PHASE);
+            expect(await bidding.hasPlayerCommitted(1, player1.address)).to.be.false;
+        });
+
+        it("Should eliminate every player tied for the lowest bid", async function () {
+            await playRound(bidding, 1, bids([100, 100, 200]));
+
+            await expectEliminated(gameMaster, [player1, player2]);
+            expect(await gameMaster.getPlayerFinalPlacement(player1.address))
+                .to.equal(await gameMaster.getPlayerFinalPlacement(player2.address));
+            expect(await bidding.getGameState(1)).to.equal(GameState.Completed);
+            await expectActive(gameMaster, [player3]);
+        });
+
+        it("Should eliminate everyone when all bids are equal", async function () {
+            await playRound(bidding, 1, () => 0);
+
+            expect((await bidding.getPlayerInfo(1)).every((p) => !p.isActive)).to.be.true;
+            expect(await bidding.getGameState(1)).to.equal(GameState.Completed);
+            await expectEliminated(gameMaster, [player1, player2, player3]);
+        });
+
+        it("Should eliminate non-revealers and resolve the revealed bids when time expires", async function () {
+            const commits = await commitInstance(bidding, 1, bids([300, 100, 200]));
+            await revealAll(bidding, commits.filter((c) => c.player.address !== player3.address));
+
+            await passRoundEnd(bidding, 1);
+            await gameMaster.endExpiredGames("Bidding");
+
+            // player3 never revealed; player2 had the lowest revealed bid
+            await expectEliminated(gameMaster, [player2, player3]);
+            await expectActive(gameMaster, [player1]);
+            expect(await bidding.getPlayerPoints(1, player1.address)).to.equal(700);
+            expect(await bidding.getGameState(1)).to.equal(GameState.Completed);
+        });
+
+        it("Should carry points over between rounds", async function () {
+            await loadBidding(4);
+            await startGame(gameMaster, "Bidding");
+
+            await playRound(bidding, 1, bids([400, 300, 200, 100]));
+            await playRound(bidding, 1, bids([600, 700, 100]));
+            expect(await bidding.getPlayerPoints(1, players[0].address)).to.equal(0);
+            expect(await bidding.getPlayerPoints(1, players[1].address)).to.equal(0);
+
+            // Neither survivor has points left, so they tie at zero
+            await playRound(bidding, 1, () => 0);
+            expect(await bidding.getGameState(1)).to.equal(GameState.Completed);
+            await expectEliminated(gameMaster, players);
+        });
+    });
+
+    describe("Full Game", function () {
+        it("Should eliminate the lowest bidder each round until one player remains", async function () {
+            // A full instance of 20 loses one player per round, so it ends after 19 rounds,
+            // before MAX_ROUNDS is reached
+            await loadBidding(20);
+            await startGame(gameMaster, "Bidding");
+
+            for (let round = 1; round < 20; round++) {
+                // Player i always bids i + 1, so the lowest remaining player goes out
+                await playRound(bidding, 1, (address) => players.findIndex((p) => p.address === address) + 1);
+
+                const eliminated = players[round - 1];
+                expect((await getPlayer(1, eliminated)).isActive).to.be.false;
+                expect(await gameMaster.getPlayerFinalPlacement(eliminated.address)).to.equal(21 - round);
+            }
+
+            const winner = players[19];
+            expect(await bidding.getGameState(1)).to.equal(GameState.Completed);
+            expect((await bidding.getGameInfo(1)).currentRound).to.be.lessThan(MAX_ROUNDS);
+            expect(await bidding.getPlayerPoints(1, winner.address)).to.equal(INITIAL_POINTS - 19n * 20n);
+            await expectActive(gameMaster, [winner]);
+            expect(await gameMaster.getActivePlayerCount()).to.equal(1);
+        });
+    });
+});
@@ -0,0 +1,450 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployMockEntropy } = require("../scripts/lib/entropy");
+const { getAutoClimbStop, findAutoClimbRandom } = require("../scripts/lib/climb");
+const {
+    readLevelTables,
+    parseStrategy,
+    getExpectedValues,
+    findNegativeHouseEdges,
+    assertPositiveHouseEdge,
+    simulateGames,
+    simulateRuin,
+} = require("../scripts/lib/climb-economics");
+
+describe("Climb", function () {
+    let climb;
+    let points;
+    let entropy;
+    let owner;
+    let player;
+    let fee;
+    let odds;
+
+    const deposit = ethers.parseEther("1");
+    const RequestType = { NONE: 0, CLIMB: 1, CASHOUT: 2, AUTO_CLIMB: 3 };
+
+    // Random numbers the callback maps to known outcomes (success is random % 10000 < odds)
+    const CLIMB_SUCCEEDS = 0n;
+    const CLIMB_BUSTS = 9999n;
+    const PAY_IN_POINTS = 0n; // even
+    const PAY_IN_ETH = 1n; // odd
+
+    // Helper function to start a game for `player` and return its id
+    async function startGame() {
+        await climb.connect(player).startGame({ value: deposit });
+        return (await climb.getPlayerGame(player.address)).gameId;
+    }
+
+    // Helper function to send a request and return the sequence number MockEntropy assigned
+    async function request(action, ...args) {
+        await climb.connect(player)[action](...args, { value: fee });
+        return (await entropy.getLatestRequest()).sequenceNumber;
+    }
+
+    // Helper function to compute the expected S value of climbing from one level to another
+    async function climbExpectedValue(fromLevel, targetLevel) {
+        let value = deposit * (await climb.multiplier(targetLevel));
+        for (let level = fromLevel + 1; level <= targetLevel; level++) {
+            value = (value * odds[level]) / 10000n;
+        }
+        return value / 100n;
+    }
+
+    // Helper function to climb one level with a random number that always succeeds
+    async function climbLevels(count) {
+        for (let i = 0; i < count; i++) {
+            await entropy.fulfill(await request("climb"), CLIMB_SUCCEEDS);
+        }
+    }
+
+    // Helper function to replay autoClimb's rolls for `player`; returns the level the run stops at
+    function autoClimbStopsAt(baseRandom, gameId, fromLevel, targetLevel) {
+        return getAutoClimbStop(ethers, { baseRandom, player: player.address, gameId, fromLevel, targetLevel, odds });
+    }
+
+    // Helper function to find a base random number whose auto-climb stops where `accept` wants
+    function findRandom(gameId, fromLevel, targetLevel, accept) {
+        return findAutoClimbRandom(ethers, { player: player.address, gameId, fromLevel, targetLevel, odds }, accept);
+    }
+
+    beforeEach(async function () {
+        [owner, player] = await ethers.getSigners();
+
+        points = await (await ethers.getContractFactory("Points")).deploy();
+        entropy = await deployMockEntropy(ethers, { fee: ethers.parseEther("0.01") });
+        climb = await (await ethers.getContractFactory("Climb")).deploy(
+            await entropy.getAddress(),
+            await points.getAddress()
+        );
+
+        await points.setContractAuthorization(await climb.getAddress(), true);
+        await climb.depositFunds({ value: ethers.parseEther("10") });
+
+        fee = await entropy.getFee();
+        odds = (await climb.getAllOdds()).map(BigInt);
+    });
+
+    describe("Climb", function () {
+        it("Should request entropy and wait for the callback", async function () {
+            await startGame();
+            const sequence = await request("climb");
+
+            const [pending] = await entropy.getPending();
+            expect(pending.sequenceNumber).to.equal(sequence);
+            expect(pending.requester).to.equal(await climb.getAddress());
+
+            const game = await climb.getPlayerGame(player.address);
+            expect(game.pendingSequence).to.equal(sequence);
+            expect(game.pendingType).to.equal(RequestType.CLIMB);
+            expect(await climb.canPlayerClimb(player.address)).to.equal(false);
+        });
+
+        it("Should advance a level on a successful roll", async function () {
+            const gameId = await startGame();
+            const sequence = await request("climb");
+
+            await expect(entropy.fulfill(sequence, CLIMB_SUCCEEDS))
+                .to.emit(climb, "ClimbResult")
+                .withArgs(player.address, gameId, 0, 1, true, false, CLIMB_SUCCEEDS);
+
+            const game = await climb.getPlayerGame(player.address);
+            expect(game.currentLevel).to.equal(1);
+            expect(game.isActive).to.equal(true);
+            expect(game.pendingType).to.equal(RequestType.NONE);
+        });
+
+        it("Should end the game with consolation points on a bust", async function () {
+            const gameId = await startGame();
+            await climbLevels(2);
+
+            await expect(entropy.fulfill(await request("climb"), CLIMB_BUSTS))
+                .to.emit(climb, "ClimbResult")
+                .withArgs(player.address, gameId, 2, 2, false, true, CLIMB_BUSTS);
+
+            expect((await climb.getPlayerGame(player.address)).isActive).to.equal(false);
+            expect(await points.points(player.address)).to.equal(10);
+
+            const completed = await climb.getCompletedGame(gameId);
+            expect(completed.finalLevel).to.equal(2);
+            expect(completed.endReason).to.equal("bust");
+        });
+
+        it("Should reject a climb that does not pay the entropy fee", async function () {
+            await startGame();
+
+            await expect(climb.connect(player).climb({ value: fee - 1n }))
+                .to.be.revertedWith("Insufficient fee for entropy request");
+        });
+    });
+
+    describe("Cash Out", function () {
+        it("Should not cash out at level 0", async function () {
+            await startGame();
+
+            await expect(climb.connect(player).cashOut({ value: fee }))
+                .to.be.revertedWith("Cannot cash out at level 0");
+        });
+
+        it("Should pay in points on an even roll", async function () {
+            const gameId = await startGame();
+            await climbLevels(2);
+
+            // 1 S deposit at level 2 pays 35 points
+            await expect(entropy.fulfill(await request("cashOut"), PAY_IN_POINTS))
+                .to.emit(climb, "PlayerCashedOut")
+                .withArgs(player.address, gameId, 2, 35, 35, true);
+
+            expect(await points.points(player.address)).to.equal(35);
+            expect((await climb.getCompletedGame(gameId)).endReason).to.equal("cashOut");
+        });
+
+        it("Should pay in S on an odd roll", async function () {
+            const gameId = await startGame();
+            await climbLevels(2);
+
+            // 1 S deposit at level 2 pays 1.5 S
+            const payout = ethers.parseEther("1.5");
+            const fulfillment = entropy.fulfill(await request("cashOut"), PAY_IN_ETH);
+            await expect(fulfillment)
+                .to.emit(climb, "PlayerCashedOut")
+                .withArgs(player.address, gameId, 2, 150, payout, false);
+            await expect(fulfillment).to.changeEtherBalance(player, payout);
+
+            expect((await climb.getPlayerGame(player.address)).isActive).to.equal(false);
+        });
+    });
+
+    describe("Auto Climb", function () {
+        it("Should climb to the target level when every roll succeeds", async function () {
+            const gameId = await startGame();
+            const baseRandom = findRandom(gameId, 0, 3, (level) => level === 3);
+
+            await expect(entropy.fulfill(await request("autoClimb", 3), baseRandom))
+                .to.emit(climb, "AutoClimbCompleted")
+                .withArgs(player.address, gameId, 0, 3, 3, true);
+
+            const game = await climb.getPlayerGame(player.address);
+            expect(game.currentLevel).to.equal(3);
+            expect(game.isActive).to.equal(true);
+            expect(await climb.canPlayerCashOut(player.address)).to.equal(true);
+        });
+
+        it("Should stop at the level where a roll fails", async function () {
+            const gameId = await startGame();
+            await climbLevels(1);
+            const baseRandom = findRandom(gameId, 1, 5, (level) => level > 1 && level < 5);
+            const bustLevel = autoClimbStopsAt(baseRandom, gameId, 1, 5);
+
+            await expect(entropy.fulfill(await request("autoClimb", 5), baseRandom))
+                .to.emit(climb, "AutoClimbCompleted")
+                .withArgs(player.address, gameId, 1, bustLevel, 5, false);
+
+            expect((await climb.getPlayerGame(player.address)).isActive).to.equal(false);
+            expect((await climb.getCompletedGame(gameId)).finalLevel).to.equal(bustLevel);
+            expect(await points.points(player.address)).to.equal(10);
+        });
+
+        it("Should reject a target at or below the current level", async function () {
+            await startGame();
+            await climbLevels(2);
+
+            await expect(climb.connect(player).autoClimb(2, { value: fee }))
+                .to.be.revertedWith("Target level must be higher than current level");
+        });
+    });
+
+    describe("Entropy Delivery", function () {
+        it("Should keep the player blocked while a callback never arrives", async function () {
+            await startGame();
+            await climbLevels(1);
+            const sequence = await request("climb");
+
+            await expect(climb.connect(player).climb({ value: fee }))
+                .to.be.revertedWith("Cannot perform action while request is pending");
+            await expect(climb.connect(player).cashOut({ value: fee }))
+                .to.be.revertedWith("Cannot perform action while request is pending");
+            await expect(climb.connect(player).startGame({ value: deposit }))
+                .to.be.revertedWith("Game already in progress");
+
+            expect(await entropy.isPending(sequence)).to.equal(true);
+            expect((await entropy.getPending()).map((r) => r.sequenceNumber)).to.deep.equal([sequence]);
+        });
+
+        it("Should leave the request pending when the callback reverts", async function () {
+            await startGame();
+            await climbLevels(2);
+            const sequence = await request("cashOut");
+
+            // Only the player's own deposit is left, which cannot cover a 1.5 S payout
+            await climb.withdraw(ethers.parseEther("10"));
+            await expect(entropy.fulfill(sequence, PAY_IN_ETH)).to.be.revertedWith("ETH transfer failed");
+
+            expect(await entropy.isPending(sequence)).to.equal(true);
+            expect((await climb.getPlayerGame(player.address)).pendingType).to.equal(RequestType.CASHOUT);
+
+            // Once the contract is funded again the same request can still be delivered
+            await climb.depositFunds({ value: ethers.parseEther("10") });
+            await expect(entropy.fulfill(sequence, PAY_IN_ETH)).to.emit(climb, "PlayerCashedOut");
+            expect(await entropy.isPending(sequence)).to.equal(false);
+        });
+
+        it("Should leave the request pending when the callback runs out of gas", async function () {
+            await startGame();
+            const sequence = await request("climb");
+
+            await entropy.setCallbackGasLimit(20_000);
+            await expect(entropy.fulfill(sequence, CLIMB_SUCCEEDS)).to.be.reverted;
+
+            expect(await entropy.isPending(sequence)).to.equal(true);
+            expect((await climb.getPlayerGame(player.address)).currentLevel).to.equal(0);
+        });
+
+        it("Should deliver a revealed random number", async function () {
+            const gameId = await startGame();
+            await request("climb");
+            const { sequenceNumber, provider, userRandomNumber } = await entropy.getLatestRequest();
+            const providerRevelation = ethers.id("provider revelation");
+            const randomNumber = await entropy.contract.combineRandomValues(userRandomNumber, providerRevelation, ethers.ZeroHash);
+
+            await expect(entropy.contract.revealWithCallback(provider, sequenceNumber, ethers.ZeroHash, providerRevelation))
+                .to.be.revertedWith("Incorrect revelation");
+            await expect(entropy.contract.revealWithCallback(provider, sequenceNumber, userRandomNumber, providerRevelation))
+                .to.emit(climb, "EntropyReceived")
+                .withArgs(player.address, gameId, sequenceNumber, BigInt(randomNumber));
+        });
+
+        it("Should only accept callbacks from Entropy", async function () {
+            await startGame();
+            const sequence = await request("climb");
+
+            await expect(climb.connect(player)._entropyCallback(sequence, owner.address, ethers.ZeroHash))
+                .to.be.revertedWith("Only Entropy can call this function");
+        });
+    });
+
+    describe("Pending Timeout", function () {
+        it("Should not cancel a request before the timeout", async function () {
+            await startGame();
+            await request("climb");
+
+            expect(await climb.canPlayerCancelPending(player.address)).to.equal(false);
+            await expect(climb.connect(player).cancelPendingRequest())
+                .to.be.revertedWith("Pending request has not timed out");
+        });
+
+        it("Should refund a climb's expected value when cancelling at level 0", async function () {
+            const gameId = await startGame();
+            const sequence = await request("climb");
+            await time.increase(await climb.pendingTimeout());
+
+            // Climbing from level 0 is worth 89.09% of 1.10x, a little less than the deposit
+            const payout = await climbExpectedValue(0, 1);
+            expect(payout).to.be.lessThan(deposit);
+
+            expect(await climb.canPlayerCancelPending(player.address)).to.equal(true);
+            const cancellation = climb.connect(player).cancelPendingRequest();
+            await expect(cancellation)
+                .to.emit(climb, "PendingRequestCancelled")
+                .withArgs(player.address, gameId, sequence, 0, payout, 0, true);
+            await expect(cancellation).to.changeEtherBalance(player, payout);
+
+            expect((await climb.getPlayerGame(player.address)).isActive).to.equal(false);
+            expect((await climb.getCompletedGame(gameId)).endReason).to.equal("refund");
+        });
+
+        it("Should refund only the deposit when cancelling a climb above level 0", async function () {
+            const gameId = await startGame();
+            await climbLevels(3);
+            const sequence = await request("climb");
+            await time.increase(await climb.pendingTimeout());
+
+            // Climbing from level 3 is worth more than the deposit, which caps the refund
+            expect(await climbExpectedValue(3, 4)).to.be.greaterThan(deposit);
+            const cancellation = climb.connect(player).cancelPendingRequest();
+            await expect(cancellation)
+                .to.emit(climb, "PendingRequestCancelled")
+                .withArgs(player.address, gameId, sequence, 3, deposit, 0, true);
+            await expect(cancellation).to.changeEtherBalance(player, deposit);
+        });
+
+        it("Should settle a cash out at half its S value and half its points", async function () {
+            const gameId = await startGame();
+            await climbLevels(2);
+            const sequence = await request("cashOut");
+            await time.increase(await climb.pendingTimeout());
+
+            // 1 S deposit at level 2 cashes out 1.5 S or 35 points with equal chance
+            const payout = ethers.parseEther("0.75");
+            const cancellation = climb.connect(player).cancelPendingRequest();
+            await expect(cancellation)
+                .to.emit(climb, "PendingRequestCancelled")
+                .withArgs(player.address, gameId, sequence, 2, payout, 17, false);
+            await expect(cancellation).to.changeEtherBalance(player, payout);
+            expect(await points.points(player.address)).to.equal(17);
+
+            const completed = await climb.getCompletedGame(gameId);
+            expect(completed.endReason).to.equal("timeout");
+            expect(completed.success).to.equal(true);
+        });
+
+        it("Should pay no more than the expected value after a busting revelation", async function () {
+            const gameId = await startGame();
+            const baseRandom = findRandom(gameId, 0, 6, (level) => level < 6);
+            const sequence = await request("autoClimb", 6);
+            await time.increase(await climb.pendingTimeout());
+
+            // The player has seen the revelation bust and cancels instead of delivering it
+            const payout = await climbExpectedValue(0, 6);
+            expect(payout).to.be.lessThan(deposit);
+            const cancellation = climb.connect(player).cancelPendingRequest();
+            await expect(cancellation)
+                .to.emit(climb, "PendingRequestCancelled")
+                .withArgs(player.address, gameId, sequence, 0, payout, 0, true);
+            await expect(cancellation).to.changeEtherBalance(player, payout);
+
+            // Delivering the busting revelation afterwards changes nothing
+            await expect(entropy.fulfill(sequence, baseRandom)).not.to.emit(climb, "EntropyReceived");
+            expect(await points.points(player.address)).to.equal(0);
+        });
+
+        it("Should ignore a callback that arrives after cancelling", async function () {
+            await startGame();
+            await climbLevels(1);
+            const sequence = await request("climb");
+            await time.increase(await climb.pendingTimeout());
+            await climb.connect(player).cancelPendingRequest();
+
+            await expect(entropy.fulfill(sequence, CLIMB_SUCCEEDS)).not.to.emit(climb, "EntropyReceived");
+
+            // The player is free to start over
+            const gameId = await startGame();
+            expect((await climb.getPlayerGame(player.address)).gameId).to.equal(gameId);
+            expect(await climb.canPlayerCancelPending(player.address)).to.equal(false);
+        });
+
+        it("Should reject cancelling without a pending request", async function () {
+            await startGame();
+
+            await expect(climb.connect(player).cancelPendingRequest())
+                .to.be.revertedWith("No pending request");
+        });
+
+        it("Should let only the owner change the timeout", async function () {
+            await expect(climb.setPendingTimeout(600))
+                .to.emit(climb, "PendingTimeoutChanged")
+                .withArgs(3600, 600);
+
+            await expect(climb.connect(player).setPendingTimeout(1))
+                .to.be.revertedWithCustomError(climb, "OwnableUnauthorizedAccount")
+                .withArgs(player.address);
+        });
+    });
+
+    describe("Economics", function () {
+        let tables;
+
+        beforeEach(async function () {
+            tables = await readLevelTables(climb);
+        });
+
+        it("Should keep a house edge at every cash-out level", async function () {
+            expect(findNegativeHouseEdges(tables)).to.deep.equal([]);
+
+            // Cashing out at level 1 returns 1.10× on half of the 89.09% that get there
+            const { houseEdge } = getExpectedValues(tables, parseStrategy(tables, "cashout:1"), deposit);
+            expect(houseEdge).to.be.closeTo(1 - 0.8909 * 0.5 * 1.1, 1e-12);
+        });
+
+        it("Should refuse tables that give players the edge", async function () {
+            const generous = { ...tables, multipliers: [...tables.multipliers] };
+            generous.multipliers[1] = 300;
+
+            expect(findNegativeHouseEdges(generous).map(({ level }) => level)).to.deep.equal([1]);
+            expect(() => assertPositiveHouseEdge(generous)).to.throw("cashing out at level 1");
+        });
+
+        it("Should simulate the exact house edge and points", async function () {
+            for (const spec of ["cashout:3", "auto:5", "random"]) {
+                const strategy = parseStrategy(tables, spec);
+                const exact = getExpectedValues(tables, strategy, deposit);
+                const simulated = simulateGames(tables, strategy, { games: 100_000, deposit, seed: 7 });
+
+                expect(simulated.houseEdge).to.be.closeTo(exact.houseEdge, 4 * simulated.standardError);
+                expect(simulated.pointsPerS).to.be.closeTo(exact.pointsPerS, exact.pointsPerS * 0.05);
+            }
+        });
+
+        it("Should find ruin only when the bankroll cannot cover a payout", async function () {
+            const strategy = parseStrategy(tables, "cashout:2");
+            const options = { deposit, games: 1, runs: 20_000, seed: 3 };
+
+            // An empty contract holds only the current deposit, so any 1.50× S payout ruins it
+            const paysInS = getExpectedValues(tables, strategy, deposit).cashOutProbability / 2;
+            expect(simulateRuin(tables, strategy, { ...options, balance: 0n }).ruinProbability).to.be.closeTo(paysInS, 0.02);
+            expect(simulateRuin(tables, strategy, { ...options, balance: ethers.parseEther("1") }).ruinProbability)
+                .to.equal(0);
+        });
+    });
+});
@@ -0,0 +1,236 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    GameState,
+    loadGameSystem,
+    startGame,
+    passRoundEnd,
+    expectEliminated,
+    expectActive,
+} = require("./fixtures/game-system");
+const { openDoor } = require("./fixtures/block-randomness");
+
+describe("Doors", function () {
+    let gameMaster;
+    let doors;
+    let players;
+    let others;
+    let player1;
+    let player2;
+    let player3;
+
+    const INITIAL_ROUND_DURATION = 120;
+    const DURATION_DECREASE_PER_ROUND = 6;
+    const MAX_ROUNDS = 10;
+
+    // Helper function to load a Doors deployment with `count` registered players
+    async function loadDoors(count, batch = false) {
+        const system = await loadGameSystem({ games: ["Doors"], players: count, batch });
+        gameMaster = system.gameMaster;
+        doors = system.games.Doors;
+        players = system.players;
+        others = system.others;
+        [player1, player2, player3] = players;
+    }
+
+    // Helper function to read how long the round started in a transaction's block lasts
+    async function roundDuration(tx, gameId = 1) {
+        const block = await ethers.provider.getBlock((await tx.wait()).blockNumber);
+        return Number((await doors.getGameInfo(gameId)).roundEndTime) - block.timestamp;
+    }
+
+    beforeEach(async function () {
+        await loadDoors(3);
+    });
+
+    describe("Game Setup", function () {
+        it("Should put up to 20 players in one instance", async function () {
+            await gameMaster.initializeGame("Doors");
+
+            const gameInfo = await doors.getPlayerInfo(1);
+            expect(gameInfo.length).to.equal(3);
+            expect(gameInfo.every((p) => p.isActive && p.doorsOpened === 0n)).to.be.true;
+            expect(await doors.getGameState(1)).to.equal(GameState.Pregame);
+            expect((await doors.getGameInfo(1)).currentRound).to.equal(0);
+        });
+
+        it("Should split larger fields into balanced instances of about 20", async function () {
+            await loadDoors(25, true);
+            await gameMaster.initializeGame("Doors");
+
+            const games = await doors.getGames();
+            expect(games.map((g) => g.activePlayerCount)).to.deep.equal([13n, 12n]);
+            expect(await doors.getPlayerGameId(players[12].address)).to.equal(1);
+            expect(await doors.getPlayerGameId(players[13].address)).to.equal(2);
+        });
+
+        it("Should start every instance at round 1 with the full round duration", async function () {
+            await gameMaster.initializeGame("Doors");
+            const tx = await gameMaster.startGames("Doors");
+
+            expect(await doors.getGameState(1)).to.equal(GameState.Active);
+            expect((await doors.getGameInfo(1)).currentRound).to.equal(1);
+            expect(await roundDuration(tx)).to.equal(INITIAL_ROUND_DURATION);
+        });
+
+        it("Should only let GameMaster initialize and start games", async function () {
+            await expect(doors.connect(player1).initialize([player1.address], [1]))
+                .to.be.revertedWith("Only GameMaster can call");
+            await expect(doors.connect(player1).startGames())
+                .to.be.revertedWith("Only GameMaster can call");
+        });
+    });
+
+    describe("Opening Doors", function () {
+        beforeEach(async function () {
+            await startGame(gameMaster, "Doors");
+        });
+
+        it("Should keep a player whose door opens and start the next round", async function () {
+            await expect(openDoor(doors, player1, true))
+                .to.emit(doors, "DoorOpened").withArgs(1, player1.address, true);
+
+            expect(await doors.getDoorsOpened(1, player1.address)).to.equal(1);
+            expect((await doors.getGameInfo(1)).currentRound).to.equal(2);
+            expect(await doors.getGameState(1)).to.equal(GameState.Active);
+            await expectActive(gameMaster, [player1, player2, player3]);
+        });
+
+        it("Should eliminate a player whose door fails and tell GameMaster", async function () {
+            const playerNumber = await doors.getPlayerNumber(1, player1.address);
+
+            await expect(openDoor(doors, player1, false))
+                .to.emit(doors, "PlayerEliminated").withArgs(1, player1.address, playerNumber);
+
+            const player1Info = (await doors.getPlayerInfo(1)).find((p) => p.playerAddress === player1.address);
+            expect(player1Info.isActive).to.be.false;
+            expect(player1Info.doorsOpened).to.equal(1);
+            expect(await doors.getPlayerGameId(player1.address)).to.equal(0);
+            await expectEliminated(gameMaster, [player1]);
+            expect(await gameMaster.getPlayerFinalPlacement(player1.address)).to.equal(3);
+        });
+
+        it("Should not let eliminated or unseated players open doors", async function () {
+            await openDoor(doors, player1, false);
+
+            await expect(doors.connect(player1).openDoor()).to.be.revertedWith("Player not in game");
+            await expect(doors.connect(others[0]).openDoor()).to.be.revertedWith("Player not in game");
+        });
+
+        it("Should shorten each round by 6 seconds", async function () {
+            // Every door opened in an instance ends its round, so one player can walk the rounds
+            for (let round = 2; round <= MAX_ROUNDS; round++) {
+                const tx = await openDoor(doors, player1, true);
+                expect((await doors.getGameInfo(1)).currentRound).to.equal(round);
+                expect(await roundDuration(tx)).to.equal(INITIAL_ROUND_DURATION - (round - 1) * DURATION_DECREASE_PER_ROUND);
+            }
+        });
+    });
+
+    describe("Game Completion", function () {
+        beforeEach(async function () {
+            await startGame(gameMaster, "Doors");
+        });
+
+        it("Should complete after MAX_ROUNDS doors with the survivors as winners", async function () {
+            for (let round = 1; round <= MAX_ROUNDS; round++) {
+                await openDoor(doors, players[round % players.length], true);
+            }
+
+            expect(await doors.getGameState(1)).to.equal(GameState.Completed);
+            expect((await doors.getGameInfo(1)).currentRound).to.equal(MAX_ROUNDS);
+            await expectActive(gameMaster, [player1, player2, player3]);
+
+            const winners = await gameMaster.endGames.staticCall("Doors");
+            expect([...winners].sort()).to.deep.equal(players.map((p) => p.address).sort());
+        });
+
+        it("Should complete when one player remains", async function () {
+            await openDoor(doors, player1, false);
+            await expect(openDoor(doors, player2, false))
+                .to.emit(doors, "GameCompleted").withArgs(1, [player3.address]);
+
+            expect(await doors.getGameState(1)).to.equal(GameState.Completed);
+            await expectActive(gameMaster, [player3]);
+            await expectEliminated(gameMaster, [player1, player2]);
+
+            // Eliminated by separate calls, so each gets their own placement
+            expect(await gameMaster.getPlayerFinalPlacement(player1.address)).to.equal(3);
+            expect(await gameMaster.getPlayerFinalPlacement(player2.address)).to.equal(2);
+        });
+
+        it("Should eliminate everyone left when a door is opened after the round ends", async function () {
+            await openDoor(doors, player1, true);
+            await passRoundEnd(doors, 1);
+
+            // The late call does not revert: it ends the round for everyone, caller included
+            await expect(doors.connect(player2).openDoor())
+                .to.emit(doors, "GameCompleted").withArgs(1, []);
+
+            expect(await doors.getGameState(1)).to.equal(GameState.Completed);
+            expect(await doors.getDoorsOpened(1, player2.address)).to.equal(0);
+            await expectEliminated(gameMaster, [player1, player2, player3]);
+
+            // Eliminated together, so they share the best placement they cover
+            for (const player of [player1, player2, player3]) {
+                expect(await gameMaster.getPlayerFinalPlacement(player.address)).to.equal(1);
+            }
+        });
+
+        it("Should eliminate everyone left when GameMaster ends expired games", async function () {
+            await passRoundEnd(doors, 1);
+            await gameMaster.endExpiredGames("Doors");
+
+            expect(await doors.getGameState(1)).to.equal(GameState.Completed);
+            expect((await doors.getPlayerInfo(1)).every((p) => !p.isActive)).to.be.true;
+            await expectEliminated(gameMaster, [player1, player2, player3]);
+        });
+
+        it("Should leave games that have not expired alone", async function () {
+            await gameMaster.endExpiredGames("Doors");
+
+            expect(await doors.getGameState(1)).to.equal(GameState.Active);
+            await expectActive(gameMaster, [player1, player2, player3]);
+        });
+
+        it("Should not end games before every instance has completed", async function () {
+            await expect(gameMaster.endGames("Doors"))
+                .to.be.revertedWith("Not all instances have completed maximum rounds");
+        });
+    });
+
+    describe("Multiple Instances", function () {
+        beforeEach(async function () {
+            await loadDoors(25, true);
+            await startGame(gameMaster, "Doors");
+        });
+
+        it("Should keep rounds and eliminations separate per instance", async function () {
+            const inGame1 = players[0];
+            const inGame2 = players[13];
+
+            await openDoor(doors, inGame1, true);
+            await openDoor(doors, inGame2, false);
+
+            expect((await doors.getGameInfo(1)).currentRound).to.equal(2);
+            expect((await doors.getGameInfo(2)).currentRound).to.equal(2);
+            expect((await doors.getGames()).map((g) => g.activePlayerCount)).to.deep.equal([13n, 11n]);
+            await expectEliminated(gameMaster, [inGame2]);
+            expect(await gameMaster.getActivePlayerCount()).to.equal(24);
+        });
+
+        it("Should only expire the instances whose round has ended", async function () {
+            // Opening a door in game 1 restarts its clock, so game 2 runs out first
+            await time.increase(INITIAL_ROUND_DURATION / 2);
+            await openDoor(doors, players[0], true);
+            await passRoundEnd(doors, 2);
+            await gameMaster.endExpiredGames("Doors");
+
+            expect(await doors.getGameState(1)).to.equal(GameState.Active);
+            expect(await doors.getGameState(2)).to.equal(GameState.Completed);
+            await expectEliminated(gameMaster, players.slice(13));
+            await expectActive(gameMaster, players.slice(0, 13));
+        });
+    });
+});
@@ -0,0 +1,162 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const http = require("http");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployMockEntropy } = require("../scripts/lib/entropy");
+const { randomWithRemainder } = require("../scripts/lib/climb");
+const {
+    findUnansweredRequests,
+    getRequestInputs,
+    computeUserRandomNumber,
+    fetchRevelation,
+    retryCallback,
+} = require("../scripts/lib/entropy-recovery");
+
+describe("Entropy Recovery", function () {
+    let climb;
+    let points;
+    let entropy;
+    let player;
+    let otherPlayer;
+    let server;
+    let urlTemplate;
+
+    const providerRevelation = ethers.id("fixture revelation");
+
+    // Helper function to start a game and send a request that is left without a callback
+    async function strandRequest(signer, action = "climb") {
+        await climb.connect(signer).startGame({ value: ethers.parseEther("1") });
+        await climb.connect(signer)[action]();
+        return (await entropy.getLatestRequest()).sequenceNumber;
+    }
+
+    // Helper function to scan every block for unanswered requests
+    async function scan() {
+        return findUnansweredRequests(climb, { fromBlock: 0, toBlock: await ethers.provider.getBlockNumber() });
+    }
+
+    before(async function () {
+        // Stands in for Fortuna: serves the same revelation for every sequence on "hardhat"
+        server = http.createServer((req, res) => {
+            if (!/^\/v1\/chains\/hardhat\/revelations\/\d+$/.test(req.url)) {
+                res.writeHead(404).end();
+                return;
+            }
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(JSON.stringify({ value: { encoding: "hex", data: providerRevelation.slice(2) } }));
+        });
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        urlTemplate = `http://127.0.0.1:${server.address().port}/v1/chains/{chain}/revelations/{sequence}`;
+    });
+
+    after(function () {
+        server.close();
+    });
+
+    beforeEach(async function () {
+        [, player, otherPlayer] = await ethers.getSigners();
+
+        points = await (await ethers.getContractFactory("Points")).deploy();
+        entropy = await deployMockEntropy(ethers);
+        climb = await (await ethers.getContractFactory("Climb")).deploy(
+            await entropy.getAddress(),
+            await points.getAddress()
+        );
+        await points.setContractAuthorization(await climb.getAddress(), true);
+        await climb.depositFunds({ value: ethers.parseEther("10") });
+    });
+
+    it("Should find requests whose callback never arrived", async function () {
+        const stuck = await strandRequest(player);
+        const answered = await strandRequest(otherPlayer);
+        await entropy.fulfill(answered, randomWithRemainder(0));
+
+        const requests = await scan();
+        expect(requests).to.have.length(1);
+        expect(requests[0].sequenceNumber).to.equal(stuck);
+        expect(requests[0].player).to.equal(player.address);
+        expect(requests[0].status).to.equal("stuck");
+    });
+
+    it("Should say when a stuck player can cancel and skip cancelled requests", async function () {
+        await strandRequest(player);
+        const [request] = await scan();
+        const requestedAt = await climb.pendingRequestedAt(player.address);
+        expect(request.cancellableAt).to.equal(Number(requestedAt + (await climb.pendingTimeout())));
+
+        await time.increase(await climb.pendingTimeout());
+        await climb.connect(player).cancelPendingRequest();
+        expect(await scan()).to.deep.equal([]);
+    });
+
+    it("Should read the user random number back from the request transaction", async function () {
+        const sequence = await strandRequest(player);
+        const [request] = await scan();
+
+        const inputs = await getRequestInputs(ethers, entropy.contract, request);
+        expect(inputs.source).to.equal("event");
+        expect(inputs.userRandomNumber).to.equal(await entropy.contract.userRandomNumbers(sequence));
+
+        // The fallback derivation agrees with what Climb sent
+        expect(await computeUserRandomNumber(ethers, request)).to.equal(inputs.userRandomNumber);
+    });
+
+    it("Should fetch the revelation from the configured endpoint", async function () {
+        expect(await fetchRevelation(urlTemplate, { chain: "hardhat", sequenceNumber: 7n })).to.equal(providerRevelation);
+
+        try {
+            await fetchRevelation(urlTemplate, { chain: "sonic", sequenceNumber: 7n });
+            expect.fail("Expected the unknown chain to be rejected");
+        } catch (error) {
+            expect(error.message).to.include("HTTP 404");
+        }
+    });
+
+    it("Should deliver a stuck request and unblock the player", async function () {
+        const sequence = await strandRequest(player);
+        const [request] = await scan();
+        const { provider, userRandomNumber } = await getRequestInputs(ethers, entropy.contract, request);
+        const revelation = await fetchRevelation(urlTemplate, { chain: "hardhat", sequenceNumber: sequence });
+
+        const result = await retryCallback(entropy.contract, {
+            provider,
+            sequenceNumber: sequence,
+            userRandomNumber,
+            providerRevelation: revelation,
+        });
+
+        expect(result.status).to.equal("recovered");
+        expect(result.gasLimit).to.be.greaterThan(result.estimate);
+        expect((await climb.getPlayerGame(player.address)).pendingType).to.equal(0);
+        expect(await scan()).to.deep.equal([]);
+    });
+
+    it("Should report a callback that still reverts", async function () {
+        // Climb at level 1, then a cash out that cannot be paid because the contract is empty
+        await climb.connect(player).startGame({ value: ethers.parseEther("1") });
+        await climb.connect(player).climb();
+        await entropy.fulfill((await entropy.getLatestRequest()).sequenceNumber, randomWithRemainder(0));
+        await climb.connect(player).cashOut();
+        await climb.withdraw(await climb.getContractBalance());
+
+        const [request] = await scan();
+        const inputs = await getRequestInputs(ethers, entropy.contract, request);
+        // Pick a revelation whose combined random number is odd, so the cash out is paid in S
+        let revelation;
+        for (let i = 0; ; i++) {
+            revelation = ethers.id(`revelation ${i}`);
+            const random = await entropy.contract.combineRandomValues(inputs.userRandomNumber, revelation, ethers.ZeroHash);
+            if (BigInt(random) % 2n === 1n) break;
+        }
+
+        const result = await retryCallback(entropy.contract, {
+            ...inputs,
+            sequenceNumber: request.sequenceNumber,
+            providerRevelation: revelation,
+        });
+
+        expect(result.status).to.equal("reverts");
+        expect(result.reason).to.include("ETH transfer failed");
+        expect(await entropy.isPending(request.sequenceNumber)).to.equal(true);
+    });
+});
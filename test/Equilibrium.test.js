@@ -0,0 +1,229 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    GameState,
+    loadGameSystem,
+    startGame,
+    passRoundEnd,
+    expectEliminated,
+    expectActive,
+} = require("./fixtures/game-system");
+const { getLargestTeams, fixTieBreak } = require("./fixtures/block-randomness");
+
+describe("Equilibrium", function () {
+    let gameMaster;
+    let equilibrium;
+    let owner;
+    let players;
+    let others;
+
+    const GAME_DURATION = 10 * 60;
+
+    // Helper function to load an Equilibrium deployment with `count` registered players
+    async function loadEquilibrium(count) {
+        const system = await loadGameSystem({ games: ["Equilibrium"], players: count });
+        gameMaster = system.gameMaster;
+        equilibrium = system.games.Equilibrium;
+        owner = system.owner;
+        players = system.players;
+        others = system.others;
+    }
+
+    // Helper function to move players onto teams: teams[i] is players[i]'s team (team 0 is where they start)
+    async function arrangeTeams(teams) {
+        for (const [index, team] of teams.entries()) {
+            if (team !== 0) {
+                await equilibrium.connect(players[index]).switchTeam(team);
+            }
+        }
+    }
+
+    // Helper function to list the players arranged onto a team
+    function onTeam(teams, team) {
+        return players.filter((_, index) => teams[index] === team);
+    }
+
+    beforeEach(async function () {
+        await loadEquilibrium(4);
+    });
+
+    describe("Game Setup", function () {
+        it("Should seat every player in one instance on team 0", async function () {
+            await gameMaster.initializeGame("Equilibrium");
+
+            const gameInfo = await equilibrium.getPlayerInfo(1);
+            expect(gameInfo.length).to.equal(4);
+            expect(gameInfo.every((p) => p.isActive && p.team === 0n)).to.be.true;
+            expect(await equilibrium.getTeamSize(1, 0)).to.equal(4);
+            expect(await equilibrium.getGameState(1)).to.equal(GameState.Pregame);
+        });
+
+        it("Should fail to initialize with fewer than 2 players", async function () {
+            // A standalone Equilibrium, whose deployer acts as its GameMaster
+            const standalone = await (await ethers.getContractFactory("Equilibrium")).connect(owner).deploy();
+
+            await expect(standalone.initialize([players[0].address], [1]))
+                .to.be.revertedWith("Need at least 2 players");
+            await expect(standalone.initialize([ethers.ZeroAddress, players[0].address], [1, 2]))
+                .to.be.revertedWith("Invalid player address");
+        });
+
+        it("Should run for the game duration once started", async function () {
+            await gameMaster.initializeGame("Equilibrium");
+            const tx = await gameMaster.startGames("Equilibrium");
+            const block = await ethers.provider.getBlock((await tx.wait()).blockNumber);
+
+            expect(await equilibrium.getGameState(1)).to.equal(GameState.Active);
+            expect((await equilibrium.getGameInfo(1)).roundEndTime).to.equal(block.timestamp + GAME_DURATION);
+        });
+    });
+
+    describe("Switching Teams", function () {
+        beforeEach(async function () {
+            await startGame(gameMaster, "Equilibrium");
+        });
+
+        it("Should move a player and update team sizes", async function () {
+            await expect(equilibrium.connect(players[0]).switchTeam(2))
+                .to.emit(equilibrium, "PlayerSwitchedTeam").withArgs(1, players[0].address, 0, 2);
+
+            expect(await equilibrium.getPlayerTeam(1, players[0].address)).to.equal(2);
+            expect(await equilibrium.getTeamSize(1, 0)).to.equal(3);
+            expect(await equilibrium.getTeamSize(1, 2)).to.equal(1);
+
+            // Switching again moves the player off their new team
+            await equilibrium.connect(players[0]).switchTeam(3);
+            expect(await equilibrium.getTeamSize(1, 2)).to.equal(0);
+            expect(await equilibrium.getTeamSize(1, 3)).to.equal(1);
+        });
+
+        it("Should reject invalid switches", async function () {
+            await expect(equilibrium.connect(players[0]).switchTeam(4)).to.be.revertedWith("Invalid team number");
+            await expect(equilibrium.connect(players[0]).switchTeam(0)).to.be.revertedWith("Already on this team");
+            await expect(equilibrium.connect(others[0]).switchTeam(1)).to.be.revertedWith("Player not in any game");
+        });
+
+        it("Should only allow switches while the game runs", async function () {
+            await passRoundEnd(equilibrium, 1);
+            await expect(equilibrium.connect(players[0]).switchTeam(1)).to.be.revertedWith("Game has ended");
+        });
+
+        it("Should not allow switches before the game starts", async function () {
+            await loadEquilibrium(4);
+            await gameMaster.initializeGame("Equilibrium");
+
+            await expect(equilibrium.connect(players[0]).switchTeam(1)).to.be.revertedWith("Game not active");
+        });
+    });
+
+    describe("Eliminating the Largest Team", function () {
+        beforeEach(async function () {
+            await startGame(gameMaster, "Equilibrium");
+        });
+
+        it("Should eliminate the largest team when the game expires", async function () {
+            const teams = [0, 0, 1, 2];
+            await arrangeTeams(teams);
+
+            await passRoundEnd(equilibrium, 1);
+            await expect(gameMaster.endExpiredGames("Equilibrium"))
+                .to.emit(equilibrium, "TeamEliminated").withArgs(1, 0, 2);
+
+            expect(await equilibrium.getGameState(1)).to.equal(GameState.Completed);
+            expect(await equilibrium.getTeamSize(1, 0)).to.equal(0);
+            await expectEliminated(gameMaster, onTeam(teams, 0));
+            await expectActive(gameMaster, [...onTeam(teams, 1), ...onTeam(teams, 2)]);
+
+            // The team goes out in one resolution, so its players share a placement
+            const [first, second] = onTeam(teams, 0);
+            expect(await gameMaster.getPlayerFinalPlacement(first.address)).to.equal(3);
+            expect(await gameMaster.getPlayerFinalPlacement(second.address)).to.equal(3);
+        });
+
+        it("Should eliminate everyone when nobody leaves team 0", async function () {
+            await passRoundEnd(equilibrium, 1);
+            await gameMaster.endExpiredGames("Equilibrium");
+
+            expect((await equilibrium.getPlayerInfo(1)).every((p) => !p.isActive)).to.be.true;
+            await expectEliminated(gameMaster, players);
+        });
+
+        it("Should eliminate nobody when all four teams are the same size", async function () {
+            await arrangeTeams([0, 1, 2, 3]);
+
+            await passRoundEnd(equilibrium, 1);
+            await expect(gameMaster.endExpiredGames("Equilibrium"))
+                .to.emit(equilibrium, "GameCompleted")
+                .and.not.to.emit(equilibrium, "TeamEliminated");
+
+            expect(await equilibrium.getGameState(1)).to.equal(GameState.Completed);
+            await expectActive(gameMaster, players);
+        });
+
+        it("Should leave the game running until it expires", async function () {
+            await gameMaster.endExpiredGames("Equilibrium");
+
+            expect(await equilibrium.getGameState(1)).to.equal(GameState.Active);
+            await expectActive(gameMaster, players);
+        });
+
+        it("Should eliminate the largest team at once when GameMaster ends the game", async function () {
+            const teams = [0, 1, 1, 2];
+            await arrangeTeams(teams);
+
+            const survivors = await gameMaster.endGames.staticCall("Equilibrium");
+            expect([...survivors].sort()).to.deep.equal([...onTeam(teams, 0), ...onTeam(teams, 2)].map((p) => p.address).sort());
+
+            await gameMaster.endGames("Equilibrium");
+            await expectEliminated(gameMaster, onTeam(teams, 1));
+            expect(await equilibrium.getGameState(1)).to.equal(GameState.Completed);
+        });
+    });
+
+    describe("Tie Handling", function () {
+        // Two teams of two tie for largest
+        for (const team of [0, 1]) {
+            it(`Should eliminate only team ${team} when the tie-break picks it`, async function () {
+                const teams = [0, 0, 1, 1];
+                await startGame(gameMaster, "Equilibrium");
+                await arrangeTeams(teams);
+                expect(await getLargestTeams(equilibrium, 1)).to.deep.equal([0, 1]);
+
+                await passRoundEnd(equilibrium, 1);
+                await fixTieBreak(equilibrium, 1, team);
+                await expect(gameMaster.endExpiredGames("Equilibrium"))
+                    .to.emit(equilibrium, "TeamEliminated").withArgs(1, team, 2);
+
+                await expectEliminated(gameMaster, onTeam(teams, team));
+                await expectActive(gameMaster, onTeam(teams, 1 - team));
+            });
+        }
+
+        it("Should pick among three tied teams and never the smaller one", async function () {
+            await loadEquilibrium(7);
+            const teams = [0, 0, 1, 1, 3, 3, 2];
+            await startGame(gameMaster, "Equilibrium");
+            await arrangeTeams(teams);
+            expect(await getLargestTeams(equilibrium, 1)).to.deep.equal([0, 1, 3]);
+
+            await passRoundEnd(equilibrium, 1);
+            await fixTieBreak(equilibrium, 1, 3);
+            await gameMaster.endExpiredGames("Equilibrium");
+
+            await expectEliminated(gameMaster, onTeam(teams, 3));
+            await expectActive(gameMaster, [...onTeam(teams, 0), ...onTeam(teams, 1), ...onTeam(teams, 2)]);
+        });
+
+        it("Should not accept a tie-break for a team that is not tied for largest", async function () {
+            await startGame(gameMaster, "Equilibrium");
+            await arrangeTeams([0, 0, 1, 2]);
+
+            try {
+                await fixTieBreak(equilibrium, 1, 1);
+                expect.fail("Expected team 1 to be rejected");
+            } catch (error) {
+                expect(error.message).to.include("not one of the largest teams");
+            }
+        });
+    });
+});
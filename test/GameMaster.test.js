@@ -0,0 +1,239 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+
+describe("GameMaster", function () {
+    let gameMaster;
+    let points;
+    let owner;
+    let player1;
+    let player2;
+    let player3;
+
+    const planId = ethers.id("season-test");
+
+    // Helper function to report several eliminations under one batch id, like a single game resolution
+    let batch = 0;
+    async function eliminateTogether(game, players) {
+        batch++;
+        for (const player of players) {
+            await gameMaster.connect(game).playerEliminated(player.address, batch);
+        }
+    }
+
+    // Helper function to read how much a transaction cost its sender
+    async function gasCost(tx) {
+        const receipt = await tx.wait();
+        return receipt.gasUsed * receipt.gasPrice;
+    }
+
+    beforeEach(async function () {
+        [owner, player1, player2, player3] = await ethers.getSigners();
+
+        points = await (await ethers.getContractFactory("Points")).deploy();
+        gameMaster = await (await ethers.getContractFactory("GameMaster")).deploy();
+        await gameMaster.setPointsContract(await points.getAddress());
+
+        // Registration fees fund the prize pot (the points portion goes to Points)
+        const registrationFee = await gameMaster.registrationFee();
+        for (const player of [player1, player2, player3]) {
+            await gameMaster.connect(player).register({ value: registrationFee });
+        }
+    });
+
+    describe("Prize Payouts", function () {
+        it("Should pay prizes from the contract balance", async function () {
+            const before = await ethers.provider.getBalance(player2.address);
+            const potBefore = await ethers.provider.getBalance(await gameMaster.getAddress());
+
+            await expect(gameMaster.payPrizes(planId, [player2.address], [ethers.parseEther("5")]))
+                .to.emit(gameMaster, "PrizePaid")
+                .withArgs(planId, player2.address, ethers.parseEther("5"));
+
+            expect(await ethers.provider.getBalance(player2.address)).to.equal(before + ethers.parseEther("5"));
+            expect(await ethers.provider.getBalance(await gameMaster.getAddress())).to.equal(potBefore - ethers.parseEther("5"));
+            expect(await gameMaster.prizePaid(planId, player2.address)).to.equal(ethers.parseEther("5"));
+        });
+
+        it("Should not pay the same recipient twice under one plan", async function () {
+            await gameMaster.payPrizes(planId, [player1.address, player2.address], [ethers.parseEther("2"), ethers.parseEther("1")]);
+            const before = await ethers.provider.getBalance(player1.address);
+
+            // Re-sending the batch only pays the recipient that was not in it before
+            await expect(gameMaster.payPrizes(
+                planId,
+                [player1.address, player2.address, player3.address],
+                [ethers.parseEther("2"), ethers.parseEther("1"), ethers.parseEther("1")]
+            ))
+                .to.emit(gameMaster, "PrizePaid")
+                .withArgs(planId, player3.address, ethers.parseEther("1"));
+
+            expect(await ethers.provider.getBalance(player1.address)).to.equal(before);
+            expect(await gameMaster.prizePaid(planId, player3.address)).to.equal(ethers.parseEther("1"));
+        });
+
+        it("Should pay again under a different plan", async function () {
+            await gameMaster.payPrizes(planId, [player1.address], [ethers.parseEther("1")]);
+            const before = await ethers.provider.getBalance(player1.address);
+
+            await gameMaster.payPrizes(ethers.id("season-next"), [player1.address], [ethers.parseEther("1")]);
+            expect(await ethers.provider.getBalance(player1.address)).to.equal(before + ethers.parseEther("1"));
+        });
+
+        it("Should leave a recipient that rejects the transfer unpaid", async function () {
+            // Points has no receive function, so it cannot accept a prize
+            const rejecting = await points.getAddress();
+
+            await expect(gameMaster.payPrizes(
+                planId,
+                [rejecting, player1.address],
+                [ethers.parseEther("1"), ethers.parseEther("1")]
+            ))
+                .to.emit(gameMaster, "PrizePaymentFailed")
+                .withArgs(planId, rejecting, ethers.parseEther("1"))
+                .and.to.emit(gameMaster, "PrizePaid")
+                .withArgs(planId, player1.address, ethers.parseEther("1"));
+
+            expect(await gameMaster.prizePaid(planId, rejecting)).to.equal(0);
+        });
+
+        it("Should reject payouts larger than the balance", async function () {
+            const pot = await ethers.provider.getBalance(await gameMaster.getAddress());
+
+            await expect(gameMaster.payPrizes(planId, [player1.address], [pot + 1n]))
+                .to.be.revertedWith("Insufficient balance for prizes");
+        });
+
+        it("Should reject mismatched arrays", async function () {
+            await expect(gameMaster.payPrizes(planId, [player1.address], []))
+                .to.be.revertedWith("Array length mismatch");
+        });
+
+        it("Should only allow the owner to pay prizes", async function () {
+            await expect(gameMaster.connect(player1).payPrizes(planId, [player1.address], [ethers.parseEther("1")]))
+                .to.be.revertedWithCustomError(gameMaster, "OwnableUnauthorizedAccount")
+                .withArgs(player1.address);
+        });
+
+        it("Should cost the owner only gas", async function () {
+            const before = await ethers.provider.getBalance(owner.address);
+            const cost = await gasCost(await gameMaster.payPrizes(planId, [player1.address], [ethers.parseEther("3")]));
+
+            expect(await ethers.provider.getBalance(owner.address)).to.equal(before - cost);
+        });
+    });
+
+    describe("Registration and Reset", function () {
+        it("Should let players register again after a reset", async function () {
+            await gameMaster.resetGame();
+
+            expect(await gameMaster.isRegistered(player1.address)).to.be.false;
+            expect(await gameMaster.isActivePlayer(player1.address)).to.be.false;
+            expect(await gameMaster.getPlayerCount()).to.equal(0);
+
+            await gameMaster.connect(player2).register({ value: await gameMaster.registrationFee() });
+            await gameMaster.registerPlayersBatch([player1.address]);
+            expect(await gameMaster.getPlayerNumber(player2.address)).to.equal(0);
+            expect(await gameMaster.getActivePlayers()).to.deep.equal([player2.address, player1.address]);
+        });
+
+        it("Should not register players once eliminations have started", async function () {
+            const [, , , , game, latecomer] = await ethers.getSigners();
+            await gameMaster.registerGame("Game", game.address);
+            await eliminateTogether(game, [player1]);
+
+            // A later registration would grow the total the placements count down from
+            await expect(gameMaster.connect(latecomer).register({ value: await gameMaster.registrationFee() }))
+                .to.be.revertedWith("Eliminations have started");
+            await expect(gameMaster.registerPlayersBatch([latecomer.address]))
+                .to.be.revertedWith("Eliminations have started");
+            expect(await gameMaster.getPlayerFinalPlacement(player1.address)).to.equal(3);
+        });
+    });
+
+    describe("Final Placements", function () {
+        let game;
+        let otherGame;
+        let players;
+
+        beforeEach(async function () {
+            const signers = await ethers.getSigners();
+            [game, otherGame] = signers.slice(10, 12);
+            players = [player1, player2, player3, ...signers.slice(4, 10)];
+
+            // Nine players in total; plain accounts stand in for games
+            await gameMaster.registerPlayersBatch(signers.slice(4, 10).map((s) => s.address));
+            await gameMaster.registerGame("Game", game.address);
+            await gameMaster.registerGame("OtherGame", otherGame.address);
+        });
+
+        it("Should place players eliminated in separate batches one after another", async function () {
+            await eliminateTogether(game, [players[0]]);
+            await eliminateTogether(game, [players[1]]);
+
+            expect(await gameMaster.getPlayerFinalPlacement(players[0].address)).to.equal(9);
+            expect(await gameMaster.getPlayerFinalPlacement(players[1].address)).to.equal(8);
+        });
+
+        it("Should give players eliminated together the same placement", async function () {
+            await eliminateTogether(game, players.slice(0, 3));
+
+            // Three of nine out at once share the best of places 7 to 9
+            for (const player of players.slice(0, 3)) {
+                expect(await gameMaster.getPlayerFinalPlacement(player.address)).to.equal(7);
+            }
+            expect(await gameMaster.eliminationGroupCount()).to.equal(1);
+        });
+
+        it("Should continue below a tied group", async function () {
+            await eliminateTogether(game, players.slice(0, 3));
+            await eliminateTogether(game, [players[3]]);
+
+            expect(await gameMaster.getPlayerFinalPlacement(players[3].address)).to.equal(6);
+        });
+
+        it("Should not tie eliminations from different games with the same batch id", async function () {
+            await gameMaster.connect(game).playerEliminated(players[0].address, 1);
+            await gameMaster.connect(otherGame).playerEliminated(players[1].address, 1);
+
+            expect(await gameMaster.getPlayerFinalPlacement(players[0].address)).to.equal(9);
+            expect(await gameMaster.getPlayerFinalPlacement(players[1].address)).to.equal(8);
+        });
+
+        it("Should not tie two resolutions of one game mined in the same block", async function () {
+            const mockGame = await (await ethers.getContractFactory("MockGame")).deploy(await gameMaster.getAddress());
+            await gameMaster.registerGame("MockGame", await mockGame.getAddress());
+
+            await network.provider.send("evm_setAutomine", [false]);
+            try {
+                // The default gas limit is the whole block's, which would leave room for one call
+                const first = await mockGame.eliminate([players[0].address, players[1].address], { gasLimit: 1_000_000 });
+                const second = await mockGame.eliminate([players[2].address], { gasLimit: 1_000_000 });
+                await network.provider.send("evm_mine", []);
+                const [firstReceipt, secondReceipt] = await Promise.all([first.wait(), second.wait()]);
+                expect(firstReceipt.blockNumber).to.equal(secondReceipt.blockNumber);
+            } finally {
+                await network.provider.send("evm_setAutomine", [true]);
+            }
+
+            expect(await gameMaster.getPlayerFinalPlacement(players[0].address)).to.equal(8);
+            expect(await gameMaster.getPlayerFinalPlacement(players[1].address)).to.equal(8);
+            expect(await gameMaster.getPlayerFinalPlacement(players[2].address)).to.equal(7);
+        });
+
+        it("Should share first place when the last players are eliminated together", async function () {
+            await eliminateTogether(game, players.slice(0, 7));
+            await eliminateTogether(game, players.slice(7));
+
+            expect(await gameMaster.getPlayerFinalPlacement(players[7].address)).to.equal(1);
+            expect(await gameMaster.getPlayerFinalPlacement(players[8].address)).to.equal(1);
+            expect(await gameMaster.getActivePlayerCount()).to.equal(0);
+        });
+
+        it("Should report 0 for players still active", async function () {
+            await eliminateTogether(game, [players[0]]);
+
+            expect(await gameMaster.getPlayerFinalPlacement(players[1].address)).to.equal(0);
+            expect(await gameMaster.finalPlacements(players[1].address)).to.equal(0);
+        });
+    });
+});
@@ -0,0 +1,247 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { checkProperty } = require("./fixtures/property");
+
+// Randomized check of GameMaster's player bookkeeping. Each run replays a seeded sequence of
+// registrations, batch registrations, eliminations, registration toggles and resets against two
+// registered MockGames and checks every invariant after each step. `npm test` runs a quick 100
+// sequences; `npm run test:invariants` (run in CI) searches 2000. A failure reports its seed
+// (INVARIANT_SEED replays it) and a shrunk sequence.
+describe("GameMaster Invariants", function () {
+    const RUNS = Number(process.env.INVARIANT_RUNS || 100);
+    const SEED = Number(process.env.INVARIANT_SEED || 1);
+    const MAX_OPERATIONS = 30;
+
+    // A small pool makes collisions (re-registering, eliminating twice, swapping the last
+    // active player) common, and a low cap makes registration close by itself now and then
+    const POOL_SIZE = 8;
+    const MAX_PLAYERS = 6;
+
+    async function bookkeepingFixture() {
+        const [, ...signers] = await ethers.getSigners();
+
+        const points = await (await ethers.getContractFactory("Points")).deploy();
+        const gameMaster = await (await ethers.getContractFactory("GameMaster")).deploy();
+        await gameMaster.setPointsContract(await points.getAddress());
+        await gameMaster.setMaxPlayers(MAX_PLAYERS);
+
+        const games = [];
+        for (const name of ["MockGame1", "MockGame2"]) {
+            const game = await (await ethers.getContractFactory("MockGame")).deploy(await gameMaster.getAddress());
+            await gameMaster.registerGame(name, await game.getAddress());
+            games.push(game);
+        }
+
+        const registrationFee = await gameMaster.registrationFee();
+        return { gameMaster, games, pool: signers.slice(0, POOL_SIZE), registrationFee };
+    }
+
+    // Helper function to generate an operation sequence. A rough model of who is registered and
+    // active steers most picks towards calls that succeed; the rest are expected to revert.
+    function generateSequence(random) {
+        const players = [...Array(POOL_SIZE).keys()];
+        const registered = new Set();
+        const active = new Set();
+        const unregistered = () => players.filter((p) => !registered.has(p));
+
+        const sequence = [];
+        for (let length = random.int(1, MAX_OPERATIONS); sequence.length < length; ) {
+            const type = random.weighted({ register: 3, batch: 2, eliminate: 6, toggleRegistration: 1, reset: 1 });
+
+            if (type === "register") {
+                const choices = unregistered();
+                const player = choices.length > 0 && random.chance(0.9) ? random.pick(choices) : random.pick(players);
+                sequence.push({ type, player });
+                registered.add(player);
+                active.add(player);
+            } else if (type === "batch") {
+                const choices = unregistered().length > 0 && random.chance(0.9) ? unregistered() : players;
+                const batch = random.sample(choices, 1, 4);
+                sequence.push({ type, players: batch });
+                for (const player of batch) {
+                    registered.add(player);
+                    active.add(player);
+                }
+            } else if (type === "eliminate") {
+                const choices = active.size > 0 && random.chance(0.9) ? [...active] : players;
+                const eliminated = random.sample(choices, 1, 3);
+                sequence.push({ type, game: random.int(0, 1), players: eliminated });
+                eliminated.forEach((p) => active.delete(p));
+            } else {
+                sequence.push({ type });
+                if (type === "reset") {
+                    registered.clear();
+                    active.clear();
+                }
+            }
+        }
+        return sequence;
+    }
+
+    // Helper function to offer smaller versions of an operation while shrinking
+    function simplifyOperation(op) {
+        if (!op.players || op.players.length < 2) return [];
+        return op.players.map((_, index) => ({ ...op, players: op.players.toSpliced(index, 1) }));
+    }
+
+    function formatOperation(op) {
+        switch (op.type) {
+            case "register": return `player ${op.player} registers`;
+            case "batch": return `owner batch-registers players [${op.players.join(", ")}]`;
+            case "eliminate": return `game ${op.game} eliminates players [${op.players.join(", ")}]`;
+            case "toggleRegistration": return "owner toggles registration";
+            case "reset": return "owner resets the game";
+        }
+    }
+
+    // Helper function to send one operation; reverts are part of the search and leave state untouched
+    async function applyOperation({ gameMaster, games, pool, registrationFee }, op) {
+        const addresses = (op.players || []).map((p) => pool[p].address);
+        const send = {
+            register: () => gameMaster.connect(pool[op.player]).register({ value: registrationFee }),
+            batch: () => gameMaster.registerPlayersBatch(addresses),
+            eliminate: () => games[op.game].eliminate(addresses),
+            toggleRegistration: () => gameMaster.toggleRegistration(),
+            reset: () => gameMaster.resetGame(),
+        }[op.type];
+
+        try {
+            await (await send()).wait();
+        } catch (error) {
+            if (!/reverted/.test(error.message)) throw error;
+        }
+    }
+
+    // Helper function to find an address listed twice
+    function findDuplicate(addresses) {
+        return addresses.find((address, index) => addresses.indexOf(address) !== index);
+    }
+
+    /**
+     * Check GameMaster's bookkeeping against its invariants and describe the first one broken:
+     * - registeredPlayers, activePlayers and eliminatedPlayers hold no duplicates, and active
+     *   plus eliminated players are exactly the registered players
+     * - isRegistered and isActivePlayer agree with those lists for every address in the pool,
+     *   so no address is both active and eliminated
+     * - elimination groups are consecutive runs of eliminatedPlayers, and a group whose last
+     *   member is eliminatedPlayers[i] places registered - i, so placements are unique and
+     *   contiguous from the first group out down to the survivors
+     * - players that are not eliminated have no group and placement 0
+     */
+    async function checkInvariants({ gameMaster, pool }) {
+        const [registered, active, eliminated] = await Promise.all([
+            gameMaster.getRegisteredPlayers(),
+            gameMaster.getActivePlayers(),
+            gameMaster.getEliminatedPlayers(),
+        ]);
+
+        for (const [name, list] of Object.entries({ registeredPlayers: registered, activePlayers: active, eliminatedPlayers: eliminated })) {
+            const duplicate = findDuplicate(list);
+            if (duplicate) return `${duplicate} appears twice in ${name}`;
+        }
+        if (active.length + eliminated.length !== registered.length) {
+            return `${active.length} active + ${eliminated.length} eliminated != ${registered.length} registered`;
+        }
+        const unaccounted = registered.find((address) => !active.includes(address) && !eliminated.includes(address));
+        if (unaccounted) return `registered player ${unaccounted} is neither active nor eliminated`;
+
+        // Every registered player comes from the pool, so one read of the pool covers them all
+        const states = new Map(await Promise.all(pool.map(async ({ address }) => [address, {
+            isRegistered: await gameMaster.isRegistered(address),
+            isActive: await gameMaster.isActivePlayer(address),
+            group: await gameMaster.eliminationGroup(address),
+            placement: await gameMaster.finalPlacements(address),
+        }])));
+
+        const lastInGroup = new Map();
+        let previousGroup = 0n;
+        for (const [index, address] of eliminated.entries()) {
+            const { group } = states.get(address);
+            if (group === 0n) return `eliminated player ${address} has no elimination group`;
+            if (group !== previousGroup && lastInGroup.has(group)) return `elimination group ${group} is split`;
+            lastInGroup.set(group, index);
+            previousGroup = group;
+        }
+
+        for (const [address, { isRegistered, isActive, group, placement }] of states) {
+            if (isRegistered !== registered.includes(address)) {
+                return `isRegistered(${address}) is ${isRegistered}, but registeredPlayers says otherwise`;
+            }
+            if (isActive !== active.includes(address)) {
+                return `isActivePlayer(${address}) is ${isActive}, but activePlayers says otherwise`;
+            }
+            if (eliminated.includes(address)) {
+                const expected = BigInt(registered.length - lastInGroup.get(group));
+                if (placement !== expected) return `eliminated player ${address} placed ${placement}, expected ${expected}`;
+            } else if (group !== 0n || placement !== 0n) {
+                return `${address} is not eliminated but has group ${group} and placement ${placement}`;
+            }
+        }
+        return null;
+    }
+
+    // Helper function to replay a sequence from a fresh deployment and report the first broken invariant
+    async function findViolation(sequence) {
+        const system = await loadFixture(bookkeepingFixture);
+        for (const [index, op] of sequence.entries()) {
+            try {
+                await applyOperation(system, op);
+            } catch (error) {
+                return `operation ${index + 1} failed unexpectedly: ${error.message}`;
+            }
+            const violation = await checkInvariants(system);
+            if (violation) return `after operation ${index + 1}: ${violation}`;
+        }
+        return null;
+    }
+
+    it("Should keep active, eliminated and placement bookkeeping consistent", async function () {
+        this.timeout(0);
+
+        await checkProperty({
+            runs: RUNS,
+            seed: SEED,
+            generate: generateSequence,
+            fails: findViolation,
+            simplify: simplifyOperation,
+            format: formatOperation,
+        });
+    });
+
+    it("Should shrink a failing sequence to a minimal reproduction", async function () {
+        // A property that breaks once anyone has been eliminated twice in total
+        const eliminatedTwice = async (sequence) => {
+            const system = await loadFixture(bookkeepingFixture);
+            for (const op of sequence) {
+                await applyOperation(system, op);
+                if ((await system.gameMaster.getEliminatedPlayerCount()) >= 2n) return "two players eliminated";
+            }
+            return null;
+        };
+
+        let error;
+        try {
+            await checkProperty({
+                runs: 1,
+                seed: SEED,
+                generate: () => [
+                    { type: "batch", players: [0, 1, 2] },
+                    { type: "toggleRegistration" },
+                    { type: "eliminate", game: 0, players: [0] },
+                    { type: "eliminate", game: 1, players: [1, 2] },
+                ],
+                fails: eliminatedTwice,
+                simplify: simplifyOperation,
+                format: formatOperation,
+            });
+        } catch (e) {
+            error = e;
+        }
+
+        expect(error, "the property should fail").to.exist;
+        expect(error.message).to.include("Minimal reproduction (2 operations)");
+        expect(error.message).to.include("1. owner batch-registers players [1, 2]");
+        expect(error.message).to.include("2. game 1 eliminates players [1, 2]");
+    });
+});
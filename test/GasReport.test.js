@@ -0,0 +1,83 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+    createGasRecorder,
+    createReport,
+    saveReport,
+    loadReport,
+    compareReports,
+    findOverBlockLimit,
+} = require("../scripts/lib/gas-report");
+
+describe("Gas Report", function () {
+    // Helper function to build a report from { action: [mean, max] }
+    function report(actions, players = 1000) {
+        return createReport({
+            network: "hardhat",
+            players,
+            blockGasLimit: null,
+            actions: Object.fromEntries(Object.entries(actions).map(([action, [mean, max]]) => [
+                action,
+                { count: 1, min: mean, mean, max },
+            ])),
+        });
+    }
+
+    describe("Recording", function () {
+        it("Should summarize samples per action in the order they were first recorded", async function () {
+            const gas = createGasRecorder();
+            gas.record("commit", 100n);
+            gas.record("reveal", 500n, "the last reveal resolves the round");
+            gas.record("commit", 201n);
+
+            const actions = gas.summarize();
+            expect(Object.keys(actions)).to.deep.equal(["commit", "reveal"]);
+            expect(actions.commit).to.deep.equal({ count: 2, min: 100, mean: 151, max: 201 });
+            expect(actions.reveal.note).to.equal("the last reveal resolves the round");
+        });
+
+        it("Should save and load a report", async function () {
+            const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "gas-report-")), "nested", "baseline.json");
+            const saved = report({ commit: [100, 120] });
+            saveReport(file, saved);
+
+            expect(loadReport(file)).to.deep.equal(saved);
+            expect(loadReport(path.join(path.dirname(file), "missing.json"))).to.equal(null);
+            fs.rmSync(path.dirname(path.dirname(file)), { recursive: true });
+        });
+    });
+
+    describe("Comparison", function () {
+        it("Should flag growth in mean or max past the threshold", async function () {
+            const baseline = report({ steady: [100, 200], mean: [100, 200], max: [100, 200] });
+            const current = report({ steady: [105, 210], mean: [106, 200], max: [100, 211] });
+
+            const { regressions, improvements } = compareReports(baseline, current, 5);
+            expect(regressions.map(({ action, stat }) => `${action} ${stat}`)).to.deep.equal(["mean mean", "max max"]);
+            expect(improvements).to.be.empty;
+        });
+
+        it("Should list improvements and actions measured on one side only", async function () {
+            const baseline = report({ cheaper: [100, 200], dropped: [50, 50] });
+            const current = report({ cheaper: [90, 200], added: [70, 70] });
+
+            const { regressions, improvements, added, removed } = compareReports(baseline, current, 5);
+            expect(regressions).to.be.empty;
+            expect(improvements.map(({ action, stat }) => `${action} ${stat}`)).to.deep.equal(["cheaper mean"]);
+            expect(added).to.deep.equal(["added"]);
+            expect(removed).to.deep.equal(["dropped"]);
+        });
+
+        it("Should reject a baseline recorded with a different number of players", async function () {
+            expect(() => compareReports(report({}, 1000), report({}, 60), 5))
+                .to.throw("The baseline was recorded with 1000 players, this run used 60");
+        });
+
+        it("Should find actions that do not fit in a block", async function () {
+            const { actions } = report({ fits: [100, 1000], over: [100, 1001] });
+            expect(findOverBlockLimit(actions, 1000n)).to.deep.equal([{ action: "over", max: 1001 }]);
+        });
+    });
+});
@@ -0,0 +1,69 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createJournal, settlePendingTransactions } = require("../scripts/lib/journal");
+
+describe("Journal", function () {
+    let owner, first, second;
+    let wallet;
+    let directory, journal;
+
+    beforeEach(async function () {
+        [owner, first, second] = await ethers.getSigners();
+        wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+        await owner.sendTransaction({ to: wallet.address, value: ethers.parseEther("10") });
+
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), "journal-"));
+        journal = createJournal(path.join(directory, "receipts.jsonl"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    // Helper function to sign a transfer and journal it without broadcasting, as a run that
+    // crashed right after writing its ledger entry would leave it
+    async function journalUnsent(to, value) {
+        const request = await wallet.populateTransaction({ to: to.address, value });
+        const raw = await wallet.signTransaction(request);
+        const hash = ethers.Transaction.from(raw).hash;
+        journal.append("sent", { hash, nonce: request.nonce, recipient: to.address, raw });
+        return hash;
+    }
+
+    async function settle() {
+        await settlePendingTransactions(ethers.provider, journal, wallet.address, { log: () => {} });
+    }
+
+    it("Should re-send a signed transaction that was never broadcast", async function () {
+        const before = await ethers.provider.getBalance(first.address);
+        const hash = await journalUnsent(first, ethers.parseEther("1"));
+        await settle();
+
+        expect(await ethers.provider.getBalance(first.address)).to.equal(before + ethers.parseEther("1"));
+        expect(journal.pendingTransactions()).to.be.empty;
+        expect(journal.entries.at(-1)).to.include({ type: "receipt", hash, status: 1 });
+    });
+
+    it("Should settle a broadcast transaction by its hash without sending it again", async function () {
+        const before = await ethers.provider.getBalance(first.address);
+        const hash = await journalUnsent(first, ethers.parseEther("1"));
+        await ethers.provider.broadcastTransaction(journal.entries.at(-1).raw);
+        await settle();
+
+        expect(await ethers.provider.getBalance(first.address)).to.equal(before + ethers.parseEther("1"));
+        expect(journal.entries.at(-1)).to.include({ type: "receipt", hash, status: 1 });
+    });
+
+    it("Should not re-send a transaction whose nonce was used since", async function () {
+        const before = await ethers.provider.getBalance(first.address);
+        await journalUnsent(first, ethers.parseEther("1"));
+        await (await wallet.sendTransaction({ to: second.address, value: 1n })).wait();
+        await settle();
+
+        expect(await ethers.provider.getBalance(first.address)).to.equal(before);
+        expect(journal.pendingTransactions()).to.have.length(1);
+    });
+});
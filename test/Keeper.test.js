@@ -0,0 +1,181 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { createKeeper } = require("../scripts/lib/keeper");
+const { sendWithGasBump } = require("../scripts/lib/tx");
+
+describe("Keeper", function () {
+    let gameMaster;
+    let doors;
+    let threes;
+    let owner;
+    let players;
+    let keeper;
+    let logs;
+
+    const GameState = { Active: 2, Completed: 4 };
+
+    // Helper function to create a Threes commitment
+    function createCommitment(choice, player) {
+        const salt = ethers.randomBytes(32);
+        return ethers.solidityPackedKeccak256(
+            ["uint256", "bytes32", "address"],
+            [choice, salt, player.address]
+        );
+    }
+
+    // Helper function to wait until `condition` holds, for listeners driven by block polling
+    async function waitFor(condition, timeoutMs = 10_000) {
+        const deadline = Date.now() + timeoutMs;
+        while (!condition()) {
+            if (Date.now() > deadline) {
+                throw new Error("Timed out waiting for keeper");
+            }
+            await new Promise((resolve) => setTimeout(resolve, 100));
+        }
+    }
+
+    beforeEach(async function () {
+        [owner, ...players] = await ethers.getSigners();
+
+        gameMaster = await (await ethers.getContractFactory("GameMaster")).deploy();
+        doors = await (await ethers.getContractFactory("Doors")).deploy();
+        threes = await (await ethers.getContractFactory("Threes")).deploy();
+
+        for (const [name, game] of [["Doors", doors], ["Threes", threes]]) {
+            await gameMaster.registerGame(name, await game.getAddress());
+            await game.setGameMaster(await gameMaster.getAddress());
+        }
+        await gameMaster.registerPlayersBatch(players.slice(0, 3).map((p) => p.address));
+
+        logs = [];
+        keeper = createKeeper(ethers, gameMaster, owner, {
+            pollMs: 100,
+            resyncMs: 60_000,
+            tx: { timeoutMs: 5_000, pollMs: 50, retryDelayMs: 10 },
+            log: (message) => logs.push(message),
+        });
+    });
+
+    afterEach(async function () {
+        await keeper.stop();
+    });
+
+    describe("Deadlines", function () {
+        it("Should track the round deadline of every active instance", async function () {
+            await gameMaster.initializeGame("Doors");
+            await gameMaster.startGames("Doors");
+            await keeper.sync();
+
+            const info = await doors.getGameInfo(1);
+            expect(keeper.deadlines.get("Doors#1")).to.deep.equal({
+                name: "Doors",
+                gameId: 1,
+                endTime: Number(info.roundEndTime),
+            });
+        });
+
+        it("Should not call endExpiredGames before the deadline has passed", async function () {
+            await gameMaster.initializeGame("Doors");
+            await gameMaster.startGames("Doors");
+            await keeper.sync();
+
+            // endExpiredGames only acts once block.timestamp > roundEndTime
+            await time.increaseTo(keeper.deadlines.get("Doors#1").endTime - 5);
+            expect(await keeper.tick()).to.deep.equal([]);
+            expect((await doors.getGameInfo(1)).state).to.equal(GameState.Active);
+        });
+
+        it("Should end a round right after it expires", async function () {
+            await gameMaster.initializeGame("Doors");
+            await gameMaster.startGames("Doors");
+            await keeper.sync();
+
+            await time.increaseTo(keeper.deadlines.get("Doors#1").endTime + 1);
+            expect(await keeper.tick()).to.deep.equal(["Doors"]);
+
+            // Nobody opened a door, so the expired round eliminates everyone
+            expect((await doors.getGameInfo(1)).state).to.equal(GameState.Completed);
+            expect(keeper.deadlines.has("Doors#1")).to.be.false;
+        });
+    });
+
+    describe("Events", function () {
+        it("Should follow RoundStarted to the next phase deadline", async function () {
+            await keeper.start();
+            await gameMaster.initializeGame("Threes");
+            await gameMaster.startGames("Threes");
+            await waitFor(() => keeper.deadlines.has("Threes#1"));
+            const commitEnd = keeper.deadlines.get("Threes#1").endTime;
+
+            // Every player commits, which starts the reveal phase with a new deadline
+            for (const player of players.slice(0, 3)) {
+                await threes.connect(player).commitChoice(createCommitment(1, player));
+            }
+            const revealEnd = Number(await threes.getRoundEndTime(1));
+            expect(revealEnd).to.not.equal(commitEnd);
+            await waitFor(() => keeper.deadlines.get("Threes#1").endTime === revealEnd);
+
+            // Nobody reveals; the keeper ends the phase once it lapses
+            await time.increaseTo(revealEnd + 1);
+            await waitFor(() => !keeper.deadlines.has("Threes#1"));
+            expect((await threes.getGameInfo(1)).state).to.equal(GameState.Completed);
+        });
+
+        it("Should pick up games registered after it started", async function () {
+            await keeper.start();
+            const late = await (await ethers.getContractFactory("Doors")).deploy();
+            await gameMaster.registerGame("LateDoors", await late.getAddress());
+            await late.setGameMaster(await gameMaster.getAddress());
+
+            await keeper.sync();
+            expect(logs.some((message) => message.includes("Watching LateDoors"))).to.be.true;
+        });
+    });
+
+    describe("Transactions", function () {
+        afterEach(async function () {
+            await network.provider.send("evm_setAutomine", [true]);
+        });
+
+        it("Should replace a stuck transaction with a higher fee", async function () {
+            const request = await gameMaster.endExpiredGames.populateTransaction("Doors");
+            const sent = [];
+
+            // Hold the first transaction in the mempool, then mine once the replacement is sent
+            await network.provider.send("evm_setAutomine", [false]);
+            const receipt = await sendWithGasBump(owner, request, {
+                timeoutMs: 300,
+                pollMs: 50,
+                log: (message) => {
+                    const hash = message.match(/^sent (0x[0-9a-f]+)/);
+                    if (!hash) return;
+                    // The replaced transaction leaves the mempool, so read each one while pending
+                    sent.push(ethers.provider.getTransaction(hash[1]));
+                    if (sent.length === 2) {
+                        network.provider.send("evm_mine", []);
+                    }
+                },
+            });
+
+            const [first, second, ...rest] = await Promise.all(sent);
+            expect(rest).to.be.empty;
+            expect(receipt.hash).to.equal(second.hash);
+            expect(second.nonce).to.equal(first.nonce);
+            expect(second.maxFeePerGas).to.be.greaterThan(first.maxFeePerGas);
+        });
+
+        it("Should give up after the configured number of attempts", async function () {
+            const request = await gameMaster.connect(players[0]).endExpiredGames.populateTransaction("Doors");
+
+            // Only the owner may call endExpiredGames, so every attempt fails
+            let error;
+            try {
+                await sendWithGasBump(players[0], request, { attempts: 2, retryDelayMs: 10 });
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.include("Transaction not confirmed after 2 attempts");
+        });
+    });
+});
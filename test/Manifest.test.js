@@ -0,0 +1,146 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+    MANIFEST_DIR,
+    loadManifest,
+    getContractName,
+    getRegisterMeTargets,
+    resolveArgs,
+} = require("../scripts/lib/manifest");
+
+describe("Manifest", function () {
+    const ADDRESS = "0x36C02dA8a0983159322a80FFE9F24b1acfF8B570";
+    let directory;
+    let savedManifest;
+
+    beforeEach(function () {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), "manifest-"));
+        savedManifest = process.env.DEPLOY_MANIFEST;
+        delete process.env.DEPLOY_MANIFEST;
+    });
+
+    afterEach(function () {
+        if (savedManifest === undefined) {
+            delete process.env.DEPLOY_MANIFEST;
+        } else {
+            process.env.DEPLOY_MANIFEST = savedManifest;
+        }
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    // Helper function to load a manifest through DEPLOY_MANIFEST
+    function load(manifest) {
+        const manifestPath = path.join(directory, "manifest.json");
+        fs.writeFileSync(manifestPath, JSON.stringify(manifest));
+        process.env.DEPLOY_MANIFEST = manifestPath;
+        return loadManifest("unused").manifest;
+    }
+
+    // Helper function to build a small valid manifest, with overrides for its contracts
+    function manifestWith(contracts, extra = {}) {
+        return {
+            contracts: {
+                GameMaster: { deploy: true },
+                Points: { deploy: true },
+                Doors: { deploy: true },
+                ...contracts,
+            },
+            games: ["Doors"],
+            ...extra,
+        };
+    }
+
+    describe("Loading", function () {
+        it("Should load every committed manifest", function () {
+            const files = fs.readdirSync(MANIFEST_DIR).filter((file) => file.endsWith(".json"));
+            expect(files).to.include("hardhat.json");
+            for (const file of files) {
+                expect(() => loadManifest(path.basename(file, ".json")), file).to.not.throw();
+            }
+        });
+
+        it("Should load a manifest from DEPLOY_MANIFEST", function () {
+            const manifest = load(manifestWith({ Entropy: { address: ADDRESS, external: true } }));
+
+            expect(manifest.games).to.deep.equal(["Doors"]);
+            expect(manifest.contracts.Entropy.address).to.equal(ADDRESS);
+        });
+
+        it("Should report a missing manifest", function () {
+            process.env.DEPLOY_MANIFEST = path.join(directory, "missing.json");
+            expect(() => loadManifest("unused")).to.throw("No deployment manifest found");
+        });
+    });
+
+    describe("Validation", function () {
+        it("Should require exactly one source per contract", function () {
+            expect(() => load(manifestWith({ Doors: {} })))
+                .to.throw('Doors must set exactly one of "deploy", "address" or "fromRegistry"');
+            expect(() => load(manifestWith({ Doors: { deploy: true, address: ADDRESS } })))
+                .to.throw('Doors must set exactly one of "deploy", "address" or "fromRegistry"');
+        });
+
+        it("Should reject invalid addresses", function () {
+            expect(() => load(manifestWith({ Doors: { address: "0x1234" } })))
+                .to.throw("Doors has an invalid address 0x1234");
+        });
+
+        it("Should only allow references to contracts listed earlier", function () {
+            expect(() => load(manifestWith({ Climb: { deploy: true, args: ["$Points"] } }, { authorizedContracts: ["Climb"] })))
+                .to.not.throw();
+            expect(() => load({ contracts: { Climb: { deploy: true, args: ["$Points"] }, Points: { deploy: true } } }))
+                .to.throw("Climb references $Points, which must be listed before it");
+            expect(() => load(manifestWith({ Climb: { deploy: true, args: ["$Entropy"] } })))
+                .to.throw("Climb references $Entropy, which must be listed before it");
+        });
+
+        it("Should reject seed player keys committed in the manifest", function () {
+            expect(() => load(manifestWith({}, { seed: { fundAmount: "13", playerKeys: ["0x01"] } })))
+                .to.throw("seed.playerKeys must not be committed");
+        });
+
+        it("Should reject a deployed contract marked external", function () {
+            expect(() => load(manifestWith({ Entropy: { deploy: true, external: true } })))
+                .to.throw("Entropy cannot be both deployed and external");
+            expect(() => load(manifestWith({ Entropy: { address: ADDRESS, external: "yes" } })))
+                .to.throw('Entropy has an invalid "external" flag');
+        });
+
+        it("Should reject games, authorized contracts and registerMe targets that are not listed", function () {
+            expect(() => load(manifestWith({}, { games: ["Doors", "Threes"] })))
+                .to.throw('game Threes is not listed under "contracts"');
+            expect(() => load(manifestWith({}, { authorizedContracts: ["Climb"] })))
+                .to.throw('authorized contract Climb is not listed under "contracts"');
+            expect(() => load(manifestWith({}, { registerMe: ["Climb"] })))
+                .to.throw('registerMe target Climb is not listed under "contracts"');
+            expect(() => load({ contracts: { Doors: { deploy: true } }, games: ["Doors"] }))
+                .to.throw('"games" requires a GameMaster entry under "contracts"');
+        });
+
+        it("Should reject an unknown frontend config format", function () {
+            expect(() => load(manifestWith({}, { frontendConfig: { format: "yaml" } })))
+                .to.throw("frontendConfig.format must be one of env, json, ts");
+        });
+    });
+
+    describe("Helpers", function () {
+        it("Should list registerMe targets", function () {
+            const manifest = manifestWith({});
+
+            expect(getRegisterMeTargets({ ...manifest, registerMe: true })).to.deep.equal(["GameMaster", "Points", "Doors"]);
+            expect(getRegisterMeTargets({ ...manifest, registerMe: ["Points"] })).to.deep.equal(["Points"]);
+            expect(getRegisterMeTargets({ ...manifest, registerMe: false })).to.deep.equal([]);
+        });
+
+        it("Should resolve contract names and constructor references", function () {
+            const manifest = manifestWith({ OldPoints: { address: ADDRESS, contract: "Points" } });
+
+            expect(getContractName(manifest, "OldPoints")).to.equal("Points");
+            expect(getContractName(manifest, "Doors")).to.equal("Doors");
+            expect(resolveArgs(["$Points", 5, "literal"], { Points: ADDRESS })).to.deep.equal([ADDRESS, 5, "literal"]);
+            expect(resolveArgs(undefined, {})).to.deep.equal([]);
+        });
+    });
+});
@@ -0,0 +1,137 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { buildSafeTransaction, createOwnerTxRunner } = require("../scripts/lib/owner-tx");
+
+describe("OwnerTx", function () {
+    let points;
+    let owner, safe, other;
+    let directory;
+    let savedEnv;
+
+    beforeEach(async function () {
+        [owner, safe, other] = await ethers.getSigners();
+        points = await (await ethers.getContractFactory("Points")).deploy();
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), "owner-tx-"));
+
+        // The runner reads its mode from the environment, so each test starts from a clean one
+        savedEnv = { SAFE_EXPORT: process.env.SAFE_EXPORT, SAFE_ADDRESS: process.env.SAFE_ADDRESS };
+        delete process.env.SAFE_EXPORT;
+        delete process.env.SAFE_ADDRESS;
+    });
+
+    afterEach(function () {
+        for (const [key, value] of Object.entries(savedEnv)) {
+            if (value === undefined) {
+                delete process.env[key];
+            } else {
+                process.env[key] = value;
+            }
+        }
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    // Helper function to switch the runner into Safe export mode
+    function exportTo(safeAddress) {
+        const exportPath = path.join(directory, "batch.json");
+        process.env.SAFE_EXPORT = exportPath;
+        if (safeAddress) {
+            process.env.SAFE_ADDRESS = safeAddress;
+        }
+        return exportPath;
+    }
+
+    describe("Sending", function () {
+        it("Should send an owner call and report its hash before waiting", async function () {
+            const runner = createOwnerTxRunner(ethers, owner);
+            const sent = [];
+
+            const receipt = await runner.submit(points, "setReferralBonus", [2500], {
+                label: "Points",
+                onSent: (tx) => sent.push(tx.hash),
+            });
+
+            expect(runner.mode).to.equal("send");
+            expect(sent).to.deep.equal([receipt.hash]);
+            expect(await points.referralBonusBps()).to.equal(2500);
+            expect(await runner.finish()).to.equal(null);
+        });
+
+        it("Should refuse a call to a contract the signer does not own", async function () {
+            const runner = createOwnerTxRunner(ethers, other);
+
+            await expect(runner.submit(points, "setReferralBonus", [2500], { label: "Points" }))
+                .to.be.rejectedWith(`Points is owned by ${owner.address}, not by ${other.address}`);
+            expect(await points.referralBonusBps()).to.equal(5000);
+        });
+    });
+
+    describe("Safe export", function () {
+        it("Should require SAFE_ADDRESS alongside SAFE_EXPORT", async function () {
+            exportTo();
+            expect(() => createOwnerTxRunner(ethers, owner))
+                .to.throw("SAFE_EXPORT requires SAFE_ADDRESS to be set to the owning Safe");
+
+            process.env.SAFE_ADDRESS = "not-an-address";
+            expect(() => createOwnerTxRunner(ethers, owner))
+                .to.throw("SAFE_EXPORT requires SAFE_ADDRESS to be set to the owning Safe");
+        });
+
+        it("Should queue calls for the Safe and write them as one batch", async function () {
+            await points.transferOwnership(safe.address);
+            const exportPath = exportTo(safe.address);
+            const runner = createOwnerTxRunner(ethers, owner, { name: "Test batch", description: "Two calls" });
+
+            expect(runner.mode).to.equal("export");
+            expect(runner.actor).to.equal(safe.address);
+            expect(await runner.submit(points, "setReferralBonus", [2500])).to.equal(null);
+            expect(await runner.submit(points, "setContractAuthorization", [other.address, true])).to.equal(null);
+
+            // Nothing is sent while exporting
+            expect(await points.referralBonusBps()).to.equal(5000);
+            expect(await points.authorizedContracts(other.address)).to.equal(false);
+
+            expect(await runner.finish()).to.equal(exportPath);
+            const batch = JSON.parse(fs.readFileSync(exportPath, "utf8"));
+            const { chainId } = await ethers.provider.getNetwork();
+            expect(batch.chainId).to.equal(chainId.toString());
+            expect(batch.meta).to.include({ name: "Test batch", description: "Two calls", createdFromSafeAddress: safe.address });
+            expect(batch.transactions.map((t) => t.contractMethod.name))
+                .to.deep.equal(["setReferralBonus", "setContractAuthorization"]);
+
+            // The exported calldata runs as-is from the Safe
+            for (const transaction of batch.transactions) {
+                await safe.sendTransaction({ to: transaction.to, data: transaction.data, value: transaction.value });
+            }
+            expect(await points.referralBonusBps()).to.equal(2500);
+            expect(await points.authorizedContracts(other.address)).to.equal(true);
+        });
+
+        it("Should refuse to queue a call for a contract the Safe does not own", async function () {
+            exportTo(safe.address);
+            const runner = createOwnerTxRunner(ethers, owner);
+
+            await expect(runner.submit(points, "setReferralBonus", [2500]))
+                .to.be.rejectedWith(`is owned by ${owner.address}, not by ${safe.address}`);
+            expect(runner.transactions).to.have.length(0);
+        });
+    });
+
+    describe("buildSafeTransaction", function () {
+        it("Should encode the call and list its inputs for the Safe UI", async function () {
+            const to = await points.getAddress();
+            const transaction = buildSafeTransaction(to, points.interface, "setContractAuthorization", [other.address, true]);
+
+            expect(transaction).to.include({
+                to,
+                value: "0",
+                data: points.interface.encodeFunctionData("setContractAuthorization", [other.address, true]),
+            });
+            expect(transaction.contractMethod.name).to.equal("setContractAuthorization");
+            expect(transaction.contractMethod.inputs.map((input) => input.type)).to.deep.equal(["address", "bool"]);
+            expect(transaction.contractInputsValues).to.deep.equal({ contractAddress: other.address, authorized: "true" });
+        });
+    });
+});
@@ -0,0 +1,189 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { getStandings } = require("../scripts/lib/standings");
+const {
+    loadPrizeTable,
+    getPayable,
+    createPlan,
+    approvePlan,
+    assertPlanUnchanged,
+    verifyPlan,
+} = require("../scripts/lib/payouts");
+
+describe("Payouts", function () {
+    let gameMaster;
+    let owner, approver, game;
+    let players;
+    let directory;
+
+    const PRIZES = {
+        season: "season-test",
+        payFrom: "contract",
+        prizes: [
+            { places: "1-2", amount: "15" },
+            { places: "3", amount: "8" },
+            { places: "4", percent: "10" },
+            { places: "5", amount: "2" },
+            { places: "6", amount: "1", skip: true, note: "Paid separately" },
+        ],
+    };
+
+    // Helper function to write a prize table and load it
+    function prizeTable(table) {
+        const tablePath = path.join(directory, `${Object.keys(table).length}-${Date.now()}.json`);
+        fs.writeFileSync(tablePath, JSON.stringify(table));
+        return loadPrizeTable(tablePath);
+    }
+
+    // Helper function to price the current standings with PRIZES, paying from GameMaster's balance
+    async function planFromStandings() {
+        const gameMasterAddress = await gameMaster.getAddress();
+        return createPlan(ethers, {
+            table: prizeTable(PRIZES),
+            standings: await getStandings(gameMaster),
+            pot: await ethers.provider.getBalance(gameMasterAddress),
+            chainId: (await ethers.provider.getNetwork()).chainId,
+            gameMaster: gameMasterAddress,
+            network: "hardhat",
+            blockNumber: await ethers.provider.getBlockNumber(),
+        });
+    }
+
+    // Helper function to send a plan's payable payments through GameMaster.payPrizes
+    function payPrizes(plan) {
+        const payable = getPayable(plan);
+        return gameMaster.payPrizes(plan.planId, payable.map((p) => p.recipient), payable.map((p) => p.amount));
+    }
+
+    beforeEach(async function () {
+        const signers = await ethers.getSigners();
+        [owner, approver, game, ...players] = signers.slice(0, 9);
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), "payouts-"));
+
+        const points = await (await ethers.getContractFactory("Points")).deploy();
+        gameMaster = await (await ethers.getContractFactory("GameMaster")).deploy();
+        await gameMaster.setPointsContract(await points.getAddress());
+        await gameMaster.registerGame("Game", game.address);
+
+        // Six players pay the fee, leaving 10 S each in the pot
+        const registrationFee = await gameMaster.registrationFee();
+        for (const player of players) {
+            await gameMaster.connect(player).register({ value: registrationFee });
+        }
+
+        // 6th alone, 4th and 5th together, 3rd alone; two players share first place
+        const batches = [[players[0]], [players[1], players[2]], [players[3]]];
+        for (const [index, eliminated] of batches.entries()) {
+            for (const player of eliminated) {
+                await gameMaster.connect(game).playerEliminated(player.address, index + 1);
+            }
+        }
+    });
+
+    afterEach(function () {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    describe("Prize tables", function () {
+        it("Should reject overlapping places", async function () {
+            expect(() => prizeTable({ ...PRIZES, prizes: [{ places: "1-3", amount: "5" }, { places: "3", amount: "1" }] }))
+                .to.throw('places "1-3" and "3" overlap');
+        });
+
+        it("Should reject a tier with both or neither of amount and percent", async function () {
+            expect(() => prizeTable({ ...PRIZES, prizes: [{ places: "1", amount: "5", percent: "10" }] }))
+                .to.throw('prize 0 needs exactly one of "amount" or "percent"');
+            expect(() => prizeTable({ ...PRIZES, prizes: [{ places: "1" }] }))
+                .to.throw('prize 0 needs exactly one of "amount" or "percent"');
+        });
+
+        it("Should reject an unknown payFrom and malformed places", async function () {
+            expect(() => prizeTable({ ...PRIZES, payFrom: "treasury" })).to.throw('"payFrom" must be one of');
+            expect(() => prizeTable({ ...PRIZES, prizes: [{ places: "3-1", amount: "5" }] })).to.throw('Invalid places "3-1"');
+        });
+    });
+
+    describe("Plans", function () {
+        it("Should split the prizes of every slot a tied group covers", async function () {
+            const plan = await planFromStandings();
+            const paid = Object.fromEntries(plan.payments.map((p) => [p.recipient, p]));
+            const S = (amount) => ethers.parseEther(amount).toString();
+
+            // First and second place are shared by the two survivors
+            for (const player of players.slice(4)) {
+                expect(paid[player.address]).to.include({ placement: 1, slots: "1-2", tiedWith: 2, amount: S("15"), skip: false });
+            }
+            expect(paid[players[3].address]).to.include({ placement: 3, slots: "3", amount: S("8") });
+            // 10% of the 60 S pot for 4th plus 2 S for 5th, split two ways
+            for (const player of players.slice(1, 3)) {
+                expect(paid[player.address]).to.include({ placement: 4, slots: "4-5", tiedWith: 2, amount: S("4") });
+            }
+            expect(paid[players[0].address]).to.include({ placement: 6, amount: S("1"), skip: true, note: "Paid separately" });
+
+            expect(getPayable(plan)).to.have.length(5);
+            expect(plan.total).to.equal(S("46"));
+        });
+
+        it("Should reject a plan edited after it was created", async function () {
+            const plan = await planFromStandings();
+            await approvePlan(ethers, plan, approver);
+            expect(verifyPlan(ethers, plan)).to.deep.equal([approver.address]);
+
+            const raised = structuredClone(plan);
+            raised.payments[0].amount = ethers.parseEther("50").toString();
+            expect(() => verifyPlan(ethers, raised)).to.throw("Payout plan was edited after it was created");
+
+            const redirected = structuredClone(plan);
+            redirected.payments[0].recipient = owner.address;
+            expect(() => assertPlanUnchanged(ethers, redirected)).to.throw("Payout plan was edited after it was created");
+
+            const unskipped = structuredClone(plan);
+            unskipped.payments.find((p) => p.skip).skip = false;
+            expect(() => assertPlanUnchanged(ethers, unskipped)).to.throw("Payout plan was edited after it was created");
+        });
+
+        it("Should only accept valid approvals from the listed approvers", async function () {
+            const plan = await planFromStandings();
+            expect(() => verifyPlan(ethers, plan)).to.throw("Payout plan has not been approved");
+
+            // A signature by someone else does not count as the approver's
+            const forged = await owner.signMessage(ethers.getBytes(plan.planId));
+            plan.approvals.push({ signer: approver.address, signature: forged, at: new Date().toISOString() });
+            expect(() => verifyPlan(ethers, plan)).to.throw("Payout plan has not been approved");
+
+            plan.approvals = [];
+            await approvePlan(ethers, plan, owner);
+            expect(() => verifyPlan(ethers, plan, [approver.address]))
+                .to.throw(`Payout plan has no valid approval from ${approver.address}`);
+            await approvePlan(ethers, plan, approver);
+            expect(verifyPlan(ethers, plan, [approver.address])).to.deep.equal([approver.address]);
+        });
+    });
+
+    describe("payPrizes", function () {
+        it("Should pay each recipient of a plan once when its batch is sent again", async function () {
+            const plan = await planFromStandings();
+            const payable = getPayable(plan);
+            const recipients = payable.map((p) => p.recipient);
+            const amounts = payable.map((p) => BigInt(p.amount));
+
+            await expect(payPrizes(plan)).to.changeEtherBalances(recipients, amounts);
+            for (const { recipient, amount } of payable) {
+                expect(await gameMaster.prizePaid(plan.planId, recipient)).to.equal(amount);
+            }
+
+            // Replaying the same plan pays nobody twice
+            await expect(payPrizes(plan)).to.changeEtherBalances(recipients, amounts.map(() => 0n));
+        });
+
+        it("Should not pay recipients left out as skipped", async function () {
+            const plan = await planFromStandings();
+            await payPrizes(plan);
+
+            expect(await gameMaster.prizePaid(plan.planId, players[0].address)).to.equal(0);
+        });
+    });
+});
@@ -1,22 +1,39 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
-const { time } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("Points", function () {
-    let Points;
     let points;
     let owner;
     let alice;
     let bob;
-    const POINTS_PER_S = 5000;
-    const MIN_DEPOSIT = ethers.parseEther("0.1");
-    const MAX_POINTS = 5_000_000_000;
+    let carol;
+    let payer;
+
+    const POINTS_PER_S = 50n;
+    const POINTS_PER_S_CASHOUT = 75n;
+    const MIN_DEPOSIT = ethers.parseEther("1");
+    const MAX_POINTS = 50_000_000n;
+
+    // Helper function to call the depositFor overload without a referral code
+    function depositFor(signer, recipient, value) {
+        return points.connect(signer)["depositFor(address)"](recipient.address, { value });
+    }
+
+    // Helper function to call the depositFor overload with a referral code
+    function depositWithCode(signer, recipient, code, value) {
+        return points.connect(signer)["depositFor(address,string)"](recipient.address, code, { value });
+    }
+
+    // Helper function to bring totalPointsIssued to `remaining` points under the cap
+    async function fillToRemaining(remaining) {
+        await points.assignPoints(owner.address, MAX_POINTS - remaining, false);
+        expect(await points.getRemainingPoints()).to.equal(remaining);
+    }
 
     beforeEach(async function () {
-        [owner, alice, bob] = await ethers.getSigners();
-        Points = await ethers.getContractFactory("Points");
-        points = await Points.deploy();
-        await points.waitForDeployment();
+        // payer stands in for an authorized game contract such as Climb
+        [owner, alice, bob, carol, payer] = await ethers.getSigners();
+        points = await (await ethers.getContractFactory("Points")).deploy();
     });
 
     describe("Deployment", function () {
@@ -26,81 +43,383 @@ describe("Points", function () {
 
         it("Should start with 0 total points", async function () {
             expect(await points.totalPointsIssued()).to.equal(0);
+            expect(await points.getRemainingPoints()).to.equal(MAX_POINTS);
+        });
+
+        it("Should use the current rates and limits", async function () {
+            expect(await points.POINTS_PER_S()).to.equal(POINTS_PER_S);
+            expect(await points.POINTS_PER_S_CASHOUT()).to.equal(POINTS_PER_S_CASHOUT);
+            expect(await points.MIN_DEPOSIT()).to.equal(MIN_DEPOSIT);
+            expect(await points.MAX_POINTS()).to.equal(MAX_POINTS);
+            expect(await points.referralBonusBps()).to.equal(5000);
         });
     });
 
     describe("Deposits", function () {
         it("Should award correct points for exact S amounts", async function () {
-            // 1 S = 5000 points
-            await points.connect(alice).deposit({ value: ethers.parseEther("1") });
-            expect(await points.getPoints(alice.address)).to.equal(5000);
+            await expect(points.connect(alice).deposit({ value: ethers.parseEther("1") }))
+                .to.emit(points, "PointsAwarded").withArgs(alice.address, 50);
+            expect(await points.getPoints(alice.address)).to.deep.equal([50n, 0n]);
         });
 
         it("Should award correct points for fractional S amounts", async function () {
-            // 1.5 S = 7500 points
             await points.connect(alice).deposit({ value: ethers.parseEther("1.5") });
-            expect(await points.getPoints(alice.address)).to.equal(7500);
+            expect(await points.getPoints(alice.address)).to.deep.equal([75n, 0n]);
+        });
+
+        it("Should round the points for a fractional S amount down", async function () {
+            // 1.03 S is worth 51.5 points
+            await points.connect(alice).deposit({ value: ethers.parseEther("1.03") });
+            expect(await points.getPoints(alice.address)).to.deep.equal([51n, 0n]);
         });
 
         it("Should fail for deposits below minimum", async function () {
             await expect(
-                points.connect(alice).deposit({ value: ethers.parseEther("0.09") })
-            ).to.be.revertedWithCustomError(points, "InvalidDeposit");
+                points.connect(alice).deposit({ value: MIN_DEPOSIT - 1n })
+            ).to.be.revertedWithCustomError(points, "InvalidDeposit").withArgs(MIN_DEPOSIT);
         });
 
         it("Should track total points correctly", async function () {
             await points.connect(alice).deposit({ value: ethers.parseEther("1") });
             await points.connect(bob).deposit({ value: ethers.parseEther("2") });
-            expect(await points.totalPointsIssued()).to.equal(15000); // 5000 + 10000
+            expect(await points.totalPointsIssued()).to.equal(150); // 50 + 100
         });
 
         it("Should handle multiple deposits from same address", async function () {
             await points.connect(alice).deposit({ value: ethers.parseEther("1") });
             await points.connect(alice).deposit({ value: ethers.parseEther("1") });
-            expect(await points.getPoints(alice.address)).to.equal(10000);
+            expect(await points.getPoints(alice.address)).to.deep.equal([100n, 0n]);
+        });
+
+        it("Should keep S deposited for cash outs without awarding points", async function () {
+            await expect(points.connect(alice).depositForCashouts({ value: 1n }))
+                .to.emit(points, "CashoutDepositReceived").withArgs(alice.address, 1n);
+            expect(await points.totalPointsIssued()).to.equal(0);
+            expect(await points.getAddressCount()).to.equal(0);
+
+            await expect(points.connect(alice).depositForCashouts({ value: 0 }))
+                .to.be.revertedWith("Must deposit some ETH");
         });
     });
 
     describe("DepositFor", function () {
         it("Should award points to specified recipient", async function () {
-            await points.connect(alice).depositFor(bob.address, { value: ethers.parseEther("1") });
-            expect(await points.getPoints(bob.address)).to.equal(5000);
-            expect(await points.getPoints(alice.address)).to.equal(0);
+            await depositFor(alice, bob, ethers.parseEther("1"));
+            expect(await points.getPoints(bob.address)).to.deep.equal([50n, 0n]);
+            expect(await points.getPoints(alice.address)).to.deep.equal([0n, 0n]);
         });
 
         it("Should fail for zero address recipient", async function () {
             await expect(
-                points.connect(alice).depositFor(ethers.ZeroAddress, { 
-                    value: ethers.parseEther("1") 
-                })
+                points.connect(alice)["depositFor(address)"](ethers.ZeroAddress, { value: ethers.parseEther("1") })
+            ).to.be.revertedWith("Invalid recipient");
+            await expect(
+                points.connect(alice)["depositFor(address,string)"](ethers.ZeroAddress, "", { value: ethers.parseEther("1") })
             ).to.be.revertedWith("Invalid recipient");
         });
     });
 
+    describe("Referral Codes", function () {
+        it("Should register a referral code", async function () {
+            await expect(points.connect(alice).registerReferralCode("alice"))
+                .to.emit(points, "ReferralCodeRegistered").withArgs(alice.address, "alice");
+            expect(await points.referralCodeToAddress("alice")).to.equal(alice.address);
+            expect(await points.addressToReferralCode(alice.address)).to.equal("alice");
+        });
+
+        it("Should accept codes up to 20 bytes and reject longer or empty ones", async function () {
+            await points.connect(alice).registerReferralCode("a".repeat(20));
+
+            await expect(points.connect(bob).registerReferralCode("b".repeat(21)))
+                .to.be.revertedWithCustomError(points, "ReferralCodeTooLong");
+            await expect(points.connect(bob).registerReferralCode(""))
+                .to.be.revertedWithCustomError(points, "InvalidReferralCode");
+        });
+
+        it("Should not let a code be taken twice or a user register two codes", async function () {
+            await points.connect(alice).registerReferralCode("alice");
+
+            await expect(points.connect(bob).registerReferralCode("alice"))
+                .to.be.revertedWithCustomError(points, "ReferralCodeTaken");
+            await expect(points.connect(alice).registerReferralCode("alice2"))
+                .to.be.revertedWithCustomError(points, "ReferralCodeTaken");
+        });
+
+        it("Should fail for a code nobody owns", async function () {
+            await expect(depositWithCode(bob, bob, "missing", ethers.parseEther("1")))
+                .to.be.revertedWith("Invalid referral code");
+        });
+    });
+
+    describe("Referral Bonus", function () {
+        beforeEach(async function () {
+            await points.connect(alice).registerReferralCode("alice");
+        });
+
+        // 3 S = 150 points for the depositor; the referrer's bonus is a share of those points
+        for (const [bps, bonus] of [[0n, 0n], [2500n, 37n], [3333n, 49n], [5000n, 75n], [10000n, 150n]]) {
+            it(`Should pay the referrer ${bonus} withdrawable points at ${bps} bps`, async function () {
+                await points.setReferralBonus(bps);
+
+                await expect(depositWithCode(bob, bob, "alice", ethers.parseEther("3")))
+                    .to.emit(points, "ReferralUsed").withArgs(bob.address, "alice", alice.address);
+
+                expect(await points.getPoints(bob.address)).to.deep.equal([150n, 0n]);
+                expect(await points.getPoints(alice.address)).to.deep.equal([bonus, bonus]);
+                expect(await points.totalPointsIssued()).to.equal(150n + bonus);
+            });
+        }
+
+        it("Should round the bonus down", async function () {
+            // 1.03 S = 51 points, half of which is 25.5
+            await depositWithCode(bob, bob, "alice", ethers.parseEther("1.03"));
+            expect(await points.getPoints(alice.address)).to.deep.equal([25n, 25n]);
+        });
+
+        it("Should keep paying the first referrer on later deposits", async function () {
+            await points.connect(carol).registerReferralCode("carol");
+            await depositWithCode(bob, bob, "alice", ethers.parseEther("2"));
+
+            // A second code is ignored, and plain deposits still pay the first referrer
+            await expect(depositWithCode(bob, bob, "carol", ethers.parseEther("2")))
+                .not.to.emit(points, "ReferralUsed");
+            await points.connect(bob).deposit({ value: ethers.parseEther("2") });
+            await depositFor(carol, bob, ethers.parseEther("2"));
+
+            expect(await points.usedReferralCode(bob.address)).to.equal("alice");
+            expect(await points.getPoints(alice.address)).to.deep.equal([200n, 200n]);
+            expect(await points.getPoints(carol.address)).to.deep.equal([0n, 0n]);
+            expect(await points.getPoints(bob.address)).to.deep.equal([400n, 0n]);
+        });
+
+        it("Should let the referrer use their own code", async function () {
+            await depositWithCode(alice, alice, "alice", ethers.parseEther("2"));
+            expect(await points.getPoints(alice.address)).to.deep.equal([150n, 50n]);
+        });
+
+        it("Should only let the owner change the bonus, up to 100%", async function () {
+            await expect(points.setReferralBonus(10001)).to.be.revertedWith("Bonus cannot exceed 100%");
+            await expect(points.connect(alice).setReferralBonus(2500))
+                .to.be.revertedWithCustomError(points, "OwnableUnauthorizedAccount");
+        });
+    });
+
     describe("Points Cap", function () {
         it("Should not allow exceeding max points", async function () {
-            // Calculate amount needed for max points (5B / 5000 = 1M S)
-            const pointsPerS = BigInt(POINTS_PER_S);
-            const maxPoints = BigInt(MAX_POINTS);
-            const amountForMax = (maxPoints * BigInt(1e18)) / pointsPerS;
-            
-            // Try to deposit more than max points
-            const tooMuch = amountForMax + ethers.parseEther("1");
+            // 1M S = 50M points (MAX_POINTS)
+            const amountForMax = (MAX_POINTS * ethers.WeiPerEther) / POINTS_PER_S;
             await expect(
-                points.connect(alice).deposit({ value: tooMuch })
-            ).to.be.revertedWithCustomError(points, "PointsCapReached");
+                points.connect(alice).deposit({ value: amountForMax + ethers.parseEther("1") })
+            ).to.be.revertedWithCustomError(points, "PointsCapReached").withArgs(MAX_POINTS);
         });
 
         it("Should allow reaching exactly max points", async function () {
-            // Calculate amount needed for max points (5B / 5000 = 1M S)
-            const pointsPerS = BigInt(POINTS_PER_S);
-            const maxPoints = BigInt(MAX_POINTS);
-            const amountNeeded = (maxPoints * BigInt(1e18)) / pointsPerS;
-            
-            // Deposit exact amount needed for max points
-            await points.connect(alice).deposit({ value: amountNeeded });
+            const amountForMax = (MAX_POINTS * ethers.WeiPerEther) / POINTS_PER_S;
+            await points.connect(alice).deposit({ value: amountForMax });
+            expect(await points.totalPointsIssued()).to.equal(MAX_POINTS);
+            expect(await points.getRemainingPoints()).to.equal(0);
+        });
+
+        it("Should count the referral bonus against the cap", async function () {
+            await points.connect(alice).registerReferralCode("alice");
+            await points.connect(bob).registerReferralCode("bob");
+            await fillToRemaining(130n);
+
+            // 2 S = 100 points fits on its own, but not with the 50-point bonus
+            await expect(depositWithCode(carol, carol, "alice", ethers.parseEther("2")))
+                .to.be.revertedWithCustomError(points, "PointsCapReached").withArgs(130n);
+            expect(await points.usedReferralCode(carol.address)).to.equal("");
+
+            // 1 S = 50 points + a 25-point bonus does
+            await depositWithCode(carol, carol, "bob", ethers.parseEther("1"));
+            expect(await points.getRemainingPoints()).to.equal(55n);
+
+            // carol's plain deposits still pay bob, so 1 S more (50 + 25 points) no longer fits
+            await expect(points.connect(carol).deposit({ value: ethers.parseEther("1") }))
+                .to.be.revertedWithCustomError(points, "PointsCapReached").withArgs(55n);
+        });
+
+        it("Should allow reaching exactly max points with a referral bonus", async function () {
+            await points.connect(alice).registerReferralCode("alice");
+            await fillToRemaining(150n);
+
+            await depositWithCode(bob, bob, "alice", ethers.parseEther("2"));
             expect(await points.totalPointsIssued()).to.equal(MAX_POINTS);
         });
+
+        it("Should enforce the cap on assigned points", async function () {
+            await fillToRemaining(10n);
+            await expect(points.assignPoints(alice.address, 11, true)).to.be.revertedWith("Would exceed points cap");
+            await points.assignPoints(alice.address, 10, true);
+            expect(await points.getRemainingPoints()).to.equal(0);
+        });
+    });
+
+    describe("Referral Cash Outs", function () {
+        beforeEach(async function () {
+            await points.connect(owner).depositForCashouts({ value: ethers.parseEther("100") });
+        });
+
+        // 75 points are worth 1 S, paid out in whole cents, rounded down
+        for (const [amount, payout] of [[75n, "1"], [150n, "2"], [100n, "1.33"], [1n, "0.01"], [74n, "0.98"], [7499n, "99.98"]]) {
+            it(`Should pay ${payout} S for ${amount} points`, async function () {
+                await points.assignPoints(alice.address, amount, true);
+                const ethAmount = ethers.parseEther(payout);
+
+                const tx = points.connect(alice).cashOutReferralPoints(amount);
+                await expect(tx).to.emit(points, "ReferralPointsCashedOut").withArgs(alice.address, amount, ethAmount);
+                await expect(tx).to.changeEtherBalances([alice, points], [ethAmount, -ethAmount]);
+                expect(await points.getPoints(alice.address)).to.deep.equal([0n, 0n]);
+                expect(await points.totalPointsIssued()).to.equal(0);
+            });
+        }
+
+        it("Should cash out part of the referral points and none of the rest", async function () {
+            await points.connect(alice).registerReferralCode("alice");
+            await points.connect(alice).deposit({ value: ethers.parseEther("2") });
+            await depositWithCode(bob, bob, "alice", ethers.parseEther("4"));
+            expect(await points.getPoints(alice.address)).to.deep.equal([200n, 100n]);
+
+            await points.connect(alice).cashOutReferralPoints(75);
+            expect(await points.getPoints(alice.address)).to.deep.equal([125n, 25n]);
+            expect(await points.totalPointsIssued()).to.equal(325);
+
+            // Points from alice's own deposit are not withdrawable
+            await expect(points.connect(alice).cashOutReferralPoints(26))
+                .to.be.revertedWith("Insufficient referral points");
+        });
+
+        it("Should fail for zero points", async function () {
+            await expect(points.connect(alice).cashOutReferralPoints(0))
+                .to.be.revertedWith("Amount must be greater than 0");
+        });
+
+        it("Should fail if the contract cannot pay", async function () {
+            await points.assignPoints(alice.address, 75n * 101n, true);
+            await expect(points.connect(alice).cashOutReferralPoints(75n * 101n))
+                .to.be.revertedWith("Insufficient contract balance");
+            expect(await points.getPoints(alice.address)).to.deep.equal([7575n, 7575n]);
+        });
+    });
+
+    describe("Authorized Contracts", function () {
+        it("Should only let authorized contracts award points", async function () {
+            await expect(points.connect(payer).awardPointsForPayout(alice.address, 10, false))
+                .to.be.revertedWith("Not authorized contract");
+
+            await expect(points.setContractAuthorization(payer.address, true))
+                .to.emit(points, "ContractAuthorizationChanged").withArgs(payer.address, true);
+            await expect(points.connect(payer).awardPointsForPayout(alice.address, 10, false))
+                .to.emit(points, "PointsAwardedByContract").withArgs(alice.address, 10, payer.address);
+            await points.connect(payer).awardPointsForPayout(alice.address, 5, true);
+
+            expect(await points.getPoints(alice.address)).to.deep.equal([15n, 5n]);
+            expect(await points.totalPointsIssued()).to.equal(15);
+            expect(await points.getAddressCount()).to.equal(1);
+
+            await points.setContractAuthorization(payer.address, false);
+            await expect(points.connect(payer).awardPointsForPayout(alice.address, 10, false))
+                .to.be.revertedWith("Not authorized contract");
+        });
+
+        it("Should validate awards from authorized contracts", async function () {
+            await points.setContractAuthorization(payer.address, true);
+
+            await expect(points.connect(payer).awardPointsForPayout(ethers.ZeroAddress, 10, false))
+                .to.be.revertedWith("Invalid recipient");
+            await expect(points.connect(payer).awardPointsForPayout(alice.address, 0, false))
+                .to.be.revertedWith("Points amount must be greater than 0");
+
+            await fillToRemaining(10n);
+            await expect(points.connect(payer).awardPointsForPayout(alice.address, 11, true))
+                .to.be.revertedWithCustomError(points, "PointsCapReached").withArgs(10n);
+        });
+
+        it("Should only let the owner change authorizations", async function () {
+            await expect(points.connect(alice).setContractAuthorization(payer.address, true))
+                .to.be.revertedWithCustomError(points, "OwnableUnauthorizedAccount");
+            await expect(points.setContractAuthorization(ethers.ZeroAddress, true))
+                .to.be.revertedWith("Invalid contract address");
+        });
+
+        it("Should only let the owner assign points", async function () {
+            await expect(points.connect(alice).assignPoints(alice.address, 10, true))
+                .to.be.revertedWithCustomError(points, "OwnableUnauthorizedAccount");
+            await expect(points.assignPoints(ethers.ZeroAddress, 10, true)).to.be.revertedWith("Invalid recipient");
+            await expect(points.assignPoints(alice.address, 0, true)).to.be.revertedWith("Amount must be greater than 0");
+        });
+    });
+
+    describe("Referral Migration", function () {
+        it("Should migrate a referral code and free the one it replaces", async function () {
+            await points.connect(alice).registerReferralCode("old");
+
+            await points.migrateReferralCode(alice.address, "new");
+            expect(await points.addressToReferralCode(alice.address)).to.equal("new");
+            expect(await points.referralCodeToAddress("new")).to.equal(alice.address);
+            expect(await points.referralCodeToAddress("old")).to.equal(ethers.ZeroAddress);
+
+            // The old code can be taken by someone else, and alice can be migrated onto her code again
+            await points.connect(bob).registerReferralCode("old");
+            await points.migrateReferralCode(alice.address, "new");
+            expect(await points.referralCodeToAddress("new")).to.equal(alice.address);
+        });
+
+        it("Should validate migrated referral codes", async function () {
+            await points.connect(bob).registerReferralCode("bob");
+
+            await expect(points.migrateReferralCode(alice.address, "bob"))
+                .to.be.revertedWithCustomError(points, "ReferralCodeTaken");
+            await expect(points.migrateReferralCode(alice.address, "a".repeat(21)))
+                .to.be.revertedWithCustomError(points, "ReferralCodeTooLong");
+            await expect(points.migrateReferralCode(alice.address, ""))
+                .to.be.revertedWithCustomError(points, "InvalidReferralCode");
+            await expect(points.migrateReferralCode(ethers.ZeroAddress, "alice"))
+                .to.be.revertedWith("Invalid user address");
+        });
+
+        it("Should migrate a used code, replacing one set by a deposit", async function () {
+            await points.connect(alice).registerReferralCode("alice");
+            await points.connect(carol).registerReferralCode("carol");
+            await depositWithCode(bob, bob, "alice", ethers.parseEther("2"));
+
+            await expect(points.migrateUsedReferralCode(bob.address, "carol"))
+                .to.emit(points, "ReferralUsed").withArgs(bob.address, "carol", carol.address);
+
+            // Later bonuses go to the migrated referrer
+            await points.connect(bob).deposit({ value: ethers.parseEther("2") });
+            expect(await points.getPoints(alice.address)).to.deep.equal([50n, 50n]);
+            expect(await points.getPoints(carol.address)).to.deep.equal([50n, 50n]);
+        });
+
+        it("Should validate migrated used codes", async function () {
+            await expect(points.migrateUsedReferralCode(bob.address, "missing"))
+                .to.be.revertedWith("Referral code does not exist");
+            await expect(points.migrateUsedReferralCode(bob.address, ""))
+                .to.be.revertedWith("Invalid referral code");
+            await expect(points.migrateUsedReferralCode(ethers.ZeroAddress, "missing"))
+                .to.be.revertedWith("Invalid user address");
+        });
+
+        it("Should stop paying a bonus on a code migrated away from its owner", async function () {
+            await points.connect(alice).registerReferralCode("alice");
+            await depositWithCode(bob, bob, "alice", ethers.parseEther("2"));
+            await points.migrateReferralCode(alice.address, "alice2");
+
+            // bob still holds the old code, which no longer has an owner
+            await points.connect(bob).deposit({ value: ethers.parseEther("2") });
+            expect(await points.usedReferralCode(bob.address)).to.equal("alice");
+            expect(await points.getPoints(alice.address)).to.deep.equal([50n, 50n]);
+            expect(await points.getPoints(bob.address)).to.deep.equal([200n, 0n]);
+        });
+
+        it("Should only let the owner migrate codes", async function () {
+            await points.connect(alice).registerReferralCode("alice");
+            await expect(points.connect(alice).migrateReferralCode(alice.address, "alice2"))
+                .to.be.revertedWithCustomError(points, "OwnableUnauthorizedAccount");
+            await expect(points.connect(bob).migrateUsedReferralCode(bob.address, "alice"))
+                .to.be.revertedWithCustomError(points, "OwnableUnauthorizedAccount");
+        });
     });
 
     describe("Address Tracking", function () {
@@ -112,40 +431,52 @@ describe("Points", function () {
         });
 
         it("Should return correct addresses with pagination", async function () {
-            // Add 3 addresses
+            await points.connect(alice).registerReferralCode("alice");
             await points.connect(alice).deposit({ value: ethers.parseEther("1") });
-            await points.connect(bob).deposit({ value: ethers.parseEther("2") });
+            await depositWithCode(bob, bob, "alice", ethers.parseEther("2"));
             await points.connect(owner).deposit({ value: ethers.parseEther("3") });
 
-            const [addresses, balances] = await points.getAddressesPaginated(0, 2);
-            expect(addresses.length).to.equal(2);
-            expect(balances.length).to.equal(2);
-            expect(addresses[0]).to.equal(alice.address);
-            expect(balances[0]).to.equal(5000); // 1 S worth
+            const [addresses, balances, withdrawable] = await points.getAddressesPaginated(0, 2);
+            expect(addresses).to.deep.equal([alice.address, bob.address]);
+            expect(balances).to.deep.equal([100n, 100n]); // 50 from the deposit + a 50-point bonus, 2 S
+            expect(withdrawable).to.deep.equal([50n, 0n]);
+
+            const [lastPage] = await points.getAddressesPaginated(2, 1000);
+            expect(lastPage).to.deep.equal([owner.address]);
         });
 
         it("Should fail for invalid pagination parameters", async function () {
             await points.connect(alice).deposit({ value: ethers.parseEther("1") });
-            
+
             await expect(
                 points.getAddressesPaginated(0, 1001) // MAX_PAGE_SIZE = 1000
             ).to.be.revertedWith("Invalid size");
-
+            await expect(points.getAddressesPaginated(0, 0)).to.be.revertedWith("Invalid size");
             await expect(
-                points.getAddressesPaginated(10, 1) // Beyond list length
+                points.getAddressesPaginated(1, 1) // Beyond list length
             ).to.be.revertedWith("Invalid start");
         });
+
+        it("Should sort the leaderboard by balance", async function () {
+            await points.connect(alice).deposit({ value: ethers.parseEther("1") });
+            await points.connect(bob).deposit({ value: ethers.parseEther("3") });
+            await points.connect(carol).deposit({ value: ethers.parseEther("2") });
+            await points.assignPoints(carol.address, 5, true);
+
+            const [addresses, balances, withdrawable] = await points.getLeaderboard();
+            expect(addresses).to.deep.equal([bob.address, carol.address, alice.address]);
+            expect(balances).to.deep.equal([150n, 105n, 50n]);
+            expect(withdrawable).to.deep.equal([0n, 5n, 0n]);
+        });
     });
 
     describe("Withdrawal", function () {
         it("Should allow owner to withdraw", async function () {
             await points.connect(alice).deposit({ value: ethers.parseEther("1") });
-            const initialBalance = await ethers.provider.getBalance(owner.address);
-            
-            await points.withdraw();
-            
-            const finalBalance = await ethers.provider.getBalance(owner.address);
-            expect(finalBalance).to.be.gt(initialBalance);
+
+            const tx = points.withdraw();
+            await expect(tx).to.emit(points, "Withdrawn").withArgs(owner.address, ethers.parseEther("1"));
+            await expect(tx).to.changeEtherBalances([owner, points], [ethers.parseEther("1"), -ethers.parseEther("1")]);
         });
 
         it("Should fail if non-owner tries to withdraw", async function () {
@@ -164,13 +495,78 @@ describe("Points", function () {
 
     describe("Direct Transfers", function () {
         it("Should reject direct transfers", async function () {
-            const pointsAddress = await points.getAddress();
+            // Points has no receive function; S only comes in through the deposit functions
+            await expect(
+                alice.sendTransaction({ to: await points.getAddress(), value: ethers.parseEther("1") })
+            ).to.be.revertedWithoutReason();
+        });
+    });
+
+    describe("Bulk Import", function () {
+        // Helper function to build an import entry
+        function entry(account, total, withdrawable, ownedCode = "", usedCode = "") {
+            return { account: account.address, total, withdrawable, ownedCode, usedCode };
+        }
+
+        it("Should import balances and referral codes", async function () {
+            // bob uses carol's code, which is registered later in the same call
+            await points.importPoints([
+                entry(bob, 300, 0, "", "carol1"),
+                entry(alice, 500, 200, "alice1"),
+                entry(carol, 100, 100, "carol1"),
+            ]);
+
+            expect(await points.getPoints(alice.address)).to.deep.equal([500n, 200n]);
+            expect(await points.getPoints(bob.address)).to.deep.equal([300n, 0n]);
+            expect(await points.getPoints(carol.address)).to.deep.equal([100n, 100n]);
+            expect(await points.addressToReferralCode(alice.address)).to.equal("alice1");
+            expect(await points.referralCodeToAddress("carol1")).to.equal(carol.address);
+            expect(await points.usedReferralCode(bob.address)).to.equal("carol1");
+            expect(await points.totalPointsIssued()).to.equal(900);
+            expect(await points.getAddressCount()).to.equal(3);
+        });
+
+        it("Should credit nothing when the same entries are imported again", async function () {
+            const entries = [entry(alice, 500, 200, "alice1"), entry(bob, 300, 0, "", "alice1")];
+            await points.importPoints(entries);
+
+            await expect(points.importPoints(entries))
+                .to.emit(points, "PointsImported").withArgs(2, 0);
+            expect(await points.getPoints(alice.address)).to.deep.equal([500n, 200n]);
+            expect(await points.totalPointsIssued()).to.equal(800);
+            expect(await points.getAddressCount()).to.equal(2);
+        });
+
+        it("Should only add what is missing after a partial migration", async function () {
+            await points.assignPoints(alice.address, 300, false);
+
+            await expect(points.importPoints([entry(alice, 500, 200)]))
+                .to.emit(points, "PointsImported").withArgs(1, 200);
+            expect(await points.getPoints(alice.address)).to.deep.equal([500n, 200n]);
+        });
+
+        it("Should fail for a used code nobody owns", async function () {
+            await expect(
+                points.importPoints([entry(alice, 500, 0, "", "missing")])
+            ).to.be.revertedWith("Referral code does not exist");
+        });
+
+        it("Should fail when withdrawable exceeds total", async function () {
             await expect(
-                alice.sendTransaction({ 
-                    to: pointsAddress, 
-                    value: ethers.parseEther("1") 
-                })
-            ).to.be.revertedWith("Use deposit functions");
+                points.importPoints([entry(alice, 100, 200)])
+            ).to.be.revertedWith("Withdrawable exceeds total");
+        });
+
+        it("Should respect the points cap", async function () {
+            await expect(
+                points.importPoints([entry(alice, MAX_POINTS + 1n, 0)])
+            ).to.be.revertedWithCustomError(points, "PointsCapReached");
+        });
+
+        it("Should fail if non-owner tries to import", async function () {
+            await expect(
+                points.connect(alice).importPoints([entry(alice, 500, 0)])
+            ).to.be.revertedWithCustomError(points, "OwnableUnauthorizedAccount");
         });
     });
-}); 
\ No newline at end of file
+});
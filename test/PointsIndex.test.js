@@ -0,0 +1,109 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { openIndex, syncIndex, getCallSource, getLedger } = require("../scripts/lib/points-index");
+
+describe("Points Index", function () {
+    let owner, referrer, player;
+    let points, gameMaster;
+    let directory, db;
+
+    beforeEach(async function () {
+        [owner, referrer, player] = await ethers.getSigners();
+
+        points = await (await ethers.getContractFactory("Points")).deploy();
+        gameMaster = await (await ethers.getContractFactory("GameMaster")).deploy();
+        await gameMaster.setPointsContract(await points.getAddress());
+
+        const { chainId } = await ethers.provider.getNetwork();
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), "points-index-"));
+        db = openIndex(path.join(directory, "points.sqlite"), {
+            contract: await points.getAddress(),
+            chainId: chainId.toString(),
+        });
+    });
+
+    afterEach(function () {
+        db.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    // Helper function to index everything since the contracts were deployed
+    async function sync() {
+        await syncIndex(db, ethers, points, {
+            fromBlock: 0,
+            toBlock: await ethers.provider.getBlockNumber(),
+            gameMaster: await gameMaster.getAddress(),
+        });
+    }
+
+    describe("Sources", function () {
+        it("Should index a registration with a referral as a deposit and a referral bonus", async function () {
+            await points.connect(referrer).registerReferralCode("FRIEND");
+            await gameMaster.connect(player).registerWithReferral("FRIEND", { value: await gameMaster.registrationFee() });
+            await sync();
+
+            const [deposit] = getLedger(db, player.address);
+            const [bonus] = getLedger(db, referrer.address);
+            expect(deposit.source).to.equal("deposit");
+            expect(bonus.source).to.equal("referral");
+            expect(bonus.counterparty).to.equal(player.address);
+            expect(bonus.amount).to.be.greaterThan(0);
+        });
+
+        it("Should index a registration without a referral as a deposit", async function () {
+            await gameMaster.connect(player).register({ value: await gameMaster.registrationFee() });
+            await sync();
+
+            expect(getLedger(db, player.address).map((row) => row.source)).to.deep.equal(["deposit"]);
+        });
+
+        it("Should index a direct deposit and an admin credit", async function () {
+            await points.connect(player).deposit({ value: ethers.parseEther("1") });
+            await points.assignPoints(player.address, 50, false);
+            await sync();
+
+            expect(getLedger(db, player.address).map((row) => row.source)).to.deep.equal(["deposit", "admin"]);
+        });
+    });
+
+    describe("Call matching", function () {
+        const safe = new ethers.Interface([
+            "function execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures)",
+        ]);
+
+        // Helper function to match a call against the deployed Points and GameMaster
+        async function sourceOf(tx) {
+            return getCallSource(ethers, points.interface, {
+                points: await points.getAddress(),
+                gameMaster: await gameMaster.getAddress(),
+            }, tx);
+        }
+
+        it("Should unwrap a call sent through a Safe", async function () {
+            const data = safe.encodeFunctionData("execTransaction", [
+                await points.getAddress(),
+                0,
+                points.interface.encodeFunctionData("assignPoints", [player.address, 50, false]),
+                0, 0, 0, 0, ethers.ZeroAddress, ethers.ZeroAddress, "0x",
+            ]);
+            expect(await sourceOf({ to: owner.address, data })).to.equal("admin");
+        });
+
+        it("Should only match selectors at the start of the calldata", async function () {
+            // A deposit selector buried in an argument of an unrelated call
+            const selector = points.interface.getFunction("deposit").selector.slice(2);
+            const data = `0x12345678${selector.padStart(64, "0")}`;
+            expect(await sourceOf({ to: await points.getAddress(), data })).to.equal(null);
+            expect(await sourceOf({ to: owner.address, data })).to.equal(null);
+        });
+
+        it("Should only count registrations sent to the GameMaster", async function () {
+            const data = gameMaster.interface.encodeFunctionData("register");
+            expect(await sourceOf({ to: await gameMaster.getAddress(), data })).to.equal("deposit");
+            expect(await sourceOf({ to: owner.address, data })).to.equal(null);
+        });
+    });
+});
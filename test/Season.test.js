@@ -0,0 +1,224 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createOwnerTxRunner } = require("../scripts/lib/owner-tx");
+const { buildSteps, loadCheckpoint, createSeason } = require("../scripts/lib/season");
+
+describe("Season", function () {
+    let gameMaster;
+    let owner, safe;
+    let players;
+    let directory, checkpointPath;
+    let logs;
+    let savedEnv;
+
+    const SCHEDULE = ["Doors", "Threes"];
+    const STEPS = buildSteps(SCHEDULE, false);
+
+    // Helper function to load the checkpoint file and create a season runner on it, as each run of the script does
+    async function openSeason() {
+        const checkpoint = loadCheckpoint(checkpointPath, {
+            network: network.name,
+            gameMaster: await gameMaster.getAddress(),
+            schedule: SCHEDULE,
+            reset: false,
+        });
+        const runner = createOwnerTxRunner(ethers, owner);
+        const season = createSeason(ethers, {
+            gameMaster,
+            runner,
+            checkpoint,
+            checkpointPath,
+            options: {
+                pollMs: 10,
+                fastForward: true,
+                tx: { timeoutMs: 200, pollMs: 50 },
+                log: (message) => logs.push(message),
+            },
+        });
+        return { checkpoint, runner, season };
+    }
+
+    // Helper function to leave a transaction in flight in the checkpoint, as a crashed run would
+    async function leavePending(step, sent) {
+        const { checkpoint, season } = await openSeason();
+        checkpoint.pending = { step, txHash: sent.hash, from: sent.from, nonce: sent.nonce };
+        season.save();
+    }
+
+    beforeEach(async function () {
+        [owner, safe, ...players] = await ethers.getSigners();
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), "season-"));
+        checkpointPath = path.join(directory, "checkpoint.json");
+        logs = [];
+
+        // The owner runner reads its mode from the environment, so each test starts in send mode
+        savedEnv = { SAFE_EXPORT: process.env.SAFE_EXPORT, SAFE_ADDRESS: process.env.SAFE_ADDRESS };
+        delete process.env.SAFE_EXPORT;
+        delete process.env.SAFE_ADDRESS;
+
+        gameMaster = await (await ethers.getContractFactory("GameMaster")).deploy();
+        for (const name of SCHEDULE) {
+            const game = await (await ethers.getContractFactory(name)).deploy();
+            await gameMaster.registerGame(name, await game.getAddress());
+            await game.setGameMaster(await gameMaster.getAddress());
+        }
+        await gameMaster.registerPlayersBatch(players.slice(0, 3).map((p) => p.address));
+    });
+
+    afterEach(async function () {
+        await network.provider.send("evm_setAutomine", [true]);
+        for (const [key, value] of Object.entries(savedEnv)) {
+            if (value === undefined) {
+                delete process.env[key];
+            } else {
+                process.env[key] = value;
+            }
+        }
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    describe("Steps", function () {
+        it("Should close registration and take each game through its round", async function () {
+            expect(STEPS).to.deep.equal([
+                "closeRegistration",
+                "0:Doors:initialize", "0:Doors:start", "0:Doors:run", "0:Doors:end",
+                "1:Threes:initialize", "1:Threes:start", "1:Threes:run", "1:Threes:end",
+            ]);
+            expect(buildSteps(["Doors"], true)).to.deep.equal([
+                "closeRegistration",
+                "0:Doors:initialize", "0:Doors:start", "0:Doors:run", "0:Doors:end",
+                "resetGame",
+            ]);
+        });
+
+        it("Should refuse a checkpoint started with another schedule", async function () {
+            const { season } = await openSeason();
+            season.save();
+
+            expect(() => loadCheckpoint(checkpointPath, {
+                network: network.name,
+                gameMaster: gameMaster.target,
+                schedule: ["Threes"],
+                reset: false,
+            })).to.throw("was started with schedule Doors,Threes");
+            expect(() => loadCheckpoint(checkpointPath, {
+                network: network.name,
+                gameMaster: owner.address,
+                schedule: SCHEDULE,
+                reset: false,
+            })).to.throw(`belongs to GameMaster ${gameMaster.target}`);
+        });
+    });
+
+    describe("Running", function () {
+        it("Should run a season to the end and skip games once it is decided", async function () {
+            const { checkpoint, season } = await openSeason();
+
+            expect(await season.runSteps(STEPS)).to.deep.equal({ result: "finished" });
+
+            // Nobody opened a door, so Doors eliminates everyone and Threes never starts
+            expect(await gameMaster.registrationClosed()).to.be.true;
+            expect(await gameMaster.getActivePlayerCount()).to.equal(0);
+            expect(checkpoint.completed).to.deep.equal(STEPS.slice(0, 5));
+            expect(checkpoint.skipped).to.deep.equal(STEPS.slice(5));
+            expect(checkpoint.pending).to.equal(null);
+
+            const saved = JSON.parse(fs.readFileSync(checkpointPath, "utf8"));
+            expect(saved.finishedAt).to.equal(checkpoint.finishedAt).and.not.equal(null);
+        });
+
+        it("Should resume after the last completed step", async function () {
+            await gameMaster.closeRegistration();
+            const first = await openSeason();
+            await first.season.runStep("closeRegistration");
+            expect(logs).to.include("✓ closeRegistration (already closed)");
+
+            const { checkpoint, season } = await openSeason();
+            expect(checkpoint.completed).to.deep.equal(["closeRegistration"]);
+            await season.runSteps(STEPS);
+            expect(checkpoint.completed).to.deep.equal(STEPS.slice(0, 5));
+        });
+    });
+
+    describe("Pending transactions", function () {
+        it("Should confirm a transaction that landed without sending it again", async function () {
+            const sent = await gameMaster.closeRegistration();
+            await sent.wait();
+            await leavePending("closeRegistration", sent);
+
+            const { checkpoint, season } = await openSeason();
+            const nonce = await ethers.provider.getTransactionCount(owner.address);
+            await season.resolvePending();
+
+            expect(checkpoint.completed).to.deep.equal(["closeRegistration"]);
+            expect(checkpoint.pending).to.equal(null);
+            expect(logs).to.include("✓ closeRegistration (confirmed after restart)");
+            expect(await ethers.provider.getTransactionCount(owner.address)).to.equal(nonce);
+        });
+
+        it("Should keep a transaction pending until it is mined", async function () {
+            await network.provider.send("evm_setAutomine", [false]);
+            const sent = await gameMaster.closeRegistration();
+            await leavePending("closeRegistration", sent);
+
+            // Still in the mempool with an unused nonce, so retrying could close registration twice
+            const stuck = await openSeason();
+            await expect(stuck.season.resolvePending()).to.be.rejectedWith("is not mined yet and its nonce is still unused");
+            expect(stuck.checkpoint.pending.txHash).to.equal(sent.hash);
+            expect(JSON.parse(fs.readFileSync(checkpointPath, "utf8")).pending.txHash).to.equal(sent.hash);
+
+            await network.provider.send("evm_mine", []);
+            await network.provider.send("evm_setAutomine", [true]);
+            const { checkpoint, season } = await openSeason();
+            await season.resolvePending();
+            expect(checkpoint.completed).to.deep.equal(["closeRegistration"]);
+        });
+
+        it("Should retry a step whose transaction was dropped after its nonce was used", async function () {
+            // A transaction that never landed, with a nonce the owner has used since
+            await leavePending("closeRegistration", {
+                hash: ethers.hexlify(ethers.randomBytes(32)),
+                from: owner.address,
+                nonce: 0,
+            });
+
+            const { checkpoint, season } = await openSeason();
+            await season.resolvePending();
+            expect(checkpoint.pending).to.equal(null);
+            expect(checkpoint.completed).to.deep.equal([]);
+            expect(logs).to.include("  Dropped; closeRegistration will be retried");
+
+            await season.runStep("closeRegistration");
+            expect(await gameMaster.registrationClosed()).to.be.true;
+            expect(checkpoint.completed).to.deep.equal(["closeRegistration"]);
+        });
+    });
+
+    describe("Safe export", function () {
+        it("Should stop at each owner call and continue once the Safe has executed it", async function () {
+            await gameMaster.transferOwnership(safe.address);
+            process.env.SAFE_EXPORT = path.join(directory, "batch.json");
+            process.env.SAFE_ADDRESS = safe.address;
+
+            const first = await openSeason();
+            expect(await first.season.runSteps(STEPS)).to.deep.equal({ result: "exported", step: "closeRegistration" });
+            expect(first.checkpoint.pending).to.deep.equal({ step: "closeRegistration", exported: true });
+            expect(await gameMaster.registrationClosed()).to.be.false;
+
+            await first.runner.finish();
+            const batch = JSON.parse(fs.readFileSync(process.env.SAFE_EXPORT, "utf8"));
+            for (const transaction of batch.transactions) {
+                await safe.sendTransaction({ to: transaction.to, data: transaction.data });
+            }
+
+            // The next run picks up the executed batch and stops at the following owner call
+            const { checkpoint, season } = await openSeason();
+            await season.resolvePending();
+            expect(await season.runSteps(STEPS)).to.deep.equal({ result: "exported", step: "0:Doors:initialize" });
+            expect(checkpoint.completed).to.deep.equal(["closeRegistration"]);
+        });
+    });
+});
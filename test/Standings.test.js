@@ -0,0 +1,71 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { getStandings, groupStandings, formatPlacement } = require("../scripts/lib/standings");
+
+describe("Standings", function () {
+    let gameMaster;
+    let game;
+    let players;
+
+    // Helper function to report several eliminations under one batch id, like a single game resolution
+    let batch = 0;
+    async function eliminateTogether(eliminated) {
+        batch++;
+        for (const player of eliminated) {
+            await gameMaster.connect(game).playerEliminated(player.address, batch);
+        }
+    }
+
+    beforeEach(async function () {
+        const signers = await ethers.getSigners();
+        [game, ...players] = signers.slice(1, 8);
+
+        // Six players; a plain account stands in for the game
+        gameMaster = await (await ethers.getContractFactory("GameMaster")).deploy();
+        await gameMaster.registerPlayersBatch(players.map((player) => player.address));
+        await gameMaster.registerGame("Game", game.address);
+
+        // 6th alone, 4th and 5th together, 3rd alone; two players survive
+        await eliminateTogether([players[0]]);
+        await eliminateTogether([players[1], players[2]]);
+        await eliminateTogether([players[3]]);
+    });
+
+    it("Should read placements from GameMaster with survivors sharing first place", async function () {
+        const standings = await getStandings(gameMaster);
+
+        // Players within a tie come back in GameMaster's order, which is not meaningful
+        const byAddress = Object.fromEntries(standings.map(({ address, placement, status }) => [address, [placement, status]]));
+        expect(byAddress).to.deep.equal({
+            [players[4].address]: [1, "active"],
+            [players[5].address]: [1, "active"],
+            [players[3].address]: [3, "eliminated"],
+            [players[1].address]: [4, "eliminated"],
+            [players[2].address]: [4, "eliminated"],
+            [players[0].address]: [6, "eliminated"],
+        });
+        expect(standings.map((player) => player.placement)).to.deep.equal([1, 1, 3, 4, 4, 6]);
+    });
+
+    it("Should give a tied group one prize slot per player, starting at its placement", async function () {
+        const groups = groupStandings(await getStandings(gameMaster));
+
+        expect(groups.map(({ placement, tied, slots, players: members }) => [placement, tied, slots, members.length]))
+            .to.deep.equal([
+                [1, true, { from: 1, to: 2 }, 2],
+                [3, false, { from: 3, to: 3 }, 1],
+                [4, true, { from: 4, to: 5 }, 2],
+                [6, false, { from: 6, to: 6 }, 1],
+            ]);
+        expect(groups.map(formatPlacement)).to.deep.equal(["T-1", "3", "T-4", "6"]);
+    });
+
+    it("Should not cover the slots of the next group", async function () {
+        const groups = groupStandings(await getStandings(gameMaster));
+
+        for (let i = 1; i < groups.length; i++) {
+            expect(groups[i].slots.from).to.equal(groups[i - 1].slots.to + 1);
+        }
+        expect(groups[groups.length - 1].slots.to).to.equal(players.length);
+    });
+});
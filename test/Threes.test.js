@@ -1,13 +1,21 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
-const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    GameState,
+    loadGameSystem,
+    startGame,
+    createCommitment,
+    commitInstance,
+    revealAll,
+    playRound,
+    passRoundEnd,
+    expectEliminated,
+    expectActive,
+} = require("./fixtures/game-system");
 
 describe("Threes", function () {
-    let Threes;
-    let RagnarokGameMaster;
+    let gameMaster;
     let threes;
-    let ragnarokGameMaster;
-    let owner;
     let player1;
     let player2;
     let player3;
@@ -15,45 +23,35 @@ describe("Threes", function () {
     let player5;
     let player6;
 
-    const COMMIT_DURATION = 5 * 60; // 5 minutes
-    const REVEAL_DURATION = 20 * 60; // 20 minutes
-
-    // Helper function to create commitment
-    async function createCommitment(choice, player) {
-        const salt = ethers.randomBytes(32);
-        const commitment = ethers.solidityPackedKeccak256(
-            ["uint256", "bytes32", "address"],
-            [choice, salt, player.address]
-        );
-        return { commitment, salt };
-    }
-
-    beforeEach(async function () {
-        [owner, player1, player2, player3, player4, player5, player6] = await ethers.getSigners();
+    const COMMIT_PHASE = 1;
+    const REVEAL_PHASE = 2;
 
-        // Deploy RagnarokGameMaster
-        RagnarokGameMaster = await ethers.getContractFactory("RagnarokGameMaster");
-        ragnarokGameMaster = await RagnarokGameMaster.deploy();
+    // Helper function to load a Threes deployment with `count` registered players
+    async function loadThrees(count) {
+        const system = await loadGameSystem({ games: ["Threes"], players: count });
+        gameMaster = system.gameMaster;
+        threes = system.games.Threes;
+        [player1, player2, player3, player4, player5, player6] = system.players;
+    }
 
-        // Deploy Threes
-        Threes = await ethers.getContractFactory("Threes");
-        threes = await Threes.deploy();
+    // Helper function to find a player's entry in an instance
+    async function getPlayer(gameId, player) {
+        return (await threes.getPlayerInfo(gameId)).find((p) => p.playerAddress === player.address);
+    }
 
-        // Setup contract relationships
-        await ragnarokGameMaster.registerGame("Threes", await threes.getAddress());
-        await threes.setGameMaster(await ragnarokGameMaster.getAddress());
+    // Helper function to pick each player's choice from a list in player order
+    function choices(players, values) {
+        return (address) => values[players.findIndex((p) => p.address === address)] ?? null;
+    }
 
-        // Register players
-        const registrationFee = await ragnarokGameMaster.registrationFee();
-        await ragnarokGameMaster.connect(player1).register({ value: registrationFee });
-        await ragnarokGameMaster.connect(player2).register({ value: registrationFee });
-        await ragnarokGameMaster.connect(player3).register({ value: registrationFee });
+    beforeEach(async function () {
+        await loadThrees(3);
     });
 
     describe("Game Setup", function () {
         it("Should initialize game with exactly 3 players", async function () {
-            await ragnarokGameMaster.initializeGame("Threes");
-            
+            await gameMaster.initializeGame("Threes");
+
             const gameInfo = await threes.getPlayerInfo(1);
             expect(gameInfo.length).to.equal(3);
             expect(gameInfo[0].isActive).to.be.true;
@@ -62,438 +60,264 @@ describe("Threes", function () {
         });
 
         it("Should fail to initialize with non-multiple of 3 players", async function () {
-            // Register a 4th player
-            const registrationFee = await ragnarokGameMaster.registrationFee();
-            await ragnarokGameMaster.connect(player4).register({ value: registrationFee });
-            
-            await expect(ragnarokGameMaster.initializeGame("Threes"))
+            await loadThrees(4);
+
+            await expect(gameMaster.initializeGame("Threes"))
                 .to.be.revertedWith("Player count must be divisible by 3");
         });
     });
 
     describe("Commit Phase", function () {
         beforeEach(async function () {
-            await ragnarokGameMaster.initializeGame("Threes");
-            await ragnarokGameMaster.startGames("Threes");
+            await startGame(gameMaster, "Threes");
         });
 
         it("Should allow players to commit choices", async function () {
-            const { commitment } = await createCommitment(1, player1);
+            const { commitment } = createCommitment(1, player1);
             await threes.connect(player1).commitChoice(commitment);
             expect(await threes.hasPlayerCommitted(1, player1.address)).to.be.true;
         });
 
         it("Should move to reveal phase when all players commit", async function () {
-            // All players commit
-            for (const player of [player1, player2, player3]) {
-                const { commitment } = await createCommitment(1, player);
-                await threes.connect(player).commitChoice(commitment);
-            }
-
-            // Check we're in reveal phase
-            expect(await threes.getCurrentRound(1)).to.equal(2); // REVEAL_ROUND
+            await commitInstance(threes, 1, () => 1);
+
+            expect(await threes.getCurrentPhase(1)).to.equal(REVEAL_PHASE);
         });
 
         it("Should eliminate non-committing players when time expires", async function () {
-            // Only player1 commits
-            const { commitment } = await createCommitment(1, player1);
-            await threes.connect(player1).commitChoice(commitment);
+            await commitInstance(threes, 1, choices([player1], [1]));
+            expect(await threes.getCurrentPhase(1)).to.equal(COMMIT_PHASE);
 
-            // Move time forward past commit duration
-            await time.increase(COMMIT_DURATION + 1);
+            await passRoundEnd(threes, 1);
+            await gameMaster.endExpiredGames("Threes");
 
-            // End expired games
-            await ragnarokGameMaster.endExpiredGames("Threes");
-
-            // Check player1 is still active, others eliminated
-            const gameInfo = await threes.getPlayerInfo(1);
-            expect(gameInfo.find(p => p.playerAddress === player1.address).isActive).to.be.true;
-            expect(gameInfo.find(p => p.playerAddress === player2.address).isActive).to.be.false;
-            expect(gameInfo.find(p => p.playerAddress === player3.address).isActive).to.be.false;
+            expect((await getPlayer(1, player1)).isActive).to.be.true;
+            expect((await getPlayer(1, player2)).isActive).to.be.false;
+            expect((await getPlayer(1, player3)).isActive).to.be.false;
+            await expectEliminated(gameMaster, [player2, player3]);
+            await expectActive(gameMaster, [player1]);
         });
     });
 
     describe("Reveal Phase", function () {
         beforeEach(async function () {
-            await ragnarokGameMaster.initializeGame("Threes");
-            await ragnarokGameMaster.startGames("Threes");
+            await startGame(gameMaster, "Threes");
         });
 
         it("Should allow players to reveal choices", async function () {
-            // All players commit same number
-            const commit1 = await createCommitment(1, player1);
-            const commit2 = await createCommitment(1, player2);
-            const commit3 = await createCommitment(1, player3);
-
-            await threes.connect(player1).commitChoice(commit1.commitment);
-            await threes.connect(player2).commitChoice(commit2.commitment);
-            await threes.connect(player3).commitChoice(commit3.commitment);
+            const [commit1] = await commitInstance(threes, 1, () => 1);
 
-            await threes.connect(player1).revealChoice(1, commit1.salt);
+            await revealAll(threes, [commit1]);
             expect(await threes.hasPlayerRevealed(1, player1.address)).to.be.true;
         });
 
         it("Should eliminate non-revealing players when time expires", async function () {
-            // All players commit same number
-            const commit1 = await createCommitment(1, player1);
-            const commit2 = await createCommitment(1, player2);
-            const commit3 = await createCommitment(1, player3);
-
-            await threes.connect(player1).commitChoice(commit1.commitment);
-            await threes.connect(player2).commitChoice(commit2.commitment);
-            await threes.connect(player3).commitChoice(commit3.commitment);
-
-            // Only player1 reveals
-            await threes.connect(player1).revealChoice(1, commit1.salt);
-
-            // Move time forward past reveal duration
-            await time.increase(REVEAL_DURATION + 1);
+            const commits = await commitInstance(threes, 1, () => 1);
+            await revealAll(threes, commits.filter((c) => c.player.address === player1.address));
 
-            // End expired games
-            await ragnarokGameMaster.endExpiredGames("Threes");
+            await passRoundEnd(threes, 1);
+            await gameMaster.endExpiredGames("Threes");
 
-            // Check player1 is still active, others eliminated
-            const gameInfo = await threes.getPlayerInfo(1);
-            expect(gameInfo.find(p => p.playerAddress === player1.address).isActive).to.be.true;
-            expect(gameInfo.find(p => p.playerAddress === player2.address).isActive).to.be.false;
-            expect(gameInfo.find(p => p.playerAddress === player3.address).isActive).to.be.false;
+            expect((await getPlayer(1, player1)).isActive).to.be.true;
+            expect((await getPlayer(1, player2)).isActive).to.be.false;
+            expect((await getPlayer(1, player3)).isActive).to.be.false;
+            await expectEliminated(gameMaster, [player2, player3]);
         });
 
         it("Should handle all players revealing same number", async function () {
-            // All players commit same number
-            const commit1 = await createCommitment(1, player1);
-            const commit2 = await createCommitment(1, player2);
-            const commit3 = await createCommitment(1, player3);
-
-            await threes.connect(player1).commitChoice(commit1.commitment);
-            await threes.connect(player2).commitChoice(commit2.commitment);
-            await threes.connect(player3).commitChoice(commit3.commitment);
-
-            // All players reveal
-            await threes.connect(player1).revealChoice(1, commit1.salt);
-            await threes.connect(player2).revealChoice(1, commit2.salt);
-            await threes.connect(player3).revealChoice(1, commit3.salt);
+            await playRound(threes, 1, () => 1);
 
-            // All players should still be active
             const gameInfo = await threes.getPlayerInfo(1);
-            expect(gameInfo.every(p => p.isActive)).to.be.true;
+            expect(gameInfo.every((p) => p.isActive)).to.be.true;
+            await expectActive(gameMaster, [player1, player2, player3]);
         });
 
         it("Should eliminate players who reveal same number when two match", async function () {
-            // Players commit with two matching and one different
-            const commit1 = await createCommitment(1, player1);
-            const commit2 = await createCommitment(1, player2);
-            const commit3 = await createCommitment(2, player3);
-
-            await threes.connect(player1).commitChoice(commit1.commitment);
-            await threes.connect(player2).commitChoice(commit2.commitment);
-            await threes.connect(player3).commitChoice(commit3.commitment);
-
-            // Players reveal
-            await threes.connect(player1).revealChoice(1, commit1.salt);
-            await threes.connect(player2).revealChoice(1, commit2.salt);
-            await threes.connect(player3).revealChoice(2, commit3.salt);
+            await playRound(threes, 1, choices([player1, player2, player3], [1, 1, 2]));
 
-            // Check player3 is still active, others eliminated
-            const gameInfo = await threes.getPlayerInfo(1);
-            expect(gameInfo.find(p => p.playerAddress === player1.address).isActive).to.be.false;
-            expect(gameInfo.find(p => p.playerAddress === player2.address).isActive).to.be.false;
-            expect(gameInfo.find(p => p.playerAddress === player3.address).isActive).to.be.true;
+            expect((await getPlayer(1, player1)).isActive).to.be.false;
+            expect((await getPlayer(1, player2)).isActive).to.be.false;
+            expect((await getPlayer(1, player3)).isActive).to.be.true;
+            await expectEliminated(gameMaster, [player1, player2]);
+            await expectActive(gameMaster, [player3]);
         });
 
         it("Should eliminate all players when all reveal different numbers", async function () {
-            // Players commit different numbers
-            const commit1 = await createCommitment(1, player1);
-            const commit2 = await createCommitment(2, player2);
-            const commit3 = await createCommitment(3, player3);
-
-            await threes.connect(player1).commitChoice(commit1.commitment);
-            await threes.connect(player2).commitChoice(commit2.commitment);
-            await threes.connect(player3).commitChoice(commit3.commitment);
-
-            // Players reveal
-            await threes.connect(player1).revealChoice(1, commit1.salt);
-            await threes.connect(player2).revealChoice(2, commit2.salt);
-            await threes.connect(player3).revealChoice(3, commit3.salt);
+            await playRound(threes, 1, choices([player1, player2, player3], [1, 2, 3]));
 
-            // All players should be eliminated
             const gameInfo = await threes.getPlayerInfo(1);
-            expect(gameInfo.every(p => !p.isActive)).to.be.true;
+            expect(gameInfo.every((p) => !p.isActive)).to.be.true;
+            await expectEliminated(gameMaster, [player1, player2, player3]);
         });
     });
 
     describe("Edge Cases", function () {
         beforeEach(async function () {
-            await ragnarokGameMaster.initializeGame("Threes");
-            await ragnarokGameMaster.startGames("Threes");
+            await startGame(gameMaster, "Threes");
         });
 
         it("Should handle no players committing", async function () {
-            // Move time forward past commit duration
-            await time.increase(COMMIT_DURATION + 1);
+            await passRoundEnd(threes, 1);
+            await gameMaster.endExpiredGames("Threes");
 
-            // End expired games
-            await ragnarokGameMaster.endExpiredGames("Threes");
-
-            // All players should be eliminated
             const gameInfo = await threes.getPlayerInfo(1);
-            expect(gameInfo.every(p => !p.isActive)).to.be.true;
+            expect(gameInfo.every((p) => !p.isActive)).to.be.true;
+            await expectEliminated(gameMaster, [player1, player2, player3]);
         });
 
         it("Should handle only one player committing", async function () {
-            const { commitment } = await createCommitment(1, player1);
-            await threes.connect(player1).commitChoice(commitment);
-
-            // Move time forward past commit duration
-            await time.increase(COMMIT_DURATION + 1);
+            await commitInstance(threes, 1, choices([player1], [1]));
 
-            // End expired games
-            await ragnarokGameMaster.endExpiredGames("Threes");
+            await passRoundEnd(threes, 1);
+            await gameMaster.endExpiredGames("Threes");
 
-            // Only player1 should be active
-            const gameInfo = await threes.getPlayerInfo(1);
-            expect(gameInfo.find(p => p.playerAddress === player1.address).isActive).to.be.true;
-            expect(gameInfo.filter(p => p.isActive).length).to.equal(1);
+            expect((await getPlayer(1, player1)).isActive).to.be.true;
+            expect((await threes.getPlayerInfo(1)).filter((p) => p.isActive).length).to.equal(1);
         });
     });
 
     describe("Multiple Games", function () {
         beforeEach(async function () {
-            // Register players 4-6
-            const registrationFee = await ragnarokGameMaster.registrationFee();
-            await ragnarokGameMaster.connect(player4).register({ value: registrationFee });
-            await ragnarokGameMaster.connect(player5).register({ value: registrationFee });
-            await ragnarokGameMaster.connect(player6).register({ value: registrationFee });
+            await loadThrees(6);
         });
 
         it("Should handle multiple games simultaneously", async function () {
-            // Initialize all games at once (should create two games with players 1-3 and 4-6)
-            await ragnarokGameMaster.initializeGame("Threes");
-            await ragnarokGameMaster.startGames("Threes");
-
-            // Game 1: only player1 commits
-            const { commitment: commit1 } = await createCommitment(1, player1);
-            await threes.connect(player1).commitChoice(commit1);
-
-            // Game 2: store commitments for later reveal
-            const game2Commitments = [];
-            for (const player of [player4, player5, player6]) {
-                const commitment = await createCommitment(1, player);
-                game2Commitments.push({ player, ...commitment });
-                await threes.connect(player).commitChoice(commitment.commitment);
-            }
+            // Six players make two instances: players 1-3 and 4-6
+            await startGame(gameMaster, "Threes");
 
-            // Small delay to allow state transition
-            await ethers.provider.send("evm_mine", []);
+            // Game 1: only player1 commits; game 2: everyone plays the same number and completes
+            await commitInstance(threes, 1, choices([player1], [1]));
+            await playRound(threes, 2, () => 1);
+            expect(await threes.getGameState(1)).to.equal(GameState.Active);
+            expect(await threes.getGameState(2)).to.equal(GameState.Completed);
 
-            // Move time forward past commit duration
-            await time.increase(COMMIT_DURATION + 1);
-            await ragnarokGameMaster.endExpiredGames("Threes");
+            await passRoundEnd(threes, 1);
+            await gameMaster.endExpiredGames("Threes");
 
-            // Mine a block to ensure state updates
-            await ethers.provider.send("evm_mine", []);
-
-            // Check game 1: only player1 should be active (others eliminated for not committing)
             const game1Info = await threes.getPlayerInfo(1);
-            expect(game1Info.find(p => p.playerAddress === player1.address).isActive).to.be.true;
-            expect(game1Info.find(p => p.playerAddress === player2.address).isActive).to.be.false;
-            expect(game1Info.find(p => p.playerAddress === player3.address).isActive).to.be.false;
-            expect(game1Info.filter(p => p.isActive).length).to.equal(1);
+            expect(game1Info.find((p) => p.playerAddress === player1.address).isActive).to.be.true;
+            expect(game1Info.find((p) => p.playerAddress === player2.address).isActive).to.be.false;
+            expect(game1Info.find((p) => p.playerAddress === player3.address).isActive).to.be.false;
+            expect(game1Info.filter((p) => p.isActive).length).to.equal(1);
 
-            // Check game 2: all players should be in reveal phase
+            // Expiring game 1 leaves game 2's players alone
             const game2Info = await threes.getPlayerInfo(2);
-            expect(game2Info.every(p => p.isActive)).to.be.true;
-            expect(await threes.getCurrentRound(2)).to.equal(2); // REVEAL_ROUND
-
-            // Game 2: all players reveal using stored commitments
-            for (const { player, salt } of game2Commitments) {
-                await threes.connect(player).revealChoice(1, salt);
-            }
-
-            // All players in game 2 should still be active (all revealed same number)
-            const game2InfoAfterReveal = await threes.getPlayerInfo(2);
-            expect(game2InfoAfterReveal.every(p => p.isActive)).to.be.true;
+            expect(game2Info.every((p) => p.isActive)).to.be.true;
+            await expectActive(gameMaster, [player4, player5, player6]);
         });
     });
 
     describe("endExpiredGames", function () {
         beforeEach(async function () {
-            // Register players 4-6 for multi-game tests
-            const registrationFee = await ragnarokGameMaster.registrationFee();
-            await ragnarokGameMaster.connect(player4).register({ value: registrationFee });
-            await ragnarokGameMaster.connect(player5).register({ value: registrationFee });
-            await ragnarokGameMaster.connect(player6).register({ value: registrationFee });
+            await loadThrees(6);
+            await startGame(gameMaster, "Threes");
         });
 
         it("Should handle expired commit phase with no commits", async function () {
-            await ragnarokGameMaster.initializeGame("Threes");
-            await ragnarokGameMaster.startGames("Threes");
-
-            await time.increase(COMMIT_DURATION + 1);
-            await ragnarokGameMaster.endExpiredGames("Threes");
+            await passRoundEnd(threes, 1);
+            await gameMaster.endExpiredGames("Threes");
 
             const gameInfo = await threes.getPlayerInfo(1);
-            expect(gameInfo.every(p => !p.isActive)).to.be.true;
-            expect(await threes.getGameState(1)).to.equal(4); // Completed
+            expect(gameInfo.every((p) => !p.isActive)).to.be.true;
+            expect(await threes.getGameState(1)).to.equal(GameState.Completed);
         });
 
         it("Should handle expired commit phase with partial commits", async function () {
-            await ragnarokGameMaster.initializeGame("Threes");
-            await ragnarokGameMaster.startGames("Threes");
-
-            // Only player1 commits
-            const { commitment } = await createCommitment(1, player1);
-            await threes.connect(player1).commitChoice(commitment);
+            await commitInstance(threes, 1, choices([player1], [1]));
 
-            await time.increase(COMMIT_DURATION + 1);
-            await ragnarokGameMaster.endExpiredGames("Threes");
+            await passRoundEnd(threes, 1);
+            await gameMaster.endExpiredGames("Threes");
 
             const gameInfo = await threes.getPlayerInfo(1);
-            expect(gameInfo.find(p => p.playerAddress === player1.address).isActive).to.be.true;
-            expect(gameInfo.filter(p => p.isActive).length).to.equal(1);
-            expect(await threes.getGameState(1)).to.equal(4); // Completed
+            expect(gameInfo.find((p) => p.playerAddress === player1.address).isActive).to.be.true;
+            expect(gameInfo.filter((p) => p.isActive).length).to.equal(1);
+            expect(await threes.getGameState(1)).to.equal(GameState.Completed);
         });
 
         it("Should handle expired reveal phase with no reveals", async function () {
-            await ragnarokGameMaster.initializeGame("Threes");
-            await ragnarokGameMaster.startGames("Threes");
-
-            // All players commit
-            for (const player of [player1, player2, player3]) {
-                const { commitment } = await createCommitment(1, player);
-                await threes.connect(player).commitChoice(commitment);
-            }
+            await commitInstance(threes, 1, () => 1);
 
-            // Move to reveal phase and let it expire
-            await time.increase(REVEAL_DURATION + 1);
-            await ragnarokGameMaster.endExpiredGames("Threes");
+            await passRoundEnd(threes, 1);
+            await gameMaster.endExpiredGames("Threes");
 
             const gameInfo = await threes.getPlayerInfo(1);
-            expect(gameInfo.every(p => !p.isActive)).to.be.true;
-            expect(await threes.getGameState(1)).to.equal(4); // Completed
+            expect(gameInfo.every((p) => !p.isActive)).to.be.true;
+            expect(await threes.getGameState(1)).to.equal(GameState.Completed);
+            await expectEliminated(gameMaster, [player1, player2, player3]);
         });
 
         it("Should handle expired reveal phase with partial reveals", async function () {
-            await ragnarokGameMaster.initializeGame("Threes");
-            await ragnarokGameMaster.startGames("Threes");
-
-            // All players commit
-            const commits = [];
-            for (const player of [player1, player2, player3]) {
-                const commit = await createCommitment(1, player);
-                commits.push({ player, ...commit });
-                await threes.connect(player).commitChoice(commit.commitment);
-            }
+            const commits = await commitInstance(threes, 1, () => 1);
+            await revealAll(threes, commits.filter((c) => c.player.address === player1.address));
 
-            // Only player1 reveals
-            await threes.connect(player1).revealChoice(1, commits[0].salt);
-
-            await time.increase(REVEAL_DURATION + 1);
-            await ragnarokGameMaster.endExpiredGames("Threes");
+            await passRoundEnd(threes, 1);
+            await gameMaster.endExpiredGames("Threes");
 
             const gameInfo = await threes.getPlayerInfo(1);
-            expect(gameInfo.find(p => p.playerAddress === player1.address).isActive).to.be.true;
-            expect(gameInfo.filter(p => p.isActive).length).to.equal(1);
-            expect(await threes.getGameState(1)).to.equal(4); // Completed
+            expect(gameInfo.find((p) => p.playerAddress === player1.address).isActive).to.be.true;
+            expect(gameInfo.filter((p) => p.isActive).length).to.equal(1);
+            expect(await threes.getGameState(1)).to.equal(GameState.Completed);
         });
 
         it("Should handle multiple games in different phases", async function () {
-            // Initialize both games
-            await ragnarokGameMaster.initializeGame("Threes");
-            await ragnarokGameMaster.startGames("Threes");
-
-            // Game 1: Only player1 commits
-            const { commitment: commit1 } = await createCommitment(1, player1);
-            await threes.connect(player1).commitChoice(commit1);
-
-            // Game 2: All players commit
-            const game2Commits = [];
-            for (const player of [player4, player5, player6]) {
-                const commit = await createCommitment(1, player);
-                game2Commits.push({ player, ...commit });
-                await threes.connect(player).commitChoice(commit.commitment);
-            }
-
-            // Let commit phase expire
-            await time.increase(COMMIT_DURATION + 1);
-            await ragnarokGameMaster.endExpiredGames("Threes");
-
-            // Check game 1 (expired in commit phase)
+            // Game 1: only player1 commits; game 2: everyone commits
+            await commitInstance(threes, 1, choices([player1], [1]));
+            const game2Commits = await commitInstance(threes, 2, () => 1);
+
+            await passRoundEnd(threes, 1);
+            await gameMaster.endExpiredGames("Threes");
+
+            // Game 1 expired in the commit phase
             const game1Info = await threes.getPlayerInfo(1);
-            expect(game1Info.find(p => p.playerAddress === player1.address).isActive).to.be.true;
-            expect(game1Info.filter(p => p.isActive).length).to.equal(1);
-            expect(await threes.getGameState(1)).to.equal(4); // Completed
+            expect(game1Info.find((p) => p.playerAddress === player1.address).isActive).to.be.true;
+            expect(game1Info.filter((p) => p.isActive).length).to.equal(1);
+            expect(await threes.getGameState(1)).to.equal(GameState.Completed);
 
-            // Check game 2 (should be in reveal phase)
+            // Game 2 is still in its reveal phase
             const game2Info = await threes.getPlayerInfo(2);
-            expect(game2Info.every(p => p.isActive)).to.be.true;
-            expect(await threes.getCurrentRound(2)).to.equal(2); // REVEAL_ROUND
+            expect(game2Info.every((p) => p.isActive)).to.be.true;
+            expect(await threes.getCurrentPhase(2)).to.equal(REVEAL_PHASE);
 
             // Only player4 reveals in game 2
-            await threes.connect(player4).revealChoice(1, game2Commits[0].salt);
+            await revealAll(threes, game2Commits.filter((c) => c.player.address === player4.address));
 
-            // Let reveal phase expire
-            await time.increase(REVEAL_DURATION + 1);
-            await ragnarokGameMaster.endExpiredGames("Threes");
+            await passRoundEnd(threes, 2);
+            await gameMaster.endExpiredGames("Threes");
 
-            // Check game 2 after reveal phase expires
             const game2InfoAfter = await threes.getPlayerInfo(2);
-            expect(game2InfoAfter.find(p => p.playerAddress === player4.address).isActive).to.be.true;
-            expect(game2InfoAfter.filter(p => p.isActive).length).to.equal(1);
-            expect(await threes.getGameState(2)).to.equal(4); // Completed
+            expect(game2InfoAfter.find((p) => p.playerAddress === player4.address).isActive).to.be.true;
+            expect(game2InfoAfter.filter((p) => p.isActive).length).to.equal(1);
+            expect(await threes.getGameState(2)).to.equal(GameState.Completed);
+            await expectEliminated(gameMaster, [player2, player3, player5, player6]);
         });
 
         it("Should not affect active games that haven't expired", async function () {
-            await ragnarokGameMaster.initializeGame("Threes");
-            await ragnarokGameMaster.startGames("Threes");
+            await commitInstance(threes, 1, () => 1);
 
-            // All players commit in game 1
-            for (const player of [player1, player2, player3]) {
-                const { commitment } = await createCommitment(1, player);
-                await threes.connect(player).commitChoice(commitment);
-            }
+            await gameMaster.endExpiredGames("Threes");
 
-            // Call endExpiredGames before any expiration
-            await ragnarokGameMaster.endExpiredGames("Threes");
-
-            // Game should still be active and in reveal phase
-            expect(await threes.getGameState(1)).to.equal(2); // Active
-            expect(await threes.getCurrentRound(1)).to.equal(2); // REVEAL_ROUND
+            expect(await threes.getGameState(1)).to.equal(GameState.Active);
+            expect(await threes.getCurrentPhase(1)).to.equal(REVEAL_PHASE);
 
             const gameInfo = await threes.getPlayerInfo(1);
-            expect(gameInfo.every(p => p.isActive)).to.be.true;
+            expect(gameInfo.every((p) => p.isActive)).to.be.true;
         });
 
         it("Should not affect completed games", async function () {
-            await ragnarokGameMaster.initializeGame("Threes");
-            await ragnarokGameMaster.startGames("Threes");
-
-            // Complete game 1 normally
-            const commits = [];
-            for (const player of [player1, player2, player3]) {
-                const commit = await createCommitment(1, player);
-                commits.push({ player, ...commit });
-                await threes.connect(player).commitChoice(commit.commitment);
-            }
-
-            // All reveal the same number
-            for (const { player, salt } of commits) {
-                await threes.connect(player).revealChoice(1, salt);
-            }
-
-            // Game should be completed with all players active
+            // Complete game 1 with everyone revealing the same number
+            await playRound(threes, 1, () => 1);
+
             const gameInfoBefore = await threes.getPlayerInfo(1);
-            expect(gameInfoBefore.every(p => p.isActive)).to.be.true;
-            expect(await threes.getGameState(1)).to.equal(4); // Completed
+            expect(gameInfoBefore.every((p) => p.isActive)).to.be.true;
+            expect(await threes.getGameState(1)).to.equal(GameState.Completed);
 
-            // Call endExpiredGames
-            await time.increase(REVEAL_DURATION + 1);
-            await ragnarokGameMaster.endExpiredGames("Threes");
+            await passRoundEnd(threes, 1);
+            await gameMaster.endExpiredGames("Threes");
 
-            // Game state should remain unchanged
             const gameInfoAfter = await threes.getPlayerInfo(1);
-            expect(gameInfoAfter.every(p => p.isActive)).to.be.true;
-            expect(await threes.getGameState(1)).to.equal(4); // Completed
+            expect(gameInfoAfter.every((p) => p.isActive)).to.be.true;
+            expect(await threes.getGameState(1)).to.equal(GameState.Completed);
+            await expectActive(gameMaster, [player1, player2, player3]);
         });
     });
-}); 
\ No newline at end of file
+});
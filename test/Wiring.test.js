@@ -0,0 +1,55 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadGameSystem } = require("./fixtures/game-system");
+const { auditWiring, findEliminationCallback } = require("../scripts/lib/wiring");
+
+describe("Wiring", function () {
+    const GAMES = ["Doors", "Threes"];
+    let gameMaster, points, games;
+
+    beforeEach(async function () {
+        ({ gameMaster, points, games } = await loadGameSystem({ games: GAMES }));
+    });
+
+    // Helper function to audit the fixture, with extra labelled contracts if given
+    async function audit(extra = {}) {
+        return auditWiring(ethers, { GameMaster: gameMaster, Points: points, ...games, ...extra }, { games: GAMES });
+    }
+
+    // Helper function to list the checks that failed as "check subject"
+    function failures(report) {
+        return report.results.filter((entry) => !entry.ok).map(({ check, subject }) => `${check} ${subject}`);
+    }
+
+    it("Should pass a system wired by the fixture", async function () {
+        const report = await audit();
+        expect(failures(report)).to.be.empty;
+        expect(report.ok).to.equal(true);
+    });
+
+    it("Should find the elimination callback a game calls", async function () {
+        const legacy = await (await ethers.getContractFactory("MockLegacyGame")).deploy(await gameMaster.getAddress());
+        const codeOf = async (contract) => ethers.provider.getCode(await contract.getAddress());
+
+        expect(findEliminationCallback(await codeOf(games.Doors), ethers)).to.equal("playerEliminated(address,uint256)");
+        expect(findEliminationCallback(await codeOf(legacy), ethers)).to.equal("playerEliminated(address)");
+        expect(findEliminationCallback(await codeOf(points), ethers)).to.equal(null);
+    });
+
+    it("Should flag a game whose GameMaster lacks the callback it calls", async function () {
+        const legacy = await (await ethers.getContractFactory("MockLegacyGame")).deploy(await gameMaster.getAddress());
+        await gameMaster.registerGame("Legacy", await legacy.getAddress());
+
+        const report = await audit();
+        expect(failures(report)).to.deep.equal(["eliminationCallback Legacy"]);
+        expect(report.results.find((entry) => entry.subject === "Legacy" && entry.check === "eliminationCallback"))
+            .to.include({ expected: "playerEliminated(address)", actual: "missing from GameMaster" });
+    });
+
+    it("Should flag a game reporting to a different GameMaster", async function () {
+        const other = await (await ethers.getContractFactory("GameMaster")).deploy();
+        await games.Threes.setGameMaster(await other.getAddress());
+
+        expect(failures(await audit())).to.deep.equal(["gameMaster Threes"]);
+    });
+});
@@ -0,0 +1,84 @@
+// Deterministic control over the block-derived randomness in Doors and Equilibrium. Both games
+// hash values of the block their transaction lands in; the helpers below pick that block's
+// timestamp (and PREVRANDAO) so the outcome a test asks for is the one the contract computes.
+const { ethers } = require("hardhat");
+const { time, setPrevRandao } = require("@nomicfoundation/hardhat-network-helpers");
+const { isDoorOpen } = require("../../scripts/lib/games");
+
+// Equilibrium.NUM_TEAMS
+const NUM_TEAMS = 4;
+
+/**
+ * Set the next block's timestamp so that `player`'s next openDoor() opens (success = true) or
+ * eliminates them. Only timestamps inside the current round are used. Returns the timestamp.
+ */
+async function fixDoorOutcome(doors, player, success) {
+    const gameId = await doors.playerGameId(player.address);
+    const { currentRound, roundEndTime } = await doors.getGameInfo(gameId);
+    const latest = await ethers.provider.getBlock("latest");
+
+    for (let timestamp = latest.timestamp + 1; timestamp <= Number(roundEndTime); timestamp++) {
+        const open = isDoorOpen(ethers, {
+            parentHash: latest.hash,
+            timestamp,
+            player: player.address,
+            round: currentRound,
+            gameId,
+            doors: await doors.getAddress(),
+        });
+        if (open === success) {
+            await time.setNextBlockTimestamp(timestamp);
+            return timestamp;
+        }
+    }
+    throw new Error(`No timestamp before round ${currentRound} ends gives ${player.address} a door that ${success ? "opens" : "fails"}`);
+}
+
+// Helper function to open a door for `player` with a chosen outcome
+async function openDoor(doors, player, success) {
+    await fixDoorOutcome(doors, player, success);
+    return doors.connect(player).openDoor();
+}
+
+// Helper function to list Equilibrium's largest teams in the order the contract collects them
+async function getLargestTeams(equilibrium, gameId) {
+    const sizes = [];
+    for (let team = 0; team < NUM_TEAMS; team++) {
+        sizes.push(await equilibrium.getTeamSize(gameId, team));
+    }
+    const largest = sizes.reduce((a, b) => (b > a ? b : a), 0n);
+    return sizes.flatMap((size, team) => (size === largest ? [team] : []));
+}
+
+/**
+ * Set the next block's timestamp and PREVRANDAO so that Equilibrium's tie-break picks `team`
+ * among the tied largest teams. Call it right before the transaction that ends the game.
+ */
+async function fixTieBreak(equilibrium, gameId, team) {
+    const tied = await getLargestTeams(equilibrium, gameId);
+    const wanted = tied.indexOf(team);
+    if (wanted === -1) {
+        throw new Error(`Team ${team} is not one of the largest teams (${tied.join(", ")})`);
+    }
+
+    const timestamp = (await time.latest()) + 1;
+    for (let prevRandao = 1n; ; prevRandao++) {
+        const random = ethers.solidityPackedKeccak256(
+            ["uint256", "uint256", "uint256"],
+            [timestamp, prevRandao, gameId]
+        );
+        if (BigInt(random) % BigInt(tied.length) === BigInt(wanted)) {
+            await setPrevRandao(prevRandao);
+            await time.setNextBlockTimestamp(timestamp);
+            return;
+        }
+    }
+}
+
+module.exports = {
+    isDoorOpen,
+    fixDoorOutcome,
+    openDoor,
+    getLargestTeams,
+    fixTieBreak,
+};
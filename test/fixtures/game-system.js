@@ -0,0 +1,188 @@
+// Shared fixtures for tests of GameMaster, Points and the elimination games.
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { GameState, getRoundEndTime } = require("../../scripts/lib/games");
+
+const GAME_NAMES = ["Doors", "Threes", "Bidding", "Descend", "Equilibrium"];
+
+// Commit and reveal functions of the games that play in commit/reveal rounds
+const COMMIT_REVEAL = {
+    Threes: { commit: "commitChoice", reveal: "revealChoice" },
+    Descend: { commit: "commitMove", reveal: "revealMove" },
+    Bidding: { commit: "commitBid", reveal: "revealBid" },
+};
+
+/**
+ * @typedef {import("@nomicfoundation/hardhat-ethers/signers").HardhatEthersSigner} Signer
+ * @typedef {object} GameSystem
+ * @property {import("../../typechain-types").GameMaster} gameMaster
+ * @property {import("../../typechain-types").Points} points
+ * @property {{
+ *   Doors?: import("../../typechain-types").Doors,
+ *   Threes?: import("../../typechain-types").Threes,
+ *   Bidding?: import("../../typechain-types").Bidding,
+ *   Descend?: import("../../typechain-types").Descend,
+ *   Equilibrium?: import("../../typechain-types").Equilibrium,
+ * }} games
+ * @property {Signer} owner     deployer and owner of every contract
+ * @property {Signer[]} players registered players, in registration order
+ * @property {Signer[]} others  signers left unregistered
+ */
+
+/**
+ * Deploy GameMaster and Points, deploy and register `games` (any of GAME_NAMES), and
+ * register the first `players` signers after the owner. Players pay the registration fee,
+ * which sends its points portion through Points; `batch: true` registers them for free with
+ * registerPlayersBatch instead, which is faster for large player counts.
+ * @returns {Promise<GameSystem>}
+ */
+async function deployGameSystem({ games = [], players = 0, batch = false } = {}) {
+    const [owner, ...signers] = await ethers.getSigners();
+    if (players > signers.length) {
+        throw new Error(`Asked for ${players} players, but only ${signers.length} signers are configured`);
+    }
+
+    const points = await (await ethers.getContractFactory("Points")).deploy();
+    const gameMaster = await (await ethers.getContractFactory("GameMaster")).deploy();
+    await gameMaster.setPointsContract(await points.getAddress());
+
+    const deployed = {};
+    for (const name of games) {
+        if (!GAME_NAMES.includes(name)) {
+            throw new Error(`Unknown game ${name} (expected one of ${GAME_NAMES.join(", ")})`);
+        }
+        deployed[name] = await (await ethers.getContractFactory(name)).deploy();
+        await gameMaster.registerGame(name, await deployed[name].getAddress());
+        await deployed[name].setGameMaster(await gameMaster.getAddress());
+    }
+
+    const registered = signers.slice(0, players);
+    if (batch) {
+        await gameMaster.registerPlayersBatch(registered.map((player) => player.address));
+    } else {
+        const registrationFee = await gameMaster.registrationFee();
+        for (const player of registered) {
+            await gameMaster.connect(player).register({ value: registrationFee });
+        }
+    }
+
+    return { gameMaster, points, games: deployed, owner, players: registered, others: signers.slice(players) };
+}
+
+// loadFixture snapshots by function identity, so each option set keeps one named fixture
+const fixtures = new Map();
+
+/**
+ * Load the game system for these options, deploying it once and reverting to a snapshot on
+ * every later call. Takes the same options as deployGameSystem.
+ * @returns {Promise<GameSystem>}
+ */
+function loadGameSystem(options = {}) {
+    const key = JSON.stringify({ games: options.games || [], players: options.players || 0, batch: !!options.batch });
+    if (!fixtures.has(key)) {
+        fixtures.set(key, async function gameSystemFixture() {
+            return deployGameSystem(options);
+        });
+    }
+    return loadFixture(fixtures.get(key));
+}
+
+// Helper function to start every instance of a game: initialize it with GameMaster's active players, then start
+async function startGame(gameMaster, name) {
+    await gameMaster.initializeGame(name);
+    await gameMaster.startGames(name);
+}
+
+// Helper function to create a commitment the games accept: keccak256(value, salt, player)
+function createCommitment(value, player) {
+    const salt = ethers.hexlify(ethers.randomBytes(32));
+    const commitment = ethers.solidityPackedKeccak256(
+        ["uint256", "bytes32", "address"],
+        [value, salt, player.address]
+    );
+    return { player, value, salt, commitment };
+}
+
+// Helper function to look up the commit/reveal functions of a game contract
+async function getCommitReveal(game) {
+    const name = await game.getGameName();
+    if (!COMMIT_REVEAL[name]) {
+        throw new Error(`${name} does not play in commit/reveal rounds`);
+    }
+    return COMMIT_REVEAL[name];
+}
+
+/**
+ * Commit for the active players of one instance. `choose(address, index)` returns each
+ * player's value, or null to leave that player out. Returns the commitments for revealAll.
+ */
+async function commitInstance(game, gameId, choose) {
+    const { commit } = await getCommitReveal(game);
+    const active = (await game.getPlayerInfo(gameId)).filter((info) => info.isActive);
+
+    const commits = [];
+    for (const [index, info] of active.entries()) {
+        const value = choose(info.playerAddress, index);
+        if (value === null || value === undefined) continue;
+        const entry = createCommitment(value, await ethers.getSigner(info.playerAddress));
+        await game.connect(entry.player)[commit](entry.commitment);
+        commits.push(entry);
+    }
+    return commits;
+}
+
+// Helper function to reveal commitments made with commitInstance (or createCommitment)
+async function revealAll(game, commits) {
+    const { reveal } = await getCommitReveal(game);
+    for (const { player, value, salt } of commits) {
+        await game.connect(player)[reveal](value, salt);
+    }
+}
+
+// Helper function to play one full commit/reveal round of an instance; returns the commitments
+async function playRound(game, gameId, choose) {
+    const commits = await commitInstance(game, gameId, choose);
+    await revealAll(game, commits);
+    return commits;
+}
+
+// Helper function to move the chain past an instance's current roundEndTime
+async function passRoundEnd(game, gameId) {
+    const roundEndTime = await getRoundEndTime(game, gameId);
+    if ((await time.latest()) <= roundEndTime) {
+        await time.increaseTo(roundEndTime + 1);
+    }
+}
+
+// Helper function to assert that GameMaster saw each player's elimination and placed them
+async function expectEliminated(gameMaster, players) {
+    for (const player of players) {
+        const address = player.address || player;
+        expect(await gameMaster.isActivePlayer(address), `${address} is still active in GameMaster`).to.equal(false);
+        expect(await gameMaster.getPlayerFinalPlacement(address)).to.be.greaterThan(0);
+    }
+}
+
+// Helper function to assert that players are still active in GameMaster
+async function expectActive(gameMaster, players) {
+    for (const player of players) {
+        const address = player.address || player;
+        expect(await gameMaster.isActivePlayer(address), `${address} was eliminated in GameMaster`).to.equal(true);
+    }
+}
+
+module.exports = {
+    GAME_NAMES,
+    GameState,
+    deployGameSystem,
+    loadGameSystem,
+    startGame,
+    createCommitment,
+    commitInstance,
+    revealAll,
+    playRound,
+    passRoundEnd,
+    expectEliminated,
+    expectActive,
+};
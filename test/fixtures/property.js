@@ -0,0 +1,110 @@
+// Randomized property checks: generate seeded operation sequences, replay them against the
+// contracts and shrink any failing sequence to a minimal reproduction.
+const { createRng } = require("../../scripts/lib/random");
+
+/**
+ * Seeded source of random choices for generators. The same seed always yields the same
+ * sequence, so a failing run can be replayed from the seed it reports.
+ */
+function createRandom(seed) {
+    const next = createRng(seed);
+    const random = {
+        // Integer in [min, max]
+        int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+        chance: (probability) => next() < probability,
+        pick: (items) => items[Math.floor(next() * items.length)],
+        // Weighted pick from { option: weight }
+        weighted: (weights) => {
+            const total = Object.values(weights).reduce((a, b) => a + b, 0);
+            let roll = next() * total;
+            for (const [option, weight] of Object.entries(weights)) {
+                roll -= weight;
+                if (roll < 0) return option;
+            }
+            return Object.keys(weights).at(-1);
+        },
+        // Between min and max distinct items, in random order
+        sample: (items, min, max) => {
+            const pool = [...items];
+            const count = Math.min(pool.length, random.int(min, max));
+            const sample = [];
+            while (sample.length < count) {
+                sample.push(pool.splice(Math.floor(next() * pool.length), 1)[0]);
+            }
+            return sample;
+        },
+    };
+    return random;
+}
+
+/**
+ * Shrink a failing sequence. `fails(sequence)` replays a sequence and resolves to its failure
+ * (anything truthy) or null. Chunks of operations are dropped first, halving the chunk size
+ * down to single operations, then each operation is replaced by the variants `simplify(op)`
+ * offers. Every accepted step still fails, so the result is a smaller sequence that fails.
+ * @returns {Promise<{sequence: any[], failure: any}>}
+ */
+async function shrink(sequence, failure, fails, simplify = () => []) {
+    let current = sequence;
+    let progress = true;
+
+    while (progress) {
+        progress = false;
+
+        for (let size = Math.max(1, Math.floor(current.length / 2)); size >= 1; size = Math.floor(size / 2)) {
+            for (let start = 0; start + size <= current.length; ) {
+                const candidate = [...current.slice(0, start), ...current.slice(start + size)];
+                const result = await fails(candidate);
+                if (result) {
+                    current = candidate;
+                    failure = result;
+                    progress = true;
+                } else {
+                    start += size;
+                }
+            }
+        }
+
+        for (let index = 0; index < current.length; index++) {
+            for (const variant of simplify(current[index])) {
+                const candidate = current.with(index, variant);
+                const result = await fails(candidate);
+                if (result) {
+                    current = candidate;
+                    failure = result;
+                    progress = true;
+                    break;
+                }
+            }
+        }
+    }
+
+    return { sequence: current, failure };
+}
+
+/**
+ * Run `runs` generated sequences through `fails`. Run i uses seed `seed + i`. On the first
+ * failure the sequence is shrunk and an error is thrown with the seed, the minimal sequence
+ * (formatted one operation per line by `format`) and the failure it produces.
+ */
+async function checkProperty({ runs, seed, generate, fails, simplify, format = (op) => JSON.stringify(op) }) {
+    for (let run = 0; run < runs; run++) {
+        const sequence = generate(createRandom(seed + run));
+        const failure = await fails(sequence);
+        if (!failure) continue;
+
+        const shrunk = await shrink(sequence, failure, fails, simplify);
+        throw new Error([
+            `Property failed on run ${run} (seed ${seed + run}) after ${sequence.length} operations.`,
+            `Minimal reproduction (${shrunk.sequence.length} operations):`,
+            ...shrunk.sequence.map((op, index) => `  ${index + 1}. ${format(op)}`),
+            `Failure: ${shrunk.failure}`,
+        ].join("\n"));
+    }
+}
+
+module.exports = {
+    createRandom,
+    shrink,
+    checkProperty,
+};